@@ -0,0 +1,602 @@
+// Vocab ⇄ Anki / CSV conversion.
+//
+// Export builds a legacy (schema 11) .apkg: a zip holding `collection.anki2`
+// (SQLite, written with sql.js) plus numbered media files and a `media` JSON
+// map. Every Anki version since 2.1 imports this format.
+//
+// Import accepts .apkg/.colpkg (collection.anki21b, collection.anki21 or
+// collection.anki2), our own CSV export, and Anki's "Notes in Plain Text"
+// export. Parsers return
+// plain vocab-shaped entries; writing them to Firestore (and resolving
+// conflicts with existing words) is left to the client via upsertVocabEntry.
+
+import AdmZip from 'adm-zip'
+import crypto from 'crypto'
+import { decompress as zstdDecompress } from 'fzstd'
+import initSqlJs from 'sql.js'
+
+const DAY_SECONDS = 24 * 60 * 60
+const FIELD_SEPARATOR = '\x1f'
+
+export const VOCAB_CSV_COLUMNS = [
+  'text',
+  'translation',
+  'status',
+  'intervalDays',
+  'easeFactor',
+  'correctStreak',
+  'recallStreak',
+  'nextReviewAt',
+  'sourceContentIds',
+  'audioUrl',
+]
+
+const VOCAB_STATUSES = ['unknown', 'recognised', 'familiar', 'known']
+const STATUS_TAG_PREFIX = 'intongues::status::'
+
+export class AnkiImportError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'AnkiImportError'
+  }
+}
+
+let sqlPromise = null
+const getSql = () => {
+  if (!sqlPromise) sqlPromise = initSqlJs()
+  return sqlPromise
+}
+
+// --- Shared helpers --------------------------------------------------------
+
+const stripHtml = (value) =>
+  String(value || '')
+    .replace(/\[sound:[^\]]*\]/g, '')
+    .replace(/<br\s*\/?>/gi, ' ')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/\s+/g, ' ')
+    .trim()
+
+const escapeHtml = (value) =>
+  String(value || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+
+const toMillis = (value) => {
+  if (!value) return null
+  if (typeof value === 'number') return value
+  if (value.toMillis) return value.toMillis()
+  if (value instanceof Date) return value.getTime()
+  if (typeof value === 'string') {
+    const parsed = Date.parse(value)
+    return Number.isNaN(parsed) ? null : parsed
+  }
+  if (Number.isFinite(value._seconds)) return value._seconds * 1000
+  return null
+}
+
+// Best guess at a vocab status from Anki scheduling when no status tag exists
+const statusFromAnkiCard = (card) => {
+  if (!card || card.type === 0) return 'unknown'
+  if (card.type === 1 || card.type === 3) return 'recognised'
+  if (card.ivl >= 21) return 'known'
+  if (card.ivl >= 7) return 'familiar'
+  return 'recognised'
+}
+
+const normaliseStatus = (value) => {
+  const lowered = String(value || '').trim().toLowerCase()
+  if (lowered === 'new') return 'unknown'
+  return VOCAB_STATUSES.includes(lowered) ? lowered : null
+}
+
+// --- CSV -------------------------------------------------------------------
+
+const escapeCsvValue = (value) => {
+  const text = value === null || value === undefined ? '' : String(value)
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Serialise vocab entries (Firestore doc data) to CSV using VOCAB_CSV_COLUMNS
+ */
+export const buildVocabCsv = (entries) => {
+  const rows = [VOCAB_CSV_COLUMNS.join(',')]
+  entries.forEach((entry) => {
+    const nextReviewAt = toMillis(entry.nextReviewAt)
+    const row = {
+      ...entry,
+      nextReviewAt: nextReviewAt ? new Date(nextReviewAt).toISOString() : '',
+      sourceContentIds: (entry.sourceContentIds || []).join(';'),
+    }
+    rows.push(VOCAB_CSV_COLUMNS.map((column) => escapeCsvValue(row[column])).join(','))
+  })
+  return `${rows.join('\n')}\n`
+}
+
+const splitDelimitedLine = (line, separator) => {
+  const values = []
+  let current = ''
+  let inQuotes = false
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i]
+    if (inQuotes) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        current += char
+      }
+    } else if (char === '"' && current === '') {
+      inQuotes = true
+    } else if (char === separator) {
+      values.push(current)
+      current = ''
+    } else {
+      current += char
+    }
+  }
+  values.push(current)
+  return values
+}
+
+// Split into logical lines, keeping newlines that sit inside quoted values
+const splitDelimitedRows = (text) => {
+  const rows = []
+  let current = ''
+  let inQuotes = false
+  for (const char of text) {
+    if (char === '"') inQuotes = !inQuotes
+    if ((char === '\n' || char === '\r') && !inQuotes) {
+      if (current) rows.push(current)
+      current = ''
+    } else {
+      current += char
+    }
+  }
+  if (current) rows.push(current)
+  return rows
+}
+
+/**
+ * Parse our CSV export or an Anki "Notes in Plain Text" export.
+ * Files without a recognised header are read as word,translation[,...].
+ */
+export const parseVocabCsv = (text) => {
+  const warnings = []
+  let separator = null
+  const dataLines = []
+
+  splitDelimitedRows(String(text || '').replace(/^\uFEFF/, '')).forEach((line) => {
+    // Anki plain-text exports start with "#key:value" directives
+    if (line.startsWith('#')) {
+      const match = line.match(/^#separator:(\w+)/i)
+      if (match) {
+        const name = match[1].toLowerCase()
+        separator = { tab: '\t', comma: ',', semicolon: ';', pipe: '|', space: ' ' }[name] || separator
+      }
+      return
+    }
+    if (line.trim()) dataLines.push(line)
+  })
+
+  if (!dataLines.length) return { entries: [], warnings: ['File contains no rows'] }
+
+  if (!separator) {
+    const sample = dataLines[0]
+    separator = ['\t', ',', ';'].reduce((best, candidate) =>
+      sample.split(candidate).length > sample.split(best).length ? candidate : best
+    )
+  }
+
+  const firstRow = splitDelimitedLine(dataLines[0], separator).map((value) => value.trim())
+  const hasHeader = firstRow.includes('text') && firstRow.includes('translation')
+  const columns = hasHeader ? firstRow : ['text', 'translation']
+  const rows = hasHeader ? dataLines.slice(1) : dataLines
+
+  const entries = []
+  rows.forEach((line, index) => {
+    const values = splitDelimitedLine(line, separator)
+    const record = {}
+    columns.forEach((column, columnIndex) => {
+      record[column] = values[columnIndex] ?? ''
+    })
+
+    const textValue = stripHtml(record.text)
+    if (!textValue) {
+      warnings.push(`Row ${index + 1}: missing word, skipped`)
+      return
+    }
+
+    const intervalDays = parseFloat(record.intervalDays)
+    const easeFactor = parseFloat(record.easeFactor)
+    const correctStreak = parseInt(record.correctStreak, 10)
+    const recallStreak = parseInt(record.recallStreak, 10)
+
+    entries.push({
+      text: textValue,
+      translation: stripHtml(record.translation) || null,
+      status: normaliseStatus(record.status) || 'unknown',
+      intervalDays: Number.isFinite(intervalDays) ? intervalDays : null,
+      easeFactor: Number.isFinite(easeFactor) ? easeFactor : null,
+      correctStreak: Number.isFinite(correctStreak) ? correctStreak : null,
+      recallStreak: Number.isFinite(recallStreak) ? recallStreak : null,
+      nextReviewAt: toMillis(record.nextReviewAt),
+      sourceContentIds: record.sourceContentIds
+        ? record.sourceContentIds.split(';').map((id) => id.trim()).filter(Boolean)
+        : [],
+    })
+  })
+
+  return { entries, warnings }
+}
+
+// --- APKG export -----------------------------------------------------------
+
+const ANKI_SCHEMA = `
+CREATE TABLE col (id integer primary key, crt integer not null, mod integer not null, scm integer not null, ver integer not null, dty integer not null, usn integer not null, ls integer not null, conf text not null, models text not null, decks text not null, dconf text not null, tags text not null);
+CREATE TABLE notes (id integer primary key, guid text not null, mid integer not null, mod integer not null, usn integer not null, tags text not null, flds text not null, sfld integer not null, csum integer not null, flags integer not null, data text not null);
+CREATE TABLE cards (id integer primary key, nid integer not null, did integer not null, ord integer not null, mod integer not null, usn integer not null, type integer not null, queue integer not null, due integer not null, ivl integer not null, factor integer not null, reps integer not null, lapses integer not null, left integer not null, odue integer not null, odid integer not null, flags integer not null, data text not null);
+CREATE TABLE revlog (id integer primary key, cid integer not null, usn integer not null, ease integer not null, ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null, type integer not null);
+CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null);
+CREATE INDEX ix_notes_usn on notes (usn);
+CREATE INDEX ix_cards_usn on cards (usn);
+CREATE INDEX ix_revlog_usn on revlog (usn);
+CREATE INDEX ix_cards_nid on cards (nid);
+CREATE INDEX ix_cards_sched on cards (did, queue, due);
+CREATE INDEX ix_revlog_cid on revlog (cid);
+CREATE INDEX ix_notes_csum on notes (csum);
+`
+
+const MODEL_FIELDS = ['Word', 'Translation', 'Status', 'Audio', 'Sources']
+
+const buildModel = (modelId, deckId, now) => ({
+  id: modelId,
+  name: 'inTongues Vocab',
+  type: 0,
+  mod: now,
+  usn: -1,
+  sortf: 0,
+  did: deckId,
+  tmpls: [
+    {
+      name: 'Recognition',
+      ord: 0,
+      qfmt: '<div class="word">{{Word}}</div>{{Audio}}',
+      afmt: '{{FrontSide}}<hr id="answer"><div class="translation">{{Translation}}</div>',
+      did: null,
+      bqfmt: '',
+      bafmt: '',
+    },
+  ],
+  flds: MODEL_FIELDS.map((name, ord) => ({
+    name,
+    ord,
+    sticky: false,
+    rtl: false,
+    font: 'Arial',
+    size: 20,
+    media: [],
+  })),
+  css: '.card { font-family: arial; font-size: 24px; text-align: center; }\n.translation { color: #57534e; }',
+  latexPre: '\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n',
+  latexPost: '\\end{document}',
+  tags: [],
+  vers: [],
+  req: [[0, 'any', [0]]],
+})
+
+const buildDeck = (id, name, now) => ({
+  id,
+  name,
+  desc: '',
+  mod: now,
+  usn: -1,
+  collapsed: false,
+  newToday: [0, 0],
+  revToday: [0, 0],
+  lrnToday: [0, 0],
+  timeToday: [0, 0],
+  dyn: 0,
+  extendNew: 10,
+  extendRev: 50,
+  conf: 1,
+})
+
+const DEFAULT_DECK_CONF = {
+  1: {
+    id: 1,
+    name: 'Default',
+    mod: 0,
+    usn: 0,
+    maxTaken: 60,
+    autoplay: true,
+    timer: 0,
+    replayq: true,
+    dyn: false,
+    new: { delays: [1, 10], ints: [1, 4, 7], initialFactor: 2500, order: 1, perDay: 20, bury: true },
+    rev: { perDay: 200, ease4: 1.3, fuzz: 0.05, ivlFct: 1, maxIvl: 36500, bury: true, hardFactor: 1.2 },
+    lapse: { delays: [10], mult: 0, minInt: 1, leechFails: 8, leechAction: 0 },
+  },
+}
+
+const fieldChecksum = (value) =>
+  parseInt(crypto.createHash('sha1').update(stripHtml(value)).digest('hex').slice(0, 8), 16)
+
+const randomGuid = () => crypto.randomBytes(8).toString('base64').replace(/[+/=]/g, '').slice(0, 10)
+
+const extensionFromUrl = (url) => {
+  const match = String(url || '').match(/\.(mp3|m4a|ogg|wav)(?:\?|$)/i)
+  return match ? match[1].toLowerCase() : 'mp3'
+}
+
+/**
+ * Build an .apkg buffer from vocab entries.
+ *
+ * @param {Array<object>} entries - Vocab doc data; `audioBuffer`/`audioUrl` optional
+ * @param {object} options
+ * @param {string} options.deckName
+ * @returns {Promise<Buffer>}
+ */
+export const buildApkg = async (entries, { deckName = 'inTongues' } = {}) => {
+  const SQL = await getSql()
+  const db = new SQL.Database()
+  db.run(ANKI_SCHEMA)
+
+  const nowMs = Date.now()
+  const nowSeconds = Math.floor(nowMs / 1000)
+  const crt = nowSeconds - (nowSeconds % DAY_SECONDS)
+  const modelId = nowMs
+  const deckId = nowMs + 1
+
+  const models = { [modelId]: buildModel(modelId, deckId, nowSeconds) }
+  const decks = {
+    1: buildDeck(1, 'Default', nowSeconds),
+    [deckId]: buildDeck(deckId, deckName, nowSeconds),
+  }
+  const conf = {
+    nextPos: entries.length + 1,
+    estTimes: true,
+    activeDecks: [deckId],
+    sortType: 'noteFld',
+    timeLim: 0,
+    sortBackwards: false,
+    addToCur: true,
+    curDeck: deckId,
+    newBust: true,
+    newSpread: 0,
+    dueCounts: true,
+    curModel: String(modelId),
+    collapseTime: 1200,
+  }
+
+  db.run('INSERT INTO col VALUES (1, ?, ?, ?, 11, 0, 0, 0, ?, ?, ?, ?, ?)', [
+    crt,
+    nowMs,
+    nowMs,
+    JSON.stringify(conf),
+    JSON.stringify(models),
+    JSON.stringify(decks),
+    JSON.stringify(DEFAULT_DECK_CONF),
+    '{}',
+  ])
+
+  const mediaMap = {}
+  const zip = new AdmZip()
+  let newPosition = 1
+
+  entries.forEach((entry, index) => {
+    const noteId = nowMs + 10 + index
+    const cardId = noteId
+
+    let audioField = ''
+    if (entry.audioBuffer) {
+      const mediaIndex = String(Object.keys(mediaMap).length)
+      const filename = `intongues-${noteId}.${extensionFromUrl(entry.audioUrl)}`
+      mediaMap[mediaIndex] = filename
+      zip.addFile(mediaIndex, entry.audioBuffer)
+      audioField = `[sound:${filename}]`
+    }
+
+    const status = normaliseStatus(entry.status) || 'unknown'
+    const fields = [
+      escapeHtml(entry.text),
+      escapeHtml(entry.translation || ''),
+      status,
+      audioField,
+      (entry.sourceContentIds || []).join(' '),
+    ]
+    const tags = ` intongues ${STATUS_TAG_PREFIX}${status} `
+
+    db.run('INSERT INTO notes VALUES (?, ?, ?, ?, -1, ?, ?, ?, ?, 0, \'\')', [
+      noteId,
+      randomGuid(),
+      modelId,
+      nowSeconds,
+      tags,
+      fields.join(FIELD_SEPARATOR),
+      fields[0],
+      fieldChecksum(fields[0]),
+    ])
+
+    // Map SRS state: anything with a real interval becomes a review card
+    const intervalDays = Number.isFinite(entry.intervalDays) ? entry.intervalDays : 0
+    const nextReviewMs = toMillis(entry.nextReviewAt) || nowMs
+    const isReview = intervalDays >= 1
+    const type = isReview ? 2 : 0
+    const queue = isReview ? 2 : 0
+    const due = isReview
+      ? Math.max(0, Math.floor((Math.floor(nextReviewMs / 1000) - crt) / DAY_SECONDS))
+      : newPosition++
+    const factor = Math.round((Number.isFinite(entry.easeFactor) ? entry.easeFactor : 2.5) * 1000)
+    const reps = Number.isFinite(entry.correctStreak) ? entry.correctStreak : 0
+
+    db.run('INSERT INTO cards VALUES (?, ?, ?, 0, ?, -1, ?, ?, ?, ?, ?, ?, 0, 0, 0, 0, 0, \'\')', [
+      cardId,
+      noteId,
+      deckId,
+      nowSeconds,
+      type,
+      queue,
+      due,
+      isReview ? Math.round(intervalDays) : 0,
+      isReview ? factor : 0,
+      reps,
+    ])
+  })
+
+  zip.addFile('collection.anki2', Buffer.from(db.export()))
+  zip.addFile('media', Buffer.from(JSON.stringify(mediaMap)))
+  db.close()
+
+  return zip.toBuffer()
+}
+
+// --- APKG import -----------------------------------------------------------
+
+const WORD_FIELD_NAMES = ['word', 'front', 'expression', 'vocab', 'vocabulary', 'term', 'target']
+const TRANSLATION_FIELD_NAMES = ['translation', 'back', 'meaning', 'definition', 'english', 'gloss']
+
+const findFieldIndex = (fieldNames, candidates, fallback) => {
+  const index = fieldNames.findIndex((name) => candidates.includes(name.toLowerCase()))
+  return index >= 0 ? index : fallback
+}
+
+const readRows = (db, sql) => {
+  const result = db.exec(sql)
+  if (!result.length) return []
+  const { columns, values } = result[0]
+  return values.map((row) => Object.fromEntries(columns.map((column, i) => [column, row[i]])))
+}
+
+// Note type id → { flds: [{ name }] }. Schema 18 collections (anki21b)
+// leave col.models empty and keep field names in their own table.
+const readNoteTypes = (db, col) => {
+  const models = col.models ? JSON.parse(col.models) : {}
+  if (Object.keys(models).length) return models
+
+  const hasFieldsTable = readRows(db, "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'fields'").length
+  if (!hasFieldsTable) return models
+  readRows(db, 'SELECT ntid, ord, name FROM fields ORDER BY ntid, ord').forEach((field) => {
+    if (!models[field.ntid]) models[field.ntid] = { flds: [] }
+    models[field.ntid].flds.push({ name: field.name })
+  })
+  return models
+}
+
+/**
+ * Parse an .apkg / .colpkg buffer into vocab entries.
+ * Scheduling is taken from each note's first card.
+ */
+export const parseApkg = async (buffer) => {
+  let zip
+  try {
+    zip = new AdmZip(buffer)
+  } catch (err) {
+    throw new AnkiImportError('File is not a valid Anki package')
+  }
+
+  // Newer exports also carry a stub collection.anki2 whose only card asks
+  // the user to update Anki, so the newest format has to be read first
+  const modernEntry = zip.getEntry('collection.anki21b')
+  const collectionEntry = modernEntry || zip.getEntry('collection.anki21') || zip.getEntry('collection.anki2')
+  if (!collectionEntry) {
+    throw new AnkiImportError('Anki package has no collection')
+  }
+
+  let collectionData = new Uint8Array(collectionEntry.getData())
+  if (modernEntry) {
+    try {
+      collectionData = zstdDecompress(collectionData)
+    } catch (err) {
+      throw new AnkiImportError('Anki collection could not be decompressed')
+    }
+  }
+
+  const SQL = await getSql()
+  const db = new SQL.Database(collectionData)
+  const warnings = []
+
+  try {
+    const [col] = readRows(db, 'SELECT crt, models FROM col LIMIT 1')
+    if (!col) throw new AnkiImportError('Anki collection is empty')
+
+    const models = readNoteTypes(db, col)
+    const notes = readRows(db, 'SELECT id, mid, tags, flds FROM notes')
+    const cards = readRows(db, 'SELECT nid, ord, type, queue, due, ivl, factor, reps, lapses FROM cards ORDER BY nid, ord')
+
+    const firstCardByNote = new Map()
+    cards.forEach((card) => {
+      if (!firstCardByNote.has(card.nid)) firstCardByNote.set(card.nid, card)
+    })
+
+    // Collection creation time anchors review-card due days
+    const crtMs = col.crt * 1000
+    const nowMs = Date.now()
+    const entries = []
+
+    notes.forEach((note) => {
+      const model = models[note.mid]
+      const fieldNames = (model?.flds || []).map((field) => field.name)
+      const values = String(note.flds || '').split(FIELD_SEPARATOR)
+
+      const wordIndex = findFieldIndex(fieldNames, WORD_FIELD_NAMES, 0)
+      const translationIndex = findFieldIndex(fieldNames, TRANSLATION_FIELD_NAMES, wordIndex === 0 ? 1 : 0)
+      const statusIndex = fieldNames.findIndex((name) => name.toLowerCase() === 'status')
+      const sourcesIndex = fieldNames.findIndex((name) => name.toLowerCase() === 'sources')
+
+      const textValue = stripHtml(values[wordIndex])
+      if (!textValue) {
+        warnings.push(`Note ${note.id}: empty word field, skipped`)
+        return
+      }
+
+      const card = firstCardByNote.get(note.id) || null
+      const tags = String(note.tags || '').trim().split(/\s+/)
+      const statusTag = tags.find((tag) => tag.toLowerCase().startsWith(STATUS_TAG_PREFIX))
+      const status =
+        normaliseStatus(statusIndex >= 0 ? stripHtml(values[statusIndex]) : null) ||
+        normaliseStatus(statusTag?.slice(STATUS_TAG_PREFIX.length)) ||
+        statusFromAnkiCard(card)
+
+      // Review cards: ivl in days, due in days since crt. Learning cards: due is a unix timestamp.
+      let intervalDays = 0
+      let nextReviewAt = null
+      if (card?.type === 2) {
+        intervalDays = Math.max(1, card.ivl)
+        nextReviewAt = crtMs + card.due * DAY_SECONDS * 1000
+      } else if (card?.type === 1 || card?.type === 3) {
+        intervalDays = card.ivl > 0 ? card.ivl : 0
+        nextReviewAt = card.due > 1e9 ? card.due * 1000 : nowMs
+      }
+
+      entries.push({
+        text: textValue,
+        translation: stripHtml(values[translationIndex]) || null,
+        status,
+        intervalDays,
+        easeFactor: card?.factor ? card.factor / 1000 : null,
+        correctStreak: card ? Math.max(0, card.reps - card.lapses) : 0,
+        recallStreak: null,
+        nextReviewAt,
+        sourceContentIds: sourcesIndex >= 0 ? stripHtml(values[sourcesIndex]).split(' ').filter(Boolean) : [],
+        ankiLapses: card?.lapses ?? 0,
+        suspended: card?.queue === -1,
+      })
+    })
+
+    return { entries, warnings }
+  } finally {
+    db.close()
+  }
+}
@@ -0,0 +1,164 @@
+// Kindle book (.mobi / .azw / .azw3) reader.
+//
+// Both formats are Palm database files: record 0 holds the PalmDOC and MOBI
+// headers (plus the optional EXTH metadata block), the following records hold
+// the book's HTML in compressed chunks, and images sit in later records.
+// KF8 (.azw3) stores its HTML as skeleton files followed by their fragments,
+// so the raw markup reads in order once the tags are stripped.
+//
+// Only uncompressed and PalmDOC-compressed books are supported; HUFF/CDIC
+// compression and DRM-protected books are rejected with a MobiImportError.
+
+const COMPRESSION_NONE = 1
+const COMPRESSION_PALMDOC = 2
+const COMPRESSION_HUFF_CDIC = 17480
+
+const EXTH_COVER_OFFSET = 201
+const EXTH_UPDATED_TITLE = 503
+const NO_INDEX = 0xffffffff
+
+export class MobiImportError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'MobiImportError'
+  }
+}
+
+// --- Palm database ---------------------------------------------------------
+
+const readRecords = (buffer) => {
+  if (buffer.length < 78) throw new MobiImportError('This file is too short to be a Kindle book.')
+
+  const recordCount = buffer.readUInt16BE(76)
+  const offsets = []
+  for (let i = 0; i < recordCount; i++) {
+    offsets.push(buffer.readUInt32BE(78 + i * 8))
+  }
+  return offsets.map((start, i) => buffer.subarray(start, i + 1 < offsets.length ? offsets[i + 1] : buffer.length))
+}
+
+// --- Text records ----------------------------------------------------------
+
+// Trailing entries store their size as a backwards variable-width integer
+const getTrailingEntrySize = (data) => {
+  let size = 0
+  for (const byte of data.subarray(Math.max(0, data.length - 4))) {
+    if (byte & 0x80) size = 0
+    size = (size << 7) | (byte & 0x7f)
+  }
+  return size
+}
+
+// Text records can carry index data after the text, flagged in the MOBI header
+const stripTrailingEntries = (data, extraFlags) => {
+  let trailing = 0
+  for (let flags = extraFlags >> 1; flags; flags >>= 1) {
+    if (flags & 1) trailing += getTrailingEntrySize(data.subarray(0, data.length - trailing))
+  }
+  if (extraFlags & 1) {
+    trailing += (data[data.length - trailing - 1] & 0x3) + 1
+  }
+  return data.subarray(0, Math.max(0, data.length - trailing))
+}
+
+// PalmDOC LZ77: literals, runs of raw bytes, back-references and space + char pairs
+const decompressPalmDoc = (data) => {
+  const output = []
+  let i = 0
+  while (i < data.length) {
+    const byte = data[i++]
+    if (byte === 0 || (byte >= 0x09 && byte <= 0x7f)) {
+      output.push(byte)
+    } else if (byte <= 0x08) {
+      for (let n = 0; n < byte && i < data.length; n++) output.push(data[i++])
+    } else if (byte <= 0xbf) {
+      const pair = (byte << 8) | data[i++]
+      const distance = (pair >> 3) & 0x7ff
+      const length = (pair & 0x7) + 3
+      for (let n = 0; n < length; n++) output.push(output[output.length - distance])
+    } else {
+      output.push(0x20, byte ^ 0x80)
+    }
+  }
+  return Buffer.from(output)
+}
+
+// --- Metadata --------------------------------------------------------------
+
+const readExth = (header, mobiHeaderLength) => {
+  const exth = new Map()
+  const start = 16 + mobiHeaderLength
+  if (header.toString('latin1', start, start + 4) !== 'EXTH') return exth
+
+  const count = header.readUInt32BE(start + 8)
+  let offset = start + 12
+  for (let i = 0; i < count && offset + 8 <= header.length; i++) {
+    const type = header.readUInt32BE(offset)
+    const length = header.readUInt32BE(offset + 4)
+    if (length < 8) break
+    exth.set(type, header.subarray(offset + 8, offset + length))
+    offset += length
+  }
+  return exth
+}
+
+const detectImageType = (data) => {
+  if (data[0] === 0xff && data[1] === 0xd8) return 'image/jpeg'
+  if (data.toString('latin1', 1, 4) === 'PNG') return 'image/png'
+  if (data.toString('latin1', 0, 3) === 'GIF') return 'image/gif'
+  return null
+}
+
+/**
+ * Read a Kindle book
+ * @param {Buffer} buffer - The .mobi/.azw/.azw3 file
+ * @returns {{ title: string, html: string, cover: { buffer: Buffer, mimeType: string } | null }}
+ */
+export function parseMobi(buffer) {
+  const records = readRecords(buffer)
+  const header = records[0]
+  if (!header || header.toString('latin1', 16, 20) !== 'MOBI') {
+    throw new MobiImportError('This file is not a Kindle book.')
+  }
+
+  const compression = header.readUInt16BE(0)
+  const textRecordCount = header.readUInt16BE(8)
+  const encryption = header.readUInt16BE(12)
+  const mobiHeaderLength = header.readUInt32BE(20)
+  const encoding = header.readUInt32BE(28) === 65001 ? 'utf-8' : 'windows-1252'
+  const firstImageIndex = header.readUInt32BE(108)
+  const extraFlags = mobiHeaderLength >= 0xe4 ? header.readUInt16BE(16 + 0xe2) : 0
+
+  if (encryption !== 0) {
+    throw new MobiImportError('This Kindle book is DRM-protected and cannot be imported.')
+  }
+  if (compression === COMPRESSION_HUFF_CDIC) {
+    throw new MobiImportError('This Kindle book uses HUFF/CDIC compression, which is not supported yet. Convert it to EPUB first.')
+  }
+  if (compression !== COMPRESSION_NONE && compression !== COMPRESSION_PALMDOC) {
+    throw new MobiImportError('This Kindle book uses an unknown compression type.')
+  }
+
+  const textChunks = records.slice(1, textRecordCount + 1).map((record) => {
+    const text = stripTrailingEntries(record, extraFlags)
+    return compression === COMPRESSION_PALMDOC ? decompressPalmDoc(text) : text
+  })
+  const html = new TextDecoder(encoding).decode(Buffer.concat(textChunks))
+
+  const exth = header.readUInt32BE(128) & 0x40 ? readExth(header, mobiHeaderLength) : new Map()
+  const titleOffset = header.readUInt32BE(84)
+  const titleLength = header.readUInt32BE(88)
+  const title = exth.has(EXTH_UPDATED_TITLE)
+    ? new TextDecoder(encoding).decode(exth.get(EXTH_UPDATED_TITLE))
+    : new TextDecoder(encoding).decode(header.subarray(titleOffset, titleOffset + titleLength))
+
+  let cover = null
+  const coverOffset = exth.get(EXTH_COVER_OFFSET)
+  if (coverOffset && firstImageIndex !== NO_INDEX) {
+    const record = records[firstImageIndex + coverOffset.readUInt32BE(0)]
+    const mimeType = record && detectImageType(record)
+    if (mimeType) cover = { buffer: Buffer.from(record), mimeType }
+  }
+
+  return { title: title.trim(), html, cover }
+}
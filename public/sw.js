@@ -0,0 +1,126 @@
+/* Offline service worker
+ * Keeps the app shell loadable with no connection and serves audio saved by
+ * src/services/offlineStore.js. Firestore data is cached by the Firestore
+ * SDK itself and downloaded content lives in IndexedDB, so neither passes
+ * through here.
+ */
+
+const SHELL_CACHE = 'intongues-shell-v2'
+// Must match OFFLINE_MEDIA_CACHE in src/services/offlineStore.js
+const OFFLINE_MEDIA_CACHE = 'intongues-offline-media'
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(['/', '/index.html']))
+      .then(() => self.skipWaiting())
+  )
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key.startsWith('intongues-shell-') && key !== SHELL_CACHE)
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  )
+})
+
+// Media elements request byte ranges; answer them from the full cached body
+const sliceRangeResponse = async (request, response) => {
+  const range = request.headers.get('range')
+  const match = range && /bytes=(\d*)-(\d*)/.exec(range)
+  if (!match || response.type === 'opaque') return response
+
+  const body = await response.arrayBuffer()
+  const start = match[1] ? Number(match[1]) : 0
+  const end = match[2] ? Math.min(Number(match[2]), body.byteLength - 1) : body.byteLength - 1
+
+  return new Response(body.slice(start, end + 1), {
+    status: 206,
+    statusText: 'Partial Content',
+    headers: {
+      'Content-Type': response.headers.get('Content-Type') || 'audio/mpeg',
+      'Content-Length': String(end - start + 1),
+      'Content-Range': `bytes ${start}-${end}/${body.byteLength}`,
+      'Accept-Ranges': 'bytes',
+    },
+  })
+}
+
+const serveNavigation = async (request) => {
+  try {
+    const response = await fetch(request)
+    // Error pages must never replace the cached app shell
+    if (response.ok) {
+      const cache = await caches.open(SHELL_CACHE)
+      cache.put('/index.html', response.clone())
+    }
+    return response
+  } catch (err) {
+    const cached = await caches.match('/index.html')
+    if (cached) return cached
+    throw err
+  }
+}
+
+// Vite's build output: /assets/<name>-<hash>.<ext>, directly under /assets
+const HASHED_ASSET_PATTERN = /^\/assets\/[^/]+-[\w-]{8}\.\w+$/
+
+// Hashed build assets never change, so a cached copy is always good
+const serveHashedAsset = async (request) => {
+  const cache = await caches.open(SHELL_CACHE)
+  const cached = await cache.match(request)
+  if (cached) return cached
+
+  const response = await fetch(request)
+  if (response.ok) cache.put(request, response.clone())
+  return response
+}
+
+// Other files under /assets (e.g. classics-covers) can change in place, so
+// the network wins and the cache is only an offline fallback
+const serveAsset = async (request) => {
+  const cache = await caches.open(SHELL_CACHE)
+  try {
+    const response = await fetch(request)
+    if (response.ok) cache.put(request, response.clone())
+    return response
+  } catch (err) {
+    const cached = await cache.match(request)
+    if (cached) return cached
+    throw err
+  }
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  if (request.method !== 'GET') return
+
+  if (request.mode === 'navigate') {
+    event.respondWith(serveNavigation(request))
+    return
+  }
+
+  const url = new URL(request.url)
+  if (url.origin === self.location.origin && url.pathname.startsWith('/assets/')) {
+    event.respondWith(HASHED_ASSET_PATTERN.test(url.pathname) ? serveHashedAsset(request) : serveAsset(request))
+    return
+  }
+
+  if (request.destination !== 'audio' && request.destination !== 'video') return
+
+  event.respondWith(
+    caches
+      .open(OFFLINE_MEDIA_CACHE)
+      .then((cache) => cache.match(request.url, { ignoreVary: true }))
+      .then((cached) => (cached ? sliceRangeResponse(request, cached) : fetch(request)))
+  )
+})
@@ -0,0 +1,53 @@
+// Generates src/data/frequency/en.txt from the subtlex-word-frequencies package.
+//
+// Usage:
+//   node scripts/build-frequency-en.js
+//
+// Runs automatically before `npm run dev` and `npm run build`. The list is not
+// versioned: SUBTLEX-US has no redistribution license, so it is rebuilt from the
+// installed package instead (see src/data/frequency/SOURCES.md).
+
+import { existsSync, readFileSync, writeFileSync } from 'fs'
+import { createRequire } from 'module'
+
+const require = createRequire(import.meta.url)
+
+const MAX_ENTRIES = 20000
+const outputPath = new URL('../src/data/frequency/en.txt', import.meta.url).pathname
+
+let entries
+try {
+  entries = require('subtlex-word-frequencies')
+} catch {
+  if (existsSync(outputPath)) {
+    console.warn('subtlex-word-frequencies not installed; keeping existing en.txt')
+    process.exit(0)
+  }
+  console.error('subtlex-word-frequencies not installed; run npm install first.')
+  process.exit(1)
+}
+
+// Entries are sorted by count; lowercase them and keep the first (highest) rank
+// when two entries differ only in case.
+const words = []
+const seen = new Set()
+for (const { word } of entries) {
+  const normalised = String(word || '').trim().toLowerCase()
+  if (!normalised || seen.has(normalised)) continue
+  seen.add(normalised)
+  words.push(normalised)
+  if (words.length === MAX_ENTRIES) break
+}
+
+const header = [
+  '# English word forms, most frequent first (rank 1 = first word)',
+  '# Source: SUBTLEX-US (American English film and TV subtitles), top 20,000. See SOURCES.md for attribution and license.',
+]
+const contents = `${[...header, ...words].join('\n')}\n`
+
+if (existsSync(outputPath) && readFileSync(outputPath, 'utf8') === contents) {
+  process.exit(0)
+}
+
+writeFileSync(outputPath, contents)
+console.log(`Wrote ${words.length} words to src/data/frequency/en.txt`)
@@ -35,9 +35,15 @@ import {
   countryForLanguage,
   InvalidItunesIdError,
 } from './podcastsBackend.js'
+import { buildApkg, buildVocabCsv, parseApkg, parseVocabCsv, AnkiImportError } from './ankiPackage.js'
+import { parseMobi, MobiImportError } from './mobiBook.js'
+import AdmZip from 'adm-zip'
 import { WebSocketServer } from 'ws'
 import http from 'http'
 import crypto from 'crypto'
+import dns from 'dns/promises'
+import net from 'net'
+import { Agent, fetch as undiciFetch } from 'undici'
 
 // Non-import statements must come after all imports
 const require = createRequire(import.meta.url)
@@ -1120,6 +1126,90 @@ async function saveTranslation(word, targetLanguage, nativeLanguage, translation
   }
 }
 
+// Get dictionary entry from cache (keyed like translations: word + language pair)
+async function getDictionaryEntry(word, targetLanguage, nativeLanguage) {
+  const key = getTranslationKey(word, targetLanguage, nativeLanguage)
+  if (!key) return null
+
+  try {
+    const docSnap = await firestore.collection('dictionaryEntries').doc(key).get()
+    if (!docSnap.exists) return null
+    return docSnap.data()?.entry || null
+  } catch (err) {
+    console.error('Error fetching dictionary entry:', err)
+    return null
+  }
+}
+
+// Save dictionary entry to Firestore
+async function saveDictionaryEntry(word, targetLanguage, nativeLanguage, entry) {
+  const key = getTranslationKey(word, targetLanguage, nativeLanguage)
+  if (!key || !entry) return false
+
+  try {
+    await firestore.collection('dictionaryEntries').doc(key).set({
+      word: word.trim().toLowerCase(),
+      targetLanguage: targetLanguage.toLowerCase().trim(),
+      nativeLanguage: nativeLanguage.toLowerCase().trim(),
+      entry,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    })
+    return true
+  } catch (err) {
+    console.error('Error saving dictionary entry:', err)
+    return false
+  }
+}
+
+// Generate key for lemma document
+function getLemmaKey(word, targetLanguage) {
+  const normalizedWord = normalizeWordForKey(word)
+  const normalizedLang = (targetLanguage || '').toLowerCase().trim()
+  if (!normalizedWord || normalizedWord.includes('/')) return null
+  return `${normalizedLang}_${normalizedWord}`
+}
+
+// Batch fetch lemmas from cache: { word: lemma } for every cached word
+async function batchGetLemmas(words, targetLanguage) {
+  const results = {}
+  const refs = words
+    .map((word) => ({ word, key: getLemmaKey(word, targetLanguage) }))
+    .filter(({ key }) => key)
+
+  for (let i = 0; i < refs.length; i += 100) {
+    const batch = refs.slice(i, i + 100)
+    const snapshots = await firestore.getAll(
+      ...batch.map(({ key }) => firestore.collection('lemmas').doc(key))
+    )
+    snapshots.forEach((snap, index) => {
+      if (snap.exists && snap.data().lemma) results[batch[index].word] = snap.data().lemma
+    })
+  }
+
+  return results
+}
+
+// Save lemmas to Firestore (best effort)
+async function saveLemmas(lemmas, targetLanguage) {
+  const entries = Object.entries(lemmas)
+  const normalizedLang = (targetLanguage || '').toLowerCase().trim()
+
+  for (let i = 0; i < entries.length; i += 400) {
+    const batch = firestore.batch()
+    entries.slice(i, i + 400).forEach(([word, lemma]) => {
+      const key = getLemmaKey(word, targetLanguage)
+      if (!key) return
+      batch.set(firestore.collection('lemmas').doc(key), {
+        word,
+        lemma,
+        targetLanguage: normalizedLang,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      })
+    })
+    await batch.commit()
+  }
+}
+
 // Batch check which pronunciations are missing from cache
 async function getMissingPronunciations(words, targetLanguage, voiceId) {
   if (!words || !words.length) return []
@@ -4199,6 +4289,9 @@ function fuseShortChunks(chunks, minWords) {
 //      fallback chunking source.
 //   4. YouTube's cue-derived words — last-ditch, chunker with IOI metric.
 //
+// Uploaded media passes `localAudioPath` so steps 2 and 3 transcribe that
+// file instead of downloading the YouTube audio.
+//
 // Deepgram path saves its utterances verbatim as `intensiveSegments` —
 // we trust their speech-unit segmentation. Other paths run the
 // percentile+floor chunker we had before.
@@ -4209,6 +4302,7 @@ async function buildIntensiveForTranscript({
   cachedRawWords,
   cachedRawWordsSource,
   cachedRawUtterances,
+  localAudioPath = null,
 }) {
   let rawWords = null
   let rawUtterances = null
@@ -4227,7 +4321,7 @@ async function buildIntensiveForTranscript({
   }
 
   if (!rawWords) {
-    const dg = await fetchDeepgramWordTimings(videoId, languageCode)
+    const dg = await fetchDeepgramWordTimings(videoId, languageCode, { localAudioPath })
     if (dg && Array.isArray(dg.words) && dg.words.length) {
       rawWords = dg.words
       rawUtterances = dg.utterances || []
@@ -4235,7 +4329,7 @@ async function buildIntensiveForTranscript({
     }
   }
   if (!rawWords) {
-    const ww = await fetchWhisperWordTimings(videoId, languageCode)
+    const ww = await fetchWhisperWordTimings(videoId, languageCode, { localAudioPath })
     if (ww && ww.length) {
       rawWords = ww
       rawUtterances = null
@@ -4852,14 +4946,22 @@ async function downloadYoutubeAudio(videoId, { maxSizeBytes = 24 * 1024 * 1024 }
 // Side effect: downloads the audio, compresses if needed, sends to Whisper,
 // cleans up the temp file. Returns null on any failure (caller falls back to
 // YouTube word timings).
-async function fetchWhisperWordTimings(videoId, languageCode) {
+async function fetchWhisperWordTimings(videoId, languageCode, { localAudioPath = null } = {}) {
   if (!client) {
     console.warn(`[whisper ${videoId}] OPENAI_API_KEY not set — skipping`)
     return null
   }
   let audioPath = null
   try {
-    audioPath = await downloadYoutubeAudio(videoId)
+    if (localAudioPath) {
+      // Uploaded media arrives uncompressed; Whisper rejects files over 25MB
+      const { size } = await fs.stat(localAudioPath)
+      if (size > 24 * 1024 * 1024) {
+        console.warn(`[whisper ${videoId}] local audio is ${(size / 1024 / 1024).toFixed(1)}MB — too large, skipping`)
+        return null
+      }
+    }
+    audioPath = localAudioPath || await downloadYoutubeAudio(videoId)
     const whisperLanguage = resolveTargetCode(languageCode)
     console.log(
       `[whisper ${videoId}] transcribing ${audioPath} language=${whisperLanguage || 'auto-detect'}`,
@@ -4885,7 +4987,7 @@ async function fetchWhisperWordTimings(videoId, languageCode) {
     console.error(`[whisper ${videoId}] failed:`, err?.message || err)
     return null
   } finally {
-    if (audioPath) {
+    if (audioPath && !localAudioPath) {
       fs.unlink(audioPath).catch(() => {})
     }
   }
@@ -4897,7 +4999,9 @@ async function fetchWhisperWordTimings(videoId, languageCode) {
 // is our primary source of intensive chunk boundaries. Returns
 // `{ words, utterances }` or null on any failure. Caller falls back to
 // Whisper (words only, no utterances), then YouTube cue words.
-async function fetchDeepgramWordTimings(videoId, languageCode) {
+// `localAudioPath` skips the YouTube download for uploaded media; the
+// caller owns that file and cleans it up.
+async function fetchDeepgramWordTimings(videoId, languageCode, { localAudioPath = null } = {}) {
   const apiKey = process.env.DEEPGRAM_API_KEY
   if (!apiKey) {
     console.warn(`[deepgram ${videoId}] DEEPGRAM_API_KEY not set — skipping`)
@@ -4906,7 +5010,7 @@ async function fetchDeepgramWordTimings(videoId, languageCode) {
   let audioPath = null
   try {
     // Deepgram accepts up to 2GB per request, so we never need to compress.
-    audioPath = await downloadYoutubeAudio(videoId, { maxSizeBytes: 2 * 1024 * 1024 * 1024 })
+    audioPath = localAudioPath || await downloadYoutubeAudio(videoId, { maxSizeBytes: 2 * 1024 * 1024 * 1024 })
     const language = resolveTargetCode(languageCode)
 
     const params = new URLSearchParams({
@@ -4961,7 +5065,7 @@ async function fetchDeepgramWordTimings(videoId, languageCode) {
     console.error(`[deepgram ${videoId}] failed:`, err?.message || err)
     return null
   } finally {
-    if (audioPath) {
+    if (audioPath && !localAudioPath) {
       fs.unlink(audioPath).catch(() => {})
     }
   }
@@ -5419,6 +5523,37 @@ function alignPunctuationToWords(fullText = '', words = []) {
   return enrichedWords
 }
 
+// Forced alignment of TTS word timestamps against the text they were spoken
+// from. Like alignPunctuationToWords, walk the text once and match each word
+// at or just after the cursor; words that can't be found nearby are dropped.
+// Returns character ranges into the text, shifted by baseOffset, with times
+// shifted by timeOffset.
+function alignWordTimestampsToText(text = '', words = [], { baseOffset = 0, timeOffset = 0 } = {}) {
+  if (!words.length || !text) return []
+
+  const lowerText = text.toLowerCase()
+  const aligned = []
+  let textPos = 0
+
+  for (const word of words) {
+    const token = (word.text || '').toLowerCase()
+    if (!token) continue
+
+    const wordStart = lowerText.indexOf(token, textPos)
+    if (wordStart === -1 || wordStart - textPos > 40) continue
+
+    aligned.push({
+      start: word.start + timeOffset,
+      end: word.end + timeOffset,
+      charStart: baseOffset + wordStart,
+      charEnd: baseOffset + wordStart + token.length,
+    })
+    textPos = wordStart + token.length
+  }
+
+  return aligned
+}
+
 // Build sentences from Whisper word-level timestamps
 // Sentence breaks only on punctuation (. ? !)
 function buildSentencesFromWords(words = [], fullText = '') {
@@ -6441,6 +6576,327 @@ app.post('/api/youtube/import', async (req, res) => {
   }
 })
 
+// ── Local media + subtitle file import ──────────────────────────────────
+// A video or audio file the user owns, plus its SRT / VTT / ASS subtitles.
+// The media goes to Firebase Storage and the item lands in youtubeVideos
+// with `source: 'upload'`, so Cinema and the listening library treat it like
+// any YouTube import. The subtitles become the transcript; intensive chunks
+// come from transcribing the uploaded audio when a provider is configured.
+
+const SUBTITLE_FILE_EXTENSIONS = ['.srt', '.vtt', '.ass', '.ssa']
+const MEDIA_FILE_EXTENSIONS = {
+  '.mp4': 'video/mp4',
+  '.m4v': 'video/mp4',
+  '.mov': 'video/quicktime',
+  '.webm': 'video/webm',
+  '.mkv': 'video/x-matroska',
+  '.mp3': 'audio/mpeg',
+  '.m4a': 'audio/mp4',
+  '.aac': 'audio/aac',
+  '.wav': 'audio/wav',
+  '.ogg': 'audio/ogg',
+  '.opus': 'audio/ogg',
+  '.flac': 'audio/flac',
+}
+
+const SUBTITLE_TIMECODE_RE =
+  /(?:(\d+):)?(\d{1,2}):(\d{2})[.,](\d{1,3})\s*-->\s*(?:(\d+):)?(\d{1,2}):(\d{2})[.,](\d{1,3})/
+
+const parseSubtitleTimecode = (hours, minutes, seconds, fraction) =>
+  (+hours || 0) * 3600 + (+minutes) * 60 + (+seconds) + Number(`0.${fraction}`)
+
+// Plain cue text: no markup, no SRT position tags, no line breaks
+const cleanSubtitleText = (text) =>
+  text
+    .replace(/\{\\[^}]*\}/g, '')
+    .replace(/<[^>]+>/g, '')
+    .replace(/\\[Nn]/g, ' ')
+    .replace(/\\h/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+
+// SRT and film/TV VTT files. Unlike YouTube's rolling captions (see
+// `parseVtt`), every line of a cue is new text, so all lines are kept.
+// `parseSubtitleFile` covers yt-dlp output only: it needs an hours field and
+// fakes a cue-wide word, which would mislead the intensive chunker.
+function parseTimedTextCues(content) {
+  const cues = []
+  for (const block of content.replace(/\r\n?/g, '\n').split(/\n\s*\n/)) {
+    const lines = block.split('\n')
+    const tcLineIdx = lines.findIndex((l) => SUBTITLE_TIMECODE_RE.test(l))
+    if (tcLineIdx === -1) continue
+    const m = lines[tcLineIdx].match(SUBTITLE_TIMECODE_RE)
+    const start = parseSubtitleTimecode(m[1], m[2], m[3], m[4])
+    const end = parseSubtitleTimecode(m[5], m[6], m[7], m[8])
+    const text = cleanSubtitleText(lines.slice(tcLineIdx + 1).join(' '))
+    if (text && end > start) cues.push({ start, end, text })
+  }
+  return cues
+}
+
+// Advanced SubStation Alpha: `Dialogue:` rows in the [Events] section, laid
+// out by its `Format:` row. Text is the last field and may contain commas.
+function parseAssCues(content) {
+  const cues = []
+  let inEvents = false
+  let format = null
+  for (const line of content.replace(/\r\n?/g, '\n').split('\n')) {
+    const trimmed = line.trim()
+    if (/^\[.*\]$/.test(trimmed)) {
+      inEvents = trimmed.toLowerCase() === '[events]'
+      continue
+    }
+    if (!inEvents) continue
+    if (/^format:/i.test(trimmed)) {
+      format = trimmed.slice(7).split(',').map((f) => f.trim().toLowerCase())
+      continue
+    }
+    if (!/^dialogue:/i.test(trimmed) || !format) continue
+
+    const fields = trimmed.slice(9).split(',')
+    const textIndex = format.indexOf('text')
+    const row = [...fields.slice(0, textIndex), fields.slice(textIndex).join(',')]
+    const startMatch = (row[format.indexOf('start')] || '').trim().match(/^(\d+):(\d{2}):(\d{2})\.(\d{1,3})$/)
+    const endMatch = (row[format.indexOf('end')] || '').trim().match(/^(\d+):(\d{2}):(\d{2})\.(\d{1,3})$/)
+    if (!startMatch || !endMatch) continue
+
+    const start = parseSubtitleTimecode(...startMatch.slice(1))
+    const end = parseSubtitleTimecode(...endMatch.slice(1))
+    const text = cleanSubtitleText(row[textIndex] || '')
+    if (text && end > start) cues.push({ start, end, text })
+  }
+
+  // Styled files layer the same line several times (outline, shadow, karaoke)
+  const seen = new Set()
+  return cues
+    .sort((a, b) => a.start - b.start)
+    .filter((cue) => {
+      const key = `${cue.start}|${cue.text}`
+      if (seen.has(key)) return false
+      seen.add(key)
+      return true
+    })
+}
+
+function parseUploadedSubtitles(content, extension) {
+  const text = content.replace(/^\uFEFF/, '')
+  return extension === '.ass' || extension === '.ssa' ? parseAssCues(text) : parseTimedTextCues(text)
+}
+
+// Legacy single-byte code pages for subtitle files that aren't UTF-8, by
+// language label. Anything else falls back to Western European.
+const SUBTITLE_LEGACY_CHARSETS = {
+  russian: 'windows-1251',
+  ukrainian: 'windows-1251',
+  bulgarian: 'windows-1251',
+  polish: 'windows-1250',
+  czech: 'windows-1250',
+  greek: 'windows-1253',
+  turkish: 'windows-1254',
+}
+
+// Subtitle files are often saved in the language's Windows code page rather
+// than UTF-8. A BOM wins; otherwise strict UTF-8, then the legacy code page.
+function decodeSubtitleBuffer(buffer, languageLabel) {
+  if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+    return new TextDecoder('utf-8').decode(buffer)
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) return new TextDecoder('utf-16le').decode(buffer)
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) return new TextDecoder('utf-16be').decode(buffer)
+
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer)
+  } catch {
+    const charset = SUBTITLE_LEGACY_CHARSETS[String(languageLabel || '').toLowerCase()] || 'windows-1252'
+    return new TextDecoder(charset).decode(buffer)
+  }
+}
+
+// Longest a soundtrack extraction may run before ffmpeg is killed
+const AUDIO_EXTRACT_TIMEOUT_MS = 10 * 60 * 1000
+
+// Mono MP3 of the media's soundtrack, for the word-timing providers
+function extractAudioTrack(mediaPath, outputPath, { timeoutMs = AUDIO_EXTRACT_TIMEOUT_MS } = {}) {
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn('ffmpeg', ['-i', mediaPath, '-vn', '-ac', '1', '-b:a', '64k', '-y', outputPath])
+    const timer = setTimeout(() => {
+      ffmpeg.kill('SIGKILL')
+      const err = new Error(`ffmpeg timed out after ${timeoutMs}ms`)
+      err.code = 'FFMPEG_TIMEOUT'
+      reject(err)
+    }, timeoutMs)
+    ffmpeg.on('error', (err) => {
+      clearTimeout(timer)
+      reject(err)
+    })
+    ffmpeg.on('close', (code) => {
+      clearTimeout(timer)
+      if (code !== 0) reject(new Error(`ffmpeg exited with code ${code}`))
+      else resolve(outputPath)
+    })
+  })
+}
+
+async function processSubtitledMediaImport(uid, videoDocId, mediaFile, languageLabel) {
+  const videoRef = firestore.collection('users').doc(uid).collection('youtubeVideos').doc(videoDocId)
+  const audioPath = path.join(os.tmpdir(), `upload-audio-${videoDocId}-${Date.now()}.mp3`)
+
+  try {
+    const extension = path.extname(mediaFile.originalname).toLowerCase()
+    const storagePath = `uploads/${uid}/${videoDocId}${extension}`
+    await bucket.upload(mediaFile.path, {
+      destination: storagePath,
+      contentType: MEDIA_FILE_EXTENSIONS[extension],
+      metadata: { cacheControl: 'public, max-age=31536000' },
+    })
+    await bucket.file(storagePath).makePublic()
+    const mediaUrl = `https://storage.googleapis.com/${bucket.name}/${storagePath}`
+
+    let localAudioPath = null
+    try {
+      localAudioPath = await extractAudioTrack(mediaFile.path, audioPath)
+    } catch (audioErr) {
+      // A hung ffmpeg means the media itself is unreadable: fail the import
+      if (audioErr.code === 'FFMPEG_TIMEOUT') throw audioErr
+      console.warn(`[upload ${videoDocId}] audio extraction failed, intensive falls back to cues:`, audioErr.message)
+    }
+
+    const transcriptRef = videoRef.collection('transcripts').doc(languageLabel)
+    const transcriptSnap = await transcriptRef.get()
+    const intensiveFields = await buildIntensiveForTranscript({
+      videoId: videoDocId,
+      languageCode: languageLabel,
+      youtubeSegments: transcriptSnap.data()?.segments || [],
+      cachedRawWords: null,
+      cachedRawWordsSource: null,
+      cachedRawUtterances: null,
+      localAudioPath,
+    })
+    await transcriptRef.set(intensiveFields, { merge: true })
+
+    // Trigger pronunciation preparation if language supports it
+    if (DEFAULT_IMPORT_VOICE_IDS[languageLabel.toLowerCase()]) {
+      await videoRef.update({ preparationStatus: 'pending', preparationProgress: 0 })
+      prepareContentPronunciations(uid, videoDocId, 'youtube', languageLabel, null)
+        .catch((prepErr) => {
+          console.error('Background upload preparation failed:', prepErr)
+        })
+    }
+
+    await videoRef.update({ status: 'ready', mediaUrl, mediaStoragePath: storagePath })
+  } catch (error) {
+    console.error('processSubtitledMediaImport failed:', error)
+    await videoRef.update({
+      status: 'failed',
+      audioError: error?.message || 'Failed to import media',
+    }).catch(() => {})
+    throw error
+  } finally {
+    await fs.unlink(audioPath).catch(() => {})
+    await fs.unlink(mediaFile.path).catch(() => {})
+  }
+}
+
+app.post(
+  '/api/media/import',
+  upload.fields([{ name: 'media', maxCount: 1 }, { name: 'subtitles', maxCount: 1 }]),
+  async (req, res) => {
+    const mediaFile = req.files?.media?.[0]
+    const subtitleFile = req.files?.subtitles?.[0]
+    const removeUploads = () =>
+      Promise.all([mediaFile, subtitleFile].filter(Boolean).map((f) => fs.unlink(f.path).catch(() => {})))
+
+    const { title, uid, language } = req.body || {}
+    const trimmedTitle = (title || '').trim()
+    // Stored as the label: the library filters on it and Cinema reads the
+    // transcript doc named after it
+    const languageLabel = normalizeLanguageLabel(language)
+
+    if (!trimmedTitle || !uid || !mediaFile || !subtitleFile) {
+      await removeUploads()
+      return res.status(400).json({ error: 'title, uid, media and subtitles are required' })
+    }
+    if (!languageLabel) {
+      await removeUploads()
+      return res.status(400).json({ error: 'A supported language is required' })
+    }
+
+    const mediaExtension = path.extname(mediaFile.originalname).toLowerCase()
+    const subtitleExtension = path.extname(subtitleFile.originalname).toLowerCase()
+    if (!MEDIA_FILE_EXTENSIONS[mediaExtension]) {
+      await removeUploads()
+      return res.status(400).json({ error: 'UNSUPPORTED_MEDIA_TYPE', message: `Unsupported media file: ${mediaExtension || 'unknown'}` })
+    }
+    if (!SUBTITLE_FILE_EXTENSIONS.includes(subtitleExtension)) {
+      await removeUploads()
+      return res.status(400).json({ error: 'UNSUPPORTED_SUBTITLE_TYPE', message: 'Subtitles must be an SRT, VTT or ASS file' })
+    }
+
+    let cues
+    try {
+      cues = parseUploadedSubtitles(
+        decodeSubtitleBuffer(await fs.readFile(subtitleFile.path), languageLabel),
+        subtitleExtension,
+      )
+    } finally {
+      await fs.unlink(subtitleFile.path).catch(() => {})
+    }
+    if (!cues.length) {
+      await fs.unlink(mediaFile.path).catch(() => {})
+      return res.status(400).json({ error: 'NO_SUBTITLES_FOUND', message: 'No timed subtitle lines were found in this file' })
+    }
+
+    const segments = normaliseTranscriptSegments(cues)
+    const sentenceSegments = normaliseTranscriptSegments(buildSentenceSegmentsFromCues(cues))
+    const payload = {
+      title: trimmedTitle,
+      channelTitle: 'My uploads',
+      mediaType: MEDIA_FILE_EXTENSIONS[mediaExtension].startsWith('audio/') ? 'audio' : 'video',
+      durationSeconds: Math.round(cues[cues.length - 1].end),
+      language: languageLabel,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      source: 'upload',
+      status: 'importing',
+    }
+
+    try {
+      const videoRef = await firestore.collection('users').doc(uid).collection('youtubeVideos').add(payload)
+      const videoDocId = videoRef.id
+
+      // Subtitles are ready straight away; the media upload and intensive
+      // build run in the background
+      await videoRef.collection('transcripts').doc(languageLabel).set({
+        videoId: videoDocId,
+        language: languageLabel,
+        originalLanguage: resolveTargetCode(languageLabel),
+        captionSource: 'upload',
+        segments,
+        text: sentenceSegments.map((segment) => segment.text).join(' '),
+        sentenceSegments,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      })
+
+      processSubtitledMediaImport(uid, videoDocId, mediaFile, languageLabel)
+        .then(() => {
+          console.log(`Media import ready: ${videoDocId}`)
+        })
+        .catch((err) => {
+          console.error(`Media import failed: ${videoDocId}`, err)
+        })
+
+      return res.json({ id: videoDocId, ...payload })
+    } catch (error) {
+      console.error('Failed to save media import', error)
+      await fs.unlink(mediaFile.path).catch(() => {})
+      return res.status(500).json({ error: 'Failed to import media' })
+    }
+  },
+)
+
 // ── YouTube Dubbing via ElevenLabs ──────────────────────────────────────
 
 async function startElevenLabsDubbing(youtubeUrl, sourceLang, targetLang) {
@@ -7292,1283 +7748,2164 @@ ${phrase}
   }
 })
 
-// Batch prefetch translations for multiple words (no audio, text only)
-app.post('/api/prefetchTranslations', async (req, res) => {
+// Dictionary lookup: part of speech, gender, senses with examples and
+// inflection tables for a word. The entry is cached per word and language
+// pair; when the surrounding sentence is sent, the senses are re-ordered so
+// the one used there comes first.
+const MAX_DICTIONARY_WORD_LENGTH = 60
+const MAX_DICTIONARY_SENSES = 6
+
+function sanitizeDictionaryEntry(parsed, word) {
+  const asText = (value) => (typeof value === 'string' ? value.trim() : '')
+
+  const senses = (Array.isArray(parsed?.senses) ? parsed.senses : [])
+    .map((sense) => ({
+      translation: asText(sense?.translation),
+      definition: asText(sense?.definition),
+      examples: (Array.isArray(sense?.examples) ? sense.examples : [])
+        .map((example) => ({ text: asText(example?.text), translation: asText(example?.translation) }))
+        .filter((example) => example.text)
+        .slice(0, 2),
+    }))
+    .filter((sense) => sense.translation || sense.definition)
+    .slice(0, MAX_DICTIONARY_SENSES)
+
+  const tables = (Array.isArray(parsed?.tables) ? parsed.tables : [])
+    .map((table) => ({
+      title: asText(table?.title),
+      rows: (Array.isArray(table?.rows) ? table.rows : [])
+        .map((row) => ({ label: asText(row?.label), form: asText(row?.form) }))
+        .filter((row) => row.form),
+    }))
+    .filter((table) => table.title && table.rows.length)
+    .slice(0, 4)
+
+  return {
+    word,
+    lemma: asText(parsed?.lemma) || word,
+    partOfSpeech: asText(parsed?.partOfSpeech),
+    gender: ['masculine', 'feminine', 'neuter'].includes(parsed?.gender) ? parsed.gender : null,
+    senses,
+    tables,
+  }
+}
+
+// Indices of `senses` in order of how well each fits the sentence
+async function rankSensesByContext(word, senses, context, sourceLabel) {
+  const prompt = `
+The ${sourceLabel} word "${word}" appears in this sentence:
+${context}
+
+Which of these senses is used in the sentence? Order all of them from most to least likely.
+${senses.map((sense, index) => `${index}: ${sense.translation}${sense.definition ? ` (${sense.definition})` : ''}`).join('\n')}
+
+Return only a JSON array of the indices, e.g. [2, 0, 1].
+`.trim()
+
+  const response = await client.responses.create({
+    model: 'gpt-4o-mini',
+    input: prompt,
+  })
+
+  const outputText = response.output_text?.trim() || '[]'
+  const jsonMatch = outputText.match(/```(?:json)?\s*([\s\S]*?)\s*```/) || [null, outputText]
+  const parsed = JSON.parse(jsonMatch[1] || outputText)
+  const order = (Array.isArray(parsed) ? parsed : [])
+    .map(Number)
+    .filter((index, position, all) => Number.isInteger(index) && senses[index] && all.indexOf(index) === position)
+  // Anything the model left out keeps its original order at the end
+  senses.forEach((_, index) => {
+    if (!order.includes(index)) order.push(index)
+  })
+  return order
+}
+
+app.post('/api/dictionary', async (req, res) => {
   try {
-    const { languageCode, targetLang, words } = req.body || {}
+    const { word, sourceLang, targetLang, context } = req.body || {}
 
-    if (!Array.isArray(words) || words.length === 0) {
-      return res.json({ translations: {} })
+    const trimmed = typeof word === 'string' ? word.trim() : ''
+    if (!trimmed || trimmed.length > MAX_DICTIONARY_WORD_LENGTH) {
+      return res.status(400).json({ error: 'word is required' })
     }
 
-    if (!targetLang) {
-      return res.status(400).json({ error: 'targetLang is required' })
+    const sourceLabel = normalizeLanguageLabel(sourceLang)
+    if (!sourceLabel) {
+      return res.status(400).json({ error: 'Unsupported language' })
     }
+    const targetLabel = normalizeLanguageLabel(targetLang) || 'English'
 
-    const sourceLabel = languageCode || 'auto-detected'
-    const targetLabel = targetLang || 'English'
+    // Firestore doc ids can't contain slashes, so those are never cached
+    const isCacheable = !trimmed.includes('/')
+    let entry = isCacheable ? await getDictionaryEntry(trimmed, sourceLabel, targetLabel) : null
 
-    // Deduplicate and limit words to prevent token overflow
-    const uniqueWords = [...new Set(words.map(w => w.toLowerCase().trim()).filter(Boolean))]
-    const maxWords = 200 // Limit batch size
-    const wordsToTranslate = uniqueWords.slice(0, maxWords)
+    if (!entry) {
+      const prompt = `
+Write a learner's dictionary entry for the ${sourceLabel} word or expression "${trimmed}", for a ${targetLabel} speaker.
 
-    if (wordsToTranslate.length === 0) {
-      return res.json({ translations: {} })
-    }
+Return a JSON object with:
+- "lemma": the dictionary form
+- "partOfSpeech": e.g. "noun", "verb", "adjective", "adverb", "preposition", "expression"
+- "gender": "masculine", "feminine" or "neuter" for nouns in languages with grammatical gender, otherwise null
+- "senses": up to ${MAX_DICTIONARY_SENSES} distinct meanings, most common first, each with
+  "translation" (short ${targetLabel} translation), "definition" (one short ${targetLabel} line on when it's used)
+  and "examples" (one or two short ${sourceLabel} sentences as { "text", "translation" })
+- "tables": inflection tables if the word inflects: for verbs the present, past and future conjugation,
+  for nouns and adjectives the declension or gender/number forms. Each table is
+  { "title", "rows": [{ "label", "form" }] }, e.g. label "yo", form "hablo". Use [] if the word doesn't inflect.
 
-    const prompt = `
-Translate the following words from ${sourceLabel} to ${targetLabel}.
-Return a JSON object where each key is the original word (lowercase) and the value is its translation.
 Only return the JSON object, no other text.
-
-Words: ${wordsToTranslate.join(', ')}
 `.trim()
 
-    let translations = {}
-
-    try {
       const response = await client.responses.create({
         model: 'gpt-4o-mini',
         input: prompt,
       })
 
       const outputText = response.output_text?.trim() || '{}'
-      // Extract JSON from markdown code blocks if present
       const jsonMatch = outputText.match(/```(?:json)?\s*([\s\S]*?)\s*```/) || [null, outputText]
-      const parsed = JSON.parse(jsonMatch[1] || outputText)
 
-      // Convert to expected format: { word: { translation: "..." } }
-      for (const [word, translation] of Object.entries(parsed)) {
-        if (typeof translation === 'string') {
-          translations[word.toLowerCase()] = { translation }
-        } else if (translation && typeof translation === 'object') {
-          translations[word.toLowerCase()] = translation
-        }
+      try {
+        entry = sanitizeDictionaryEntry(JSON.parse(jsonMatch[1] || outputText), trimmed)
+      } catch (parseErr) {
+        console.error('Error parsing dictionary JSON:', parseErr)
+        return res.status(502).json({ error: 'Failed to build dictionary entry' })
+      }
+
+      if (isCacheable && entry.senses.length) {
+        saveDictionaryEntry(trimmed, sourceLabel, targetLabel, entry).catch((err) => {
+          console.error(`Failed to cache dictionary entry for "${trimmed}":`, err)
+        })
       }
-    } catch (parseErr) {
-      console.error('Error parsing prefetch translations:', parseErr)
     }
 
-    return res.json({ translations })
+    const sentence = typeof context === 'string' ? context.trim().slice(0, 500) : ''
+    if (sentence && entry.senses.length > 1) {
+      try {
+        const order = await rankSensesByContext(trimmed, entry.senses, sentence, sourceLabel)
+        return res.json({ entry: { ...entry, senses: order.map((index) => entry.senses[index]) }, rankedByContext: true })
+      } catch (rankErr) {
+        console.error('Error ranking dictionary senses:', rankErr)
+      }
+    }
+
+    return res.json({ entry, rankedByContext: false })
   } catch (error) {
-    console.error('Error prefetching translations:', error)
-    return res.status(500).json({ error: 'Internal server error', translations: {} })
+    console.error('Error looking up dictionary entry:', error)
+    return res.status(500).json({ error: 'Failed to look up word' })
   }
 })
 
-function detectFileType(originalName = '') {
-  const lower = originalName.toLowerCase()
-  if (lower.endsWith('.txt')) return 'txt'
-  if (lower.endsWith('.pdf')) return 'pdf'
-  if (lower.endsWith('.epub')) return 'epub'
-  return 'unknown'
-}
+// Conjugation tables for the verbs among a user's vocab words, for the
+// conjugation trainer. The client sends the tenses and persons it drills;
+// each word's result (including "not a verb") is cached in the conjugations
+// collection, and a word is only regenerated when a requested tense is missing.
+const MAX_CONJUGATION_WORDS = 30
+const CONJUGATION_BATCH_SIZE = 10
 
-async function extractTxt(filePath) {
-  const raw = await fs.readFile(filePath, 'utf8')
-  // Normalize text while preserving paragraph structure
-  const cleanText = normalizeTextWithParagraphs(raw)
-  // Return as single adaptation chunk
-  return splitTextIntoAdaptationChunks(cleanText)
+function getConjugationKey(word, language) {
+  return `${(language || '').toLowerCase().trim()}_${normalizeWordForKey(word)}`
 }
 
-/**
- * Normalize plain text while preserving paragraph structure.
- * Blank lines (double newlines) become paragraph breaks (\n\n).
- * @param {string} text - The raw text to normalize
- * @returns {string} Normalized text with preserved paragraph breaks
- */
-function normalizeTextWithParagraphs(text) {
-  if (!text) return ''
+app.post('/api/conjugation/verbs', async (req, res) => {
+  try {
+    if (!firestore) {
+      return res.status(500).json({ error: 'Firestore not configured' })
+    }
 
-  return text
-    .replace(/\r\n/g, '\n')           // Normalize line endings
-    .replace(/\n{3,}/g, '\n\n')       // Collapse 3+ newlines to paragraph break
-    .replace(/\n\n/g, '\u0000PARA\u0000')  // Protect paragraph breaks
-    .replace(/\s+/g, ' ')              // Normalize other whitespace to single space
-    .replace(/\u0000PARA\u0000/g, '\n\n')  // Restore paragraph breaks
-    .trim()
-}
+    const { language, words, tenses } = req.body || {}
 
-/**
- * Strip Project Gutenberg boilerplate header and footer.
- */
-function stripGutenbergBoilerplate(text) {
-  // Common Gutenberg markers
-  const startMarkers = [
-    '*** START OF THE PROJECT GUTENBERG EBOOK',
-    '*** START OF THIS PROJECT GUTENBERG EBOOK',
-    '*END*THE SMALL PRINT',
-    '***START OF THE PROJECT GUTENBERG EBOOK',
-  ]
-  const endMarkers = [
-    '*** END OF THE PROJECT GUTENBERG EBOOK',
-    '*** END OF THIS PROJECT GUTENBERG EBOOK',
-    '***END OF THE PROJECT GUTENBERG EBOOK',
-    'End of the Project Gutenberg EBook',
-    'End of Project Gutenberg',
-  ]
+    const languageLabel = normalizeLanguageLabel(language)
+    if (!languageLabel) {
+      return res.status(400).json({ error: 'Unsupported language' })
+    }
+    if (!Array.isArray(words) || !Array.isArray(tenses) || !tenses.length) {
+      return res.status(400).json({ error: 'words and tenses are required' })
+    }
 
-  let result = text
+    const requestedTenses = tenses
+      .filter((tense) => tense?.id && tense?.label && Array.isArray(tense.persons) && tense.persons.length)
+      .map((tense) => ({ id: String(tense.id), label: String(tense.label), persons: tense.persons.map(String) }))
+    const uniqueWords = [...new Set(
+      words.map((word) => String(word || '').trim().toLowerCase()).filter((word) => word && !word.includes('/'))
+    )].slice(0, MAX_CONJUGATION_WORDS)
 
-  // Find and strip header
-  for (const marker of startMarkers) {
-    const idx = result.indexOf(marker)
-    if (idx !== -1) {
-      // Find the end of this line
-      const lineEnd = result.indexOf('\n', idx)
-      if (lineEnd !== -1) {
-        result = result.slice(lineEnd + 1)
+    const collectionRef = firestore.collection('conjugations')
+    const cachedSnaps = await Promise.all(
+      uniqueWords.map((word) => collectionRef.doc(getConjugationKey(word, languageLabel)).get())
+    )
+
+    const results = {}
+    const missing = []
+    uniqueWords.forEach((word, index) => {
+      const cached = cachedSnaps[index].exists ? cachedSnaps[index].data() : null
+      const isComplete = cached && (cached.isVerb === false || requestedTenses.every((tense) => cached.tenses?.[tense.id]))
+      if (isComplete) {
+        results[word] = cached
+      } else {
+        missing.push(word)
       }
-      break
-    }
-  }
+    })
 
-  // Find and strip footer
-  for (const marker of endMarkers) {
-    const idx = result.indexOf(marker)
-    if (idx !== -1) {
-      result = result.slice(0, idx)
-      break
+    for (let i = 0; i < missing.length; i += CONJUGATION_BATCH_SIZE) {
+      const batch = missing.slice(i, i + CONJUGATION_BATCH_SIZE)
+      const prompt = `
+For each of these ${languageLabel} words, decide whether it is a verb (in any form).
+For each verb, give its infinitive and conjugate the infinitive in these tenses, one form per listed person, in order:
+${requestedTenses.map((tense) => `- "${tense.id}" (${tense.label}): ${tense.persons.join(', ')}`).join('\n')}
+
+Write each form without the subject pronoun, but keep reflexive pronouns and auxiliaries (e.g. "me levanto", "ai parlé").
+Return a JSON object { "results": [{ "word", "isVerb", "infinitive", "tenses": { "<tense id>": ["form", ...] } }] }.
+Use "isVerb": false and no tenses for words that are not verbs. Only return the JSON object, no other text.
+
+Words: ${batch.join(', ')}
+`.trim()
+
+      try {
+        const response = await client.responses.create({
+          model: 'gpt-4o-mini',
+          input: prompt,
+        })
+        const outputText = response.output_text?.trim() || '{}'
+        const jsonMatch = outputText.match(/```(?:json)?\s*([\s\S]*?)\s*```/) || [null, outputText]
+        const parsed = JSON.parse(jsonMatch[1] || outputText)
+
+        ;(Array.isArray(parsed.results) ? parsed.results : []).forEach((item) => {
+          const word = String(item?.word || '').trim().toLowerCase()
+          if (!batch.includes(word)) return
+
+          const conjugated = {}
+          if (item.isVerb) {
+            requestedTenses.forEach((tense) => {
+              const forms = Array.isArray(item.tenses?.[tense.id]) ? item.tenses[tense.id] : []
+              if (forms.length === tense.persons.length && forms.every((form) => typeof form === 'string' && form.trim())) {
+                conjugated[tense.id] = forms.map((form) => form.trim())
+              }
+            })
+          }
+
+          const entry = {
+            word,
+            language: languageLabel,
+            isVerb: Boolean(item.isVerb) && Object.keys(conjugated).length > 0,
+            infinitive: typeof item.infinitive === 'string' && item.infinitive.trim() ? item.infinitive.trim() : word,
+            tenses: conjugated,
+          }
+          results[word] = entry
+          collectionRef
+            .doc(getConjugationKey(word, languageLabel))
+            .set({ ...entry, updatedAt: admin.firestore.FieldValue.serverTimestamp() }, { merge: true })
+            .catch((err) => console.error(`Failed to cache conjugation for "${word}":`, err))
+        })
+      } catch (batchErr) {
+        console.error('Error generating conjugations:', batchErr)
+      }
     }
-  }
 
-  return result.trim()
-}
+    // Several vocab forms of one verb become a single verb
+    const verbs = []
+    const seenInfinitives = new Set()
+    uniqueWords.forEach((word) => {
+      const entry = results[word]
+      if (!entry?.isVerb) return
+      const key = entry.infinitive.toLowerCase()
+      if (seenInfinitives.has(key)) return
+      seenInfinitives.add(key)
+      verbs.push({ word, infinitive: entry.infinitive, tenses: entry.tenses || {} })
+    })
 
-/**
- * Detect chapter markers using structural patterns (language-agnostic).
- * Looks for short lines with numbers/roman numerals that appear multiple times.
- */
-function detectChapterMarkers(text, testMode = false) {
-  const lines = text.split('\n')
-  const candidates = []
+    return res.json({ verbs })
+  } catch (error) {
+    console.error('Error loading conjugations:', error)
+    return res.status(500).json({ error: 'Failed to load conjugations' })
+  }
+})
 
-  // Roman numeral pattern
-  const romanPattern = /^[IVXLCDM]+$/i
-  // Number pattern (including with dots/colons)
-  const numberPattern = /\d+/
+// Audio-only pronunciation for listening review (no translation)
+// Words and short sentences are served from the pronunciations cache when present,
+// otherwise generated with ElevenLabs and cached for next time.
+app.post('/api/pronunciation', async (req, res) => {
+  try {
+    const { text, language, voiceGender } = req.body || {}
 
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i].trim()
-    const prevLine = i > 0 ? lines[i - 1].trim() : ''
-    const nextLine = i < lines.length - 1 ? lines[i + 1].trim() : ''
+    if (!text || typeof text !== 'string' || !text.trim()) {
+      return res.status(400).json({ error: 'text is required' })
+    }
 
-    // Skip empty lines
-    if (!line) continue
+    if (!language) {
+      return res.status(400).json({ error: 'language is required' })
+    }
 
-    // Check if this looks like a chapter heading:
-    // 1. Short line (< 80 chars)
-    // 2. Has blank line before OR after (or both)
-    // 3. Contains number or roman numeral
-    const isShort = line.length < 80
-    const hasBlankBefore = prevLine === ''
-    const hasBlankAfter = nextLine === ''
-    const hasBlankAround = hasBlankBefore || hasBlankAfter
+    const trimmed = text.trim().slice(0, 600)
+    const normalizedLang = language.toLowerCase().trim()
 
-    if (!isShort || !hasBlankAround) continue
+    let voiceId
+    try {
+      voiceId = resolveElevenLabsVoiceId(language, voiceGender || 'male').voiceId
+    } catch (voiceErr) {
+      console.error('Error resolving ElevenLabs voice:', voiceErr)
+      return res.status(400).json({ error: 'No voice available for this language' })
+    }
 
-    // Check for numbers or roman numerals
-    const words = line.split(/\s+/)
-    const hasNumber = numberPattern.test(line)
-    const hasRoman = words.some(w => romanPattern.test(w) && w.length <= 6)
+    // Firestore doc ids can't contain slashes, so those are never cached
+    const isCacheable = trimmed.length <= 300 && !trimmed.includes('/')
 
-    // Check if it's mostly uppercase or title case
-    const isUpperCase = line === line.toUpperCase() && /[A-Z]/.test(line)
-    const isTitleCase = words.length > 0 && words.every(w =>
-      !w || /^[A-Z0-9]/.test(w) || w.length <= 2
-    )
+    if (isCacheable) {
+      const cached = await getPronunciation(trimmed, normalizedLang, voiceId)
+      if (cached?.audioUrl) {
+        return res.json({ text: trimmed, audioUrl: cached.audioUrl, audioBase64: null })
+      }
+    }
 
-    if (hasNumber || hasRoman) {
-      // Extract a "signature" to group similar patterns
-      // e.g., "CHAPTER 5" and "CHAPTER 12" have same signature "CHAPTER #"
-      const signature = line
-        .replace(/\d+/g, '#')
-        .replace(/[IVXLCDM]+/gi, (match) => romanPattern.test(match) ? 'R' : match)
-        .toUpperCase()
-        .trim()
+    const { audioBuffer } = await requestElevenLabsTts(trimmed, voiceId)
 
-      candidates.push({
-        lineIndex: i,
-        line,
-        signature,
-        hasNumber,
-        hasRoman,
-        isUpperCase,
-        position: i / lines.length, // relative position in document
+    if (isCacheable) {
+      savePronunciation(trimmed, normalizedLang, voiceId, audioBuffer).catch((err) => {
+        console.error(`Failed to cache pronunciation for "${trimmed}":`, err)
       })
     }
-  }
 
-  // Group candidates by signature
-  const signatureGroups = {}
-  for (const c of candidates) {
-    if (!signatureGroups[c.signature]) {
-      signatureGroups[c.signature] = []
-    }
-    signatureGroups[c.signature].push(c)
+    return res.json({ text: trimmed, audioUrl: null, audioBase64: audioBuffer.toString('base64') })
+  } catch (error) {
+    console.error('Error generating pronunciation:', error)
+    return res.status(500).json({ error: 'Failed to generate pronunciation' })
   }
+})
 
-  // Find the best pattern (most matches, spread throughout document)
-  let bestPattern = null
-  let bestScore = 0
+// Word frequency lists bundled with the client (src/data/frequency/{code}.txt,
+// most frequent first). Loaded once per language; missing lists rank nothing.
+const frequencyRankCache = new Map()
 
-  for (const [signature, matches] of Object.entries(signatureGroups)) {
-    if (matches.length < 2) continue // Need at least 2 chapters
+async function loadFrequencyRanks(language) {
+  const code = LANGUAGE_NAME_TO_CODE[normalizeLanguageLabel(language)]
+  if (!code) return new Map()
 
-    // Score based on count and distribution
-    const count = matches.length
-    const positions = matches.map(m => m.position)
-    const spread = Math.max(...positions) - Math.min(...positions)
+  if (!frequencyRankCache.has(code)) {
+    const listUrl = new URL(`./src/data/frequency/${code}.txt`, import.meta.url)
+    frequencyRankCache.set(
+      code,
+      fs
+        .readFile(listUrl, 'utf8')
+        .then((raw) => {
+          const ranks = new Map()
+          raw.split('\n').forEach((line) => {
+            const word = line.trim().toLowerCase()
+            if (word && !word.startsWith('#') && !ranks.has(word)) ranks.set(word, ranks.size + 1)
+          })
+          return ranks
+        })
+        .catch((err) => {
+          console.error(`Failed to load ${code} frequency list:`, err)
+          return new Map()
+        })
+    )
+  }
+  return frequencyRankCache.get(code)
+}
 
-    // Good chapters should be spread throughout the book
-    const score = count * (spread > 0.5 ? 2 : 1)
+// Batch translate whole paragraphs for the Reader's parallel mode, in order
+async function translateParagraphBatch(paragraphs, sourceLabel, targetLabel) {
+  const prompt = `
+Translate each of the following paragraphs from ${sourceLabel} to ${targetLabel}.
+Keep the meaning and tone; translate naturally rather than word for word.
+Return a JSON array of strings with exactly ${paragraphs.length} translations, in the same order.
+Only return the JSON array, no other text.
 
-    if (score > bestScore) {
-      bestScore = score
-      bestPattern = { signature, matches }
-    }
-  }
+Paragraphs:
+${JSON.stringify(paragraphs)}
+`.trim()
 
-  if (testMode) {
-    const bar = '═'.repeat(60)
-    console.log(`\n${bar}\nCHAPTER DETECTION — CANDIDATES\n${bar}`)
-    console.log(`Total lines in input: ${lines.length}`)
-    console.log(`Total candidate lines found: ${candidates.length}`)
-    console.log('\n--- CANDIDATES BY SIGNATURE GROUP ---')
-    const signatures = Object.keys(signatureGroups)
-    if (signatures.length === 0) {
-      console.log('(no candidates)')
-    } else {
-      for (const signature of signatures) {
-        const matches = signatureGroups[signature]
-        console.log(`\nSignature: "${signature}"  (matches: ${matches.length})`)
-        for (const m of matches) {
-          console.log(`  lineIndex=${m.lineIndex}  position=${m.position.toFixed(4)}  line="${m.line}"`)
-        }
-      }
-    }
-    console.log('\n--- SCORED SIGNATURES (count >= 2) ---')
-    let scoredAny = false
-    for (const [signature, matches] of Object.entries(signatureGroups)) {
-      if (matches.length < 2) continue
-      scoredAny = true
-      const positions = matches.map((m) => m.position)
-      const minPos = Math.min(...positions)
-      const maxPos = Math.max(...positions)
-      const spread = maxPos - minPos
-      const score = matches.length * (spread > 0.5 ? 2 : 1)
-      console.log(`  "${signature}"  count=${matches.length}  min=${minPos.toFixed(4)}  max=${maxPos.toFixed(4)}  spread=${spread.toFixed(4)}  score=${score}`)
-    }
-    if (!scoredAny) {
-      console.log('  (no signature had >= 2 matches)')
-    }
-    if (!bestPattern) {
-      console.log('\nWinner: (no pattern detected — returning null)')
-    } else {
-      console.log(`\nWinner: "${bestPattern.signature}"  score=${bestScore}  chapters=${bestPattern.matches.length}`)
-    }
-  }
+  const response = await client.responses.create({
+    model: 'gpt-4o-mini',
+    input: prompt,
+  })
 
-  if (!bestPattern || bestPattern.matches.length < 2) {
-    return null // No chapter pattern detected
-  }
+  const outputText = response.output_text?.trim() || '[]'
+  const jsonMatch = outputText.match(/```(?:json)?\s*([\s\S]*?)\s*```/) || [null, outputText]
+  const parsed = JSON.parse(jsonMatch[1] || outputText)
+  if (!Array.isArray(parsed)) return []
 
-  return bestPattern.matches.map(m => ({
-    lineIndex: m.lineIndex,
-    title: m.line,
-  }))
+  return paragraphs.map((_, index) => (typeof parsed[index] === 'string' ? parsed[index].trim() : ''))
 }
 
-/**
- * Strip RTF (Rich Text Format) markup and return plain text.
- * RTF files from macOS TextEdit often get saved with .txt extension.
- */
-function stripRtfMarkup(text) {
-  // Check if this is RTF content
-  if (!text.startsWith('{\\rtf')) {
-    return text
-  }
+// Batch prefetch translations for multiple words (no audio, text only).
+// With `paragraphs` instead of `words`, translates whole paragraphs and
+// returns them as an array in the same order.
+app.post('/api/prefetchTranslations', async (req, res) => {
+  try {
+    const { languageCode, targetLang, words, paragraphs } = req.body || {}
 
-  vlog('Detected RTF content, stripping markup...')
+    if (Array.isArray(paragraphs)) {
+      if (!targetLang) {
+        return res.status(400).json({ error: 'targetLang is required' })
+      }
 
-  // Remove RTF header and control words
-  let result = text
+      const texts = paragraphs.slice(0, 20).map((paragraph) => String(paragraph || '').trim())
+      if (!texts.some(Boolean)) {
+        return res.json({ paragraphs: texts.map(() => '') })
+      }
 
-  // Remove the RTF header block
-  result = result.replace(/^\{\\rtf[^}]*\}?/, '')
+      try {
+        const translated = await translateParagraphBatch(texts, languageCode || 'auto-detected', targetLang)
+        return res.json({ paragraphs: texts.map((text, index) => (text ? translated[index] || '' : '')) })
+      } catch (paragraphErr) {
+        console.error('Error translating paragraphs:', paragraphErr)
+        return res.status(502).json({ error: 'Failed to translate paragraphs' })
+      }
+    }
 
-  // Remove font table
-  result = result.replace(/\{\\fonttbl[^}]*\}/g, '')
+    if (!Array.isArray(words) || words.length === 0) {
+      return res.json({ translations: {} })
+    }
 
-  // Remove color table
-  result = result.replace(/\{\\colortbl[^}]*\}/g, '')
+    if (!targetLang) {
+      return res.status(400).json({ error: 'targetLang is required' })
+    }
 
-  // Remove expanded color table
-  result = result.replace(/\{\\\*\\expandedcolortbl[^}]*\}/g, '')
+    const sourceLabel = languageCode || 'auto-detected'
+    const targetLabel = targetLang || 'English'
 
-  // Remove other control groups
-  result = result.replace(/\{\\[a-z]+[^}]*\}/g, '')
+    // Deduplicate and limit words to prevent token overflow; the most common
+    // words are translated first so a capped batch keeps the ones that matter
+    const uniqueWords = [...new Set(words.map(w => w.toLowerCase().trim()).filter(Boolean))]
+    const ranks = await loadFrequencyRanks(languageCode)
+    const rankedWords = uniqueWords
+      .map((word, index) => ({ word, index, rank: ranks.get(word) ?? Infinity }))
+      .sort((a, b) => a.rank - b.rank || a.index - b.index)
+      .map(({ word }) => word)
+    const maxWords = 200 // Limit batch size
+    const wordsToTranslate = rankedWords.slice(0, maxWords)
 
-  // Decode RTF escape sequences
-  result = result.replace(/\\'([0-9a-fA-F]{2})/g, (match, hex) => {
-    const code = parseInt(hex, 16)
-    // Handle common Mac OS Roman characters
-    if (code === 0x93) return '"' // Left double quote
-    if (code === 0x94) return '"' // Right double quote
-    if (code === 0x91) return "'" // Left single quote
-    if (code === 0x92) return "'" // Right single quote
-    if (code === 0x97) return '—' // Em dash
-    if (code === 0x96) return '–' // En dash
-    if (code === 0x85) return '...' // Ellipsis
-    return String.fromCharCode(code)
-  })
-
-  // Remove RTF control words (backslash followed by letters and optional number)
-  result = result.replace(/\\[a-z]+\d*\s?/gi, '')
-
-  // Remove remaining braces
-  result = result.replace(/[{}]/g, '')
+    if (wordsToTranslate.length === 0) {
+      return res.json({ translations: {} })
+    }
 
-  // Clean up multiple spaces and normalize whitespace
-  result = result.replace(/\s+/g, ' ').trim()
+    const prompt = `
+Translate the following words from ${sourceLabel} to ${targetLabel}.
+Return a JSON object where each key is the original word (lowercase) and the value is its translation.
+Only return the JSON object, no other text.
 
-  // Restore paragraph breaks (RTF uses \par)
-  result = result.replace(/\\par\s*/g, '\n\n')
+Words: ${wordsToTranslate.join(', ')}
+`.trim()
 
-  vlog('RTF stripped, first 200 chars:', result.slice(0, 200))
+    let translations = {}
 
-  return result
-}
+    try {
+      const response = await client.responses.create({
+        model: 'gpt-4o-mini',
+        input: prompt,
+      })
 
-/**
- * Extract TXT file with chapter structure (language-agnostic).
- * Uses structural pattern detection for chapters.
- */
-async function extractTxtWithChapters(filePath, testMode = false) {
-  let raw = await fs.readFile(filePath, 'utf8')
+      const outputText = response.output_text?.trim() || '{}'
+      // Extract JSON from markdown code blocks if present
+      const jsonMatch = outputText.match(/```(?:json)?\s*([\s\S]*?)\s*```/) || [null, outputText]
+      const parsed = JSON.parse(jsonMatch[1] || outputText)
 
-  // Strip RTF markup if present (macOS TextEdit often saves as RTF with .txt extension)
-  raw = stripRtfMarkup(raw)
+      // Convert to expected format: { word: { translation: "..." } }
+      for (const [word, translation] of Object.entries(parsed)) {
+        if (typeof translation === 'string') {
+          translations[word.toLowerCase()] = { translation }
+        } else if (translation && typeof translation === 'object') {
+          translations[word.toLowerCase()] = translation
+        }
+      }
+    } catch (parseErr) {
+      console.error('Error parsing prefetch translations:', parseErr)
+    }
 
-  // Strip Gutenberg boilerplate
-  const text = stripGutenbergBoilerplate(raw)
-  const lines = text.split('\n')
+    return res.json({ translations })
+  } catch (error) {
+    console.error('Error prefetching translations:', error)
+    return res.status(500).json({ error: 'Internal server error', translations: {} })
+  }
+})
 
-  // Detect chapter markers
-  const chapterMarkers = detectChapterMarkers(text, testMode)
+// Lemmatize word forms (e.g. "hablé", "hablaremos" → "hablar")
+// Results are cached per language in the lemmas collection; only languages
+// with a supported language code are accepted.
+app.post('/api/lemmatize', async (req, res) => {
+  try {
+    if (!firestore) {
+      return res.status(500).json({ error: 'Firestore not configured' })
+    }
 
-  // If no chapters detected, return flat structure (not chapter-based)
-  if (!chapterMarkers || chapterMarkers.length === 0) {
-    vlog('No chapter pattern detected, using flat adaptation')
-    const cleanText = normalizeTextWithParagraphs(text)
-    const words = cleanText.split(/\s+/)
+    const { language, words } = req.body || {}
 
-    // Parse structure to separate header/outline from body BEFORE chunking
-    const { chapterHeader, chapterOutline, bodyText } = await parseChapterStructure(cleanText, testMode)
+    const languageLabel = normalizeLanguageLabel(language)
+    if (!languageLabel) {
+      return res.status(400).json({ error: 'Unsupported language' })
+    }
 
-    // Only chunk the body text for adaptation (header/outline will be translated separately)
-    const textToChunk = bodyText || cleanText
-    const adaptationChunks = splitTextIntoAdaptationChunks(textToChunk)
+    if (!Array.isArray(words) || words.length === 0) {
+      return res.json({ lemmas: {} })
+    }
 
-    vlog(`Flat book structure: Header="${(chapterHeader || '').slice(0, 50)}", Outline=${chapterOutline ? 'present' : 'none'}, Body chunks=${adaptationChunks.length}`)
+    const uniqueWords = [
+      ...new Set(words.map((w) => String(w || '').toLowerCase().trim()).filter(Boolean)),
+    ].slice(0, 500)
 
-    // Return flat structure with flag
-    return {
-      isFlat: true,
-      originalText: cleanText,
-      adaptationChunks,
-      chapterHeader: chapterHeader || '',
-      chapterOutline: chapterOutline || '',
-      wordCount: words.length,
-    }
-  }
+    const lemmas = await batchGetLemmas(uniqueWords, languageLabel)
+    const missing = uniqueWords.filter((word) => !lemmas[word])
 
-  vlog(`Detected ${chapterMarkers.length} chapters`)
+    // Multi-word expressions are their own lemma
+    const toLemmatize = []
+    missing.forEach((word) => {
+      if (/\s/.test(word)) {
+        lemmas[word] = word
+      } else {
+        toLemmatize.push(word)
+      }
+    })
 
-  // Split text at chapter boundaries
-  const chapters = []
+    const generated = {}
+    for (let i = 0; i < toLemmatize.length; i += 200) {
+      const chunk = toLemmatize.slice(i, i + 200)
+      const prompt = `
+Give the dictionary form (lemma) of each ${languageLabel} word below.
+Verbs → infinitive, nouns → singular, adjectives → masculine singular (where the language inflects for gender).
+Keep the word unchanged if it is already a lemma or is not a ${languageLabel} word.
+Return a JSON object where each key is the word exactly as given (lowercase) and the value is its lowercase lemma.
+Only return the JSON object, no other text.
 
-  for (let i = 0; i < chapterMarkers.length; i++) {
-    const marker = chapterMarkers[i]
-    const nextMarker = chapterMarkers[i + 1]
+Words: ${chunk.join(', ')}
+`.trim()
 
-    const startLine = marker.lineIndex
-    const endLine = nextMarker ? nextMarker.lineIndex : lines.length
+      try {
+        const response = await client.responses.create({
+          model: 'gpt-4o-mini',
+          input: prompt,
+        })
 
-    // Extract chapter content (skip the chapter heading line itself)
-    const chapterLines = lines.slice(startLine + 1, endLine)
-    const chapterText = normalizeTextWithParagraphs(chapterLines.join('\n'))
+        const outputText = response.output_text?.trim() || '{}'
+        const jsonMatch = outputText.match(/```(?:json)?\s*([\s\S]*?)\s*```/) || [null, outputText]
+        const parsed = JSON.parse(jsonMatch[1] || outputText)
 
-    // Skip very short chapters (likely just headers)
-    if (chapterText.length < 100) {
-      console.log(`Skipping short chapter: "${marker.title}"`)
-      continue
+        chunk.forEach((word) => {
+          const lemma = typeof parsed[word] === 'string' ? parsed[word].toLowerCase().trim() : ''
+          generated[word] = lemma || word
+        })
+      } catch (lemmaErr) {
+        console.error('Error lemmatizing words:', lemmaErr)
+      }
     }
 
-    const words = chapterText.split(/\s+/)
-
-    // Return chapter as single adaptation chunk
-    const adaptationPages = splitTextIntoAdaptationChunks(chapterText)
+    if (Object.keys(generated).length) {
+      saveLemmas(generated, languageLabel).catch((err) => {
+        console.error('Failed to cache lemmas:', err)
+      })
+    }
 
-    chapters.push({
-      index: chapters.length,
-      title: marker.title,
-      originalText: chapterText,
-      adaptationPages,
-      wordCount: words.length,
-    })
+    return res.json({ lemmas: { ...lemmas, ...generated } })
+  } catch (error) {
+    console.error('Error in /api/lemmatize:', error)
+    return res.status(500).json({ error: 'Internal server error', lemmas: {} })
   }
+})
 
-  // Handle any text before the first chapter marker
-  if (chapterMarkers[0].lineIndex > 10) {
-    const preambleLines = lines.slice(0, chapterMarkers[0].lineIndex)
-    const preambleText = normalizeTextWithParagraphs(preambleLines.join('\n'))
+// Multi-word expression detection
+// Scans a page or transcript segment for idioms, phrasal verbs and collocations
+// and returns each occurrence as a character span into the submitted text.
+// Scans are cached by text hash in expressionScans so re-opening content is free.
+const EXPRESSION_TYPES = new Set(['idiom', 'phrasal_verb', 'collocation'])
+const MAX_EXPRESSION_SCAN_CHARS = 6000
+
+// Every case-insensitive, word-bounded occurrence of `expression` in `text`
+function findExpressionSpans(text, expression) {
+  const spans = []
+  const lowerText = text.toLowerCase()
+  const needle = expression.toLowerCase()
+  const isWordChar = (char) => Boolean(char) && /[\p{L}\p{N}]/u.test(char)
+
+  let index = lowerText.indexOf(needle)
+  while (index !== -1) {
+    const end = index + needle.length
+    if (!isWordChar(lowerText[index - 1]) && !isWordChar(lowerText[end])) {
+      spans.push({ start: index, end })
+    }
+    index = lowerText.indexOf(needle, index + 1)
+  }
+  return spans
+}
 
-    if (preambleText.length > 200) {
-      const words = preambleText.split(/\s+/)
+app.post('/api/expressions/detect', async (req, res) => {
+  try {
+    if (!firestore) {
+      return res.status(500).json({ error: 'Firestore not configured' })
+    }
 
-      // Return preamble as single adaptation chunk
-      const adaptationPages = splitTextIntoAdaptationChunks(preambleText)
+    const { text, language, nativeLanguage } = req.body || {}
 
-      // Insert at beginning
-      chapters.unshift({
-        index: 0,
-        title: 'Preface',
-        originalText: preambleText,
-        adaptationPages,
-        wordCount: words.length,
-      })
+    if (!text || typeof text !== 'string' || !text.trim()) {
+      return res.json({ expressions: [] })
+    }
 
-      // Re-index other chapters
-      for (let i = 1; i < chapters.length; i++) {
-        chapters[i].index = i
-      }
+    const languageLabel = normalizeLanguageLabel(language)
+    if (!languageLabel) {
+      return res.status(400).json({ error: 'Unsupported language' })
     }
-  }
 
-  return chapters
-}
+    const nativeLabel = normalizeLanguageLabel(nativeLanguage) || 'English'
+    const scanText = text.slice(0, MAX_EXPRESSION_SCAN_CHARS)
 
-async function extractPdf(filePath) {
-  const data = await fs.readFile(filePath)
-  const pdf = await pdfParse(data)
-  const fullText = pdf.text || ''
-  const trimmed = fullText.trim()
+    const scanKey = crypto
+      .createHash('sha1')
+      .update(`${languageLabel}|${nativeLabel}|${scanText}`)
+      .digest('hex')
+    const scanRef = firestore.collection('expressionScans').doc(scanKey)
 
-  if (trimmed.length < 100) {
-    const err = new Error('SCANNED_PDF_NOT_SUPPORTED')
-    err.code = 'SCANNED_PDF_NOT_SUPPORTED'
-    throw err
-  }
+    let detected = null
+    try {
+      const cached = await scanRef.get()
+      if (cached.exists) detected = cached.data().expressions || []
+    } catch (cacheErr) {
+      console.error('Error reading expression scan cache:', cacheErr)
+    }
 
-  // Normalize text while preserving paragraph structure
-  const cleanText = normalizeTextWithParagraphs(fullText)
-  const words = cleanText.split(/\s+/)
+    if (!detected) {
+      const prompt = `
+Find the multi-word expressions in this ${languageLabel} text that a learner should learn as a single unit:
+idioms, phrasal verbs and strong collocations. Ignore ordinary free word combinations and proper names.
 
-  // PDF doesn't have chapter headers/outlines like TXT, so we use empty strings
-  const adaptationChunks = splitTextIntoAdaptationChunks(cleanText)
+For each one return:
+- "text": the expression exactly as it appears in the text (same inflection and spelling, at least two words)
+- "meaning": a short ${nativeLabel} translation of the expression as used here
+- "type": one of "idiom", "phrasal_verb", "collocation"
 
-  vlog(`PDF extracted: ${words.length} words, ${adaptationChunks.length} chunks`)
+Return a JSON object of the form { "expressions": [ ... ] }. Only return the JSON object, no other text.
 
-  // Return flat structure (same as flat TXT) for client-side pagination
-  return {
-    isFlat: true,
-    originalText: cleanText,
-    adaptationChunks,
-    chapterHeader: '',
-    chapterOutline: '',
-    wordCount: words.length,
-  }
-}
+Text:
+${scanText}
+`.trim()
 
-/**
- * Extract PDF with chapter structure detection.
- * Mirrors extractTxtWithChapters: uses detectChapterMarkers + parseChapterStructure,
- * falls back to flat on no pattern. Scanned-PDF guard retained.
- */
-async function extractPdfWithChapters(filePath, testMode = false) {
-  const data = await fs.readFile(filePath)
-  const pdf = await pdfParse(data)
-  const fullText = pdf.text || ''
-  const trimmed = fullText.trim()
+      const response = await client.responses.create({
+        model: 'gpt-4o-mini',
+        input: prompt,
+      })
 
-  if (trimmed.length < 100) {
-    const err = new Error('SCANNED_PDF_NOT_SUPPORTED')
-    err.code = 'SCANNED_PDF_NOT_SUPPORTED'
-    throw err
-  }
+      const outputText = response.output_text?.trim() || '{}'
+      const jsonMatch = outputText.match(/```(?:json)?\s*([\s\S]*?)\s*```/) || [null, outputText]
 
-  // Strip Gutenberg boilerplate (rare in PDF but possible; harmless when absent).
-  const text = stripGutenbergBoilerplate(fullText)
-  const lines = text.split('\n')
+      try {
+        const parsed = JSON.parse(jsonMatch[1] || outputText)
+        detected = (Array.isArray(parsed.expressions) ? parsed.expressions : [])
+          .filter((expr) => expr && typeof expr.text === 'string')
+          .map((expr) => ({
+            text: expr.text.trim(),
+            meaning: typeof expr.meaning === 'string' ? expr.meaning.trim() : '',
+            type: EXPRESSION_TYPES.has(expr.type) ? expr.type : 'collocation',
+          }))
+          .filter((expr) => expr.text.split(/\s+/).length >= 2)
+      } catch (parseErr) {
+        console.error('Error parsing expression detection JSON:', parseErr)
+        detected = []
+      }
 
-  // Detect chapter markers using the shared structural detector.
-  const chapterMarkers = detectChapterMarkers(text, testMode)
+      scanRef
+        .set({
+          language: languageLabel,
+          nativeLanguage: nativeLabel,
+          expressions: detected,
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        })
+        .catch((err) => console.error('Failed to cache expression scan:', err))
+    }
+
+    // Drop anything the model paraphrased rather than quoted from the text
+    const seen = new Set()
+    const expressions = []
+    detected.forEach((expr) => {
+      const key = expr.text.toLowerCase()
+      if (seen.has(key)) return
+      const spans = findExpressionSpans(scanText, expr.text)
+      if (!spans.length) return
+      seen.add(key)
+      expressions.push({ ...expr, spans })
+    })
 
-  // No chapter pattern → flat path (identical shape to flat TXT).
-  if (!chapterMarkers || chapterMarkers.length === 0) {
-    vlog('No chapter pattern detected in PDF, using flat adaptation')
-    const cleanText = normalizeTextWithParagraphs(text)
-    const words = cleanText.split(/\s+/)
+    return res.json({ expressions })
+  } catch (error) {
+    console.error('Error detecting expressions:', error)
+    return res.status(500).json({ error: 'Failed to detect expressions', expressions: [] })
+  }
+})
 
-    const { chapterHeader, chapterOutline, bodyText } = await parseChapterStructure(cleanText, testMode)
+function detectFileType(originalName = '') {
+  const lower = originalName.toLowerCase()
+  if (lower.endsWith('.txt')) return 'txt'
+  if (lower.endsWith('.pdf')) return 'pdf'
+  if (lower.endsWith('.epub')) return 'epub'
+  if (lower.endsWith('.docx')) return 'docx'
+  if (lower.endsWith('.html') || lower.endsWith('.htm') || lower.endsWith('.xhtml')) return 'html'
+  if (lower.endsWith('.md') || lower.endsWith('.markdown')) return 'md'
+  if (lower.endsWith('.fb2')) return 'fb2'
+  if (lower.endsWith('.mobi') || lower.endsWith('.azw') || lower.endsWith('.azw3')) return 'mobi'
+  // Photographed pages; only imported through OCR
+  if (lower.endsWith('.jpg') || lower.endsWith('.jpeg') || lower.endsWith('.png')) return 'image'
+  return 'unknown'
+}
 
-    const textToChunk = bodyText || cleanText
-    const adaptationChunks = splitTextIntoAdaptationChunks(textToChunk)
+// Formats whose chapters come from the file's own structure (headings,
+// sections, page breaks) rather than a scan of plain text
+const DOCUMENT_FILE_TYPES = ['docx', 'html', 'md', 'fb2', 'mobi']
 
-    vlog(`Flat PDF structure: Header="${(chapterHeader || '').slice(0, 50)}", Outline=${chapterOutline ? 'present' : 'none'}, Body chunks=${adaptationChunks.length}`)
+async function extractTxt(filePath) {
+  const raw = await fs.readFile(filePath, 'utf8')
+  // Normalize text while preserving paragraph structure
+  const cleanText = normalizeTextWithParagraphs(raw)
+  // Return as single adaptation chunk
+  return splitTextIntoAdaptationChunks(cleanText)
+}
 
-    return {
-      isFlat: true,
-      originalText: cleanText,
-      adaptationChunks,
-      chapterHeader: chapterHeader || '',
-      chapterOutline: chapterOutline || '',
-      wordCount: words.length,
-    }
-  }
-
-  vlog(`Detected ${chapterMarkers.length} chapters in PDF`)
+/**
+ * Normalize plain text while preserving paragraph structure.
+ * Blank lines (double newlines) become paragraph breaks (\n\n).
+ * @param {string} text - The raw text to normalize
+ * @returns {string} Normalized text with preserved paragraph breaks
+ */
+function normalizeTextWithParagraphs(text) {
+  if (!text) return ''
 
-  const chapters = []
-  for (let i = 0; i < chapterMarkers.length; i++) {
-    const marker = chapterMarkers[i]
-    const nextMarker = chapterMarkers[i + 1]
+  return text
+    .replace(/\r\n/g, '\n')           // Normalize line endings
+    .replace(/\n{3,}/g, '\n\n')       // Collapse 3+ newlines to paragraph break
+    .replace(/\n\n/g, '\u0000PARA\u0000')  // Protect paragraph breaks
+    .replace(/\s+/g, ' ')              // Normalize other whitespace to single space
+    .replace(/\u0000PARA\u0000/g, '\n\n')  // Restore paragraph breaks
+    .trim()
+}
 
-    const startLine = marker.lineIndex
-    const endLine = nextMarker ? nextMarker.lineIndex : lines.length
+/**
+ * Strip Project Gutenberg boilerplate header and footer.
+ */
+function stripGutenbergBoilerplate(text) {
+  // Common Gutenberg markers
+  const startMarkers = [
+    '*** START OF THE PROJECT GUTENBERG EBOOK',
+    '*** START OF THIS PROJECT GUTENBERG EBOOK',
+    '*END*THE SMALL PRINT',
+    '***START OF THE PROJECT GUTENBERG EBOOK',
+  ]
+  const endMarkers = [
+    '*** END OF THE PROJECT GUTENBERG EBOOK',
+    '*** END OF THIS PROJECT GUTENBERG EBOOK',
+    '***END OF THE PROJECT GUTENBERG EBOOK',
+    'End of the Project Gutenberg EBook',
+    'End of Project Gutenberg',
+  ]
 
-    const chapterLines = lines.slice(startLine + 1, endLine)
-    const chapterText = normalizeTextWithParagraphs(chapterLines.join('\n'))
+  let result = text
 
-    if (chapterText.length < 100) {
-      vlog(`Skipping short PDF chapter: "${marker.title}"`)
-      continue
+  // Find and strip header
+  for (const marker of startMarkers) {
+    const idx = result.indexOf(marker)
+    if (idx !== -1) {
+      // Find the end of this line
+      const lineEnd = result.indexOf('\n', idx)
+      if (lineEnd !== -1) {
+        result = result.slice(lineEnd + 1)
+      }
+      break
     }
-
-    const words = chapterText.split(/\s+/)
-    const adaptationPages = splitTextIntoAdaptationChunks(chapterText)
-
-    chapters.push({
-      index: chapters.length,
-      title: marker.title,
-      originalText: chapterText,
-      adaptationPages,
-      wordCount: words.length,
-    })
   }
 
-  // Preamble before first chapter marker (same rule as TXT).
-  if (chapterMarkers[0].lineIndex > 10) {
-    const preambleLines = lines.slice(0, chapterMarkers[0].lineIndex)
-    const preambleText = normalizeTextWithParagraphs(preambleLines.join('\n'))
-
-    if (preambleText.length > 200) {
-      const words = preambleText.split(/\s+/)
-      const adaptationPages = splitTextIntoAdaptationChunks(preambleText)
-
-      chapters.unshift({
-        index: 0,
-        title: 'Preface',
-        originalText: preambleText,
-        adaptationPages,
-        wordCount: words.length,
-      })
-
-      for (let i = 1; i < chapters.length; i++) {
-        chapters[i].index = i
-      }
+  // Find and strip footer
+  for (const marker of endMarkers) {
+    const idx = result.indexOf(marker)
+    if (idx !== -1) {
+      result = result.slice(0, idx)
+      break
     }
   }
 
-  return chapters
+  return result.trim()
 }
 
 /**
- * Convert HTML to plain text while preserving paragraph structure.
- * Block-level elements become paragraph breaks (\n\n).
- * @param {string} html - The HTML content to convert
- * @returns {string} Plain text with preserved paragraph breaks
+ * Detect chapter markers using structural patterns (language-agnostic).
+ * Looks for short lines with numbers/roman numerals that appear multiple times.
  */
-function htmlToTextWithParagraphs(html) {
-  if (!html) return ''
+function detectChapterMarkers(text, testMode = false) {
+  const lines = text.split('\n')
+  const candidates = []
 
-  let text = html
-    // Normalize line endings
-    .replace(/\r\n/g, '\n')
-    // Add paragraph breaks BEFORE block-level opening tags
-    .replace(/<(p|div|h[1-6]|li|tr|blockquote|section|article)(\s[^>]*)?>/gi, '\n\n')
-    // Add paragraph breaks AFTER block-level closing tags
-    .replace(/<\/(p|div|h[1-6]|li|tr|blockquote|section|article)>/gi, '\n\n')
-    // Convert <br> to single newline
-    .replace(/<br\s*\/?>/gi, '\n')
-    // Remove all remaining HTML tags
-    .replace(/<[^>]+>/g, ' ')
-    // Decode common HTML entities
-    .replace(/&nbsp;/g, ' ')
-    .replace(/&amp;/g, '&')
-    .replace(/&lt;/g, '<')
-    .replace(/&gt;/g, '>')
-    .replace(/&quot;/g, '"')
-    .replace(/&#39;/g, "'")
-    .replace(/&mdash;/g, '—')
-    .replace(/&ndash;/g, '–')
-    .replace(/&hellip;/g, '…')
-    // Normalize multiple spaces (but not newlines) to single space
-    .replace(/[^\S\n]+/g, ' ')
-    // Normalize multiple newlines to paragraph break (max 2)
-    .replace(/\n{3,}/g, '\n\n')
-    // Clean up spaces around newlines
-    .replace(/ *\n */g, '\n')
-    .trim()
+  // Roman numeral pattern
+  const romanPattern = /^[IVXLCDM]+$/i
+  // Number pattern (including with dots/colons)
+  const numberPattern = /\d+/
 
-  return text
-}
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim()
+    const prevLine = i > 0 ? lines[i - 1].trim() : ''
+    const nextLine = i < lines.length - 1 ? lines[i + 1].trim() : ''
 
-function parseEpub(filePath) {
-  return new Promise((resolve, reject) => {
-    const epub = new EPub(filePath)
+    // Skip empty lines
+    if (!line) continue
 
-    epub.on('error', (err) => {
-      console.error('EPUB parse error:', err)
-      reject(err)
-    })
+    // Check if this looks like a chapter heading:
+    // 1. Short line (< 80 chars)
+    // 2. Has blank line before OR after (or both)
+    // 3. Contains number or roman numeral
+    const isShort = line.length < 80
+    const hasBlankBefore = prevLine === ''
+    const hasBlankAfter = nextLine === ''
+    const hasBlankAround = hasBlankBefore || hasBlankAfter
 
-    epub.on('end', () => {
-      resolve(epub)
-    })
+    if (!isShort || !hasBlankAround) continue
 
-    epub.parse()
-  })
-}
+    // Check for numbers or roman numerals
+    const words = line.split(/\s+/)
+    const hasNumber = numberPattern.test(line)
+    const hasRoman = words.some(w => romanPattern.test(w) && w.length <= 6)
 
-/**
- * Extract cover image from EPUB file
- * @param {Object} epub - Parsed epub object from parseEpub
- * @returns {Promise<{buffer: Buffer, mimeType: string}|null>} Cover image data or null
- */
-async function extractEpubCover(epub) {
-  try {
-    // Method 1: Check metadata for cover reference
-    let coverId = epub.metadata?.cover
+    // Check if it's mostly uppercase or title case
+    const isUpperCase = line === line.toUpperCase() && /[A-Z]/.test(line)
+    const isTitleCase = words.length > 0 && words.every(w =>
+      !w || /^[A-Z0-9]/.test(w) || w.length <= 2
+    )
 
-    // Method 2: Search manifest for cover image by properties or id patterns
-    if (!coverId && epub.manifest) {
-      for (const [id, item] of Object.entries(epub.manifest)) {
-        // Check for cover property (EPUB3) or common cover id patterns
-        if (
-          item.properties === 'cover-image' ||
-          id === 'cover' ||
-          id === 'cover-image' ||
-          id.toLowerCase().includes('cover') ||
-          (item.href && item.href.toLowerCase().includes('cover'))
-        ) {
-          // Verify it's an image type
-          if (item['media-type']?.startsWith('image/')) {
-            coverId = id
-            break
-          }
-        }
-      }
+    if (hasNumber || hasRoman) {
+      // Extract a "signature" to group similar patterns
+      // e.g., "CHAPTER 5" and "CHAPTER 12" have same signature "CHAPTER #"
+      const signature = line
+        .replace(/\d+/g, '#')
+        .replace(/[IVXLCDM]+/gi, (match) => romanPattern.test(match) ? 'R' : match)
+        .toUpperCase()
+        .trim()
+
+      candidates.push({
+        lineIndex: i,
+        line,
+        signature,
+        hasNumber,
+        hasRoman,
+        isUpperCase,
+        position: i / lines.length, // relative position in document
+      })
     }
+  }
 
-    // Method 3: Look for cover in guide section (older EPUBs)
-    if (!coverId && epub.guide) {
-      for (const item of epub.guide) {
-        if (item.type === 'cover' && item.href) {
-          // The href might point to an HTML page containing the cover
-          // Try to find the corresponding manifest item
-          const hrefBase = item.href.split('#')[0]
-          for (const [id, manifestItem] of Object.entries(epub.manifest)) {
-            if (manifestItem.href === hrefBase && manifestItem['media-type']?.startsWith('image/')) {
-              coverId = id
-              break
-            }
-          }
-        }
-      }
+  // Group candidates by signature
+  const signatureGroups = {}
+  for (const c of candidates) {
+    if (!signatureGroups[c.signature]) {
+      signatureGroups[c.signature] = []
     }
+    signatureGroups[c.signature].push(c)
+  }
 
-    if (!coverId) {
-      vlog('No cover image found in EPUB metadata or manifest')
-      return null
+  // Find the best pattern (most matches, spread throughout document)
+  let bestPattern = null
+  let bestScore = 0
+
+  for (const [signature, matches] of Object.entries(signatureGroups)) {
+    if (matches.length < 2) continue // Need at least 2 chapters
+
+    // Score based on count and distribution
+    const count = matches.length
+    const positions = matches.map(m => m.position)
+    const spread = Math.max(...positions) - Math.min(...positions)
+
+    // Good chapters should be spread throughout the book
+    const score = count * (spread > 0.5 ? 2 : 1)
+
+    if (score > bestScore) {
+      bestScore = score
+      bestPattern = { signature, matches }
     }
+  }
 
-    // Get the image using epub2's getImage method
-    return new Promise((resolve) => {
-      epub.getImage(coverId, (err, data, mimeType) => {
-        if (err || !data) {
-          console.log('Failed to extract cover image:', err?.message || 'No data')
-          resolve(null)
-        } else {
-          console.log(`Extracted EPUB cover: ${coverId}, type: ${mimeType}, size: ${data.length} bytes`)
-          resolve({ buffer: data, mimeType: mimeType || 'image/jpeg' })
+  if (testMode) {
+    const bar = '═'.repeat(60)
+    console.log(`\n${bar}\nCHAPTER DETECTION — CANDIDATES\n${bar}`)
+    console.log(`Total lines in input: ${lines.length}`)
+    console.log(`Total candidate lines found: ${candidates.length}`)
+    console.log('\n--- CANDIDATES BY SIGNATURE GROUP ---')
+    const signatures = Object.keys(signatureGroups)
+    if (signatures.length === 0) {
+      console.log('(no candidates)')
+    } else {
+      for (const signature of signatures) {
+        const matches = signatureGroups[signature]
+        console.log(`\nSignature: "${signature}"  (matches: ${matches.length})`)
+        for (const m of matches) {
+          console.log(`  lineIndex=${m.lineIndex}  position=${m.position.toFixed(4)}  line="${m.line}"`)
         }
-      })
-    })
-  } catch (error) {
-    console.error('Error extracting EPUB cover:', error)
-    return null
+      }
+    }
+    console.log('\n--- SCORED SIGNATURES (count >= 2) ---')
+    let scoredAny = false
+    for (const [signature, matches] of Object.entries(signatureGroups)) {
+      if (matches.length < 2) continue
+      scoredAny = true
+      const positions = matches.map((m) => m.position)
+      const minPos = Math.min(...positions)
+      const maxPos = Math.max(...positions)
+      const spread = maxPos - minPos
+      const score = matches.length * (spread > 0.5 ? 2 : 1)
+      console.log(`  "${signature}"  count=${matches.length}  min=${minPos.toFixed(4)}  max=${maxPos.toFixed(4)}  spread=${spread.toFixed(4)}  score=${score}`)
+    }
+    if (!scoredAny) {
+      console.log('  (no signature had >= 2 matches)')
+    }
+    if (!bestPattern) {
+      console.log('\nWinner: (no pattern detected — returning null)')
+    } else {
+      console.log(`\nWinner: "${bestPattern.signature}"  score=${bestScore}  chapters=${bestPattern.matches.length}`)
+    }
+  }
+
+  if (!bestPattern || bestPattern.matches.length < 2) {
+    return null // No chapter pattern detected
   }
+
+  return bestPattern.matches.map(m => ({
+    lineIndex: m.lineIndex,
+    title: m.line,
+  }))
 }
 
 /**
- * Upload cover image to Firebase Storage
- * @param {Buffer} imageBuffer - Image data
- * @param {string} mimeType - Image MIME type
- * @param {string} userId - User ID for storage path
- * @param {string} bookId - Book ID for storage path
- * @returns {Promise<string|null>} Public URL of uploaded cover or null
+ * Strip RTF (Rich Text Format) markup and return plain text.
+ * RTF files from macOS TextEdit often get saved with .txt extension.
  */
-async function uploadCoverToStorage(imageBuffer, mimeType, userId, bookId) {
-  if (!bucket || !imageBuffer) return null
+function stripRtfMarkup(text) {
+  // Check if this is RTF content
+  if (!text.startsWith('{\\rtf')) {
+    return text
+  }
 
-  try {
-    const extension = mimeType.includes('png') ? 'png' : mimeType.includes('gif') ? 'gif' : 'jpg'
-    const storagePath = `covers/${userId}/${bookId}.${extension}`
+  vlog('Detected RTF content, stripping markup...')
 
-    const file = bucket.file(storagePath)
-    await file.save(imageBuffer, {
-      contentType: mimeType,
-      metadata: {
-        cacheControl: 'public, max-age=31536000',
-      },
-    })
-    await file.makePublic()
+  // Remove RTF header and control words
+  let result = text
 
-    const coverUrl = `https://storage.googleapis.com/${bucket.name}/${storagePath}`
-    vlog('Cover uploaded to:', coverUrl)
-    return coverUrl
-  } catch (error) {
-    console.error('Failed to upload cover to storage:', error)
-    return null
-  }
-}
+  // Remove the RTF header block
+  result = result.replace(/^\{\\rtf[^}]*\}?/, '')
 
-/**
- * Search Google Books for a book cover by title and author
- * @param {string} title - Book title
- * @param {string} author - Author name
- * @returns {Promise<string|null>} Cover image URL or null
- */
-async function searchGoogleBooksCover(title, author) {
-  if (!title && !author) return null
+  // Remove font table
+  result = result.replace(/\{\\fonttbl[^}]*\}/g, '')
 
-  const apiKey = process.env.GOOGLE_BOOKS_API_KEY
-  if (!apiKey) {
-    vlog('Google Books API key not configured, skipping')
-    return null
-  }
+  // Remove color table
+  result = result.replace(/\{\\colortbl[^}]*\}/g, '')
 
-  try {
-    // Build search query
-    let query = ''
-    if (title) query += `intitle:${title}`
-    if (author) query += (query ? '+' : '') + `inauthor:${author}`
+  // Remove expanded color table
+  result = result.replace(/\{\\\*\\expandedcolortbl[^}]*\}/g, '')
 
-    const params = new URLSearchParams({
-      q: query,
-      key: apiKey,
-      maxResults: '5',
-      fields: 'items(volumeInfo(imageLinks))',
-    })
+  // Remove other control groups
+  result = result.replace(/\{\\[a-z]+[^}]*\}/g, '')
 
-    const url = `https://www.googleapis.com/books/v1/volumes?${params.toString()}`
-    vlog('Searching Google Books for cover...')
+  // Decode RTF escape sequences
+  result = result.replace(/\\'([0-9a-fA-F]{2})/g, (match, hex) => {
+    const code = parseInt(hex, 16)
+    // Handle common Mac OS Roman characters
+    if (code === 0x93) return '"' // Left double quote
+    if (code === 0x94) return '"' // Right double quote
+    if (code === 0x91) return "'" // Left single quote
+    if (code === 0x92) return "'" // Right single quote
+    if (code === 0x97) return '—' // Em dash
+    if (code === 0x96) return '–' // En dash
+    if (code === 0x85) return '...' // Ellipsis
+    return String.fromCharCode(code)
+  })
 
-    const response = await fetch(url)
-    if (!response.ok) {
-      console.error(`Google Books API error: ${response.status}`)
-      return null
-    }
+  // Remove RTF control words (backslash followed by letters and optional number)
+  result = result.replace(/\\[a-z]+\d*\s?/gi, '')
 
-    const data = await response.json()
-    const items = data.items || []
+  // Remove remaining braces
+  result = result.replace(/[{}]/g, '')
 
-    // Find first result with a cover image
-    for (const item of items) {
-      const imageLinks = item.volumeInfo?.imageLinks
-      if (imageLinks) {
-        // Prefer larger images: extraLarge > large > medium > small > thumbnail
-        const coverUrl =
-          imageLinks.extraLarge ||
-          imageLinks.large ||
-          imageLinks.medium ||
-          imageLinks.small ||
-          imageLinks.thumbnail
+  // Clean up multiple spaces and normalize whitespace
+  result = result.replace(/\s+/g, ' ').trim()
 
-        if (coverUrl) {
-          // Google Books URLs use http, upgrade to https and remove edge=curl for cleaner image
-          const cleanUrl = coverUrl
-            .replace('http://', 'https://')
-            .replace('&edge=curl', '')
-            .replace('zoom=1', 'zoom=2') // Get larger image
-          vlog('Found Google Books cover:', cleanUrl)
-          return cleanUrl
-        }
-      }
-    }
+  // Restore paragraph breaks (RTF uses \par)
+  result = result.replace(/\\par\s*/g, '\n\n')
 
-    vlog('No cover found on Google Books')
-    return null
-  } catch (error) {
-    console.error('Google Books search failed:', error)
-    return null
-  }
+  vlog('RTF stripped, first 200 chars:', result.slice(0, 200))
+
+  return result
 }
 
 /**
- * Search for a book cover - tries Google Books first, then Open Library
- * @param {string} title - Book title
- * @param {string} author - Author name
- * @returns {Promise<string|null>} Cover image URL or null
+ * Extract TXT file with chapter structure (language-agnostic).
+ * Uses structural pattern detection for chapters.
  */
-async function searchBookCover(title, author) {
-  if (!title && !author) return null
+async function extractTxtWithChapters(filePath, testMode = false) {
+  let raw = await fs.readFile(filePath, 'utf8')
 
-  // Try Google Books first
-  let coverUrl = await searchGoogleBooksCover(title, author)
-  if (coverUrl) return coverUrl
+  // Strip RTF markup if present (macOS TextEdit often saves as RTF with .txt extension)
+  raw = stripRtfMarkup(raw)
 
-  // Fall back to Open Library
-  coverUrl = await searchOpenLibraryCover(title, author)
-  return coverUrl
-}
+  // Strip Gutenberg boilerplate
+  const text = stripGutenbergBoilerplate(raw)
+  const lines = text.split('\n')
 
-/**
- * Search Open Library for a book cover by title and author
- * @param {string} title - Book title
- * @param {string} author - Author name
- * @returns {Promise<string|null>} Cover image URL or null
- */
-async function searchOpenLibraryCover(title, author) {
-  if (!title && !author) return null
+  // Detect chapter markers
+  const chapterMarkers = detectChapterMarkers(text, testMode)
 
-  const OPEN_LIBRARY_SEARCH_URL = 'https://openlibrary.org/search.json'
-  const OPEN_LIBRARY_COVERS_URL = 'https://covers.openlibrary.org/b'
+  // If no chapters detected, return flat structure (not chapter-based)
+  if (!chapterMarkers || chapterMarkers.length === 0) {
+    vlog('No chapter pattern detected, using flat adaptation')
+    const cleanText = normalizeTextWithParagraphs(text)
+    const words = cleanText.split(/\s+/)
 
-  try {
-    const params = new URLSearchParams()
-    if (title) params.append('title', title)
-    if (author) params.append('author', author)
-    params.append('limit', '3')
-    params.append('fields', 'cover_i')
-
-    const url = `${OPEN_LIBRARY_SEARCH_URL}?${params.toString()}`
-    vlog('Searching Open Library for cover:', url)
+    // Parse structure to separate header/outline from body BEFORE chunking
+    const { chapterHeader, chapterOutline, bodyText } = await parseChapterStructure(cleanText, testMode)
 
-    const response = await fetch(url)
-    if (!response.ok) {
-      console.error(`Open Library API error: ${response.status}`)
-      return null
-    }
+    // Only chunk the body text for adaptation (header/outline will be translated separately)
+    const textToChunk = bodyText || cleanText
+    const adaptationChunks = splitTextIntoAdaptationChunks(textToChunk)
 
-    const data = await response.json()
-    const docs = data.docs || []
+    vlog(`Flat book structure: Header="${(chapterHeader || '').slice(0, 50)}", Outline=${chapterOutline ? 'present' : 'none'}, Body chunks=${adaptationChunks.length}`)
 
-    // Find first result with a cover
-    for (const doc of docs) {
-      if (doc.cover_i) {
-        const coverUrl = `${OPEN_LIBRARY_COVERS_URL}/id/${doc.cover_i}-L.jpg`
-        vlog('Found Open Library cover:', coverUrl)
-        return coverUrl
-      }
+    // Return flat structure with flag
+    return {
+      isFlat: true,
+      originalText: cleanText,
+      adaptationChunks,
+      chapterHeader: chapterHeader || '',
+      chapterOutline: chapterOutline || '',
+      wordCount: words.length,
     }
-
-    vlog('No cover found on Open Library')
-    return null
-  } catch (error) {
-    console.error('Open Library search failed:', error)
-    return null
-  }
-}
-
-function getChapterAsync(epub, id) {
-  return new Promise((resolve, reject) => {
-    epub.getChapter(id, (err, text) => {
-      if (err) {
-        console.error('EPUB getChapter error:', err)
-        reject(err)
-      } else {
-        resolve(text || '')
-      }
-    })
-  })
-}
-
-async function extractEpub(filePath) {
-  const epub = await parseEpub(filePath)
-
-  let fullText = ''
-
-  // epub.flow is an array describing the reading order
-  for (const item of epub.flow) {
-    const content = await getChapterAsync(epub, item.id)
-    fullText += htmlToTextWithParagraphs(content) + '\n\n'
   }
 
-  // Return as single adaptation chunk
-  return splitTextIntoAdaptationChunks(fullText)
-}
+  vlog(`Detected ${chapterMarkers.length} chapters`)
 
-/**
- * Extract EPUB with chapter structure preserved from a pre-parsed epub object.
- * Returns array of chapters, each with title, originalText, and pages for adaptation.
- * @param {Object} epub - Already parsed epub object from parseEpub()
- */
-async function extractEpubWithChaptersFromParsed(epub) {
+  // Split text at chapter boundaries
   const chapters = []
 
-  // epub.flow is the reading order, epub.toc has chapter titles
-  const tocMap = new Map()
-  if (epub.toc && Array.isArray(epub.toc)) {
-    for (const tocItem of epub.toc) {
-      if (tocItem.id) {
-        tocMap.set(tocItem.id, tocItem.title || tocItem.label || '')
-      }
-      // Handle href-based matching (some EPUBs use href instead of id)
-      if (tocItem.href) {
-        const hrefId = tocItem.href.split('#')[0]
-        tocMap.set(hrefId, tocItem.title || tocItem.label || '')
-      }
-    }
-  }
+  for (let i = 0; i < chapterMarkers.length; i++) {
+    const marker = chapterMarkers[i]
+    const nextMarker = chapterMarkers[i + 1]
 
-  let chapterIndex = 0
-  for (const item of epub.flow) {
-    const content = await getChapterAsync(epub, item.id)
-    // Convert HTML to text while preserving paragraph structure
-    const cleanText = htmlToTextWithParagraphs(content)
+    const startLine = marker.lineIndex
+    const endLine = nextMarker ? nextMarker.lineIndex : lines.length
 
-    // Skip empty chapters (front matter, etc.)
-    if (!cleanText || cleanText.length < 50) {
+    // Extract chapter content (skip the chapter heading line itself)
+    const chapterLines = lines.slice(startLine + 1, endLine)
+    const chapterText = normalizeTextWithParagraphs(chapterLines.join('\n'))
+
+    // Skip very short chapters (likely just headers)
+    if (chapterText.length < 100) {
+      console.log(`Skipping short chapter: "${marker.title}"`)
       continue
     }
 
-    // Try to get chapter title from TOC
-    let title = tocMap.get(item.id) || tocMap.get(item.href) || ''
-    if (!title) {
-      // Try to extract title from content (first heading)
-      const headingMatch = content.match(/<h[1-3][^>]*>([^<]+)<\/h[1-3]>/i)
-      if (headingMatch) {
-        title = headingMatch[1].trim()
-      }
-    }
-    if (!title) {
-      title = `Chapter ${chapterIndex + 1}`
-    }
+    const words = chapterText.split(/\s+/)
 
     // Return chapter as single adaptation chunk
-    const words = cleanText.split(/\s+/)
-    const adaptationPages = splitTextIntoAdaptationChunks(cleanText)
+    const adaptationPages = splitTextIntoAdaptationChunks(chapterText)
 
     chapters.push({
-      index: chapterIndex,
-      title,
-      originalText: cleanText,
-      adaptationPages, // Chapter text for adaptation
+      index: chapters.length,
+      title: marker.title,
+      originalText: chapterText,
+      adaptationPages,
       wordCount: words.length,
     })
-
-    chapterIndex++
   }
 
-  return chapters
-}
-
-/**
- * Extract EPUB with chapter structure preserved.
- * Returns array of chapters, each with title, originalText, and pages for adaptation.
- * @param {string} filePath - Path to EPUB file
- */
-async function extractEpubWithChapters(filePath) {
-  const epub = await parseEpub(filePath)
-  return extractEpubWithChaptersFromParsed(epub)
-}
-
-/**
- * Split text into pages of approximately targetWordCount words.
- * Tries to break at sentence boundaries when possible.
- */
-function splitTextIntoPages(text, targetWordCount = 250) {
-  if (!text || !text.trim()) return []
+  // Handle any text before the first chapter marker
+  if (chapterMarkers[0].lineIndex > 10) {
+    const preambleLines = lines.slice(0, chapterMarkers[0].lineIndex)
+    const preambleText = normalizeTextWithParagraphs(preambleLines.join('\n'))
 
-  const words = text.split(/\s+/)
-  const pages = []
-  let buffer = []
+    if (preambleText.length > 200) {
+      const words = preambleText.split(/\s+/)
 
-  for (let i = 0; i < words.length; i++) {
-    buffer.push(words[i])
+      // Return preamble as single adaptation chunk
+      const adaptationPages = splitTextIntoAdaptationChunks(preambleText)
 
-    // Check if we've reached target word count
-    if (buffer.length >= targetWordCount) {
-      // Try to find a sentence boundary in the last ~20 words
-      const bufferText = buffer.join(' ')
-      const lastSentenceEnd = Math.max(
-        bufferText.lastIndexOf('. '),
-        bufferText.lastIndexOf('? '),
-        bufferText.lastIndexOf('! '),
-        bufferText.lastIndexOf('." '),
-        bufferText.lastIndexOf('?" '),
-        bufferText.lastIndexOf('!" ')
-      )
+      // Insert at beginning
+      chapters.unshift({
+        index: 0,
+        title: 'Preface',
+        originalText: preambleText,
+        adaptationPages,
+        wordCount: words.length,
+      })
 
-      // If we found a sentence boundary in a reasonable position, break there
-      if (lastSentenceEnd > bufferText.length * 0.7) {
-        const pageText = bufferText.slice(0, lastSentenceEnd + 1).trim()
-        const remainder = bufferText.slice(lastSentenceEnd + 1).trim()
-        pages.push(pageText)
-        buffer = remainder ? remainder.split(/\s+/) : []
-      } else {
-        // No good sentence boundary, just break at word count
-        pages.push(bufferText)
-        buffer = []
+      // Re-index other chapters
+      for (let i = 1; i < chapters.length; i++) {
+        chapters[i].index = i
       }
     }
   }
 
-  // Don't forget remaining text
-  if (buffer.length > 0) {
-    pages.push(buffer.join(' '))
-  }
-
-  return pages
+  return chapters
 }
 
-/**
- * Split chapter into paragraphs for individual adaptation.
- * Each paragraph is adapted separately, giving the LLM smaller chunks to focus on.
- * @param {string} text - The text to prepare for adaptation
- * @returns {string[]} Array of paragraphs for individual adaptation
- */
-function splitTextIntoAdaptationChunks(text) {
-  if (!text || !text.trim()) return []
+async function extractPdf(filePath) {
+  const data = await fs.readFile(filePath)
+  const pdf = await pdfParse(data)
+  const fullText = pdf.text || ''
+  const trimmed = fullText.trim()
 
-  // Normalize whitespace while identifying paragraph breaks
-  let normalizedText = text
-    .replace(/\r\n/g, '\n')           // Normalize line endings
-    .replace(/\n{3,}/g, '\n\n')       // Collapse 3+ newlines to paragraph break
-    .trim()
+  if (trimmed.length < 100) {
+    const err = new Error('SCANNED_PDF_NOT_SUPPORTED')
+    err.code = 'SCANNED_PDF_NOT_SUPPORTED'
+    throw err
+  }
 
-  // Split into paragraphs for individual adaptation
-  const paragraphs = normalizedText.split('\n\n').filter(p => p.trim())
+  // Normalize text while preserving paragraph structure
+  const cleanText = normalizeTextWithParagraphs(fullText)
+  const words = cleanText.split(/\s+/)
 
-  return paragraphs
+  // PDF doesn't have chapter headers/outlines like TXT, so we use empty strings
+  const adaptationChunks = splitTextIntoAdaptationChunks(cleanText)
+
+  vlog(`PDF extracted: ${words.length} words, ${adaptationChunks.length} chunks`)
+
+  // Return flat structure (same as flat TXT) for client-side pagination
+  return {
+    isFlat: true,
+    originalText: cleanText,
+    adaptationChunks,
+    chapterHeader: '',
+    chapterOutline: '',
+    wordCount: words.length,
+  }
 }
 
 /**
- * Split text into pages by finding the punctuation break closest to target character count.
- * Uses sentence endings (. ! ?) and clause punctuation (, ; : —) for natural breaks.
- * @param {string} text - The text to split
- * @param {number} targetCharCount - Target characters per page (default ~1400, roughly 250 words)
- * @returns {string[]} Array of page texts with preserved paragraph markers
- */
-function splitTextIntoPagesCharBased(text, targetCharCount = 1400) {
-  if (!text || !text.trim()) return []
-
-  // Normalize paragraph breaks to consistent double newline
-  const normalizedText = text.replace(/\n{3,}/g, '\n\n').trim()
-
-  const pages = []
-  let remaining = normalizedText
+ * Extract PDF with chapter structure detection.
+ * Mirrors extractTxtWithChapters: uses detectChapterMarkers + parseChapterStructure,
+ * falls back to flat on no pattern. Scanned-PDF guard retained.
+ */
+async function extractPdfWithChapters(filePath, testMode = false) {
+  const data = await fs.readFile(filePath)
+  const pdf = await pdfParse(data)
+  const fullText = pdf.text || ''
+  const trimmed = fullText.trim()
 
-  while (remaining.length > 0) {
-    if (remaining.length <= targetCharCount * 1.3) {
-      // Remaining text is close enough to one page - take it all
-      pages.push(remaining.trim())
-      break
-    }
+  if (trimmed.length < 100) {
+    const err = new Error('SCANNED_PDF_NOT_SUPPORTED')
+    err.code = 'SCANNED_PDF_NOT_SUPPORTED'
+    throw err
+  }
 
-    // Find the punctuation break closest to target
-    // Search within 50% to 150% of target to avoid tiny or huge pages
-    const minSearch = Math.floor(targetCharCount * 0.5)
-    const maxSearch = Math.min(remaining.length, Math.floor(targetCharCount * 1.5))
+  // Strip Gutenberg boilerplate (rare in PDF but possible; harmless when absent).
+  const text = stripGutenbergBoilerplate(fullText)
+  const lines = text.split('\n')
 
-    let closestEnd = -1
-    let closestDistance = Infinity
+  // Detect chapter markers using the shared structural detector.
+  const chapterMarkers = detectChapterMarkers(text, testMode)
 
-    // Look for any punctuation followed by space or newline
-    // Includes sentence endings (. ! ?) and clause punctuation (, ; : —)
-    for (let i = minSearch; i < maxSearch; i++) {
-      const char = remaining[i]
-      const nextChar = remaining[i + 1]
+  // No chapter pattern → flat path (identical shape to flat TXT).
+  if (!chapterMarkers || chapterMarkers.length === 0) {
+    vlog('No chapter pattern detected in PDF, using flat adaptation')
+    const cleanText = normalizeTextWithParagraphs(text)
+    const words = cleanText.split(/\s+/)
 
-      const isSentenceEnd = (char === '.' || char === '!' || char === '?')
-      const isClausePunct = (char === ',' || char === ';' || char === ':' || char === '—')
+    const { chapterHeader, chapterOutline, bodyText } = await parseChapterStructure(cleanText, testMode)
 
-      if ((isSentenceEnd || isClausePunct) &&
-          (nextChar === ' ' || nextChar === '\n' || nextChar === undefined)) {
-        const distance = Math.abs(i + 1 - targetCharCount)
-        if (distance < closestDistance) {
-          closestDistance = distance
-          closestEnd = i + 1 // Include the punctuation
-        }
-      }
-    }
+    const textToChunk = bodyText || cleanText
+    const adaptationChunks = splitTextIntoAdaptationChunks(textToChunk)
 
-    let breakPoint
-    if (closestEnd !== -1) {
-      breakPoint = closestEnd
-    } else {
-      // No punctuation found - fall back to word boundary near target
-      const lastSpace = remaining.lastIndexOf(' ', targetCharCount)
-      breakPoint = lastSpace > minSearch ? lastSpace + 1 : targetCharCount
-    }
+    vlog(`Flat PDF structure: Header="${(chapterHeader || '').slice(0, 50)}", Outline=${chapterOutline ? 'present' : 'none'}, Body chunks=${adaptationChunks.length}`)
 
-    const pageText = remaining.slice(0, breakPoint).trim()
-    if (pageText) {
-      pages.push(pageText)
+    return {
+      isFlat: true,
+      originalText: cleanText,
+      adaptationChunks,
+      chapterHeader: chapterHeader || '',
+      chapterOutline: chapterOutline || '',
+      wordCount: words.length,
     }
-    remaining = remaining.slice(breakPoint).trim()
   }
 
-  return pages
-}
+  vlog(`Detected ${chapterMarkers.length} chapters in PDF`)
 
-async function extractPagesForFile(file) {
-  if (!file || !file.path) {
-    return []
-  }
+  const chapters = []
+  for (let i = 0; i < chapterMarkers.length; i++) {
+    const marker = chapterMarkers[i]
+    const nextMarker = chapterMarkers[i + 1]
 
-  const fileType = detectFileType(file.originalname)
-  vlog('Detected import file type:', fileType, 'for', file.originalname)
+    const startLine = marker.lineIndex
+    const endLine = nextMarker ? nextMarker.lineIndex : lines.length
 
-  if (fileType === 'txt') return extractTxt(file.path)
-  if (fileType === 'pdf') return extractPdf(file.path)
-  if (fileType === 'epub') return extractEpub(file.path)
+    const chapterLines = lines.slice(startLine + 1, endLine)
+    const chapterText = normalizeTextWithParagraphs(chapterLines.join('\n'))
 
-  // Unknown type for now
-  return [`[STUB] Unknown file type for: ${file.originalname}`]
-}
+    if (chapterText.length < 100) {
+      vlog(`Skipping short PDF chapter: "${marker.title}"`)
+      continue
+    }
 
-async function saveImportedBookToFirestore({
-  userId,
-  title,
-  author,
-  originalLanguage,
-  outputLanguage,
-  translationMode,
-  level,
-  isPublicDomain,
-  pages,
-  voiceGender,
-  coverImageUrl = null,
-}) {
-  if (!userId) {
-    throw new Error('userId is required to import a book')
-  }
+    const words = chapterText.split(/\s+/)
+    const adaptationPages = splitTextIntoAdaptationChunks(chapterText)
 
-  // Resolve voice ID for the imported book
-  let voiceId = null
-  let resolvedVoiceGender = voiceGender || 'male'
-  try {
-    const voiceResult = resolveElevenLabsVoiceId(outputLanguage, resolvedVoiceGender)
-    voiceId = voiceResult.voiceId
-    resolvedVoiceGender = voiceResult.voiceGender
-  } catch (voiceErr) {
-    console.error('Failed to resolve voice ID for imported book:', voiceErr.message)
-    // Fall back to default import voice
-    const normalizedLang = normalizeLanguageLabel(outputLanguage)?.toLowerCase()
-    voiceId = normalizedLang ? DEFAULT_IMPORT_VOICE_IDS[normalizedLang] : null
+    chapters.push({
+      index: chapters.length,
+      title: marker.title,
+      originalText: chapterText,
+      adaptationPages,
+      wordCount: words.length,
+    })
   }
 
-  const storyRef = firestore
-    .collection('users')
-    .doc(userId)
-    .collection('stories')
-    .doc()
-
-  await storyRef.set({
-    userId,
-    language: outputLanguage,
-    title,
-    author,
-    originalLanguage,
-    outputLanguage,
-    translationMode,
-    level: translationMode === 'graded' ? level : null,
-    isPublicDomain: isPublicDomain === 'true',
-    createdAt: admin.firestore.FieldValue.serverTimestamp(),
-    pageCount: pages.length,
-    adaptedPages: 0,
-    status: 'pending',
-    hasFullAudio: false,
-    audioStatus: 'none',
-    fullAudioUrl: null,
-    voiceId,
-    voiceGender: resolvedVoiceGender,
-    description: `Imported: ${title || 'Untitled book'}`,
-    coverImageUrl,
-  })
-
-  const batch = firestore.batch()
-  const pagesRef = storyRef.collection('pages')
+  // Preamble before first chapter marker (same rule as TXT).
+  if (chapterMarkers[0].lineIndex > 10) {
+    const preambleLines = lines.slice(0, chapterMarkers[0].lineIndex)
+    const preambleText = normalizeTextWithParagraphs(preambleLines.join('\n'))
 
-  pages.forEach((text, index) => {
-    const pageDoc = pagesRef.doc(String(index))
-    batch.set(pageDoc, {
-      index,
-      text: text,
-      originalText: text,
-      adaptedText: null,
-      status: 'pending',
-      audioUrl: null,
-      audioStatus: 'pending',
-    })
-  })
+    if (preambleText.length > 200) {
+      const words = preambleText.split(/\s+/)
+      const adaptationPages = splitTextIntoAdaptationChunks(preambleText)
 
-  await batch.commit()
+      chapters.unshift({
+        index: 0,
+        title: 'Preface',
+        originalText: preambleText,
+        adaptationPages,
+        wordCount: words.length,
+      })
 
-  if (coverImageUrl) {
-    ensureSquareCoverForStory(userId, storyRef.id).catch((err) => {
-      console.error('Square cover generation failed (imported book):', err)
-    })
+      for (let i = 1; i < chapters.length; i++) {
+        chapters[i].index = i
+      }
+    }
   }
 
-  return storyRef.id
+  return chapters
 }
 
 /**
- * Save imported flat book (no chapters detected) to Firestore.
- * Stores adaptation chunks and accumulates adapted text in one blob.
- * Final 250-word pages are created after all chunks are adapted.
+ * Convert HTML to plain text while preserving paragraph structure.
+ * Block-level elements become paragraph breaks (\n\n).
+ * @param {string} html - The HTML content to convert
+ * @returns {string} Plain text with preserved paragraph breaks
  */
-// Server-side shared-catalog helper. Mirrors the client helper in
-// src/services/sharedAudiobooks.js — uses admin SDK so it bypasses
-// Firestore rules (server is trusted). Returns the shared doc id, or
-// null on failure. Idempotent for deterministic ids via setDoc+merge,
-// preserves popularityCount and createdByUid on updates.
-async function upsertSharedAudiobookCatalog({
-  kind,
-  sourceType,
-  sourceId,
-  title,
-  author,
-  language,
-  originalLanguage = null,
-  level = null,
-  genre = null,
-  description = null,
-  coverImageUrl = null,
-  coverImageUrlSquare = null,
-  isFlat = null,
-  chapterCount = null,
-  totalWords = null,
-  hasFullAudio = false,
-  durationMs = null,
-  createdByUid,
-}) {
-  if (!sourceType || !sourceId) return null
-  try {
-    const id = `${sourceType}-${String(sourceId)}`
-    const ref = firestore.collection('sharedAudiobooks').doc(id)
-    const existing = await ref.get()
-    const base = {
-      kind,
-      sourceType,
-      sourceId: String(sourceId),
+function htmlToTextWithParagraphs(html) {
+  if (!html) return ''
+
+  let text = html
+    // Normalize line endings
+    .replace(/\r\n/g, '\n')
+    // Add paragraph breaks BEFORE block-level opening tags
+    .replace(/<(p|div|h[1-6]|li|tr|blockquote|section|article)(\s[^>]*)?>/gi, '\n\n')
+    // Add paragraph breaks AFTER block-level closing tags
+    .replace(/<\/(p|div|h[1-6]|li|tr|blockquote|section|article)>/gi, '\n\n')
+    // Convert <br> to single newline
+    .replace(/<br\s*\/?>/gi, '\n')
+    // Remove all remaining HTML tags
+    .replace(/<[^>]+>/g, ' ')
+    // Decode common HTML entities
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&mdash;/g, '—')
+    .replace(/&ndash;/g, '–')
+    .replace(/&hellip;/g, '…')
+    .replace(/&#(\d{1,7});/g, (match, code) => (code <= 0x10ffff ? String.fromCodePoint(code) : match))
+    .replace(/&#x([0-9a-f]{1,6});/gi, (match, code) => (parseInt(code, 16) <= 0x10ffff ? String.fromCodePoint(parseInt(code, 16)) : match))
+    // Normalize multiple spaces (but not newlines) to single space
+    .replace(/[^\S\n]+/g, ' ')
+    // Clean up spaces around newlines
+    .replace(/ *\n */g, '\n')
+    // Normalize multiple newlines to paragraph break (max 2)
+    .replace(/\n{3,}/g, '\n\n')
+    .trim()
+
+  return text
+}
+
+function parseEpub(filePath) {
+  return new Promise((resolve, reject) => {
+    const epub = new EPub(filePath)
+
+    epub.on('error', (err) => {
+      console.error('EPUB parse error:', err)
+      reject(err)
+    })
+
+    epub.on('end', () => {
+      resolve(epub)
+    })
+
+    epub.parse()
+  })
+}
+
+/**
+ * Extract cover image from EPUB file
+ * @param {Object} epub - Parsed epub object from parseEpub
+ * @returns {Promise<{buffer: Buffer, mimeType: string}|null>} Cover image data or null
+ */
+async function extractEpubCover(epub) {
+  try {
+    // Method 1: Check metadata for cover reference
+    let coverId = epub.metadata?.cover
+
+    // Method 2: Search manifest for cover image by properties or id patterns
+    if (!coverId && epub.manifest) {
+      for (const [id, item] of Object.entries(epub.manifest)) {
+        // Check for cover property (EPUB3) or common cover id patterns
+        if (
+          item.properties === 'cover-image' ||
+          id === 'cover' ||
+          id === 'cover-image' ||
+          id.toLowerCase().includes('cover') ||
+          (item.href && item.href.toLowerCase().includes('cover'))
+        ) {
+          // Verify it's an image type
+          if (item['media-type']?.startsWith('image/')) {
+            coverId = id
+            break
+          }
+        }
+      }
+    }
+
+    // Method 3: Look for cover in guide section (older EPUBs)
+    if (!coverId && epub.guide) {
+      for (const item of epub.guide) {
+        if (item.type === 'cover' && item.href) {
+          // The href might point to an HTML page containing the cover
+          // Try to find the corresponding manifest item
+          const hrefBase = item.href.split('#')[0]
+          for (const [id, manifestItem] of Object.entries(epub.manifest)) {
+            if (manifestItem.href === hrefBase && manifestItem['media-type']?.startsWith('image/')) {
+              coverId = id
+              break
+            }
+          }
+        }
+      }
+    }
+
+    if (!coverId) {
+      vlog('No cover image found in EPUB metadata or manifest')
+      return null
+    }
+
+    // Get the image using epub2's getImage method
+    return new Promise((resolve) => {
+      epub.getImage(coverId, (err, data, mimeType) => {
+        if (err || !data) {
+          console.log('Failed to extract cover image:', err?.message || 'No data')
+          resolve(null)
+        } else {
+          console.log(`Extracted EPUB cover: ${coverId}, type: ${mimeType}, size: ${data.length} bytes`)
+          resolve({ buffer: data, mimeType: mimeType || 'image/jpeg' })
+        }
+      })
+    })
+  } catch (error) {
+    console.error('Error extracting EPUB cover:', error)
+    return null
+  }
+}
+
+/**
+ * Upload cover image to Firebase Storage
+ * @param {Buffer} imageBuffer - Image data
+ * @param {string} mimeType - Image MIME type
+ * @param {string} userId - User ID for storage path
+ * @param {string} bookId - Book ID for storage path
+ * @returns {Promise<string|null>} Public URL of uploaded cover or null
+ */
+async function uploadCoverToStorage(imageBuffer, mimeType, userId, bookId) {
+  if (!bucket || !imageBuffer) return null
+
+  try {
+    const extension = mimeType.includes('png') ? 'png' : mimeType.includes('gif') ? 'gif' : 'jpg'
+    const storagePath = `covers/${userId}/${bookId}.${extension}`
+
+    const file = bucket.file(storagePath)
+    await file.save(imageBuffer, {
+      contentType: mimeType,
+      metadata: {
+        cacheControl: 'public, max-age=31536000',
+      },
+    })
+    await file.makePublic()
+
+    const coverUrl = `https://storage.googleapis.com/${bucket.name}/${storagePath}`
+    vlog('Cover uploaded to:', coverUrl)
+    return coverUrl
+  } catch (error) {
+    console.error('Failed to upload cover to storage:', error)
+    return null
+  }
+}
+
+/**
+ * Search Google Books for a book cover by title and author
+ * @param {string} title - Book title
+ * @param {string} author - Author name
+ * @returns {Promise<string|null>} Cover image URL or null
+ */
+async function searchGoogleBooksCover(title, author) {
+  if (!title && !author) return null
+
+  const apiKey = process.env.GOOGLE_BOOKS_API_KEY
+  if (!apiKey) {
+    vlog('Google Books API key not configured, skipping')
+    return null
+  }
+
+  try {
+    // Build search query
+    let query = ''
+    if (title) query += `intitle:${title}`
+    if (author) query += (query ? '+' : '') + `inauthor:${author}`
+
+    const params = new URLSearchParams({
+      q: query,
+      key: apiKey,
+      maxResults: '5',
+      fields: 'items(volumeInfo(imageLinks))',
+    })
+
+    const url = `https://www.googleapis.com/books/v1/volumes?${params.toString()}`
+    vlog('Searching Google Books for cover...')
+
+    const response = await fetch(url)
+    if (!response.ok) {
+      console.error(`Google Books API error: ${response.status}`)
+      return null
+    }
+
+    const data = await response.json()
+    const items = data.items || []
+
+    // Find first result with a cover image
+    for (const item of items) {
+      const imageLinks = item.volumeInfo?.imageLinks
+      if (imageLinks) {
+        // Prefer larger images: extraLarge > large > medium > small > thumbnail
+        const coverUrl =
+          imageLinks.extraLarge ||
+          imageLinks.large ||
+          imageLinks.medium ||
+          imageLinks.small ||
+          imageLinks.thumbnail
+
+        if (coverUrl) {
+          // Google Books URLs use http, upgrade to https and remove edge=curl for cleaner image
+          const cleanUrl = coverUrl
+            .replace('http://', 'https://')
+            .replace('&edge=curl', '')
+            .replace('zoom=1', 'zoom=2') // Get larger image
+          vlog('Found Google Books cover:', cleanUrl)
+          return cleanUrl
+        }
+      }
+    }
+
+    vlog('No cover found on Google Books')
+    return null
+  } catch (error) {
+    console.error('Google Books search failed:', error)
+    return null
+  }
+}
+
+/**
+ * Search for a book cover - tries Google Books first, then Open Library
+ * @param {string} title - Book title
+ * @param {string} author - Author name
+ * @returns {Promise<string|null>} Cover image URL or null
+ */
+async function searchBookCover(title, author) {
+  if (!title && !author) return null
+
+  // Try Google Books first
+  let coverUrl = await searchGoogleBooksCover(title, author)
+  if (coverUrl) return coverUrl
+
+  // Fall back to Open Library
+  coverUrl = await searchOpenLibraryCover(title, author)
+  return coverUrl
+}
+
+/**
+ * Search Open Library for a book cover by title and author
+ * @param {string} title - Book title
+ * @param {string} author - Author name
+ * @returns {Promise<string|null>} Cover image URL or null
+ */
+async function searchOpenLibraryCover(title, author) {
+  if (!title && !author) return null
+
+  const OPEN_LIBRARY_SEARCH_URL = 'https://openlibrary.org/search.json'
+  const OPEN_LIBRARY_COVERS_URL = 'https://covers.openlibrary.org/b'
+
+  try {
+    const params = new URLSearchParams()
+    if (title) params.append('title', title)
+    if (author) params.append('author', author)
+    params.append('limit', '3')
+    params.append('fields', 'cover_i')
+
+    const url = `${OPEN_LIBRARY_SEARCH_URL}?${params.toString()}`
+    vlog('Searching Open Library for cover:', url)
+
+    const response = await fetch(url)
+    if (!response.ok) {
+      console.error(`Open Library API error: ${response.status}`)
+      return null
+    }
+
+    const data = await response.json()
+    const docs = data.docs || []
+
+    // Find first result with a cover
+    for (const doc of docs) {
+      if (doc.cover_i) {
+        const coverUrl = `${OPEN_LIBRARY_COVERS_URL}/id/${doc.cover_i}-L.jpg`
+        vlog('Found Open Library cover:', coverUrl)
+        return coverUrl
+      }
+    }
+
+    vlog('No cover found on Open Library')
+    return null
+  } catch (error) {
+    console.error('Open Library search failed:', error)
+    return null
+  }
+}
+
+function getChapterAsync(epub, id) {
+  return new Promise((resolve, reject) => {
+    epub.getChapter(id, (err, text) => {
+      if (err) {
+        console.error('EPUB getChapter error:', err)
+        reject(err)
+      } else {
+        resolve(text || '')
+      }
+    })
+  })
+}
+
+async function extractEpub(filePath) {
+  const epub = await parseEpub(filePath)
+
+  let fullText = ''
+
+  // epub.flow is an array describing the reading order
+  for (const item of epub.flow) {
+    const content = await getChapterAsync(epub, item.id)
+    fullText += htmlToTextWithParagraphs(content) + '\n\n'
+  }
+
+  // Return as single adaptation chunk
+  return splitTextIntoAdaptationChunks(fullText)
+}
+
+/**
+ * Extract EPUB with chapter structure preserved from a pre-parsed epub object.
+ * Returns array of chapters, each with title, originalText, and pages for adaptation.
+ * @param {Object} epub - Already parsed epub object from parseEpub()
+ */
+async function extractEpubWithChaptersFromParsed(epub) {
+  const chapters = []
+
+  // epub.flow is the reading order, epub.toc has chapter titles
+  const tocMap = new Map()
+  if (epub.toc && Array.isArray(epub.toc)) {
+    for (const tocItem of epub.toc) {
+      if (tocItem.id) {
+        tocMap.set(tocItem.id, tocItem.title || tocItem.label || '')
+      }
+      // Handle href-based matching (some EPUBs use href instead of id)
+      if (tocItem.href) {
+        const hrefId = tocItem.href.split('#')[0]
+        tocMap.set(hrefId, tocItem.title || tocItem.label || '')
+      }
+    }
+  }
+
+  let chapterIndex = 0
+  for (const item of epub.flow) {
+    const content = await getChapterAsync(epub, item.id)
+    // Convert HTML to text while preserving paragraph structure
+    const cleanText = htmlToTextWithParagraphs(content)
+
+    // Skip empty chapters (front matter, etc.)
+    if (!cleanText || cleanText.length < 50) {
+      continue
+    }
+
+    // Try to get chapter title from TOC
+    let title = tocMap.get(item.id) || tocMap.get(item.href) || ''
+    if (!title) {
+      // Try to extract title from content (first heading)
+      const headingMatch = content.match(/<h[1-3][^>]*>([^<]+)<\/h[1-3]>/i)
+      if (headingMatch) {
+        title = headingMatch[1].trim()
+      }
+    }
+    if (!title) {
+      title = `Chapter ${chapterIndex + 1}`
+    }
+
+    // Return chapter as single adaptation chunk
+    const words = cleanText.split(/\s+/)
+    const adaptationPages = splitTextIntoAdaptationChunks(cleanText)
+
+    chapters.push({
+      index: chapterIndex,
+      title,
+      originalText: cleanText,
+      adaptationPages, // Chapter text for adaptation
+      wordCount: words.length,
+    })
+
+    chapterIndex++
+  }
+
+  return chapters
+}
+
+/**
+ * Extract EPUB with chapter structure preserved.
+ * Returns array of chapters, each with title, originalText, and pages for adaptation.
+ * @param {string} filePath - Path to EPUB file
+ */
+async function extractEpubWithChapters(filePath) {
+  const epub = await parseEpub(filePath)
+  return extractEpubWithChaptersFromParsed(epub)
+}
+
+// =============================================
+// DOCX / HTML / Markdown / FB2 / MOBI extraction
+// =============================================
+//
+// Each format is reduced to titled sections, which become chapters in the
+// same shape extractEpubWithChapters returns.
+
+/**
+ * Turn titled sections into chapters, skipping near-empty ones (front matter,
+ * part titles) the way EPUB extraction does.
+ * @param {Array<{title: string, text: string}>} sections
+ */
+function buildChaptersFromSections(sections) {
+  const chapters = []
+  for (const section of sections) {
+    const cleanText = (section.text || '').trim()
+    if (cleanText.length < 50) continue
+
+    chapters.push({
+      index: chapters.length,
+      title: section.title || `Chapter ${chapters.length + 1}`,
+      originalText: cleanText,
+      adaptationPages: splitTextIntoAdaptationChunks(cleanText),
+      wordCount: cleanText.split(/\s+/).length,
+    })
+  }
+  return chapters
+}
+
+const headingToTitle = (html) => htmlToTextWithParagraphs(html).replace(/\s+/g, ' ').trim()
+
+/**
+ * Split HTML into sections at its chapter headings: the highest heading level
+ * that appears more than once (so a lone <h1> book title is skipped over).
+ */
+function splitHtmlByHeadings(html) {
+  const level = [1, 2, 3].find((n) => (html.match(new RegExp(`<h${n}[\\s>]`, 'gi')) || []).length > 1)
+  if (!level) {
+    const heading = html.match(/<h[1-3][^>]*>([\s\S]*?)<\/h[1-3]>/i)
+    return [{ title: heading ? headingToTitle(heading[1]) : '', text: htmlToTextWithParagraphs(html) }]
+  }
+
+  const sections = []
+  let title = ''
+  let lastIndex = 0
+  for (const match of html.matchAll(new RegExp(`<h${level}(?:\\s[^>]*)?>([\\s\\S]*?)<\\/h${level}>`, 'gi'))) {
+    sections.push({ title, text: htmlToTextWithParagraphs(html.slice(lastIndex, match.index)) })
+    title = headingToTitle(match[1])
+    lastIndex = match.index + match[0].length
+  }
+  sections.push({ title, text: htmlToTextWithParagraphs(html.slice(lastIndex)) })
+  return sections
+}
+
+// Drop everything in a web page that isn't the text: head, scripts, styles,
+// navigation and comments. Saved articles keep their <article> only.
+function stripHtmlPageChrome(html) {
+  const body = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<head[\s>][\s\S]*?<\/head>/gi, '')
+    .replace(/<(script|style|noscript|svg|nav|header|footer|aside|form)[\s>][\s\S]*?<\/\1>/gi, '')
+  const article = body.match(/<article[\s>][\s\S]*<\/article>/i)
+  return article ? article[0] : body
+}
+
+// Sniff the charset declared in an XML prolog or HTML meta tag
+function decodeDeclaredText(buffer) {
+  const head = buffer.subarray(0, 1024).toString('latin1')
+  const declared = head.match(/encoding=["']([\w-]+)["']/i) || head.match(/charset=["']?([\w-]+)/i)
+  try {
+    return new TextDecoder(declared ? declared[1] : 'utf-8').decode(buffer)
+  } catch {
+    return buffer.toString('utf8')
+  }
+}
+
+async function extractHtmlWithChapters(filePath) {
+  const html = decodeDeclaredText(await fs.readFile(filePath))
+  return { chapters: buildChaptersFromSections(splitHtmlByHeadings(stripHtmlPageChrome(html))), cover: null }
+}
+
+/**
+ * DOCX: word/document.xml paragraphs become HTML paragraphs, and paragraphs
+ * in a heading style (built-in "heading N", "Title", or any style with an
+ * outline level) become headings.
+ */
+async function extractDocxWithChapters(filePath) {
+  const zip = new AdmZip(filePath)
+  const documentXml = zip.readAsText('word/document.xml')
+  if (!documentXml) {
+    throw new Error('DOCX file has no word/document.xml')
+  }
+
+  const headingLevels = new Map()
+  const stylesXml = zip.readAsText('word/styles.xml') || ''
+  for (const style of stylesXml.match(/<w:style\b[\s\S]*?<\/w:style>/g) || []) {
+    const styleId = style.match(/w:styleId="([^"]+)"/)?.[1]
+    const name = style.match(/<w:name w:val="([^"]+)"/)?.[1]?.toLowerCase() || ''
+    const outlineLevel = style.match(/<w:outlineLvl w:val="(\d)"/)?.[1]
+    const headingMatch = name.match(/^heading (\d)$/)
+    if (!styleId) continue
+    if (name === 'title') headingLevels.set(styleId, 1)
+    else if (headingMatch) headingLevels.set(styleId, Number(headingMatch[1]))
+    else if (outlineLevel !== undefined) headingLevels.set(styleId, Number(outlineLevel) + 1)
+  }
+
+  const html = (documentXml.match(/<w:p[\s>][\s\S]*?<\/w:p>/g) || [])
+    .map((paragraph) => {
+      const text = (paragraph.match(/<w:t(?:\s[^>]*)?>[^<]*<\/w:t>|<w:tab\/>|<w:br\/>/g) || [])
+        .map((run) => (run === '<w:tab/>' ? ' ' : run === '<w:br/>' ? '<br/>' : run.replace(/<[^>]+>/g, '')))
+        .join('')
+      if (!text.trim()) return ''
+
+      const styleId = paragraph.match(/<w:pStyle w:val="([^"]+)"/)?.[1]
+      const outlineLevel = paragraph.match(/<w:outlineLvl w:val="(\d)"/)?.[1]
+      const level = headingLevels.get(styleId) ?? (outlineLevel !== undefined ? Number(outlineLevel) + 1 : null)
+      return level && level <= 6 ? `<h${level}>${text}</h${level}>` : `<p>${text}</p>`
+    })
+    .join('\n')
+
+  return { chapters: buildChaptersFromSections(splitHtmlByHeadings(html)), cover: null }
+}
+
+// Markdown to plain text: keep the words, drop the markup
+function markdownToText(markdown) {
+  return normalizeTextWithParagraphs(
+    markdown
+      .replace(/^```.*$/gm, '')
+      .replace(/^ {0,3}(?:[-*_] *){3,}$/gm, '')
+      .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+      .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+      .replace(/<[^>]+>/g, '')
+      .replace(/^ {0,3}>\s?/gm, '')
+      // List items become their own paragraphs
+      .replace(/^\s*(?:[-*+]|\d+[.)])\s+/gm, '\n')
+      .replace(/(\*\*|__)(.+?)\1/g, '$2')
+      .replace(/(\*|_)(\S(?:.*?\S)?)\1/g, '$2')
+      .replace(/`([^`]+)`/g, '$1')
+  )
+}
+
+async function extractMarkdownWithChapters(filePath) {
+  const raw = (await fs.readFile(filePath, 'utf8'))
+    .replace(/\r\n/g, '\n')
+    // YAML front matter
+    .replace(/^---\n[\s\S]*?\n---\n/, '')
+    // Setext headings become ATX headings
+    .replace(/^(.+)\n=+ *$/gm, '# $1')
+    .replace(/^(.+)\n-+ *$/gm, '## $1')
+
+  const level = [1, 2, 3].find((n) => (raw.match(new RegExp(`^#{${n}} `, 'gm')) || []).length > 1)
+  if (!level) {
+    const heading = raw.match(/^#{1,3} (.+)$/m)
+    const text = markdownToText(raw.replace(/^#{1,6} .*$/gm, (line) => `\n${line.replace(/^#+ /, '')}\n`))
+    return { chapters: buildChaptersFromSections([{ title: heading?.[1].trim() || '', text }]), cover: null }
+  }
+
+  const sections = []
+  let title = ''
+  let buffer = []
+  for (const line of raw.split('\n')) {
+    const heading = line.match(new RegExp(`^#{${level}} (.+?)#*$`))
+    if (heading) {
+      sections.push({ title, text: markdownToText(buffer.join('\n')) })
+      title = heading[1].trim()
+      buffer = []
+    } else {
+      // Lower headings stay in the chapter as their own paragraph
+      buffer.push(line.replace(/^#{1,6} (.*)$/, '\n$1\n'))
+    }
+  }
+  sections.push({ title, text: markdownToText(buffer.join('\n')) })
+
+  return { chapters: buildChaptersFromSections(sections), cover: null }
+}
+
+/**
+ * FB2 (FictionBook): every <section> title is a chapter heading. Notes and
+ * comments bodies are skipped; the cover comes from the <coverpage> image's
+ * base64 <binary>.
+ */
+async function extractFb2WithChapters(filePath) {
+  const xml = decodeDeclaredText(await fs.readFile(filePath))
+
+  const mainBodies = [...xml.matchAll(/<body(\s[^>]*)?>([\s\S]*?)<\/body>/g)]
+    .filter((match) => !/name=["'](notes|comments)["']/.test(match[1] || ''))
+    .map((match) => match[2])
+  if (!mainBodies.length) {
+    throw new Error('FB2 file has no <body>')
+  }
+
+  const html = mainBodies
+    .map((body) =>
+      body
+        // The body's own title is the book title, not a chapter
+        .replace(/^\s*<title>[\s\S]*?<\/title>/, '')
+        .replace(/<title>([\s\S]*?)<\/title>/g, '<h2>$1</h2>')
+        .replace(/<(v|subtitle|text-author)>/g, '<p>')
+        .replace(/<\/(v|subtitle|text-author)>/g, '</p>')
+    )
+    .join('\n')
+    // Titles are <p> lines inside the heading; keep them on one line
+    .replace(/<h2>([\s\S]*?)<\/h2>/g, (_, title) => `<h2>${title.replace(/<\/?p>/g, ' ')}</h2>`)
+
+  let cover = null
+  const coverId = xml.match(/<coverpage>[\s\S]*?href=["']#([^"']+)["']/)?.[1]
+  const binary = coverId && [...xml.matchAll(/<binary([^>]*)>([\s\S]*?)<\/binary>/g)]
+    .find((match) => match[1].match(/\bid=["']([^"']+)["']/)?.[1] === coverId)
+  if (binary) {
+    const mimeType = binary[1].match(/content-type=["']([^"']+)["']/)?.[1] || 'image/jpeg'
+    cover = { buffer: Buffer.from(binary[2].replace(/\s+/g, ''), 'base64'), mimeType }
+  }
+
+  return { chapters: buildChaptersFromSections(splitHtmlByHeadings(html)), cover }
+}
+
+/**
+ * MOBI / AZW / AZW3: the book's HTML splits into chapters at MOBI page breaks
+ * or, for KF8, at each file's <html> start, falling back to headings.
+ */
+async function extractMobiWithChapters(filePath) {
+  const { html, cover } = parseMobi(await fs.readFile(filePath))
+
+  const chunks = html.split(/<mbp:pagebreak[^>]*>|(?=<html[\s>])/i).filter((chunk) => chunk.trim())
+  const sections = chunks.length > 1
+    ? chunks.map((chunk) => {
+        const heading = chunk.match(/<h[1-3][^>]*>([\s\S]*?)<\/h[1-3]>/i)
+        return { title: heading ? headingToTitle(heading[1]) : '', text: htmlToTextWithParagraphs(stripHtmlPageChrome(chunk)) }
+      })
+    : splitHtmlByHeadings(stripHtmlPageChrome(html))
+
+  return { chapters: buildChaptersFromSections(sections), cover }
+}
+
+/**
+ * Extract chapters (and an embedded cover, where the format has one) from a
+ * DOCX, HTML, Markdown, FB2 or MOBI/AZW3 file.
+ * @returns {Promise<{chapters: Array, cover: {buffer: Buffer, mimeType: string}|null}>}
+ */
+async function extractDocumentWithChapters(filePath, fileType) {
+  if (fileType === 'docx') return extractDocxWithChapters(filePath)
+  if (fileType === 'html') return extractHtmlWithChapters(filePath)
+  if (fileType === 'md') return extractMarkdownWithChapters(filePath)
+  if (fileType === 'fb2') return extractFb2WithChapters(filePath)
+  if (fileType === 'mobi') return extractMobiWithChapters(filePath)
+  throw new Error(`Unsupported document type: ${fileType}`)
+}
+
+/**
+ * Split text into pages of approximately targetWordCount words.
+ * Tries to break at sentence boundaries when possible.
+ */
+function splitTextIntoPages(text, targetWordCount = 250) {
+  if (!text || !text.trim()) return []
+
+  const words = text.split(/\s+/)
+  const pages = []
+  let buffer = []
+
+  for (let i = 0; i < words.length; i++) {
+    buffer.push(words[i])
+
+    // Check if we've reached target word count
+    if (buffer.length >= targetWordCount) {
+      // Try to find a sentence boundary in the last ~20 words
+      const bufferText = buffer.join(' ')
+      const lastSentenceEnd = Math.max(
+        bufferText.lastIndexOf('. '),
+        bufferText.lastIndexOf('? '),
+        bufferText.lastIndexOf('! '),
+        bufferText.lastIndexOf('." '),
+        bufferText.lastIndexOf('?" '),
+        bufferText.lastIndexOf('!" ')
+      )
+
+      // If we found a sentence boundary in a reasonable position, break there
+      if (lastSentenceEnd > bufferText.length * 0.7) {
+        const pageText = bufferText.slice(0, lastSentenceEnd + 1).trim()
+        const remainder = bufferText.slice(lastSentenceEnd + 1).trim()
+        pages.push(pageText)
+        buffer = remainder ? remainder.split(/\s+/) : []
+      } else {
+        // No good sentence boundary, just break at word count
+        pages.push(bufferText)
+        buffer = []
+      }
+    }
+  }
+
+  // Don't forget remaining text
+  if (buffer.length > 0) {
+    pages.push(buffer.join(' '))
+  }
+
+  return pages
+}
+
+/**
+ * Split chapter into paragraphs for individual adaptation.
+ * Each paragraph is adapted separately, giving the LLM smaller chunks to focus on.
+ * @param {string} text - The text to prepare for adaptation
+ * @returns {string[]} Array of paragraphs for individual adaptation
+ */
+function splitTextIntoAdaptationChunks(text) {
+  if (!text || !text.trim()) return []
+
+  // Normalize whitespace while identifying paragraph breaks
+  let normalizedText = text
+    .replace(/\r\n/g, '\n')           // Normalize line endings
+    .replace(/\n{3,}/g, '\n\n')       // Collapse 3+ newlines to paragraph break
+    .trim()
+
+  // Split into paragraphs for individual adaptation
+  const paragraphs = normalizedText.split('\n\n').filter(p => p.trim())
+
+  return paragraphs
+}
+
+/**
+ * Split text into pages by finding the punctuation break closest to target character count.
+ * Uses sentence endings (. ! ?) and clause punctuation (, ; : —) for natural breaks.
+ * @param {string} text - The text to split
+ * @param {number} targetCharCount - Target characters per page (default ~1400, roughly 250 words)
+ * @returns {string[]} Array of page texts with preserved paragraph markers
+ */
+function splitTextIntoPagesCharBased(text, targetCharCount = 1400) {
+  if (!text || !text.trim()) return []
+
+  // Normalize paragraph breaks to consistent double newline
+  const normalizedText = text.replace(/\n{3,}/g, '\n\n').trim()
+
+  const pages = []
+  let remaining = normalizedText
+
+  while (remaining.length > 0) {
+    if (remaining.length <= targetCharCount * 1.3) {
+      // Remaining text is close enough to one page - take it all
+      pages.push(remaining.trim())
+      break
+    }
+
+    // Find the punctuation break closest to target
+    // Search within 50% to 150% of target to avoid tiny or huge pages
+    const minSearch = Math.floor(targetCharCount * 0.5)
+    const maxSearch = Math.min(remaining.length, Math.floor(targetCharCount * 1.5))
+
+    let closestEnd = -1
+    let closestDistance = Infinity
+
+    // Look for any punctuation followed by space or newline
+    // Includes sentence endings (. ! ?) and clause punctuation (, ; : —)
+    for (let i = minSearch; i < maxSearch; i++) {
+      const char = remaining[i]
+      const nextChar = remaining[i + 1]
+
+      const isSentenceEnd = (char === '.' || char === '!' || char === '?')
+      const isClausePunct = (char === ',' || char === ';' || char === ':' || char === '—')
+
+      if ((isSentenceEnd || isClausePunct) &&
+          (nextChar === ' ' || nextChar === '\n' || nextChar === undefined)) {
+        const distance = Math.abs(i + 1 - targetCharCount)
+        if (distance < closestDistance) {
+          closestDistance = distance
+          closestEnd = i + 1 // Include the punctuation
+        }
+      }
+    }
+
+    let breakPoint
+    if (closestEnd !== -1) {
+      breakPoint = closestEnd
+    } else {
+      // No punctuation found - fall back to word boundary near target
+      const lastSpace = remaining.lastIndexOf(' ', targetCharCount)
+      breakPoint = lastSpace > minSearch ? lastSpace + 1 : targetCharCount
+    }
+
+    const pageText = remaining.slice(0, breakPoint).trim()
+    if (pageText) {
+      pages.push(pageText)
+    }
+    remaining = remaining.slice(breakPoint).trim()
+  }
+
+  return pages
+}
+
+async function extractPagesForFile(file) {
+  if (!file || !file.path) {
+    return []
+  }
+
+  const fileType = detectFileType(file.originalname)
+  vlog('Detected import file type:', fileType, 'for', file.originalname)
+
+  if (fileType === 'txt') return extractTxt(file.path)
+  if (fileType === 'pdf') return extractPdf(file.path)
+  if (fileType === 'epub') return extractEpub(file.path)
+  if (DOCUMENT_FILE_TYPES.includes(fileType)) {
+    const { chapters } = await extractDocumentWithChapters(file.path, fileType)
+    return chapters.flatMap((chapter) => chapter.adaptationPages)
+  }
+
+  // Unknown type for now
+  return [`[STUB] Unknown file type for: ${file.originalname}`]
+}
+
+async function saveImportedBookToFirestore({
+  userId,
+  title,
+  author,
+  originalLanguage,
+  outputLanguage,
+  translationMode,
+  level,
+  isPublicDomain,
+  pages,
+  voiceGender,
+  coverImageUrl = null,
+}) {
+  if (!userId) {
+    throw new Error('userId is required to import a book')
+  }
+
+  // Resolve voice ID for the imported book
+  let voiceId = null
+  let resolvedVoiceGender = voiceGender || 'male'
+  try {
+    const voiceResult = resolveElevenLabsVoiceId(outputLanguage, resolvedVoiceGender)
+    voiceId = voiceResult.voiceId
+    resolvedVoiceGender = voiceResult.voiceGender
+  } catch (voiceErr) {
+    console.error('Failed to resolve voice ID for imported book:', voiceErr.message)
+    // Fall back to default import voice
+    const normalizedLang = normalizeLanguageLabel(outputLanguage)?.toLowerCase()
+    voiceId = normalizedLang ? DEFAULT_IMPORT_VOICE_IDS[normalizedLang] : null
+  }
+
+  const storyRef = firestore
+    .collection('users')
+    .doc(userId)
+    .collection('stories')
+    .doc()
+
+  await storyRef.set({
+    userId,
+    language: outputLanguage,
+    title,
+    author,
+    originalLanguage,
+    outputLanguage,
+    translationMode,
+    level: translationMode === 'graded' ? level : null,
+    isPublicDomain: isPublicDomain === 'true',
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    pageCount: pages.length,
+    adaptedPages: 0,
+    status: 'pending',
+    hasFullAudio: false,
+    audioStatus: 'none',
+    fullAudioUrl: null,
+    voiceId,
+    voiceGender: resolvedVoiceGender,
+    description: `Imported: ${title || 'Untitled book'}`,
+    coverImageUrl,
+  })
+
+  const batch = firestore.batch()
+  const pagesRef = storyRef.collection('pages')
+
+  pages.forEach((text, index) => {
+    const pageDoc = pagesRef.doc(String(index))
+    batch.set(pageDoc, {
+      index,
+      text: text,
+      originalText: text,
+      adaptedText: null,
+      status: 'pending',
+      audioUrl: null,
+      audioStatus: 'pending',
+    })
+  })
+
+  await batch.commit()
+
+  if (coverImageUrl) {
+    ensureSquareCoverForStory(userId, storyRef.id).catch((err) => {
+      console.error('Square cover generation failed (imported book):', err)
+    })
+  }
+
+  return storyRef.id
+}
+
+/**
+ * Save imported flat book (no chapters detected) to Firestore.
+ * Stores adaptation chunks and accumulates adapted text in one blob.
+ * Final 250-word pages are created after all chunks are adapted.
+ */
+// Server-side shared-catalog helper. Mirrors the client helper in
+// src/services/sharedAudiobooks.js — uses admin SDK so it bypasses
+// Firestore rules (server is trusted). Returns the shared doc id, or
+// null on failure. Idempotent for deterministic ids via setDoc+merge,
+// preserves popularityCount and createdByUid on updates.
+async function upsertSharedAudiobookCatalog({
+  kind,
+  sourceType,
+  sourceId,
+  title,
+  author,
+  language,
+  originalLanguage = null,
+  level = null,
+  genre = null,
+  description = null,
+  coverImageUrl = null,
+  coverImageUrlSquare = null,
+  isFlat = null,
+  chapterCount = null,
+  totalWords = null,
+  hasFullAudio = false,
+  durationMs = null,
+  createdByUid,
+}) {
+  if (!sourceType || !sourceId) return null
+  try {
+    const id = `${sourceType}-${String(sourceId)}`
+    const ref = firestore.collection('sharedAudiobooks').doc(id)
+    const existing = await ref.get()
+    const base = {
+      kind,
+      sourceType,
+      sourceId: String(sourceId),
       title: title || 'Untitled',
       author: author || '',
       language: language || '',
@@ -8585,148 +9922,737 @@ async function upsertSharedAudiobookCatalog({
       durationMs: Number.isFinite(durationMs) ? durationMs : null,
       updatedAt: admin.firestore.FieldValue.serverTimestamp(),
     }
-    if (existing.exists) {
-      // Preserve original popularity + creator + createdAt across re-imports.
-      await ref.update(base)
-    } else {
-      await ref.set({
-        ...base,
-        popularityCount: 0,
-        createdByUid: createdByUid || null,
-        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    if (existing.exists) {
+      // Preserve original popularity + creator + createdAt across re-imports.
+      await ref.update(base)
+    } else {
+      await ref.set({
+        ...base,
+        popularityCount: 0,
+        createdByUid: createdByUid || null,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      })
+    }
+    return id
+  } catch (err) {
+    console.warn('upsertSharedAudiobookCatalog failed', err?.message || err)
+    return null
+  }
+}
+
+async function saveImportedFlatBookToFirestore({
+  userId,
+  title,
+  author,
+  originalLanguage,
+  outputLanguage,
+  translationMode,
+  level,
+  adaptationProfile = null,
+  isPublicDomain,
+  originalText,
+  adaptationChunks,
+  chapterHeader,
+  chapterOutline,
+  wordCount,
+  voiceGender,
+  sourceType = 'txt',
+  sourceId = null,
+  coverImageUrl = null,
+}) {
+  if (!userId) {
+    throw new Error('userId is required to import a book')
+  }
+
+  // Resolve voice ID
+  let voiceId = null
+  let resolvedVoiceGender = voiceGender || 'male'
+  try {
+    const voiceResult = resolveElevenLabsVoiceId(outputLanguage, resolvedVoiceGender)
+    voiceId = voiceResult.voiceId
+    resolvedVoiceGender = voiceResult.voiceGender
+  } catch (voiceErr) {
+    console.error('Failed to resolve voice ID for imported book:', voiceErr.message)
+    const normalizedLang = normalizeLanguageLabel(outputLanguage)?.toLowerCase()
+    voiceId = normalizedLang ? DEFAULT_IMPORT_VOICE_IDS[normalizedLang] : null
+  }
+
+  const storyRef = firestore
+    .collection('users')
+    .doc(userId)
+    .collection('stories')
+    .doc()
+
+  await storyRef.set({
+    userId,
+    language: outputLanguage,
+    title,
+    author,
+    originalLanguage,
+    outputLanguage,
+    translationMode,
+    level: translationMode === 'graded' ? level : null,
+    adaptationProfile: translationMode === 'graded' ? adaptationProfile : null,
+    isPublicDomain: isPublicDomain === 'true',
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    // Flat book fields
+    sourceType,
+    isFlat: true,
+    originalText,
+    adaptedTextBlob: '', // Will accumulate adapted text
+    adaptationChunks, // Text chunks to adapt (body paragraphs only)
+    adaptedChunkCount: 0,
+    totalChunks: adaptationChunks.length,
+    totalWords: wordCount,
+    // Pre-parsed structure (header/outline separated from body at import time)
+    chapterHeader: chapterHeader || '',
+    chapterOutline: chapterOutline || '',
+    structureParsed: true, // Structure was parsed at import, not after adaptation
+    status: 'pending',
+    hasFullAudio: false,
+    audioStatus: 'none',
+    fullAudioUrl: null,
+    voiceId,
+    voiceGender: resolvedVoiceGender,
+    description: `Imported: ${title || 'Untitled book'}`,
+    coverImageUrl,
+  })
+
+  if (coverImageUrl) {
+    ensureSquareCoverForStory(userId, storyRef.id).catch((err) => {
+      console.error('Square cover generation failed (imported flat book):', err)
+    })
+  }
+
+  // Public-domain imports also get a shared catalogue entry so other
+  // users can discover them. Protected (copyrighted) imports stay
+  // private. The shared doc is metadata-only — per-user docs hold the
+  // adapted text. Re-imports by other users upsert the same shared id.
+  if (isPublicDomain === 'true' || isPublicDomain === true) {
+    const effectiveSourceId = sourceId || storyRef.id
+    upsertSharedAudiobookCatalog({
+      kind: 'public-domain',
+      sourceType,
+      sourceId: effectiveSourceId,
+      title,
+      author,
+      language: outputLanguage,
+      originalLanguage,
+      level,
+      description: `Imported: ${title || 'Untitled book'}`,
+      coverImageUrl,
+      isFlat: true,
+      totalWords: wordCount,
+      createdByUid: userId,
+    })
+      .then((sharedId) => {
+        if (sharedId) {
+          storyRef
+            .set({ sharedAudiobookId: sharedId }, { merge: true })
+            .catch((err) =>
+              console.warn('sharedAudiobookId link failed (flat)', err?.message || err),
+            )
+        }
+      })
+      .catch((err) => console.warn('shared catalogue write failed (flat)', err?.message || err))
+  }
+
+  return storyRef.id
+}
+
+/**
+ * Save imported book with chapter structure to Firestore.
+ * Works for EPUB, TXT, or any format with detected chapters.
+ * Each chapter stores its full originalText for continuous-scroll rendering.
+ */
+async function saveImportedChapterBookToFirestore({
+  userId,
+  title,
+  author,
+  originalLanguage,
+  outputLanguage,
+  translationMode,
+  level,
+  adaptationProfile = null,
+  isPublicDomain,
+  chapters,
+  voiceGender,
+  sourceType = 'epub', // 'epub', 'txt', etc.
+  sourceId = null,
+  coverImageUrl = null,
+}) {
+  if (!userId) {
+    throw new Error('userId is required to import a book')
+  }
+
+  // Resolve voice ID for the imported book
+  let voiceId = null
+  let resolvedVoiceGender = voiceGender || 'male'
+  try {
+    const voiceResult = resolveElevenLabsVoiceId(outputLanguage, resolvedVoiceGender)
+    voiceId = voiceResult.voiceId
+    resolvedVoiceGender = voiceResult.voiceGender
+  } catch (voiceErr) {
+    console.error('Failed to resolve voice ID for imported book:', voiceErr.message)
+    const normalizedLang = normalizeLanguageLabel(outputLanguage)?.toLowerCase()
+    voiceId = normalizedLang ? DEFAULT_IMPORT_VOICE_IDS[normalizedLang] : null
+  }
+
+  // Calculate totals
+  const totalChapters = chapters.length
+  const totalWords = chapters.reduce((sum, ch) => sum + ch.wordCount, 0)
+
+  const storyRef = firestore
+    .collection('users')
+    .doc(userId)
+    .collection('stories')
+    .doc()
+
+  await storyRef.set({
+    userId,
+    language: outputLanguage,
+    title,
+    author,
+    originalLanguage,
+    outputLanguage,
+    translationMode,
+    level: translationMode === 'graded' ? level : null,
+    adaptationProfile: translationMode === 'graded' ? adaptationProfile : null,
+    isPublicDomain: isPublicDomain === 'true',
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    // Chapter-based book fields
+    sourceType,
+    chapterCount: totalChapters,
+    adaptedChapters: 0,
+    totalWords,
+    status: 'pending',
+    hasFullAudio: false,
+    audioStatus: 'none',
+    fullAudioUrl: null,
+    voiceId,
+    voiceGender: resolvedVoiceGender,
+    description: `Imported: ${title || 'Untitled book'}`,
+    coverImageUrl,
+  })
+
+  // Save chapters
+  const chaptersRef = storyRef.collection('chapters')
+  for (const chapter of chapters) {
+    await chaptersRef.doc(String(chapter.index)).set({
+      index: chapter.index,
+      title: chapter.title,
+      originalText: chapter.originalText,
+      adaptedText: '', // Will be built up during adaptation
+      wordCount: chapter.wordCount,
+      status: 'pending',
+    })
+  }
+
+  if (coverImageUrl) {
+    ensureSquareCoverForStory(userId, storyRef.id).catch((err) => {
+      console.error('Square cover generation failed (imported chapter book):', err)
+    })
+  }
+
+  // Public-domain imports → shared catalogue (see flat-book counterpart).
+  if (isPublicDomain === 'true' || isPublicDomain === true) {
+    const effectiveSourceId = sourceId || storyRef.id
+    upsertSharedAudiobookCatalog({
+      kind: 'public-domain',
+      sourceType,
+      sourceId: effectiveSourceId,
+      title,
+      author,
+      language: outputLanguage,
+      originalLanguage,
+      level,
+      description: `Imported: ${title || 'Untitled book'}`,
+      coverImageUrl,
+      isFlat: false,
+      chapterCount: totalChapters,
+      totalWords,
+      createdByUid: userId,
+    })
+      .then((sharedId) => {
+        if (sharedId) {
+          storyRef
+            .set({ sharedAudiobookId: sharedId }, { merge: true })
+            .catch((err) =>
+              console.warn('sharedAudiobookId link failed (chapter)', err?.message || err),
+            )
+        }
+      })
+      .catch((err) => console.warn('shared catalogue write failed (chapter)', err?.message || err))
+  }
+
+  return storyRef.id
+}
+
+async function adaptPageText({
+  originalText,
+  originalLanguage,
+  outputLanguage,
+  translationMode,
+  level,
+}) {
+  const targetLabel = outputLanguage || 'target language'
+  const simplifiedLevel = mapLevelToSimplified(level)
+
+  // For literal translation mode, use Native level (no simplification)
+  const effectiveLevel = translationMode === 'graded' ? simplifiedLevel : 'Native'
+
+  const response = await client.responses.create({
+    model: 'gpt-4o-mini',
+    input: [
+      {
+        role: 'system',
+        content: ADAPTATION_SYSTEM_PROMPT,
+      },
+      {
+        role: 'user',
+        content: `Adapt the following text to ${effectiveLevel} level in ${targetLabel}:\n\n${originalText}`,
+      },
+    ],
+  })
+
+  const adapted = response?.output?.[0]?.content?.[0]?.text?.trim() || response.output_text?.trim() || ''
+  return adapted
+}
+
+// ============================================================
+// CHAPTER ADAPTATION (new pipeline — import-driven, sequential)
+// ============================================================
+
+const ADAPT_PROMPT_CACHE = {}
+
+// CEFR levels plus native; beginner/intermediate are kept for books
+// imported before the CEFR split
+const ADAPT_PROMPT_FILES = {
+  a1: 'adapt-a1.md',
+  a2: 'adapt-a2.md',
+  b1: 'adapt-b1.md',
+  b2: 'adapt-b2.md',
+  c1: 'adapt-c1.md',
+  native: 'adapt-native.md',
+  beginner: 'adapt-beginner.md',
+  intermediate: 'adapt-intermediate.md',
+}
+
+// Personal adaptation profiles are free text written by the user
+const MAX_ADAPTATION_INSTRUCTIONS_LENGTH = 2000
+
+/**
+ * Read a personal adaptation profile ({ name, instructions }) from a
+ * request body's adaptationProfileName / adaptationInstructions fields.
+ * Returns null when no instructions were given.
+ */
+function parseAdaptationProfile(body = {}) {
+  const instructions = String(body.adaptationInstructions || '').trim().slice(0, MAX_ADAPTATION_INSTRUCTIONS_LENGTH)
+  if (!instructions) return null
+  return { name: String(body.adaptationProfileName || '').trim().slice(0, 100), instructions }
+}
+
+/**
+ * Load the level-specific adaptation prompt from disk, cache it, and
+ * substitute {LANGUAGE} with the target language. A profile's instructions
+ * are appended after the level rules. Throws on unknown level or missing
+ * file so callers can mark the book as failed.
+ */
+async function loadAdaptationPrompt(level, language, instructions = '') {
+  const key = String(level || '').toLowerCase().trim()
+  const fileName = ADAPT_PROMPT_FILES[key]
+  if (!fileName) {
+    throw new Error(`Unknown adaptation level: "${level}" (expected A1–C1 or native)`)
+  }
+  if (!ADAPT_PROMPT_CACHE[fileName]) {
+    const promptPath = path.join(process.cwd(), 'prompts', fileName)
+    ADAPT_PROMPT_CACHE[fileName] = (await fs.readFile(promptPath, 'utf8')).trim()
+  }
+  const template = ADAPT_PROMPT_CACHE[fileName].replace(/\{LANGUAGE\}/g, language || '')
+  const extra = String(instructions || '').trim()
+  if (!extra) return template
+  return `${template}
+
+The reader has also asked for the following. Where it conflicts with the level rules above, follow the reader, but never add to or leave out any of the source's content:
+
+${extra}`
+}
+
+/**
+ * Run GPT-5.4-pro on one chapter's originalText at the reasoning effort
+ * set by ADAPTATION_REASONING (default 'high').
+ * Streams the response so the socket stays active through long reasoning
+ * phases (non-streaming requests die on intermediate proxy/NAT idle
+ * timeouts well before the 20-min SDK timeout). Returns adaptedText with
+ * paragraph breaks preserved (no whitespace collapse).
+ *
+ * `label` (e.g. "book abc123 chapter 2/5 (index=1)") is printed in the
+ * banner so a terminal reader can correlate each adaptation block with its
+ * chapter. Prompt + user message are printed BEFORE the API call so they
+ * remain visible even if the call hangs or fails; response + metadata are
+ * printed AFTER the stream completes.
+ */
+async function adaptOneChapter({ originalText, developerMessage, language, label }) {
+  const userMessage = `Adapt the following chapter into ${language}.\n\n---\n\n${originalText}`
+
+  const rule = '═'.repeat(60)
+  console.log('\n' + rule)
+  console.log(`ADAPTATION — ${label}`)
+  console.log(rule)
+  console.log('\n-- DEVELOPER MESSAGE (verbatim) --')
+  console.log(developerMessage)
+  console.log('\n-- USER MESSAGE (verbatim) --')
+  console.log(userMessage)
+
+  const startedAt = Date.now()
+
+  const stream = await client.responses.create(
+    {
+      model: 'gpt-5.4-pro',
+      instructions: developerMessage,
+      input: [{ role: 'user', content: userMessage }],
+      reasoning: { effort: ADAPTATION_REASONING },
+      max_output_tokens: 100000,
+      text: { format: { type: 'text' } },
+      store: true,
+      stream: true,
+    },
+    {
+      timeout: 1200000, // 20 minutes — xhigh reasoning on long chapters can run long
+    }
+  )
+
+  let adapted = ''
+  for await (const event of stream) {
+    if (event.type === 'response.output_text.delta') {
+      adapted += event.delta
+    }
+  }
+
+  const trimmed = adapted.trim()
+  const durationSec = ((Date.now() - startedAt) / 1000).toFixed(1)
+
+  console.log('\n-- RESPONSE (verbatim) --')
+  console.log(trimmed)
+  console.log('\n-- METADATA --')
+  console.log(`  input chars: ${userMessage.length}`)
+  console.log(`  output chars: ${trimmed.length}`)
+  console.log(`  duration: ${durationSec}s`)
+  console.log(rule + '\n')
+
+  if (!trimmed) {
+    throw new Error('Adaptation returned empty output')
+  }
+  return trimmed
+}
+
+/**
+ * Adapt every chapter of a chapter-based book sequentially, writing each
+ * chapter's adaptedText to Firestore, incrementing adaptedChapters on the
+ * story doc, and flipping status to 'ready' on success or 'failed' on error.
+ *
+ * Never throws — all failures are captured on the story doc so the UI can
+ * reflect them. Intended to be called fire-and-forget from the import handler.
+ */
+async function runChapterAdaptation(userId, bookId, generateAudio = false) {
+  const storyRef = firestore.collection('users').doc(userId).collection('stories').doc(bookId)
+
+  try {
+    const storySnap = await storyRef.get()
+    if (!storySnap.exists) {
+      console.error(`runChapterAdaptation: story not found ${userId}/${bookId}`)
+      return
+    }
+    const story = storySnap.data() || {}
+    const level = story.level
+    const language = story.outputLanguage || story.language
+    // Native imports (e.g. articles already in the target language) keep
+    // their text as written
+    const keepOriginal = story.translationMode === 'native'
+
+    const developerMessage = keepOriginal
+      ? null
+      : await loadAdaptationPrompt(level, language, story.adaptationProfile?.instructions)
+
+    console.log(`[adapt chapter book ${bookId}] starting: level=${keepOriginal ? 'original' : level}, language=${language}`)
+
+    // Reset the counter at the start of a run.
+    await storyRef.update({ adaptedChapters: 0, adaptationError: admin.firestore.FieldValue.delete() })
+
+    const chaptersRef = storyRef.collection('chapters')
+    const chaptersSnap = await chaptersRef.orderBy('index', 'asc').get()
+    const chapterDocs = chaptersSnap.docs
+
+    for (let i = 0; i < chapterDocs.length; i++) {
+      const chapDoc = chapterDocs[i]
+      const chap = chapDoc.data() || {}
+      const originalText = chap.originalText || ''
+      if (!originalText.trim()) {
+        throw new Error(`Chapter ${chap.index} has empty originalText`)
+      }
+
+      console.log(`[adapt chapter book ${bookId}] chapter ${i + 1}/${chapterDocs.length} (index=${chap.index}, ${originalText.length} chars)`)
+
+      const adaptedText = keepOriginal
+        ? originalText
+        : await adaptOneChapter({
+            originalText,
+            developerMessage,
+            language,
+            label: `book ${bookId} chapter ${i + 1}/${chapterDocs.length} (index=${chap.index})`,
+          })
+
+      await chapDoc.ref.update({
+        adaptedText,
+        status: 'ready',
+      })
+      await storyRef.update({ adaptedChapters: i + 1 })
+    }
+
+    await storyRef.update({ status: 'ready' })
+    console.log(`[adapt chapter book ${bookId}] done: ${chapterDocs.length} chapters adapted`)
+
+    // Audio generation — fire-and-forget POST to /api/generate-audio-book,
+    // matching the trigger pattern used by the legacy adapt endpoints and the
+    // generated-book pipeline. Same downstream system, so intensive-mode word
+    // timestamps and full-audio playback work identically across all sources.
+    if (generateAudio) {
+      console.log(`[adapt chapter book ${bookId}] triggering audio generation`)
+      fetch('http://localhost:4000/api/generate-audio-book', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ uid: userId, storyId: bookId }),
+      }).catch((err) => {
+        console.error(`[adapt chapter book ${bookId}] audio trigger failed:`, err)
+      })
+    }
+  } catch (err) {
+    console.error(`[adapt chapter book ${bookId}] FAILED:`, err)
+    try {
+      await storyRef.update({
+        status: 'failed',
+        adaptationError: err?.message || String(err),
+        adaptationFailedAt: admin.firestore.FieldValue.serverTimestamp(),
+      })
+    } catch (updateErr) {
+      console.error(`[adapt chapter book ${bookId}] failed to record failure:`, updateErr)
+    }
+  }
+}
+
+/**
+ * Flat-book adaptation: single GPT-5.4 call on the full originalText,
+ * stored as adaptedText on the story doc itself (flat books have no
+ * chapters subcollection). Same status transitions as chapter adaptation.
+ */
+async function runFlatAdaptation(userId, bookId, generateAudio = false) {
+  const storyRef = firestore.collection('users').doc(userId).collection('stories').doc(bookId)
+
+  try {
+    const storySnap = await storyRef.get()
+    if (!storySnap.exists) {
+      console.error(`runFlatAdaptation: story not found ${userId}/${bookId}`)
+      return
+    }
+    const story = storySnap.data() || {}
+    const level = story.level
+    const language = story.outputLanguage || story.language
+    const originalText = story.originalText || ''
+
+    if (!originalText.trim()) {
+      throw new Error('Flat book has empty originalText')
+    }
+
+    const developerMessage = await loadAdaptationPrompt(level, language, story.adaptationProfile?.instructions)
+
+    console.log(`[adapt flat book ${bookId}] starting: level=${level}, language=${language}, ${originalText.length} chars`)
+
+    await storyRef.update({ adaptedChapters: 0, adaptationError: admin.firestore.FieldValue.delete() })
+
+    const adaptedText = await adaptOneChapter({
+      originalText,
+      developerMessage,
+      language,
+      label: `book ${bookId} FLAT`,
+    })
+
+    await storyRef.update({
+      adaptedText,
+      adaptedChapters: 1,
+      status: 'ready',
+    })
+    console.log(`[adapt flat book ${bookId}] done`)
+
+    // Audio generation — same trigger as runChapterAdaptation. /api/generate-
+    // audio-book handles flat books via the same code path used for generated
+    // books, so word-timestamp output and intensive-mode behaviour are
+    // identical regardless of source.
+    if (generateAudio) {
+      console.log(`[adapt flat book ${bookId}] triggering audio generation`)
+      fetch('http://localhost:4000/api/generate-audio-book', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ uid: userId, storyId: bookId }),
+      }).catch((err) => {
+        console.error(`[adapt flat book ${bookId}] audio trigger failed:`, err)
       })
     }
-    return id
   } catch (err) {
-    console.warn('upsertSharedAudiobookCatalog failed', err?.message || err)
-    return null
+    console.error(`[adapt flat book ${bookId}] FAILED:`, err)
+    try {
+      await storyRef.update({
+        status: 'failed',
+        adaptationError: err?.message || String(err),
+        adaptationFailedAt: admin.firestore.FieldValue.serverTimestamp(),
+      })
+    } catch (updateErr) {
+      console.error(`[adapt flat book ${bookId}] failed to record failure:`, updateErr)
+    }
   }
 }
 
-async function saveImportedFlatBookToFirestore({
-  userId,
-  title,
-  author,
-  originalLanguage,
-  outputLanguage,
-  translationMode,
-  level,
-  isPublicDomain,
-  originalText,
-  adaptationChunks,
-  chapterHeader,
-  chapterOutline,
-  wordCount,
-  voiceGender,
-  sourceType = 'txt',
-  sourceId = null,
-  coverImageUrl = null,
-}) {
-  if (!userId) {
-    throw new Error('userId is required to import a book')
-  }
+async function runAdaptationForBook(bookId) {
+  const bookRef = firestore.collection('books').doc(bookId)
+  const bookSnap = await bookRef.get()
 
-  // Resolve voice ID
-  let voiceId = null
-  let resolvedVoiceGender = voiceGender || 'male'
-  try {
-    const voiceResult = resolveElevenLabsVoiceId(outputLanguage, resolvedVoiceGender)
-    voiceId = voiceResult.voiceId
-    resolvedVoiceGender = voiceResult.voiceGender
-  } catch (voiceErr) {
-    console.error('Failed to resolve voice ID for imported book:', voiceErr.message)
-    const normalizedLang = normalizeLanguageLabel(outputLanguage)?.toLowerCase()
-    voiceId = normalizedLang ? DEFAULT_IMPORT_VOICE_IDS[normalizedLang] : null
+  if (!bookSnap.exists) {
+    throw new Error(`Book not found: ${bookId}`)
   }
 
-  const storyRef = firestore
-    .collection('users')
-    .doc(userId)
-    .collection('stories')
-    .doc()
+  const bookData = bookSnap.data() || {}
+  const {
+    originalLanguage,
+    outputLanguage,
+    translationMode,
+    level,
+    totalPages,
+  } = bookData
 
-  await storyRef.set({
-    userId,
-    language: outputLanguage,
-    title,
-    author,
+  console.log('Starting adaptation for book:', bookId, {
     originalLanguage,
     outputLanguage,
     translationMode,
-    level: translationMode === 'graded' ? level : null,
-    isPublicDomain: isPublicDomain === 'true',
-    createdAt: admin.firestore.FieldValue.serverTimestamp(),
-    // Flat book fields
-    sourceType,
-    isFlat: true,
-    originalText,
-    adaptedTextBlob: '', // Will accumulate adapted text
-    adaptationChunks, // Text chunks to adapt (body paragraphs only)
-    adaptedChunkCount: 0,
-    totalChunks: adaptationChunks.length,
-    totalWords: wordCount,
-    // Pre-parsed structure (header/outline separated from body at import time)
-    chapterHeader: chapterHeader || '',
-    chapterOutline: chapterOutline || '',
-    structureParsed: true, // Structure was parsed at import, not after adaptation
-    status: 'pending',
-    hasFullAudio: false,
-    audioStatus: 'none',
-    fullAudioUrl: null,
-    voiceId,
-    voiceGender: resolvedVoiceGender,
-    description: `Imported: ${title || 'Untitled book'}`,
-    coverImageUrl,
+    level,
+    totalPages,
   })
 
-  if (coverImageUrl) {
-    ensureSquareCoverForStory(userId, storyRef.id).catch((err) => {
-      console.error('Square cover generation failed (imported flat book):', err)
-    })
+  // Mark book as adapting
+  await bookRef.update({
+    status: 'adapting',
+  })
+
+  const pagesRef = bookRef.collection('pages')
+  const pendingSnap = await pagesRef.where('status', '==', 'pending').orderBy('index').get()
+
+  let adaptedCount = bookData.adaptedPages || 0
+
+  for (const doc of pendingSnap.docs) {
+    const pageData = doc.data()
+    const { originalText, index } = pageData
+
+    if (!originalText || typeof originalText !== 'string' || !originalText.trim()) {
+      console.warn(`Skipping empty page ${index} for book ${bookId}`)
+      await doc.ref.update({ status: 'skipped' })
+      continue
+    }
+
+    console.log(`Adapting page ${index} of book ${bookId}`)
+
+    try {
+      const adaptedText = await adaptPageText({
+        originalText,
+        originalLanguage,
+        outputLanguage,
+        translationMode,
+        level,
+      })
+
+      await doc.ref.update({
+        adaptedText,
+        status: 'done',
+      })
+
+      adaptedCount += 1
+      await bookRef.update({
+        adaptedPages: adaptedCount,
+      })
+    } catch (err) {
+      console.error(`Failed to adapt page ${index} of book ${bookId}:`, err)
+      await doc.ref.update({
+        status: 'error',
+        errorMessage: err.message || 'Adaptation failed',
+      })
+    }
   }
 
-  // Public-domain imports also get a shared catalogue entry so other
-  // users can discover them. Protected (copyrighted) imports stay
-  // private. The shared doc is metadata-only — per-user docs hold the
-  // adapted text. Re-imports by other users upsert the same shared id.
-  if (isPublicDomain === 'true' || isPublicDomain === true) {
-    const effectiveSourceId = sourceId || storyRef.id
-    upsertSharedAudiobookCatalog({
-      kind: 'public-domain',
-      sourceType,
-      sourceId: effectiveSourceId,
-      title,
-      author,
-      language: outputLanguage,
-      originalLanguage,
-      level,
-      description: `Imported: ${title || 'Untitled book'}`,
-      coverImageUrl,
-      isFlat: true,
-      totalWords: wordCount,
-      createdByUid: userId,
+  // If every page is done/skipped, mark book as ready
+  if (adaptedCount >= (totalPages || adaptedCount)) {
+    await bookRef.update({
+      status: 'ready',
     })
-      .then((sharedId) => {
-        if (sharedId) {
-          storyRef
-            .set({ sharedAudiobookId: sharedId }, { merge: true })
-            .catch((err) =>
-              console.warn('sharedAudiobookId link failed (flat)', err?.message || err),
-            )
-        }
-      })
-      .catch((err) => console.warn('shared catalogue write failed (flat)', err?.message || err))
   }
 
-  return storyRef.id
+  console.log('Finished adaptation for book:', bookId, 'adaptedPages:', adaptedCount)
 }
 
-/**
- * Save imported book with chapter structure to Firestore.
- * Works for EPUB, TXT, or any format with detected chapters.
- * Each chapter stores its full originalText for continuous-scroll rendering.
- */
-async function saveImportedChapterBookToFirestore({
+// ============================================================
+// TEST MODE LOGGING HELPERS
+// Used exclusively by /api/import-upload when testMode=true.
+// All calls to these are gated by `if (testMode)` at the call site
+// so production imports produce no extra output.
+// ============================================================
+const TEST_MODE_BAR = '═'.repeat(60)
+function tmBanner(label) {
+  console.log(`\n${TEST_MODE_BAR}\n${label}\n${TEST_MODE_BAR}`)
+}
+function tmBlock(label, content) {
+  tmBanner(label)
+  console.log(content)
+}
+function tmKv(obj) {
+  for (const [k, v] of Object.entries(obj)) {
+    console.log(`  ${k}: ${typeof v === 'string' ? v : JSON.stringify(v)}`)
+  }
+}
+
+// One-line-per-import summary banner. Prints unconditionally in default mode
+// and short-circuits in verbose mode (where today's full logs are restored
+// instead). Never called from test-mode paths — test mode has its own VERDICT.
+function printImportSummary({ filename, format, size, structure, chaptersDetected, chaptersDiscarded, chaptersWritten, totalWords, storyDocPath }) {
+  if (IMPORT_VERBOSE) return
+  const rule = '═'.repeat(60)
+  console.log('\n' + rule)
+  console.log(`IMPORT — ${filename}`)
+  console.log(rule)
+  console.log(`  format:              ${format}`)
+  console.log(`  size:                ${size} bytes`)
+  console.log(`  structure:           ${structure}`)
+  console.log(`  chapters detected:   ${chaptersDetected}`)
+  console.log(`  chapters discarded:  ${chaptersDiscarded} (by classifier)`)
+  console.log(`  chapters written:    ${chaptersWritten}`)
+  console.log(`  total words:         ${totalWords}`)
+  console.log(`  story doc:           ${storyDocPath}`)
+  console.log(rule + '\n')
+}
+
+// ============================================================
+// Shared EPUB import pipeline
+// ============================================================
+//
+// Used by /api/import-upload (user uploads an EPUB) and /api/import-gutenberg
+// (server downloads the EPUB from Project Gutenberg). Both callers hand us an
+// EPUB file path + metadata; we parse, classify, paragraph-preserve, save
+// chapter docs, and kick off sequential GPT-5.4 adaptation and per-chapter
+// audio generation. Downstream behaviour (Firestore shape, adaptation flow,
+// audio flow) is identical regardless of source — that's the whole point of
+// pushing Gutenberg through this pipeline.
+//
+// Returns { bookId, chapterCount, chaptersDiscarded, coverImageUrl, testMode }.
+// Throws on failure; caller decides how to surface the error in its response.
+async function processEpubImport({
+  epubPath,
+  filename,
+  fileSize,
   userId,
   title,
   author,
@@ -8734,783 +10660,1129 @@ async function saveImportedChapterBookToFirestore({
   outputLanguage,
   translationMode,
   level,
+  adaptationProfile = null,
   isPublicDomain,
-  chapters,
   voiceGender,
-  sourceType = 'epub', // 'epub', 'txt', etc.
+  generateAudio,
+  sourceType = 'epub',
   sourceId = null,
-  coverImageUrl = null,
+  testMode = false,
 }) {
-  if (!userId) {
-    throw new Error('userId is required to import a book')
-  }
+  // Parse EPUB to extract both chapters and cover
+  const epub = await parseEpub(epubPath)
+  const chapters = await extractEpubWithChaptersFromParsed(epub)
+  vlog('Extracted EPUB chapters:', chapters.length)
 
-  // Resolve voice ID for the imported book
-  let voiceId = null
-  let resolvedVoiceGender = voiceGender || 'male'
-  try {
-    const voiceResult = resolveElevenLabsVoiceId(outputLanguage, resolvedVoiceGender)
-    voiceId = voiceResult.voiceId
-    resolvedVoiceGender = voiceResult.voiceGender
-  } catch (voiceErr) {
-    console.error('Failed to resolve voice ID for imported book:', voiceErr.message)
-    const normalizedLang = normalizeLanguageLabel(outputLanguage)?.toLowerCase()
-    voiceId = normalizedLang ? DEFAULT_IMPORT_VOICE_IDS[normalizedLang] : null
-  }
+  if (testMode) {
+    const joined = chapters.map((c) => c.originalText || '').join('\n\n')
+    tmBlock(
+      'EXTRACTION — RAW OUTPUT',
+      `Total chapters: ${chapters.length}\nConcatenated originalText length: ${joined.length} chars\n\n--- FULL CONCATENATED TEXT ---\n${joined}`
+    )
 
-  // Calculate totals
-  const totalChapters = chapters.length
-  const totalWords = chapters.reduce((sum, ch) => sum + ch.wordCount, 0)
+    tmBanner('FORMAT DIAGNOSTICS')
+    const spineCount = Array.isArray(epub?.flow) ? epub.flow.length : 'n/a'
+    const tocCount = Array.isArray(epub?.toc) ? epub.toc.length : 'n/a'
+    tmKv({
+      spine_item_count: spineCount,
+      toc_entry_count: tocCount,
+    })
+  }
 
-  const storyRef = firestore
-    .collection('users')
-    .doc(userId)
-    .collection('stories')
-    .doc()
+  const epubCover = await extractEpubCover(epub)
 
-  await storyRef.set({
+  return saveChapteredImport({
+    chapters,
+    embeddedCover: epubCover,
+    detectionNote: 'chapter detection is implicit in format (EPUB spine/TOC), no structural scan',
+    filename,
+    fileSize,
     userId,
-    language: outputLanguage,
     title,
     author,
     originalLanguage,
     outputLanguage,
     translationMode,
-    level: translationMode === 'graded' ? level : null,
-    isPublicDomain: isPublicDomain === 'true',
-    createdAt: admin.firestore.FieldValue.serverTimestamp(),
-    // Chapter-based book fields
+    level,
+    adaptationProfile,
+    isPublicDomain,
+    voiceGender,
+    generateAudio,
     sourceType,
-    chapterCount: totalChapters,
-    adaptedChapters: 0,
-    totalWords,
-    status: 'pending',
-    hasFullAudio: false,
-    audioStatus: 'none',
-    fullAudioUrl: null,
-    voiceId,
-    voiceGender: resolvedVoiceGender,
-    description: `Imported: ${title || 'Untitled book'}`,
-    coverImageUrl,
+    sourceId,
+    testMode,
   })
-
-  // Save chapters
-  const chaptersRef = storyRef.collection('chapters')
-  for (const chapter of chapters) {
-    await chaptersRef.doc(String(chapter.index)).set({
-      index: chapter.index,
-      title: chapter.title,
-      originalText: chapter.originalText,
-      adaptedText: '', // Will be built up during adaptation
-      wordCount: chapter.wordCount,
-      status: 'pending',
-    })
-  }
-
-  if (coverImageUrl) {
-    ensureSquareCoverForStory(userId, storyRef.id).catch((err) => {
-      console.error('Square cover generation failed (imported chapter book):', err)
-    })
-  }
-
-  // Public-domain imports → shared catalogue (see flat-book counterpart).
-  if (isPublicDomain === 'true' || isPublicDomain === true) {
-    const effectiveSourceId = sourceId || storyRef.id
-    upsertSharedAudiobookCatalog({
-      kind: 'public-domain',
-      sourceType,
-      sourceId: effectiveSourceId,
-      title,
-      author,
-      language: outputLanguage,
-      originalLanguage,
-      level,
-      description: `Imported: ${title || 'Untitled book'}`,
-      coverImageUrl,
-      isFlat: false,
-      chapterCount: totalChapters,
-      totalWords,
-      createdByUid: userId,
-    })
-      .then((sharedId) => {
-        if (sharedId) {
-          storyRef
-            .set({ sharedAudiobookId: sharedId }, { merge: true })
-            .catch((err) =>
-              console.warn('sharedAudiobookId link failed (chapter)', err?.message || err),
-            )
-        }
-      })
-      .catch((err) => console.warn('shared catalogue write failed (chapter)', err?.message || err))
-  }
-
-  return storyRef.id
 }
 
-async function adaptPageText({
-  originalText,
+// Second half of every import whose format carries its own chapter structure
+// (EPUB, DOCX, HTML, Markdown, FB2, MOBI): cover upload or Open Library
+// lookup, the chapter classifier, chapter docs, and sequential adaptation.
+// `embeddedCover` is the { buffer, mimeType } found in the file, if any.
+async function saveChapteredImport({
+  chapters,
+  embeddedCover = null,
+  detectionNote,
+  filename,
+  fileSize,
+  userId,
+  title,
+  author,
   originalLanguage,
   outputLanguage,
   translationMode,
   level,
+  adaptationProfile = null,
+  isPublicDomain,
+  voiceGender,
+  generateAudio,
+  sourceType,
+  sourceId = null,
+  testMode = false,
 }) {
-  const targetLabel = outputLanguage || 'target language'
-  const simplifiedLevel = mapLevelToSimplified(level)
-
-  // For literal translation mode, use Native level (no simplification)
-  const effectiveLevel = translationMode === 'graded' ? simplifiedLevel : 'Native'
-
-  const response = await client.responses.create({
-    model: 'gpt-4o-mini',
-    input: [
-      {
-        role: 'system',
-        content: ADAPTATION_SYSTEM_PROMPT,
-      },
-      {
-        role: 'user',
-        content: `Adapt the following text to ${effectiveLevel} level in ${targetLabel}:\n\n${originalText}`,
-      },
-    ],
-  })
-
-  const adapted = response?.output?.[0]?.content?.[0]?.text?.trim() || response.output_text?.trim() || ''
-  return adapted
-}
-
-// ============================================================
-// CHAPTER ADAPTATION (new pipeline — import-driven, sequential)
-// ============================================================
-
-const ADAPT_PROMPT_CACHE = {}
-
-/**
- * Load the level-specific adaptation prompt from disk, cache it, and
- * substitute {LANGUAGE} with the target language. Throws on unknown level
- * or missing file so callers can mark the book as failed.
- */
-async function loadAdaptationPrompt(level, language) {
-  const key = String(level || '').toLowerCase().trim()
-  const map = { beginner: 'adapt-beginner.md', intermediate: 'adapt-intermediate.md', native: 'adapt-native.md' }
-  const fileName = map[key]
-  if (!fileName) {
-    throw new Error(`Unknown adaptation level: "${level}" (expected beginner, intermediate, or native)`)
-  }
-  if (!ADAPT_PROMPT_CACHE[fileName]) {
-    const promptPath = path.join(process.cwd(), 'prompts', fileName)
-    ADAPT_PROMPT_CACHE[fileName] = (await fs.readFile(promptPath, 'utf8')).trim()
-  }
-  const template = ADAPT_PROMPT_CACHE[fileName]
-  return template.replace(/\{LANGUAGE\}/g, language || '')
-}
-
-/**
- * Run GPT-5.4-pro on one chapter's originalText at the reasoning effort
- * set by ADAPTATION_REASONING (default 'high').
- * Streams the response so the socket stays active through long reasoning
- * phases (non-streaming requests die on intermediate proxy/NAT idle
- * timeouts well before the 20-min SDK timeout). Returns adaptedText with
- * paragraph breaks preserved (no whitespace collapse).
- *
- * `label` (e.g. "book abc123 chapter 2/5 (index=1)") is printed in the
- * banner so a terminal reader can correlate each adaptation block with its
- * chapter. Prompt + user message are printed BEFORE the API call so they
- * remain visible even if the call hangs or fails; response + metadata are
- * printed AFTER the stream completes.
- */
-async function adaptOneChapter({ originalText, developerMessage, language, label }) {
-  const userMessage = `Adapt the following chapter into ${language}.\n\n---\n\n${originalText}`
-
-  const rule = '═'.repeat(60)
-  console.log('\n' + rule)
-  console.log(`ADAPTATION — ${label}`)
-  console.log(rule)
-  console.log('\n-- DEVELOPER MESSAGE (verbatim) --')
-  console.log(developerMessage)
-  console.log('\n-- USER MESSAGE (verbatim) --')
-  console.log(userMessage)
+  // Classifier state — mutated by the CHAPTER CLASSIFIER block below
+  // (which runs on every import, not just in test mode).
+  let chaptersToSave = chapters
+  let classifierRan = false
+  let classifierExtractedCount = chapters.length
+  let classifierKeptCount = chapters.length
+  let classifierDiscardedCount = 0
 
-  const startedAt = Date.now()
+  let coverImageUrl = null
 
-  const stream = await client.responses.create(
-    {
-      model: 'gpt-5.4-pro',
-      instructions: developerMessage,
-      input: [{ role: 'user', content: userMessage }],
-      reasoning: { effort: ADAPTATION_REASONING },
-      max_output_tokens: 100000,
-      text: { format: { type: 'text' } },
-      store: true,
-      stream: true,
-    },
-    {
-      timeout: 1200000, // 20 minutes — xhigh reasoning on long chapters can run long
+  if (testMode) {
+    if (embeddedCover) {
+      console.log(`  embedded_cover: FOUND  mimeType=${embeddedCover.mimeType}  bytes=${embeddedCover.buffer?.length || 0}`)
+    } else {
+      console.log('  embedded_cover: no embedded cover')
     }
-  )
+  }
 
-  let adapted = ''
-  for await (const event of stream) {
-    if (event.type === 'response.output_text.delta') {
-      adapted += event.delta
-    }
+  if (embeddedCover) {
+    // Generate a temporary book ID for the cover path
+    const tempBookId = `${sourceType}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+    coverImageUrl = await uploadCoverToStorage(
+      embeddedCover.buffer,
+      embeddedCover.mimeType,
+      userId,
+      tempBookId
+    )
+    vlog('Embedded cover extracted and uploaded:', coverImageUrl)
   }
 
-  const trimmed = adapted.trim()
-  const durationSec = ((Date.now() - startedAt) / 1000).toFixed(1)
-
-  console.log('\n-- RESPONSE (verbatim) --')
-  console.log(trimmed)
-  console.log('\n-- METADATA --')
-  console.log(`  input chars: ${userMessage.length}`)
-  console.log(`  output chars: ${trimmed.length}`)
-  console.log(`  duration: ${durationSec}s`)
-  console.log(rule + '\n')
-
-  if (!trimmed) {
-    throw new Error('Adaptation returned empty output')
+  // If the file has no cover, search Open Library
+  if (!coverImageUrl && (title || author)) {
+    vlog('No embedded cover found, searching Open Library...')
+    coverImageUrl = await searchBookCover(title, author)
   }
-  return trimmed
-}
 
-/**
- * Adapt every chapter of a chapter-based book sequentially, writing each
- * chapter's adaptedText to Firestore, incrementing adaptedChapters on the
- * story doc, and flipping status to 'ready' on success or 'failed' on error.
- *
- * Never throws — all failures are captured on the story doc so the UI can
- * reflect them. Intended to be called fire-and-forget from the import handler.
- */
-async function runChapterAdaptation(userId, bookId, generateAudio = false) {
-  const storyRef = firestore.collection('users').doc(userId).collection('stories').doc(bookId)
+  if (testMode) {
+    tmBanner('CHAPTER DETECTION — INPUT')
+    console.log(detectionNote)
 
-  try {
-    const storySnap = await storyRef.get()
-    if (!storySnap.exists) {
-      console.error(`runChapterAdaptation: story not found ${userId}/${bookId}`)
-      return
+    tmBanner('CHAPTER DETECTION — OUTPUT')
+    if (chapters.length === 0) {
+      console.log(`FLAT BOOK — no chapters detected (empty ${sourceType})`)
+    } else {
+      for (const ch of chapters) {
+        const paraCount = (ch.originalText || '').split('\n\n').filter((p) => p.trim()).length
+        console.log(`\n--- CHAPTER index=${ch.index}  title="${ch.title}"  wordCount=${ch.wordCount}  paragraphs=${paraCount} ---`)
+        console.log(ch.originalText)
+      }
+      console.log(`\nSummary: ${chapters.length} chapters detected`)
     }
-    const story = storySnap.data() || {}
-    const level = story.level
-    const language = story.outputLanguage || story.language
-
-    const developerMessage = await loadAdaptationPrompt(level, language)
 
-    console.log(`[adapt chapter book ${bookId}] starting: level=${level}, language=${language}`)
+    tmBanner('AI CALLS DURING EXTRACTION')
+    console.log('No AI calls during extraction for this file type.')
 
-    // Reset the counter at the start of a run.
-    await storyRef.update({ adaptedChapters: 0, adaptationError: admin.firestore.FieldValue.delete() })
+    tmBanner('COVER SEARCH')
+    if (embeddedCover) {
+      console.log(`source: embedded ${sourceType} cover`)
+      console.log(`result_url: ${coverImageUrl || 'upload failed'}`)
+    } else if (title || author) {
+      console.log('source: Open Library (fallback)')
+      console.log(`query: { title: ${JSON.stringify(title || '')}, author: ${JSON.stringify(author || '')} }`)
+      console.log(`result_url: ${coverImageUrl || 'no cover found'}`)
+    } else {
+      console.log('source: (none — no title/author provided and no embedded cover)')
+      console.log('result_url: no cover found')
+    }
+  }
 
-    const chaptersRef = storyRef.collection('chapters')
-    const chaptersSnap = await chaptersRef.orderBy('index', 'asc').get()
-    const chapterDocs = chaptersSnap.docs
+  // CHAPTER CLASSIFIER — runs on every import (filters Gutenberg boilerplate,
+  // TOCs, translator's notes, etc. from the candidate chapter list).
+  tmBanner('CHAPTER CLASSIFIER')
+  if (chapters.length === 0) {
+    console.log('No chapters to classify — skipping.')
+  } else {
+    const classifications = await Promise.all(chapters.map((c) => classifyChapter(c)))
+    classifierRan = true
 
-    for (let i = 0; i < chapterDocs.length; i++) {
-      const chapDoc = chapterDocs[i]
-      const chap = chapDoc.data() || {}
-      const originalText = chap.originalText || ''
-      if (!originalText.trim()) {
-        throw new Error(`Chapter ${chap.index} has empty originalText`)
+    for (let i = 0; i < chapters.length; i++) {
+      const chap = chapters[i]
+      const cls = classifications[i]
+      console.log(`\n--- CLASSIFIER · CHAPTER index=${chap.index} title=${JSON.stringify(chap.title)} wordCount=${chap.wordCount} ---`)
+      console.log('\n-- SYSTEM MESSAGE (verbatim) --')
+      console.log(cls.systemMessage)
+      console.log('\n-- USER MESSAGE (verbatim) --')
+      console.log(cls.userMessage)
+      console.log('\n-- RAW RESPONSE (verbatim) --')
+      console.log(cls.raw ?? '(no response — API error)')
+      if (cls.failed) {
+        console.log('\n** CLASSIFIER FAILURE — defaulting to keep **')
+        if (cls.error) console.log(cls.error.stack || cls.error.message)
       }
+      console.log(`\nDecision: ${cls.decision}`)
+      console.log(`Reason:   ${cls.reason}`)
+    }
 
-      console.log(`[adapt chapter book ${bookId}] chapter ${i + 1}/${chapterDocs.length} (index=${chap.index}, ${originalText.length} chars)`)
+    const kept = []
+    const discarded = []
+    for (let i = 0; i < chapters.length; i++) {
+      const chap = chapters[i]
+      const cls = classifications[i]
+      if (cls.decision === 'keep') {
+        kept.push({ chapter: chap, cls })
+      } else {
+        discarded.push({ chapter: chap, cls })
+      }
+    }
+    const keptReindexed = kept.map(({ chapter }, newIdx) => ({ ...chapter, index: newIdx }))
 
-      const adaptedText = await adaptOneChapter({
-        originalText,
-        developerMessage,
-        language,
-        label: `book ${bookId} chapter ${i + 1}/${chapterDocs.length} (index=${chap.index})`,
-      })
+    chaptersToSave = keptReindexed
+    classifierExtractedCount = chapters.length
+    classifierKeptCount = keptReindexed.length
+    classifierDiscardedCount = discarded.length
 
-      await chapDoc.ref.update({
-        adaptedText,
-        status: 'ready',
-      })
-      await storyRef.update({ adaptedChapters: i + 1 })
+    console.log('\n-- CLASSIFIER SUMMARY --')
+    console.log(`Original chapter count: ${classifierExtractedCount}`)
+    console.log(`Kept:      ${classifierKeptCount}`)
+    console.log(`Discarded: ${classifierDiscardedCount}`)
+    for (const { chapter, cls } of discarded) {
+      console.log(`DISCARDED index=${chapter.index} title=${JSON.stringify(chapter.title)} reason=${JSON.stringify(cls.reason)}`)
+    }
+    console.log('\nFinal kept chapter list (new indices):')
+    for (const k of keptReindexed) {
+      console.log(`  index=${k.index} title=${JSON.stringify(k.title)}`)
     }
+  }
 
-    await storyRef.update({ status: 'ready' })
-    console.log(`[adapt chapter book ${bookId}] done: ${chapterDocs.length} chapters adapted`)
+  const bookId = await saveImportedChapterBookToFirestore({
+    userId,
+    title,
+    author,
+    originalLanguage,
+    outputLanguage,
+    translationMode,
+    level,
+    adaptationProfile,
+    isPublicDomain,
+    chapters: chaptersToSave,
+    voiceGender,
+    sourceType,
+    sourceId,
+    coverImageUrl,
+  })
 
-    // Audio generation — fire-and-forget POST to /api/generate-audio-book,
-    // matching the trigger pattern used by the legacy adapt endpoints and the
-    // generated-book pipeline. Same downstream system, so intensive-mode word
-    // timestamps and full-audio playback work identically across all sources.
-    if (generateAudio) {
-      console.log(`[adapt chapter book ${bookId}] triggering audio generation`)
-      fetch('http://localhost:4000/api/generate-audio-book', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ uid: userId, storyId: bookId }),
-      }).catch((err) => {
-        console.error(`[adapt chapter book ${bookId}] audio trigger failed:`, err)
-      })
+  if (testMode) {
+    tmBanner('FIRESTORE WRITE')
+    const storyPath = `users/${userId}/stories/${bookId}`
+    console.log(`Story doc path: ${storyPath}`)
+    const storyRef = firestore.collection('users').doc(userId).collection('stories').doc(bookId)
+    const storySnap = await storyRef.get()
+    console.log('\n--- STORY DOCUMENT (full contents) ---')
+    console.log(JSON.stringify(storySnap.data(), null, 2))
+
+    const chaptersSnap = await storyRef.collection('chapters').get()
+    console.log(`\nChapter sub-docs: ${chaptersSnap.size}`)
+    for (const chapDoc of chaptersSnap.docs) {
+      console.log(`\n--- CHAPTER DOC path=${storyPath}/chapters/${chapDoc.id} ---`)
+      console.log(JSON.stringify(chapDoc.data(), null, 2))
     }
-  } catch (err) {
-    console.error(`[adapt chapter book ${bookId}] FAILED:`, err)
-    try {
-      await storyRef.update({
-        status: 'failed',
-        adaptationError: err?.message || String(err),
-        adaptationFailedAt: admin.firestore.FieldValue.serverTimestamp(),
-      })
-    } catch (updateErr) {
-      console.error(`[adapt chapter book ${bookId}] failed to record failure:`, updateErr)
+
+    tmBanner('VERDICT')
+    if (classifierRan) {
+      console.log(`VERDICT: ${classifierKeptCount} chapters detected (${classifierExtractedCount} extracted, ${classifierDiscardedCount} discarded)`)
+    } else {
+      console.log(`VERDICT: ${chaptersToSave.length} chapters detected`)
+    }
+
+    return {
+      bookId,
+      chapterCount: chaptersToSave.length,
+      chaptersDiscarded: classifierDiscardedCount,
+      coverImageUrl,
+      testMode: true,
     }
   }
+
+  printImportSummary({
+    filename,
+    format: sourceType,
+    size: fileSize,
+    structure: 'chaptered',
+    chaptersDetected: chapters.length,
+    chaptersDiscarded: chapters.length - chaptersToSave.length,
+    chaptersWritten: chaptersToSave.length,
+    totalWords: chaptersToSave.reduce((sum, c) => sum + (c.wordCount || 0), 0),
+    storyDocPath: `users/${userId}/stories/${bookId}`,
+  })
+
+  // Fire-and-forget chapter adaptation (sequential, new pipeline).
+  // Audio generation triggers from inside runChapterAdaptation once the
+  // last chapter is adapted, when generateAudio is true.
+  runChapterAdaptation(userId, bookId, Boolean(generateAudio)).catch((err) =>
+    console.error(`runChapterAdaptation unhandled error (${sourceType}):`, err)
+  )
+
+  return {
+    bookId,
+    chapterCount: chaptersToSave.length,
+    chaptersDiscarded: chapters.length - chaptersToSave.length,
+    coverImageUrl,
+    testMode: false,
+  }
 }
 
-/**
- * Flat-book adaptation: single GPT-5.4 call on the full originalText,
- * stored as adaptedText on the story doc itself (flat books have no
- * chapters subcollection). Same status transitions as chapter adaptation.
- */
-async function runFlatAdaptation(userId, bookId, generateAudio = false) {
-  const storyRef = firestore.collection('users').doc(userId).collection('stories').doc(bookId)
+// =============================================
+// Vocab import / export (Anki .apkg, CSV)
+// =============================================
 
+// Attach cached pronunciation URLs (and, for .apkg, the audio itself) to vocab entries
+async function attachPronunciationAudio(entries, language, { download = false } = {}) {
+  let voiceId = DEFAULT_IMPORT_VOICE_IDS[language.toLowerCase()] || null
   try {
-    const storySnap = await storyRef.get()
-    if (!storySnap.exists) {
-      console.error(`runFlatAdaptation: story not found ${userId}/${bookId}`)
-      return
-    }
-    const story = storySnap.data() || {}
-    const level = story.level
-    const language = story.outputLanguage || story.language
-    const originalText = story.originalText || ''
+    voiceId = resolveElevenLabsVoiceId(language, 'male').voiceId
+  } catch (err) {
+    // Fall back to the import default voice
+  }
+  if (!voiceId) return entries
+
+  const batchSize = 10
+  for (let i = 0; i < entries.length; i += batchSize) {
+    const batch = entries.slice(i, i + batchSize)
+    await Promise.all(
+      batch.map(async (entry) => {
+        const cached = await getPronunciation(entry.text, language.toLowerCase(), voiceId)
+        if (!cached?.audioUrl) return
+        entry.audioUrl = cached.audioUrl
+        if (!download) return
+        try {
+          const response = await fetch(cached.audioUrl)
+          if (response.ok) entry.audioBuffer = Buffer.from(await response.arrayBuffer())
+        } catch (err) {
+          console.error(`Failed to download pronunciation for "${entry.text}":`, err.message)
+        }
+      })
+    )
+  }
+  return entries
+}
 
-    if (!originalText.trim()) {
-      throw new Error('Flat book has empty originalText')
+app.post('/api/vocab/export', async (req, res) => {
+  try {
+    const { userId, language, format = 'csv', includeAudio = true } = req.body || {}
+
+    if (!userId) {
+      return res.status(400).json({ error: 'userId is required' })
+    }
+    if (!['csv', 'apkg'].includes(format)) {
+      return res.status(400).json({ error: 'format must be csv or apkg' })
+    }
+    if (!firestore) {
+      return res.status(503).json({ error: 'Firestore is not configured' })
     }
 
-    const developerMessage = await loadAdaptationPrompt(level, language)
+    const languageLabel = normalizeLanguageLabel(language) || language
+    let vocabQuery = firestore.collection('users').doc(userId).collection('vocab')
+    if (languageLabel) vocabQuery = vocabQuery.where('language', '==', languageLabel)
+    const snapshot = await vocabQuery.get()
 
-    console.log(`[adapt flat book ${bookId}] starting: level=${level}, language=${language}, ${originalText.length} chars`)
+    const entries = snapshot.docs
+      .map((docSnap) => docSnap.data())
+      .filter((entry) => entry.text)
+      .sort((a, b) => a.text.localeCompare(b.text))
 
-    await storyRef.update({ adaptedChapters: 0, adaptationError: admin.firestore.FieldValue.delete() })
+    const baseName = `intongues-vocab${languageLabel ? `-${languageLabel.toLowerCase()}` : ''}`
 
-    const adaptedText = await adaptOneChapter({
-      originalText,
-      developerMessage,
-      language,
-      label: `book ${bookId} FLAT`,
-    })
+    if (format === 'csv') {
+      if (includeAudio && languageLabel) await attachPronunciationAudio(entries, languageLabel)
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8')
+      res.setHeader('Content-Disposition', `attachment; filename="${baseName}.csv"`)
+      return res.send(buildVocabCsv(entries))
+    }
 
-    await storyRef.update({
-      adaptedText,
-      adaptedChapters: 1,
-      status: 'ready',
+    if (includeAudio && languageLabel) {
+      await attachPronunciationAudio(entries, languageLabel, { download: true })
+    }
+    const apkg = await buildApkg(entries, {
+      deckName: languageLabel ? `inTongues::${languageLabel}` : 'inTongues',
     })
-    console.log(`[adapt flat book ${bookId}] done`)
 
-    // Audio generation — same trigger as runChapterAdaptation. /api/generate-
-    // audio-book handles flat books via the same code path used for generated
-    // books, so word-timestamp output and intensive-mode behaviour are
-    // identical regardless of source.
-    if (generateAudio) {
-      console.log(`[adapt flat book ${bookId}] triggering audio generation`)
-      fetch('http://localhost:4000/api/generate-audio-book', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ uid: userId, storyId: bookId }),
-      }).catch((err) => {
-        console.error(`[adapt flat book ${bookId}] audio trigger failed:`, err)
-      })
+    res.setHeader('Content-Type', 'application/octet-stream')
+    res.setHeader('Content-Disposition', `attachment; filename="${baseName}.apkg"`)
+    return res.send(apkg)
+  } catch (error) {
+    console.error('Error exporting vocab:', error)
+    return res.status(500).json({ error: 'Failed to export vocab' })
+  }
+})
+
+// Parse an uploaded .apkg / .csv / .txt into vocab entries. Nothing is written:
+// the client previews the entries (dry run), resolves conflicts with existing
+// words and saves the chosen ones via upsertVocabEntry.
+app.post('/api/vocab/import/parse', upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'File is required' })
     }
-  } catch (err) {
-    console.error(`[adapt flat book ${bookId}] FAILED:`, err)
-    try {
-      await storyRef.update({
-        status: 'failed',
-        adaptationError: err?.message || String(err),
-        adaptationFailedAt: admin.firestore.FieldValue.serverTimestamp(),
-      })
-    } catch (updateErr) {
-      console.error(`[adapt flat book ${bookId}] failed to record failure:`, updateErr)
+
+    const ext = path.extname(req.file.originalname || '').toLowerCase()
+    const buffer = await fs.readFile(req.file.path)
+
+    let format
+    let parsed
+    if (ext === '.apkg' || ext === '.colpkg') {
+      format = 'apkg'
+      parsed = await parseApkg(buffer)
+    } else if (ext === '.csv' || ext === '.tsv' || ext === '.txt') {
+      format = 'csv'
+      parsed = parseVocabCsv(buffer.toString('utf8'))
+    } else {
+      return res.status(400).json({ error: `Unsupported file type: ${ext || 'unknown'}` })
     }
-  }
-}
 
-async function runAdaptationForBook(bookId) {
-  const bookRef = firestore.collection('books').doc(bookId)
-  const bookSnap = await bookRef.get()
+    return res.json({ format, entries: parsed.entries, warnings: parsed.warnings })
+  } catch (error) {
+    if (error instanceof AnkiImportError) {
+      return res.status(400).json({ error: error.message })
+    }
+    console.error('Error parsing vocab import:', error)
+    return res.status(500).json({ error: 'Failed to read import file' })
+  } finally {
+    if (req.file?.path) fs.unlink(req.file.path).catch(() => {})
+  }
+})
 
-  if (!bookSnap.exists) {
-    throw new Error(`Book not found: ${bookId}`)
+// =============================================
+// Web article import (by URL)
+// =============================================
+//
+// A lightweight readability pass: page metadata gives the title, byline,
+// site name and lead image; the body is the densest run of real paragraphs
+// once scripts, navigation, ads and other page chrome are stripped.
+
+const ARTICLE_FETCH_TIMEOUT_MS = 15000
+const MAX_ARTICLE_REDIRECTS = 5
+const MAX_ARTICLE_HTML_BYTES = 5 * 1024 * 1024
+const MIN_ARTICLE_CHARS = 200
+const MIN_ARTICLE_PARAGRAPH_CHARS = 40
+// Raw HTML between two paragraphs of the same article rarely exceeds this;
+// anything further away is another block of the page (comments, teasers)
+const MAX_ARTICLE_PARAGRAPH_GAP = 4000
+const ARTICLE_BOILERPLATE_PATTERN =
+  /\b(cookies?|subscribe|newsletter|sign up|log in|advertisement|all rights reserved|read more|related articles?|share this|follow us)\b/i
+class ArticleImportError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'ArticleImportError'
   }
+}
 
-  const bookData = bookSnap.data() || {}
-  const {
-    originalLanguage,
-    outputLanguage,
-    translationMode,
-    level,
-    totalPages,
-  } = bookData
+// Only public http(s) pages; the server must not be used to reach itself or
+// the local network
+function parseArticleUrl(rawUrl) {
+  let url
+  try {
+    url = new URL(String(rawUrl || '').trim())
+  } catch {
+    throw new ArticleImportError('That doesn’t look like a web address.')
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new ArticleImportError('Only http and https links can be imported.')
+  }
+  const host = url.hostname.toLowerCase()
+  if (
+    host === 'localhost' ||
+    host.endsWith('.local') ||
+    host.endsWith('.internal') ||
+    host === '[::1]' ||
+    /^(127\.|10\.|0\.|169\.254\.|192\.168\.|172\.(1[6-9]|2\d|3[01])\.)/.test(host)
+  ) {
+    throw new ArticleImportError('That address can’t be imported.')
+  }
+  return url
+}
 
-  console.log('Starting adaptation for book:', bookId, {
-    originalLanguage,
-    outputLanguage,
-    translationMode,
-    level,
-    totalPages,
-  })
+// Loopback, private, link-local, shared (CGNAT), multicast and reserved
+// ranges, for IPv4 and IPv6 (including IPv4-mapped IPv6 addresses)
+function isPrivateAddress(address) {
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split('.').map(Number)
+    return (
+      a === 0 ||
+      a === 10 ||
+      a === 127 ||
+      a >= 224 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168)
+    )
+  }
+  if (!net.isIPv6(address)) return true
+
+  const ip = address.toLowerCase().split('%')[0]
+  const mapped = ip.match(/^::ffff:(?:0:)?(\d+\.\d+\.\d+\.\d+)$/)?.[1]
+  if (mapped) return isPrivateAddress(mapped)
+  const mappedHex = ip.match(/^::ffff:(?:0:)?([0-9a-f]{1,4}):([0-9a-f]{1,4})$/)
+  if (mappedHex) {
+    const high = parseInt(mappedHex[1], 16)
+    const low = parseInt(mappedHex[2], 16)
+    return isPrivateAddress(`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`)
+  }
+  if (ip === '::' || ip === '::1') return true
+  const firstGroup = parseInt(ip.split(':')[0] || '0', 16)
+  return (
+    (firstGroup & 0xfe00) === 0xfc00 || // fc00::/7 unique local
+    (firstGroup & 0xffc0) === 0xfe80 || // fe80::/10 link-local
+    (firstGroup & 0xffc0) === 0xfec0 || // fec0::/10 site-local
+    (firstGroup & 0xff00) === 0xff00 || // ff00::/8 multicast
+    ip.startsWith('64:ff9b:') // NAT64, wraps an IPv4 address
+  )
+}
 
-  // Mark book as adapting
-  await bookRef.update({
-    status: 'adapting',
-  })
+// Links that name an IP address never reach a DNS lookup, so they are
+// checked before the request instead
+function assertPublicHost(url) {
+  const host = url.hostname.replace(/^\[|\]$/g, '')
+  if (net.isIP(host) && isPrivateAddress(host)) {
+    throw new ArticleImportError('That address can’t be imported.')
+  }
+}
 
-  const pagesRef = bookRef.collection('pages')
-  const pendingSnap = await pagesRef.where('status', '==', 'pending').orderBy('index').get()
+// DNS lookup for article connections: resolves every address the host has,
+// refuses private ones and connects to one that was checked, so a second
+// resolution can't swap in a private address (DNS rebinding)
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, { all: true, verbatim: true }).then((entries) => {
+    if (!entries.length || entries.some((entry) => isPrivateAddress(entry.address))) {
+      const err = new Error(`${hostname} resolves to a private address`)
+      err.code = 'EPRIVATEADDRESS'
+      return callback(err)
+    }
+    if (options?.all) return callback(null, entries)
+    return callback(null, entries[0].address, entries[0].family)
+  }, callback)
+}
 
-  let adaptedCount = bookData.adaptedPages || 0
+const articleFetchAgent = new Agent({ connect: { lookup: lookupPublicAddress } })
 
-  for (const doc of pendingSnap.docs) {
-    const pageData = doc.data()
-    const { originalText, index } = pageData
+function getMetaContent(html, names) {
+  for (const name of names) {
+    const tag = html.match(new RegExp(`<meta[^>]+(?:property|name)=["']${name}["'][^>]*>`, 'i'))?.[0]
+    const content = tag?.match(/content=["']([^"']*)["']/i)?.[1]
+    if (content?.trim()) return htmlToTextWithParagraphs(content).trim()
+  }
+  return ''
+}
 
-    if (!originalText || typeof originalText !== 'string' || !originalText.trim()) {
-      console.warn(`Skipping empty page ${index} for book ${bookId}`)
-      await doc.ref.update({ status: 'skipped' })
-      continue
+/**
+ * Pull the main article out of a web page.
+ * @param {string} html - The page
+ * @param {string} pageUrl - Final URL after redirects, for resolving the lead image
+ * @returns {{ title: string, byline: string, siteName: string, language: string, leadImageUrl: string|null, paragraphs: string[] }}
+ */
+function extractWebArticle(html, pageUrl) {
+  const title =
+    getMetaContent(html, ['og:title', 'twitter:title']) ||
+    headingToTitle(html.match(/<h1[^>]*>([\s\S]*?)<\/h1>/i)?.[1] || '') ||
+    headingToTitle(html.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1] || '')
+  const byline =
+    getMetaContent(html, ['author', 'article:author', 'parsely-author', 'twitter:creator']) ||
+    headingToTitle(html.match(/<[^>]+(?:rel=["']author["']|class=["'][^"']*\bbyline\b[^"']*["'])[^>]*>([\s\S]*?)<\/[a-z]+>/i)?.[1] || '')
+  const siteName = getMetaContent(html, ['og:site_name', 'application-name'])
+  const pageLanguage = html.match(/<html[^>]*\slang=["']([a-zA-Z-]+)["']/i)?.[1] || ''
+
+  let leadImageUrl = null
+  const image = getMetaContent(html, ['og:image', 'og:image:url', 'twitter:image'])
+  if (image) {
+    try {
+      leadImageUrl = new URL(image, pageUrl).toString()
+    } catch {
+      leadImageUrl = null
     }
+  }
 
-    console.log(`Adapting page ${index} of book ${bookId}`)
-
-    try {
-      const adaptedText = await adaptPageText({
-        originalText,
-        originalLanguage,
-        outputLanguage,
-        translationMode,
-        level,
-      })
+  const body = stripHtmlPageChrome(html)
 
-      await doc.ref.update({
-        adaptedText,
-        status: 'done',
-      })
+  // Every text block with its position, so nearby paragraphs can be grouped
+  const blocks = [...body.matchAll(/<(p|h2|h3|blockquote)(?:\s[^>]*)?>([\s\S]*?)<\/\1>/gi)].map((match) => {
+    const text = htmlToTextWithParagraphs(match[2]).replace(/\s+/g, ' ').trim()
+    const linkChars = [...match[2].matchAll(/<a\s[^>]*>([\s\S]*?)<\/a>/gi)]
+      .reduce((sum, link) => sum + htmlToTextWithParagraphs(link[1]).length, 0)
+    const isHeading = /^h[23]$/i.test(match[1])
+    return {
+      text,
+      start: match.index,
+      end: match.index + match[0].length,
+      isHeading,
+      isContent:
+        !isHeading &&
+        text.length >= MIN_ARTICLE_PARAGRAPH_CHARS &&
+        linkChars / Math.max(text.length, 1) < 0.5 &&
+        !(text.length < 200 && ARTICLE_BOILERPLATE_PATTERN.test(text)),
+    }
+  })
 
-      adaptedCount += 1
-      await bookRef.update({
-        adaptedPages: adaptedCount,
-      })
-    } catch (err) {
-      console.error(`Failed to adapt page ${index} of book ${bookId}:`, err)
-      await doc.ref.update({
-        status: 'error',
-        errorMessage: err.message || 'Adaptation failed',
-      })
+  // Group content paragraphs that sit close together; the article is the
+  // group holding the most text
+  const groups = []
+  for (const block of blocks.filter((b) => b.isContent)) {
+    const current = groups[groups.length - 1]
+    if (current && block.start - current.end <= MAX_ARTICLE_PARAGRAPH_GAP) {
+      current.end = block.end
+      current.chars += block.text.length
+    } else {
+      groups.push({ start: block.start, end: block.end, chars: block.text.length })
     }
   }
+  const best = groups.reduce((top, group) => (!top || group.chars > top.chars ? group : top), null)
 
-  // If every page is done/skipped, mark book as ready
-  if (adaptedCount >= (totalPages || adaptedCount)) {
-    await bookRef.update({
-      status: 'ready',
-    })
-  }
+  // Subheadings inside the article stay as their own paragraphs
+  const paragraphs = best
+    ? blocks
+        .filter((b) => b.start >= best.start && b.end <= best.end && b.text)
+        .filter((b) => b.isContent || (b.isHeading && b.text.length < 120))
+        .map((b) => b.text)
+    : []
 
-  console.log('Finished adaptation for book:', bookId, 'adaptedPages:', adaptedCount)
+  return {
+    title,
+    byline: byline.replace(/^by\s+/i, ''),
+    siteName,
+    language: LANGUAGE_CODE_TO_NAME[pageLanguage.split('-')[0].toLowerCase()] || '',
+    leadImageUrl,
+    paragraphs,
+  }
 }
 
-// ============================================================
-// TEST MODE LOGGING HELPERS
-// Used exclusively by /api/import-upload when testMode=true.
-// All calls to these are gated by `if (testMode)` at the call site
-// so production imports produce no extra output.
-// ============================================================
-const TEST_MODE_BAR = '═'.repeat(60)
-function tmBanner(label) {
-  console.log(`\n${TEST_MODE_BAR}\n${label}\n${TEST_MODE_BAR}`)
-}
-function tmBlock(label, content) {
-  tmBanner(label)
-  console.log(content)
-}
-function tmKv(obj) {
-  for (const [k, v] of Object.entries(obj)) {
-    console.log(`  ${k}: ${typeof v === 'string' ? v : JSON.stringify(v)}`)
+// Read the page up to MAX_ARTICLE_HTML_BYTES, giving up as soon as the
+// declared or received size passes it rather than buffering it all first
+async function readArticleBody(response) {
+  const tooLarge = () => new ArticleImportError('That page is too large to import.')
+
+  if (Number(response.headers.get('content-length')) > MAX_ARTICLE_HTML_BYTES) {
+    response.body?.cancel().catch(() => {})
+    throw tooLarge()
   }
-}
+  if (!response.body) return Buffer.alloc(0)
 
-// One-line-per-import summary banner. Prints unconditionally in default mode
-// and short-circuits in verbose mode (where today's full logs are restored
-// instead). Never called from test-mode paths — test mode has its own VERDICT.
-function printImportSummary({ filename, format, size, structure, chaptersDetected, chaptersDiscarded, chaptersWritten, totalWords, storyDocPath }) {
-  if (IMPORT_VERBOSE) return
-  const rule = '═'.repeat(60)
-  console.log('\n' + rule)
-  console.log(`IMPORT — ${filename}`)
-  console.log(rule)
-  console.log(`  format:              ${format}`)
-  console.log(`  size:                ${size} bytes`)
-  console.log(`  structure:           ${structure}`)
-  console.log(`  chapters detected:   ${chaptersDetected}`)
-  console.log(`  chapters discarded:  ${chaptersDiscarded} (by classifier)`)
-  console.log(`  chapters written:    ${chaptersWritten}`)
-  console.log(`  total words:         ${totalWords}`)
-  console.log(`  story doc:           ${storyDocPath}`)
-  console.log(rule + '\n')
+  const reader = response.body.getReader()
+  const chunks = []
+  let received = 0
+  try {
+    for (;;) {
+      const { done, value } = await reader.read()
+      if (done) break
+      received += value.byteLength
+      if (received > MAX_ARTICLE_HTML_BYTES) {
+        reader.cancel().catch(() => {})
+        throw tooLarge()
+      }
+      chunks.push(value)
+    }
+  } catch (err) {
+    if (err instanceof ArticleImportError) throw err
+    throw new ArticleImportError('Couldn’t reach that page. Check the link and try again.')
+  }
+  return Buffer.concat(chunks)
 }
 
-// ============================================================
-// Shared EPUB import pipeline
-// ============================================================
-//
-// Used by /api/import-upload (user uploads an EPUB) and /api/import-gutenberg
-// (server downloads the EPUB from Project Gutenberg). Both callers hand us an
-// EPUB file path + metadata; we parse, classify, paragraph-preserve, save
-// chapter docs, and kick off sequential GPT-5.4 adaptation and per-chapter
-// audio generation. Downstream behaviour (Firestore shape, adaptation flow,
-// audio flow) is identical regardless of source — that's the whole point of
-// pushing Gutenberg through this pipeline.
-//
-// Returns { bookId, chapterCount, chaptersDiscarded, coverImageUrl, testMode }.
-// Throws on failure; caller decides how to surface the error in its response.
-async function processEpubImport({
-  epubPath,
-  filename,
-  fileSize,
-  userId,
-  title,
-  author,
-  originalLanguage,
-  outputLanguage,
-  translationMode,
-  level,
-  isPublicDomain,
-  voiceGender,
-  generateAudio,
-  sourceType = 'epub',
-  sourceId = null,
-  testMode = false,
-}) {
-  // Parse EPUB to extract both chapters and cover
-  const epub = await parseEpub(epubPath)
-  const chapters = await extractEpubWithChaptersFromParsed(epub)
-  vlog('Extracted EPUB chapters:', chapters.length)
+async function fetchWebArticle(rawUrl) {
+  let url = parseArticleUrl(rawUrl)
+  const signal = AbortSignal.timeout(ARTICLE_FETCH_TIMEOUT_MS)
 
-  if (testMode) {
-    const joined = chapters.map((c) => c.originalText || '').join('\n\n')
-    tmBlock(
-      'EXTRACTION — RAW OUTPUT',
-      `Total chapters: ${chapters.length}\nConcatenated originalText length: ${joined.length} chars\n\n--- FULL CONCATENATED TEXT ---\n${joined}`
-    )
+  // Redirects are followed by hand so every hop is checked before it is
+  // requested, not after
+  let response
+  for (let hop = 0; ; hop++) {
+    assertPublicHost(url)
+    try {
+      response = await undiciFetch(url, {
+        headers: {
+          'User-Agent': 'Mozilla/5.0 (compatible; inTonguesArticleImport/1.0)',
+          Accept: 'text/html,application/xhtml+xml',
+        },
+        redirect: 'manual',
+        signal,
+        dispatcher: articleFetchAgent,
+      })
+    } catch (err) {
+      if (err?.cause?.code === 'EPRIVATEADDRESS') {
+        throw new ArticleImportError('That address can’t be imported.')
+      }
+      throw new ArticleImportError('Couldn’t reach that page. Check the link and try again.')
+    }
+
+    const location = response.headers.get('location')
+    if (response.status < 300 || response.status >= 400 || !location) break
+    if (hop >= MAX_ARTICLE_REDIRECTS) {
+      throw new ArticleImportError('That link redirects too many times.')
+    }
+    response.body?.cancel().catch(() => {})
+    url = parseArticleUrl(URL.canParse(location, url) ? new URL(location, url).toString() : '')
+  }
 
-    tmBanner('FORMAT DIAGNOSTICS')
-    const spineCount = Array.isArray(epub?.flow) ? epub.flow.length : 'n/a'
-    const tocCount = Array.isArray(epub?.toc) ? epub.toc.length : 'n/a'
-    tmKv({
-      spine_item_count: spineCount,
-      toc_entry_count: tocCount,
-    })
+  if (!response.ok) {
+    throw new ArticleImportError(`The page returned an error (${response.status}).`)
   }
 
-  // Classifier state — mutated by the CHAPTER CLASSIFIER block below
-  // (which runs on every import, not just in test mode).
-  let chaptersToSave = chapters
-  let classifierRan = false
-  let classifierExtractedCount = chapters.length
-  let classifierKeptCount = chapters.length
-  let classifierDiscardedCount = 0
+  const contentType = response.headers.get('content-type') || ''
+  if (contentType && !/html|xml/i.test(contentType)) {
+    throw new ArticleImportError('That link isn’t a web page. Upload files with the file import instead.')
+  }
 
-  // Try to extract cover from EPUB
-  let coverImageUrl = null
-  const epubCover = await extractEpubCover(epub)
+  const buffer = await readArticleBody(response)
 
-  if (testMode) {
-    if (epubCover) {
-      console.log(`  embedded_cover: FOUND  mimeType=${epubCover.mimeType}  bytes=${epubCover.buffer?.length || 0}`)
-    } else {
-      console.log('  embedded_cover: no embedded cover')
-    }
+  const article = extractWebArticle(decodeDeclaredText(buffer), url.toString())
+  const text = article.paragraphs.join('\n\n')
+  if (text.length < MIN_ARTICLE_CHARS) {
+    throw new ArticleImportError('Couldn’t find an article on that page.')
   }
 
-  if (epubCover) {
-    // Generate a temporary book ID for the cover path
-    const tempBookId = `epub_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
-    coverImageUrl = await uploadCoverToStorage(
-      epubCover.buffer,
-      epubCover.mimeType,
-      userId,
-      tempBookId
-    )
-    vlog('EPUB cover extracted and uploaded:', coverImageUrl)
-  }
+  return { ...article, url: url.toString(), text, wordCount: text.split(/\s+/).length }
+}
 
-  // If no cover in EPUB, search Open Library
-  if (!coverImageUrl && (title || author)) {
-    vlog('No EPUB cover found, searching Open Library...')
-    coverImageUrl = await searchBookCover(title, author)
+// Preview: what the import would contain, so the form can prefill the title,
+// author and language before the user commits
+app.post('/api/import-url/preview', async (req, res) => {
+  try {
+    const article = await fetchWebArticle(req.body?.url)
+    return res.json({
+      url: article.url,
+      title: article.title,
+      byline: article.byline,
+      siteName: article.siteName,
+      language: article.language,
+      leadImageUrl: article.leadImageUrl,
+      excerpt: article.paragraphs[0]?.slice(0, 280) || '',
+      wordCount: article.wordCount,
+    })
+  } catch (error) {
+    if (error instanceof ArticleImportError) {
+      return res.status(400).json({ error: 'ARTICLE_IMPORT_FAILED', message: error.message })
+    }
+    console.error('Error previewing article import:', error)
+    return res.status(500).json({ error: 'Failed to load article' })
   }
+})
 
-  if (testMode) {
-    tmBanner('CHAPTER DETECTION — INPUT')
-    console.log('chapter detection is implicit in format (EPUB spine/TOC), no structural scan')
+// Import a web article as a one-chapter story. `translationMode: 'native'`
+// keeps the article as written when it is already in the study language,
+// and otherwise translates it at native level; 'graded' adapts it at
+// `level` through the same pipeline as uploaded books.
+app.post('/api/import-url', async (req, res) => {
+  try {
+    const {
+      url,
+      userId,
+      title,
+      author,
+      originalLanguage,
+      outputLanguage,
+      translationMode = 'graded',
+      level,
+      voiceGender,
+      generateAudio,
+    } = req.body || {}
+    const adaptationProfile = parseAdaptationProfile(req.body)
 
-    tmBanner('CHAPTER DETECTION — OUTPUT')
-    if (chapters.length === 0) {
-      console.log('FLAT BOOK — no chapters detected (EPUB with empty spine)')
-    } else {
-      for (const ch of chapters) {
-        const paraCount = (ch.originalText || '').split('\n\n').filter((p) => p.trim()).length
-        console.log(`\n--- CHAPTER index=${ch.index}  title="${ch.title}"  wordCount=${ch.wordCount}  paragraphs=${paraCount} ---`)
-        console.log(ch.originalText)
-      }
-      console.log(`\nSummary: ${chapters.length} chapters detected`)
+    if (!userId) {
+      return res.status(400).json({ error: 'userId is required' })
+    }
+    if (!normalizeLanguageLabel(outputLanguage)) {
+      return res.status(400).json({ error: 'Unsupported language' })
+    }
+    if (!['graded', 'native'].includes(translationMode)) {
+      return res.status(400).json({ error: 'translationMode must be graded or native' })
     }
 
-    tmBanner('AI CALLS DURING EXTRACTION')
-    console.log('No AI calls during extraction for this file type.')
+    const article = await fetchWebArticle(url)
+    const storyTitle = String(title || '').trim() || article.title || article.siteName || 'Untitled article'
+    const storyAuthor = String(author || '').trim() || article.byline || article.siteName || ''
 
-    tmBanner('COVER SEARCH')
-    if (epubCover) {
-      console.log(`source: embedded EPUB cover`)
-      console.log(`result_url: ${coverImageUrl || 'upload failed'}`)
-    } else if (title || author) {
-      console.log('source: Open Library (fallback)')
-      console.log(`query: { title: ${JSON.stringify(title || '')}, author: ${JSON.stringify(author || '')} }`)
-      console.log(`result_url: ${coverImageUrl || 'no cover found'}`)
-    } else {
-      console.log('source: (none — no title/author provided and no embedded cover)')
-      console.log('result_url: no cover found')
+    const chapters = buildChaptersFromSections([{ title: storyTitle, text: article.text }])
+    const articleLanguage = String(originalLanguage || '').trim() || article.language || ''
+
+    // Keeping the text as written only makes sense in the study language; an
+    // article in any other language is translated without simplifying
+    const keepOriginal =
+      translationMode === 'native' &&
+      normalizeLanguageLabel(articleLanguage) === normalizeLanguageLabel(outputLanguage)
+    const translateAtNative = translationMode === 'native' && !keepOriginal
+
+    const bookId = await saveImportedChapterBookToFirestore({
+      userId,
+      title: storyTitle,
+      author: storyAuthor,
+      originalLanguage: articleLanguage,
+      outputLanguage,
+      translationMode: translateAtNative ? 'graded' : translationMode,
+      level: translateAtNative ? 'Native' : level,
+      adaptationProfile,
+      isPublicDomain: 'false',
+      chapters,
+      voiceGender,
+      sourceType: 'url',
+      coverImageUrl: article.leadImageUrl,
+    })
+
+    await firestore
+      .collection('users')
+      .doc(userId)
+      .collection('stories')
+      .doc(bookId)
+      .set({ sourceUrl: article.url, siteName: article.siteName || null }, { merge: true })
+
+    printImportSummary({
+      filename: article.url,
+      format: 'url',
+      size: article.text.length,
+      structure: 'chaptered',
+      chaptersDetected: chapters.length,
+      chaptersDiscarded: 0,
+      chaptersWritten: chapters.length,
+      totalWords: article.wordCount,
+      storyDocPath: `users/${userId}/stories/${bookId}`,
+    })
+
+    runChapterAdaptation(userId, bookId, generateAudio === true || generateAudio === 'true').catch((err) =>
+      console.error('runChapterAdaptation unhandled error (URL):', err)
+    )
+
+    return res.json({
+      success: true,
+      message: 'Article import processed successfully',
+      bookId,
+      chapterCount: chapters.length,
+      sourceType: 'url',
+      coverImageUrl: article.leadImageUrl,
+    })
+  } catch (error) {
+    if (error instanceof ArticleImportError) {
+      return res.status(400).json({ error: 'ARTICLE_IMPORT_FAILED', message: error.message })
     }
+    console.error('Error importing article:', error)
+    return res.status(500).json({ error: 'Failed to import article' })
   }
+})
 
-  // CHAPTER CLASSIFIER — runs on every import (filters Gutenberg boilerplate,
-  // TOCs, translator's notes, etc. from the candidate chapter list).
-  tmBanner('CHAPTER CLASSIFIER')
-  if (chapters.length === 0) {
-    console.log('No chapters to classify — skipping.')
-  } else {
-    const classifications = await Promise.all(chapters.map((c) => classifyChapter(c)))
-    classifierRan = true
+// =============================================
+// OCR import (scanned PDFs and photographed pages)
+// =============================================
+//
+// Runs the local tesseract CLI (PDF pages are rendered with poppler's
+// pdftoppm first) and returns the recognised text page by page. Nothing is
+// saved: the client shows the pages for review and reordering, then uploads
+// the corrected text to /api/import-upload as a .txt file.
+
+const TESSERACT_BIN = process.env.TESSERACT_PATH || 'tesseract'
+const PDFTOPPM_BIN = process.env.PDFTOPPM_PATH || 'pdftoppm'
+const MAX_OCR_PAGES = 150
+const OCR_RENDER_DPI = 300
+const OCR_PAGE_TIMEOUT_MS = 2 * 60 * 1000
+const OCR_RENDER_TIMEOUT_MS = 10 * 60 * 1000
+
+// Tesseract traineddata names, keyed by language name or ISO 639-1 code
+const OCR_LANGUAGE_CODES = {
+  english: 'eng', en: 'eng',
+  spanish: 'spa', es: 'spa',
+  french: 'fra', fr: 'fra',
+  italian: 'ita', it: 'ita',
+  russian: 'rus', ru: 'rus',
+  german: 'deu', de: 'deu',
+  portuguese: 'por', pt: 'por',
+  dutch: 'nld', nl: 'nld',
+  catalan: 'cat', ca: 'cat',
+  polish: 'pol', pl: 'pol',
+}
 
-    for (let i = 0; i < chapters.length; i++) {
-      const chap = chapters[i]
-      const cls = classifications[i]
-      console.log(`\n--- CLASSIFIER · CHAPTER index=${chap.index} title=${JSON.stringify(chap.title)} wordCount=${chap.wordCount} ---`)
-      console.log('\n-- SYSTEM MESSAGE (verbatim) --')
-      console.log(cls.systemMessage)
-      console.log('\n-- USER MESSAGE (verbatim) --')
-      console.log(cls.userMessage)
-      console.log('\n-- RAW RESPONSE (verbatim) --')
-      console.log(cls.raw ?? '(no response — API error)')
-      if (cls.failed) {
-        console.log('\n** CLASSIFIER FAILURE — defaulting to keep **')
-        if (cls.error) console.log(cls.error.stack || cls.error.message)
+// The book's language first; English as a fallback model for front matter
+// and loanwords
+function resolveOcrLanguages(originalLanguage) {
+  const code = OCR_LANGUAGE_CODES[String(originalLanguage || '').trim().toLowerCase()]
+  return code && code !== 'eng' ? `${code}+eng` : 'eng'
+}
+
+function runOcrCommand(command, args, { timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn(command, args)
+    let stdout = ''
+    let stderr = ''
+    const timer = setTimeout(() => {
+      proc.kill('SIGKILL')
+      reject(new Error(`${command} timed out after ${timeoutMs}ms`))
+    }, timeoutMs)
+    proc.stdout.on('data', (d) => { stdout += d.toString() })
+    proc.stderr.on('data', (d) => { stderr += d.toString() })
+    proc.on('error', (err) => {
+      clearTimeout(timer)
+      reject(err)
+    })
+    proc.on('close', (code) => {
+      clearTimeout(timer)
+      if (code !== 0) {
+        return reject(new Error(`${command} exited ${code}: ${stderr.slice(0, 500)}`))
       }
-      console.log(`\nDecision: ${cls.decision}`)
-      console.log(`Reason:   ${cls.reason}`)
+      resolve({ stdout, stderr })
+    })
+  })
+}
+
+/**
+ * Rebuild paragraphs from tesseract's TSV output: words joined into lines,
+ * lines into paragraphs (re-joining words hyphenated across a line break).
+ * @returns {{ text: string, confidence: number|null }} confidence is the mean word confidence, 0–100
+ */
+function parseTesseractTsv(tsv) {
+  const paragraphs = new Map()
+  let confidenceSum = 0
+  let wordCount = 0
+
+  for (const row of tsv.split('\n').slice(1)) {
+    const cols = row.split('\t')
+    // level 5 = word; columns: level page block par line word left top width height conf text
+    if (cols.length < 12 || cols[0] !== '5' || !cols[11].trim()) continue
+
+    const paragraphKey = `${cols[2]}.${cols[3]}`
+    if (!paragraphs.has(paragraphKey)) paragraphs.set(paragraphKey, new Map())
+    const lines = paragraphs.get(paragraphKey)
+    if (!lines.has(cols[4])) lines.set(cols[4], [])
+    lines.get(cols[4]).push(cols[11].trim())
+
+    const confidence = Number(cols[10])
+    if (confidence >= 0) {
+      confidenceSum += confidence
+      wordCount++
+    }
+  }
+
+  const text = [...paragraphs.values()]
+    .map((lines) =>
+      [...lines.values()]
+        .map((words) => words.join(' '))
+        .reduce((paragraph, line) => {
+          if (!paragraph) return line
+          return /\p{L}-$/u.test(paragraph) ? paragraph.slice(0, -1) + line : `${paragraph} ${line}`
+        }, '')
+    )
+    .filter(Boolean)
+    .join('\n\n')
+
+  return { text, confidence: wordCount ? Math.round(confidenceSum / wordCount) : null }
+}
+
+async function ocrImage(imagePath, languages) {
+  const { stdout } = await runOcrCommand(
+    TESSERACT_BIN,
+    [imagePath, 'stdout', '-l', languages, '--psm', '3', 'tsv'],
+    { timeoutMs: OCR_PAGE_TIMEOUT_MS }
+  )
+  return parseTesseractTsv(stdout)
+}
+
+// Render each PDF page to a greyscale PNG, in page order
+async function rasterizePdfPages(pdfPath, outDir, prefix, maxPages) {
+  await runOcrCommand(
+    PDFTOPPM_BIN,
+    ['-r', String(OCR_RENDER_DPI), '-gray', '-png', '-l', String(maxPages), pdfPath, path.join(outDir, prefix)],
+    { timeoutMs: OCR_RENDER_TIMEOUT_MS }
+  )
+  const rendered = (await fs.readdir(outDir)).filter((name) => name.startsWith(`${prefix}-`)).sort()
+  return rendered.map((name) => path.join(outDir, name))
+}
+
+// OCR uploaded page images and/or scanned PDFs, in the order they were sent
+app.post('/api/import-upload/ocr', upload.array('files', MAX_OCR_PAGES), async (req, res) => {
+  const files = req.files || []
+  let tmpDir = null
+
+  try {
+    if (!files.length) {
+      return res.status(400).json({ error: 'At least one file is required' })
     }
 
-    const kept = []
-    const discarded = []
-    for (let i = 0; i < chapters.length; i++) {
-      const chap = chapters[i]
-      const cls = classifications[i]
-      if (cls.decision === 'keep') {
-        kept.push({ chapter: chap, cls })
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ocr-'))
+    const languages = resolveOcrLanguages(req.body?.originalLanguage)
+
+    const images = []
+    for (const [fileIndex, file] of files.entries()) {
+      const fileType = detectFileType(file.originalname)
+      if (fileType === 'pdf') {
+        images.push(...(await rasterizePdfPages(file.path, tmpDir, `pdf${fileIndex}`, MAX_OCR_PAGES - images.length)))
+      } else if (fileType === 'image') {
+        images.push(file.path)
       } else {
-        discarded.push({ chapter: chap, cls })
+        return res.status(400).json({
+          error: 'UNSUPPORTED_FILE_TYPE',
+          message: 'OCR import accepts scanned .pdf files and .jpg or .png photos of pages.',
+        })
       }
+      if (images.length >= MAX_OCR_PAGES) break
     }
-    const keptReindexed = kept.map(({ chapter }, newIdx) => ({ ...chapter, index: newIdx }))
 
-    chaptersToSave = keptReindexed
-    classifierExtractedCount = chapters.length
-    classifierKeptCount = keptReindexed.length
-    classifierDiscardedCount = discarded.length
+    vlog(`OCR import: ${images.length} pages, languages=${languages}`)
 
-    console.log('\n-- CLASSIFIER SUMMARY --')
-    console.log(`Original chapter count: ${classifierExtractedCount}`)
-    console.log(`Kept:      ${classifierKeptCount}`)
-    console.log(`Discarded: ${classifierDiscardedCount}`)
-    for (const { chapter, cls } of discarded) {
-      console.log(`DISCARDED index=${chapter.index} title=${JSON.stringify(chapter.title)} reason=${JSON.stringify(cls.reason)}`)
+    const pages = []
+    for (const [index, imagePath] of images.slice(0, MAX_OCR_PAGES).entries()) {
+      const { text, confidence } = await ocrImage(imagePath, languages)
+      pages.push({ index, text, confidence })
     }
-    console.log('\nFinal kept chapter list (new indices):')
-    for (const k of keptReindexed) {
-      console.log(`  index=${k.index} title=${JSON.stringify(k.title)}`)
+
+    if (!pages.some((page) => page.text.trim())) {
+      return res.status(400).json({
+        error: 'NO_TEXT_FOUND',
+        message: 'No text could be recognised. Try sharper, well-lit photos taken straight on.',
+      })
+    }
+
+    return res.json({ success: true, languages, pages })
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      console.error('OCR tools missing:', error.message)
+      return res.status(500).json({
+        error: 'OCR_UNAVAILABLE',
+        message: 'OCR is not set up on this server (tesseract and pdftoppm are required).',
+      })
     }
+    console.error('Error running OCR import:', error)
+    return res.status(500).json({ error: 'OCR_FAILED', message: 'Text recognition failed. Please try again.' })
+  } finally {
+    if (tmpDir) fs.rm(tmpDir, { recursive: true, force: true }).catch(() => {})
+    for (const file of files) fs.unlink(file.path).catch(() => {})
   }
+})
 
-  const bookId = await saveImportedChapterBookToFirestore({
-    userId,
-    title,
-    author,
-    originalLanguage,
-    outputLanguage,
-    translationMode,
-    level,
-    isPublicDomain,
-    chapters: chaptersToSave,
-    voiceGender,
-    sourceType,
-    sourceId,
-    coverImageUrl,
-  })
+// =============================================
+// Adaptation preview (one page, side by side)
+// =============================================
+//
+// Adapts a single page of an uploaded book with the chosen level and
+// adaptation profile, so the reader can compare before committing the
+// whole book. Nothing is saved.
 
-  if (testMode) {
-    tmBanner('FIRESTORE WRITE')
-    const storyPath = `users/${userId}/stories/${bookId}`
-    console.log(`Story doc path: ${storyPath}`)
-    const storyRef = firestore.collection('users').doc(userId).collection('stories').doc(bookId)
-    const storySnap = await storyRef.get()
-    console.log('\n--- STORY DOCUMENT (full contents) ---')
-    console.log(JSON.stringify(storySnap.data(), null, 2))
+const PREVIEW_PAGE_WORDS = 300
+// Paragraphs shorter than this at the start are headings, titles or front
+// matter; the sample starts at the first real paragraph of prose
+const PREVIEW_MIN_PARAGRAPH_WORDS = 40
 
-    const chaptersSnap = await storyRef.collection('chapters').get()
-    console.log(`\nChapter sub-docs: ${chaptersSnap.size}`)
-    for (const chapDoc of chaptersSnap.docs) {
-      console.log(`\n--- CHAPTER DOC path=${storyPath}/chapters/${chapDoc.id} ---`)
-      console.log(JSON.stringify(chapDoc.data(), null, 2))
+const countPreviewWords = (text) => (text.match(/\S+/g) || []).length
+
+async function extractBookSections(filePath, fileType) {
+  if (fileType === 'epub') {
+    return (await extractEpubWithChapters(filePath)).map((c) => c.originalText)
+  }
+  if (DOCUMENT_FILE_TYPES.includes(fileType)) {
+    return (await extractDocumentWithChapters(filePath, fileType)).chapters.map((c) => c.originalText)
+  }
+  if (fileType === 'pdf') {
+    return [(await extractPdf(filePath)).originalText]
+  }
+  if (fileType === 'txt') {
+    const raw = await fs.readFile(filePath, 'utf8')
+    return [normalizeTextWithParagraphs(stripGutenbergBoilerplate(stripRtfMarkup(raw)))]
+  }
+  return []
+}
+
+// About one printed page from the start of the first section with real prose
+function pickPreviewPage(sections) {
+  for (const section of sections) {
+    const paragraphs = String(section || '').split(/\n\s*\n/).map((p) => p.trim()).filter(Boolean)
+    const start = paragraphs.findIndex((p) => countPreviewWords(p) >= PREVIEW_MIN_PARAGRAPH_WORDS)
+    if (start === -1) continue
+
+    const page = []
+    let words = 0
+    for (const paragraph of paragraphs.slice(start)) {
+      if (words >= PREVIEW_PAGE_WORDS) break
+      page.push(paragraph)
+      words += countPreviewWords(paragraph)
     }
+    return page.join('\n\n')
+  }
+  return ''
+}
 
-    tmBanner('VERDICT')
-    if (classifierRan) {
-      console.log(`VERDICT: ${classifierKeptCount} chapters detected (${classifierExtractedCount} extracted, ${classifierDiscardedCount} discarded)`)
-    } else {
-      console.log(`VERDICT: ${chaptersToSave.length} chapters detected`)
+/**
+ * Adapt the preview page of a book's sections. Throws with code
+ * NO_TEXT_FOUND or UNKNOWN_LEVEL for problems the reader can fix.
+ * @returns {Promise<{ original: string, adapted: string }>}
+ */
+async function adaptPreviewPage(sections, { level, language, instructions, label }) {
+  const original = pickPreviewPage(sections)
+  if (!original) {
+    const err = new Error('No readable text was found in this file.')
+    err.code = 'NO_TEXT_FOUND'
+    throw err
+  }
+
+  let developerMessage
+  try {
+    developerMessage = await loadAdaptationPrompt(level, language, instructions)
+  } catch (levelErr) {
+    levelErr.code = 'UNKNOWN_LEVEL'
+    throw levelErr
+  }
+
+  const adapted = await adaptOneChapter({ originalText: original, developerMessage, language, label })
+  return { original, adapted }
+}
+
+app.post('/api/adaptation/preview', upload.single('file'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'File is required' })
+  }
+
+  try {
+    const { outputLanguage, level } = req.body || {}
+    const language = normalizeLanguageLabel(outputLanguage)
+    if (!language) {
+      return res.status(400).json({ error: 'Unsupported language' })
     }
 
-    return {
-      bookId,
-      chapterCount: chaptersToSave.length,
-      chaptersDiscarded: classifierDiscardedCount,
-      coverImageUrl,
-      testMode: true,
+    const fileType = detectFileType(req.file.originalname)
+    let sections
+    try {
+      sections = await extractBookSections(req.file.path, fileType)
+    } catch (extractErr) {
+      if (extractErr.code === 'SCANNED_PDF_NOT_SUPPORTED') {
+        return res.status(400).json({
+          error: 'SCANNED_PDF_NOT_SUPPORTED',
+          message: 'This PDF is scanned, so there is no text to preview yet.',
+        })
+      }
+      throw extractErr
     }
-  }
-
-  printImportSummary({
-    filename,
-    format: sourceType,
-    size: fileSize,
-    structure: 'chaptered',
-    chaptersDetected: chapters.length,
-    chaptersDiscarded: chapters.length - chaptersToSave.length,
-    chaptersWritten: chaptersToSave.length,
-    totalWords: chaptersToSave.reduce((sum, c) => sum + (c.wordCount || 0), 0),
-    storyDocPath: `users/${userId}/stories/${bookId}`,
-  })
 
-  // Fire-and-forget chapter adaptation (sequential, new pipeline).
-  // Audio generation triggers from inside runChapterAdaptation once the
-  // last chapter is adapted, when generateAudio is true.
-  runChapterAdaptation(userId, bookId, Boolean(generateAudio)).catch((err) =>
-    console.error(`runChapterAdaptation unhandled error (${sourceType}):`, err)
-  )
+    const { original, adapted } = await adaptPreviewPage(sections, {
+      level,
+      language,
+      instructions: parseAdaptationProfile(req.body)?.instructions,
+      label: `preview ${req.file.originalname} (${level})`,
+    })
 
-  return {
-    bookId,
-    chapterCount: chaptersToSave.length,
-    chaptersDiscarded: chapters.length - chaptersToSave.length,
-    coverImageUrl,
-    testMode: false,
+    return res.json({ success: true, level, original, adapted })
+  } catch (error) {
+    if (error.code === 'NO_TEXT_FOUND' || error.code === 'UNKNOWN_LEVEL') {
+      return res.status(400).json({ error: error.code, message: error.message })
+    }
+    console.error('Adaptation preview failed:', error)
+    return res.status(500).json({ error: 'PREVIEW_FAILED', message: 'Could not preview the adaptation. Please try again.' })
+  } finally {
+    fs.unlink(req.file.path).catch(() => {})
   }
-}
+})
 
 app.post('/api/import-upload', upload.single('file'), async (req, res) => {
   const testMode = req.body?.testMode === 'true'
@@ -9533,12 +11805,14 @@ app.post('/api/import-upload', upload.single('file'), async (req, res) => {
       voiceGender,
       generateAudio,
     } = req.body || {}
+    const adaptationProfile = parseAdaptationProfile(req.body)
 
     const metadata = {
       originalLanguage,
       outputLanguage,
       translationMode,
       level,
+      adaptationProfile,
       author,
       title,
       isPublicDomain,
@@ -9578,6 +11852,7 @@ app.post('/api/import-upload', upload.single('file'), async (req, res) => {
         outputLanguage,
         translationMode,
         level,
+        adaptationProfile,
         isPublicDomain,
         voiceGender,
         generateAudio: generateAudio === 'true',
@@ -9608,6 +11883,74 @@ app.post('/api/import-upload', upload.single('file'), async (req, res) => {
       })
     }
 
+    // DOCX, HTML, Markdown, FB2 and MOBI/AZW3 carry their own chapter
+    // structure, so after extraction they follow the EPUB pipeline.
+    if (DOCUMENT_FILE_TYPES.includes(fileType)) {
+      failedStep = `extract-${fileType}`
+      const { chapters, cover } = await extractDocumentWithChapters(req.file.path, fileType)
+      vlog(`Extracted ${fileType.toUpperCase()} chapters:`, chapters.length)
+
+      if (!chapters.length) {
+        return res.status(400).json({
+          error: 'NO_TEXT_FOUND',
+          message: 'No readable text was found in this file.',
+        })
+      }
+
+      if (testMode) {
+        const joined = chapters.map((c) => c.originalText || '').join('\n\n')
+        tmBlock(
+          'EXTRACTION — RAW OUTPUT',
+          `Total chapters: ${chapters.length}\nConcatenated originalText length: ${joined.length} chars\n\n--- FULL CONCATENATED TEXT ---\n${joined}`
+        )
+        tmBanner('FORMAT DIAGNOSTICS')
+      }
+
+      failedStep = `${fileType}-pipeline`
+      const result = await saveChapteredImport({
+        chapters,
+        embeddedCover: cover,
+        detectionNote: `chapter detection follows the ${fileType.toUpperCase()} file's headings/sections, no structural scan`,
+        filename: req.file.originalname,
+        fileSize: req.file.size,
+        userId,
+        title,
+        author,
+        originalLanguage,
+        outputLanguage,
+        translationMode,
+        level,
+        adaptationProfile,
+        isPublicDomain,
+        voiceGender,
+        generateAudio: generateAudio === 'true',
+        sourceType: fileType,
+        testMode,
+      })
+
+      if (result.testMode) {
+        return res.json({
+          success: true,
+          testMode: true,
+          bookId: result.bookId,
+          sourceType: fileType,
+          isFlat: false,
+          chapterCount: result.chapterCount,
+          chunkCount: null,
+          coverImageUrl: result.coverImageUrl,
+        })
+      }
+
+      return res.json({
+        success: true,
+        message: `${fileType.toUpperCase()} import processed successfully`,
+        bookId: result.bookId,
+        chapterCount: result.chapterCount,
+        sourceType: fileType,
+        coverImageUrl: result.coverImageUrl,
+      })
+    }
+
     // Handle TXT with structural chapter detection
     if (fileType === 'txt') {
       // Test-mode format diagnostics: read raw file to measure pre/post strip state.
@@ -9794,6 +12137,7 @@ app.post('/api/import-upload', upload.single('file'), async (req, res) => {
           outputLanguage,
           translationMode,
           level,
+          adaptationProfile,
           isPublicDomain,
           originalText: extracted.originalText,
           adaptationChunks: extracted.adaptationChunks,
@@ -9883,6 +12227,7 @@ app.post('/api/import-upload', upload.single('file'), async (req, res) => {
         outputLanguage,
         translationMode,
         level,
+        adaptationProfile,
         isPublicDomain,
         chapters,
         voiceGender,
@@ -10125,6 +12470,7 @@ app.post('/api/import-upload', upload.single('file'), async (req, res) => {
           outputLanguage,
           translationMode,
           level,
+          adaptationProfile,
           isPublicDomain,
           originalText: extracted.originalText,
           adaptationChunks: extracted.adaptationChunks,
@@ -10214,6 +12560,7 @@ app.post('/api/import-upload', upload.single('file'), async (req, res) => {
         outputLanguage,
         translationMode,
         level,
+        adaptationProfile,
         isPublicDomain,
         chapters,
         voiceGender,
@@ -10284,10 +12631,17 @@ app.post('/api/import-upload', upload.single('file'), async (req, res) => {
       })
     }
 
+    if (fileType === 'image') {
+      return res.status(400).json({
+        error: 'OCR_REQUIRED',
+        message: 'Photos of pages are imported as scanned pages, so the recognised text can be reviewed first.',
+      })
+    }
+
     // Fallback for unknown file types
     return res.status(400).json({
       error: 'UNSUPPORTED_FILE_TYPE',
-      message: 'Only .txt, .pdf, and .epub files are supported.',
+      message: 'Supported files are .txt, .pdf, .epub, .docx, .html, .md, .fb2, .mobi and .azw3.',
     })
   } catch (error) {
     console.error('Error handling import upload:', error)
@@ -10299,11 +12653,14 @@ app.post('/api/import-upload', upload.single('file'), async (req, res) => {
       console.log('\n--- STACK ---')
       console.log(error?.stack || '(no stack)')
     }
+    if (error instanceof MobiImportError) {
+      return res.status(400).json({ error: 'UNSUPPORTED_KINDLE_BOOK', message: error.message })
+    }
     if (error.code === 'SCANNED_PDF_NOT_SUPPORTED' || error.message === 'SCANNED_PDF_NOT_SUPPORTED') {
       return res.status(400).json({
         error: 'SCANNED_PDF_NOT_SUPPORTED',
         message:
-          'This file appears to be a scanned PDF with no real text inside. Scanned PDFs contain images instead of words, and we cannot ensure accurate or high-quality adaptations from them. To guarantee reliability, inTongues only accepts pure/text PDFs, EPUB, or TXT files. Please upload a clean digital version of the book.',
+          'This file appears to be a scanned PDF with no real text inside. Import it as scanned pages to recognise its text with OCR and review it before adaptation, or upload a clean digital version of the book.',
       })
     }
     if (testMode) {
@@ -10319,7 +12676,8 @@ app.post('/api/import-upload', upload.single('file'), async (req, res) => {
 //
 // Project Gutenberg import. User picks a book + level from the Explore panel;
 // client posts { uid, gutenbergId, title, author, originalLanguage,
-// outputLanguage, level, generateAudio, voiceGender, coverUrl?, epubUrl? }.
+// outputLanguage, level, generateAudio, voiceGender, coverUrl?, epubUrl?,
+// adaptationProfileName?, adaptationInstructions? }.
 //
 // The server downloads the EPUB (either from the provided epubUrl returned by
 // Gutendex, or falling back to the canonical Gutenberg URL patterns), writes
@@ -10329,6 +12687,89 @@ app.post('/api/import-upload', upload.single('file'), async (req, res) => {
 //
 // Gutenberg is EPUB-only by policy. No TXT, no PDF. translationMode is
 // always 'graded' (level-based adaptation). isPublicDomain is always true.
+
+/**
+ * Download a Gutenberg EPUB to a temp file, trying the Gutendex URL first
+ * and then the canonical Gutenberg patterns. The caller removes the file.
+ * @returns {Promise<{ path: string, size: number } | null>} null when every URL failed
+ */
+async function downloadGutenbergEpub(gutenbergId, clientEpubUrl) {
+  // Candidate URLs, in order of preference.
+  const urlCandidates = []
+  if (clientEpubUrl) urlCandidates.push(clientEpubUrl)
+  urlCandidates.push(`https://www.gutenberg.org/ebooks/${gutenbergId}.epub3.images`)
+  urlCandidates.push(`https://www.gutenberg.org/ebooks/${gutenbergId}.epub.images`)
+  urlCandidates.push(`https://www.gutenberg.org/ebooks/${gutenbergId}.epub.noimages`)
+
+  let epubBuffer = null
+  let fetchedFromUrl = null
+  for (const url of urlCandidates) {
+    try {
+      const response = await fetch(url, { redirect: 'follow' })
+      if (!response.ok) {
+        console.log(`[gutenberg ${gutenbergId}] ${response.status} on ${url}`)
+        continue
+      }
+      const arrayBuffer = await response.arrayBuffer()
+      epubBuffer = Buffer.from(arrayBuffer)
+      fetchedFromUrl = url
+      break
+    } catch (fetchErr) {
+      console.log(`[gutenberg ${gutenbergId}] fetch error on ${url}:`, fetchErr?.message || fetchErr)
+    }
+  }
+
+  if (!epubBuffer || epubBuffer.length < 100) return null
+
+  console.log(`[gutenberg ${gutenbergId}] downloaded EPUB: ${epubBuffer.length} bytes from ${fetchedFromUrl}`)
+
+  // Write to a temp file — processEpubImport / parseEpub expect a file path.
+  const tmpEpubPath = path.join(os.tmpdir(), `gutenberg-${gutenbergId}-${Date.now()}.epub`)
+  await fs.writeFile(tmpEpubPath, epubBuffer)
+  return { path: tmpEpubPath, size: epubBuffer.length }
+}
+
+// One page of a Gutenberg book adapted with the chosen level and profile,
+// the Explore panel's counterpart to /api/adaptation/preview. Nothing is saved.
+app.post('/api/import-gutenberg/preview', async (req, res) => {
+  let tmpEpubPath = null
+  try {
+    const { gutenbergId, outputLanguage, level, epubUrl: clientEpubUrl } = req.body || {}
+
+    if (!gutenbergId) return res.status(400).json({ error: 'gutenbergId is required' })
+    const language = normalizeLanguageLabel(outputLanguage)
+    if (!language) {
+      return res.status(400).json({ error: 'Unsupported language' })
+    }
+
+    const download = await downloadGutenbergEpub(gutenbergId, clientEpubUrl)
+    if (!download) {
+      return res.status(502).json({ error: 'Failed to download EPUB from Project Gutenberg' })
+    }
+    tmpEpubPath = download.path
+
+    const sections = await extractBookSections(tmpEpubPath, 'epub')
+    const { original, adapted } = await adaptPreviewPage(sections, {
+      level,
+      language,
+      instructions: parseAdaptationProfile(req.body)?.instructions,
+      label: `preview gutenberg-${gutenbergId} (${level})`,
+    })
+
+    return res.json({ success: true, level, original, adapted })
+  } catch (error) {
+    if (error.code === 'NO_TEXT_FOUND' || error.code === 'UNKNOWN_LEVEL') {
+      return res.status(400).json({ error: error.code, message: error.message })
+    }
+    console.error('Gutenberg adaptation preview failed:', error)
+    return res.status(500).json({ error: 'PREVIEW_FAILED', message: 'Could not preview the adaptation. Please try again.' })
+  } finally {
+    if (tmpEpubPath) {
+      await fs.unlink(tmpEpubPath).catch(() => {})
+    }
+  }
+})
+
 app.post('/api/import-gutenberg', async (req, res) => {
   let tmpEpubPath = null
   try {
@@ -10345,46 +12786,18 @@ app.post('/api/import-gutenberg', async (req, res) => {
       coverUrl,
       epubUrl: clientEpubUrl,
     } = req.body || {}
+    const adaptationProfile = parseAdaptationProfile(req.body)
 
     if (!uid) return res.status(400).json({ error: 'uid is required' })
     if (!gutenbergId) return res.status(400).json({ error: 'gutenbergId is required' })
     if (!level) return res.status(400).json({ error: 'level is required' })
     if (!outputLanguage) return res.status(400).json({ error: 'outputLanguage is required' })
 
-    // Candidate URLs, in order of preference.
-    const urlCandidates = []
-    if (clientEpubUrl) urlCandidates.push(clientEpubUrl)
-    urlCandidates.push(`https://www.gutenberg.org/ebooks/${gutenbergId}.epub3.images`)
-    urlCandidates.push(`https://www.gutenberg.org/ebooks/${gutenbergId}.epub.images`)
-    urlCandidates.push(`https://www.gutenberg.org/ebooks/${gutenbergId}.epub.noimages`)
-
-    let epubBuffer = null
-    let fetchedFromUrl = null
-    for (const url of urlCandidates) {
-      try {
-        const response = await fetch(url, { redirect: 'follow' })
-        if (!response.ok) {
-          console.log(`[gutenberg ${gutenbergId}] ${response.status} on ${url}`)
-          continue
-        }
-        const arrayBuffer = await response.arrayBuffer()
-        epubBuffer = Buffer.from(arrayBuffer)
-        fetchedFromUrl = url
-        break
-      } catch (fetchErr) {
-        console.log(`[gutenberg ${gutenbergId}] fetch error on ${url}:`, fetchErr?.message || fetchErr)
-      }
-    }
-
-    if (!epubBuffer || epubBuffer.length < 100) {
+    const download = await downloadGutenbergEpub(gutenbergId, clientEpubUrl)
+    if (!download) {
       return res.status(502).json({ error: 'Failed to download EPUB from Project Gutenberg' })
     }
-
-    console.log(`[gutenberg ${gutenbergId}] downloaded EPUB: ${epubBuffer.length} bytes from ${fetchedFromUrl}`)
-
-    // Write to a temp file — processEpubImport / parseEpub expect a file path.
-    tmpEpubPath = path.join(os.tmpdir(), `gutenberg-${gutenbergId}-${Date.now()}.epub`)
-    await fs.writeFile(tmpEpubPath, epubBuffer)
+    tmpEpubPath = download.path
 
     const filename = `gutenberg-${gutenbergId}.epub`
 
@@ -10398,7 +12811,7 @@ app.post('/api/import-gutenberg', async (req, res) => {
     const result = await processEpubImport({
       epubPath: tmpEpubPath,
       filename,
-      fileSize: epubBuffer.length,
+      fileSize: download.size,
       userId: uid,
       title: title || 'Untitled',
       author: author || '',
@@ -10406,6 +12819,7 @@ app.post('/api/import-gutenberg', async (req, res) => {
       outputLanguage,
       translationMode: 'graded',
       level,
+      adaptationProfile,
       isPublicDomain: true,
       voiceGender: voiceGender || 'male',
       generateAudio: Boolean(generateAudio),
@@ -12089,6 +14503,10 @@ app.post('/api/generate-audio-book', async (req, res) => {
     let pagesSucceeded = 0
     const storyTextParts = []
     const allPageWordTimestamps = []
+    // Where each audio segment's text sits in the Reader's chapter text, for
+    // the read-along alignment. null for legacy pages, which the Reader
+    // doesn't display.
+    const segmentTextTargets = []
 
     if (isChaptered) {
       // Reset chapter-level counter for progress UI.
@@ -12099,7 +14517,8 @@ app.post('/api/generate-audio-book', async (req, res) => {
       for (let c = 0; c < chaptersSnap.docs.length; c++) {
         const chapDoc = chaptersSnap.docs[c]
         const chapData = chapDoc.data() || {}
-        const chapText = (chapData.adaptedText || '').trim()
+        const rawChapText = chapData.adaptedText || ''
+        const chapText = rawChapText.trim()
         const chapIndex = chapData.index ?? Number(chapDoc.id) ?? c
 
         if (!chapText) {
@@ -12131,8 +14550,11 @@ app.post('/api/generate-audio-book', async (req, res) => {
         const segmentStart = pagesProcessed
         console.log(`[audio story ${storyId}] chapter ${c + 1}/${chaptersSnap.docs.length} (index=${chapIndex}, ${chapText.length} chars, ${chapChunks.length} chunks)`)
 
+        let chunkSearchFrom = 0
         for (let k = 0; k < chapChunks.length; k++) {
           storyTextParts.push(chapChunks[k])
+          const chunkOffset = Math.max(0, rawChapText.indexOf(chapChunks[k], chunkSearchFrom))
+          chunkSearchFrom = chunkOffset + chapChunks[k].length
           try {
             const { audioUrl, wordTimestamps } = await generateAudioForPage(
               storyId,
@@ -12150,6 +14572,8 @@ app.post('/api/generate-audio-book', async (req, res) => {
             }
             pagesSucceeded += 1
             allPageWordTimestamps.push(wordTimestamps || [])
+            // Reader chapters are positional, in the same index order as here
+            segmentTextTargets.push({ chapterIndex: c, text: chapChunks[k], charOffset: chunkOffset })
           } catch (audioError) {
             const message = audioError?.message || 'Audio generation failed'
             console.error(`[audio story ${storyId}] chapter ${chapIndex} chunk ${k} failed:`, audioError)
@@ -12214,9 +14638,13 @@ app.post('/api/generate-audio-book', async (req, res) => {
 
       console.log(`Flat story ${storyId}: split into ${chunks.length} audio chunks`)
 
+      let chunkSearchFrom = 0
       for (let i = 0; i < chunks.length; i++) {
         storyTextParts.push(chunks[i])
         pagesProcessed += 1
+        const chunkOffset = Math.max(0, storyData.adaptedTextBlob.indexOf(chunks[i], chunkSearchFrom))
+        chunkSearchFrom = chunkOffset + chunks[i].length
+        segmentTextTargets.push({ chapterIndex: 0, text: chunks[i], charOffset: chunkOffset })
         try {
           const { audioUrl, wordTimestamps } = await generateAudioForPage(
             storyId,
@@ -12249,6 +14677,8 @@ app.post('/api/generate-audio-book', async (req, res) => {
 
         storyTextParts.push(pageText)
 
+        segmentTextTargets.push(null)
+
         if (readyAudio) {
           pagesSucceeded += 1
           allPageWordTimestamps.push([])
@@ -12352,10 +14782,22 @@ app.post('/api/generate-audio-book', async (req, res) => {
       // Build merged word timestamps with page duration offsets
       try {
         const mergedWordTimestamps = []
+        const readAlongByChapter = new Map()
         let timeOffset = 0
 
         for (let p = 0; p < allPageWordTimestamps.length; p++) {
           const pageWords = allPageWordTimestamps[p]
+          const target = segmentTextTargets[p]
+
+          if (target && pageWords.length > 0) {
+            const aligned = alignWordTimestampsToText(target.text, pageWords, {
+              baseOffset: target.charOffset,
+              timeOffset,
+            })
+            const chapterWords = readAlongByChapter.get(target.chapterIndex) || []
+            chapterWords.push(...aligned)
+            readAlongByChapter.set(target.chapterIndex, chapterWords)
+          }
 
           for (const w of pageWords) {
             mergedWordTimestamps.push({
@@ -12414,6 +14856,31 @@ app.post('/api/generate-audio-book', async (req, res) => {
         }
 
         console.log(`Stored ${mergedWordTimestamps.length} word timestamps for story ${storyId} in ${chunks.length} chunk(s)`)
+
+        // Read-along: per-chapter word timings against the chapter text, in
+        // the same character offsets the Reader uses for reading position.
+        // Clear the previous run first so a shorter regeneration leaves no
+        // stale parts behind.
+        const readAlongRef = storyRef.collection('readAlong')
+        const staleReadAlong = await readAlongRef.get()
+        for (const staleDoc of staleReadAlong.docs) {
+          await staleDoc.ref.delete()
+        }
+
+        let readAlongWordCount = 0
+        for (const [chapterIndex, words] of readAlongByChapter) {
+          for (let i = 0, part = 0; i < words.length; i += MAX_WORDS_PER_CHUNK, part++) {
+            await readAlongRef.doc(`${chapterIndex}_${part}`).set({
+              chapterIndex,
+              part,
+              words: words.slice(i, i + MAX_WORDS_PER_CHUNK),
+              createdAt: timestamp,
+            })
+          }
+          readAlongWordCount += words.length
+        }
+
+        console.log(`Stored read-along timings for ${readAlongWordCount} words across ${readAlongByChapter.size} chapter(s) for story ${storyId}`)
       } catch (timestampError) {
         console.error('Failed to store word timestamps for story', timestampError)
       }
@@ -12769,11 +15236,21 @@ app.post('/api/content/preload', async (req, res) => {
     }
 
     if (contentType === 'story') {
-      const pagesSnap = await contentRef.collection('pages').get()
+      const storyData = contentSnap.data() || {}
+      allText += ' ' + (storyData.adaptedTextBlob || '')
+      const [pagesSnap, chaptersSnap] = await Promise.all([
+        contentRef.collection('pages').get(),
+        contentRef.collection('chapters').get(),
+      ])
       pagesSnap.docs.forEach((doc) => {
         const data = doc.data() || {}
         allText += ' ' + (data.text || data.originalText || data.adaptedText || '')
       })
+      // Chaptered stories keep their text on chapter docs rather than pages
+      chaptersSnap.docs.forEach((doc) => {
+        const data = doc.data() || {}
+        allText += ' ' + (data.adaptedText || data.originalText || '')
+      })
     } else if (contentType === 'youtube') {
       const transcriptsSnap = await contentRef.collection('transcripts').get()
       transcriptsSnap.docs.forEach((doc) => {
@@ -12819,6 +15296,292 @@ app.post('/api/content/preload', async (req, res) => {
   }
 })
 
+// Lexical coverage: how much of a piece of content the user already knows.
+// Each running word counts by its vocab status (falling back to the status
+// set on its lemma); words with no status count as unknown.
+const COVERAGE_STATUS_WEIGHTS = { known: 1, familiar: 0.75, recognised: 0.5, unknown: 0 }
+const COVERAGE_CONTENT_TYPES = ['story', 'generatedBook', 'youtube', 'spotify', 'podcast']
+const MAX_COVERAGE_ITEMS = 40
+
+// The text of one piece of content in its study language, or '' if it has none yet
+async function loadCoverageText(uid, contentType, contentId) {
+  const userRef = firestore.collection('users').doc(uid)
+
+  if (contentType === 'story') {
+    const storyRef = userRef.collection('stories').doc(contentId)
+    const storySnap = await storyRef.get()
+    if (!storySnap.exists) return ''
+    const story = storySnap.data() || {}
+    if (story.isFlat) return story.adaptedTextBlob || ''
+
+    const chaptersSnap = await storyRef.collection('chapters').get()
+    if (!chaptersSnap.empty) {
+      return chaptersSnap.docs.map((doc) => doc.data()?.adaptedText || '').join('\n\n')
+    }
+    const pagesSnap = await storyRef.collection('pages').get()
+    return pagesSnap.docs.map((doc) => {
+      const data = doc.data() || {}
+      return data.adaptedText || data.text || data.originalText || ''
+    }).join('\n\n')
+  }
+
+  if (contentType === 'generatedBook') {
+    const chaptersSnap = await userRef.collection('generatedBooks').doc(contentId).collection('chapters').get()
+    return chaptersSnap.docs.map((doc) => doc.data()?.content || '').join('\n\n')
+  }
+
+  if (contentType === 'youtube') {
+    const videoRef = userRef.collection('youtubeVideos').doc(contentId)
+    const videoSnap = await videoRef.get()
+    if (!videoSnap.exists) return ''
+    const video = videoSnap.data() || {}
+    // Dubbed videos also keep the source-language transcript; only the studied one counts
+    const transcriptLanguage = video.isDubbed ? video.targetLanguage : video.language
+    const transcriptsSnap = await videoRef.collection('transcripts').get()
+    const transcriptDoc =
+      transcriptsSnap.docs.find((doc) => doc.id === transcriptLanguage) ||
+      transcriptsSnap.docs.find((doc) => doc.id === 'auto') ||
+      (video.isDubbed ? null : transcriptsSnap.docs[0])
+    const data = transcriptDoc?.data() || {}
+    return data.text || (data.segments || []).map((seg) => seg.text || '').join(' ')
+  }
+
+  if (contentType === 'spotify') {
+    const itemRef = userRef.collection('spotifyItems').doc(contentId)
+    const itemSnap = await itemRef.get()
+    if (!itemSnap.exists) return ''
+    const segments = itemSnap.data()?.transcriptSegments
+    if (Array.isArray(segments) && segments.length) {
+      return segments.map((seg) => seg.text || seg.words || '').join(' ')
+    }
+    const pagesSnap = await itemRef.collection('pages').get()
+    return pagesSnap.docs.map((doc) => doc.data()?.text || doc.data()?.originalText || '').join('\n\n')
+  }
+
+  if (contentType === 'podcast') {
+    // Shared across users, keyed like /api/podcasts/transcribe
+    const transcriptSnap = await firestore.collection('podcastTranscripts').doc(sha1Hex(contentId)).get()
+    return transcriptSnap.exists ? transcriptSnap.data()?.text || '' : ''
+  }
+
+  return ''
+}
+
+// The user's statuses for one language, by word form and by lemma
+async function loadVocabStatusMaps(uid, languageLabel) {
+  const userRef = firestore.collection('users').doc(uid)
+  const [vocabSnap, lemmaStatusSnap] = await Promise.all([
+    userRef.collection('vocab').where('language', '==', languageLabel).get(),
+    userRef.collection('lemmaStatuses').where('language', '==', languageLabel).get(),
+  ])
+
+  const wordStatuses = new Map()
+  vocabSnap.docs.forEach((doc) => {
+    const data = doc.data() || {}
+    const key = String(data.text || '').toLowerCase().trim()
+    if (key && data.status) wordStatuses.set(key, data.status)
+  })
+  const lemmaStatuses = new Map()
+  lemmaStatusSnap.docs.forEach((doc) => {
+    const data = doc.data() || {}
+    if (data.lemma && data.status) lemmaStatuses.set(data.lemma, data.status)
+  })
+
+  return { wordStatuses, lemmaStatuses }
+}
+
+// A status lookup for `words`: the word's own status, else the one set on its lemma
+async function buildStatusLookup(words, languageLabel, { wordStatuses, lemmaStatuses }) {
+  let lemmas = {}
+  if (lemmaStatuses.size) {
+    const unmatched = [...new Set(words)].filter((word) => !wordStatuses.has(word))
+    lemmas = await batchGetLemmas(unmatched, languageLabel)
+  }
+  return (word) => wordStatuses.get(word) || lemmaStatuses.get(lemmas[word]) || null
+}
+
+function countWordFrequencies(text) {
+  const counts = new Map()
+  for (const match of String(text || '').matchAll(/[\p{L}][\p{L}\p{M}'’-]*/gu)) {
+    const word = match[0].toLowerCase().replace(/['’-]+$/, '')
+    if (word) counts.set(word, (counts.get(word) || 0) + 1)
+  }
+  return counts
+}
+
+app.post('/api/content/coverage', async (req, res) => {
+  const { uid, language, items } = req.body || {}
+
+  const languageLabel = normalizeLanguageLabel(language)
+  if (!uid || !languageLabel || !Array.isArray(items)) {
+    return res.status(400).json({ error: 'uid, a supported language and items are required' })
+  }
+
+  const requested = items
+    .filter((item) => item?.contentId && COVERAGE_CONTENT_TYPES.includes(item.contentType))
+    .slice(0, MAX_COVERAGE_ITEMS)
+
+  try {
+    const statusMaps = await loadVocabStatusMaps(uid, languageLabel)
+
+    const texts = await Promise.all(
+      requested.map((item) =>
+        loadCoverageText(uid, item.contentType, item.contentId).catch((err) => {
+          console.error(`Failed to load ${item.contentType} ${item.contentId} for coverage:`, err)
+          return ''
+        })
+      )
+    )
+    const frequencies = texts.map(countWordFrequencies)
+
+    const getStatus = await buildStatusLookup(
+      frequencies.flatMap((counts) => [...counts.keys()]),
+      languageLabel,
+      statusMaps
+    )
+    const getWeight = (word) => COVERAGE_STATUS_WEIGHTS[getStatus(word)] ?? 0
+
+    const coverage = {}
+    requested.forEach((item, index) => {
+      const counts = frequencies[index]
+      let totalWords = 0
+      let coveredWords = 0
+      const unknown = []
+      counts.forEach((count, word) => {
+        const weight = getWeight(word)
+        totalWords += count
+        coveredWords += count * weight
+        if (weight < 1) unknown.push({ word, count })
+      })
+
+      coverage[`${item.contentType}:${item.contentId}`] = totalWords
+        ? {
+            coverage: coveredWords / totalWords,
+            totalWords,
+            uniqueWords: counts.size,
+            topUnknown: unknown.sort((a, b) => b.count - a.count).slice(0, 10),
+          }
+        : null
+    })
+
+    return res.json({ coverage })
+  } catch (error) {
+    console.error('Error computing content coverage:', error)
+    return res.status(500).json({ error: 'Failed to compute coverage' })
+  }
+})
+
+// Pre-reading primer: the most frequent words and expressions in a chapter or
+// transcript chunk that the user doesn't know yet, with translations and any
+// cached pronunciations. Words with no status or "unknown" qualify; detected
+// expressions are passed in by the client, which already has them.
+const DEFAULT_PRIMER_SIZE = 15
+const MAX_PRIMER_SIZE = 40
+const MAX_PRIMER_TEXT_CHARS = 60000
+
+app.post('/api/content/primer', async (req, res) => {
+  const { uid, language, nativeLanguage, text, expressions, limit, voiceGender } = req.body || {}
+
+  const languageLabel = normalizeLanguageLabel(language)
+  if (!uid || !languageLabel || typeof text !== 'string') {
+    return res.status(400).json({ error: 'uid, a supported language and text are required' })
+  }
+
+  const nativeLabel = normalizeLanguageLabel(nativeLanguage) || 'English'
+  const size = Math.min(Math.max(Number(limit) || DEFAULT_PRIMER_SIZE, 1), MAX_PRIMER_SIZE)
+  const primerText = text.slice(0, MAX_PRIMER_TEXT_CHARS)
+
+  try {
+    const statusMaps = await loadVocabStatusMaps(uid, languageLabel)
+    const counts = countWordFrequencies(primerText)
+    const getStatus = await buildStatusLookup([...counts.keys()], languageLabel, statusMaps)
+    const isUnknown = (status) => !status || status === 'unknown'
+
+    const candidates = []
+    counts.forEach((count, word) => {
+      if (isUnknown(getStatus(word))) candidates.push({ text: word, count, kind: 'word', translation: '' })
+    })
+
+    const seenExpressions = new Set()
+    ;(Array.isArray(expressions) ? expressions : []).forEach((expr) => {
+      const exprText = typeof expr?.text === 'string' ? expr.text.trim() : ''
+      const key = exprText.toLowerCase()
+      if (!exprText || seenExpressions.has(key)) return
+      seenExpressions.add(key)
+      if (!isUnknown(statusMaps.wordStatuses.get(key))) return
+      const count = findExpressionSpans(primerText, exprText).length
+      if (count) {
+        candidates.push({
+          text: key,
+          count,
+          kind: 'expression',
+          translation: typeof expr.meaning === 'string' ? expr.meaning.trim() : '',
+        })
+      }
+    })
+
+    // Expressions win ties: one is worth more than the words inside it
+    const items = candidates
+      .sort((a, b) => b.count - a.count || (b.kind === 'expression') - (a.kind === 'expression'))
+      .slice(0, size)
+
+    const normalizedLang = languageLabel.toLowerCase()
+    const normalizedNativeLang = nativeLabel.toLowerCase()
+    const needsTranslation = items.filter((item) => !item.translation).map((item) => item.text)
+    const cachedTranslations = await batchGetTranslations(needsTranslation, normalizedLang, normalizedNativeLang)
+
+    const missing = needsTranslation.filter((word) => !cachedTranslations[word])
+    if (missing.length) {
+      const prompt = `
+Translate the following ${languageLabel} words and expressions to ${nativeLabel}.
+Return a JSON object where each key is the original text (lowercase) and the value is a short translation.
+Only return the JSON object, no other text.
+
+Words: ${missing.join(', ')}
+`.trim()
+
+      try {
+        const response = await client.responses.create({
+          model: 'gpt-4o-mini',
+          input: prompt,
+        })
+        const outputText = response.output_text?.trim() || '{}'
+        const jsonMatch = outputText.match(/```(?:json)?\s*([\s\S]*?)\s*```/) || [null, outputText]
+        const parsed = JSON.parse(jsonMatch[1] || outputText)
+        missing.forEach((word) => {
+          const translation = typeof parsed[word] === 'string' ? parsed[word].trim() : ''
+          if (!translation) return
+          cachedTranslations[word] = translation
+          saveTranslation(word, normalizedLang, normalizedNativeLang, translation).catch((err) => {
+            console.error(`Failed to cache translation for "${word}":`, err)
+          })
+        })
+      } catch (translateErr) {
+        console.error('Error translating primer words:', translateErr)
+      }
+    }
+
+    let pronunciations = {}
+    try {
+      const { voiceId } = resolveElevenLabsVoiceId(languageLabel, voiceGender || 'male')
+      pronunciations = await batchGetPronunciations(items.map((item) => item.text), normalizedLang, voiceId)
+    } catch (voiceErr) {
+      // No voice for this language: the primer still works without audio
+    }
+
+    return res.json({
+      items: items.map((item) => ({
+        ...item,
+        translation: item.translation || cachedTranslations[item.text] || '',
+        audioUrl: pronunciations[item.text] || null,
+      })),
+    })
+  } catch (error) {
+    console.error('Error building vocab primer:', error)
+    return res.status(500).json({ error: 'Failed to build primer' })
+  }
+})
+
 app.post('/api/delete-story', async (req, res) => {
   let storyRef
 
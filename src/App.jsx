@@ -12,6 +12,9 @@ import SelectLanguagePage from './pages/SelectLanguagePage'
 import Signup from './pages/Signup'
 import Reader from './pages/Reader'
 import Review from './pages/Review'
+import VocabBrowser from './pages/VocabBrowser'
+import ReviewAnalytics from './pages/ReviewAnalytics'
+import ConjugationTrainer from './pages/ConjugationTrainer'
 import AudioPlayer from './pages/AudioPlayer'
 import ImportAudioVideo from './pages/ImportAudioVideo'
 import IntonguesCinema from './pages/IntonguesCinema'
@@ -322,6 +325,30 @@ const App = () => {
           </ProtectedRoute>
         }
       />
+      <Route
+        path="/review/analytics"
+        element={
+          <ProtectedRoute>
+            <ReviewAnalytics />
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/review/conjugation"
+        element={
+          <ProtectedRoute>
+            <ConjugationTrainer />
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/vocab"
+        element={
+          <ProtectedRoute>
+            <VocabBrowser />
+          </ProtectedRoute>
+        }
+      />
       <Route
         path="/write/chat"
         element={
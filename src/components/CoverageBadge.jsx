@@ -0,0 +1,23 @@
+import { formatCoverage, isHardCoverage } from '../services/coverage'
+
+// Corner badge on a library card: share of the content's words already known,
+// flagged "hard" below the comfortable-reading threshold
+const CoverageBadge = ({ coverage }) => {
+  if (!coverage) return null
+
+  const hard = isHardCoverage(coverage)
+  const unknownWords = coverage.topUnknown?.map((entry) => entry.word) || []
+  const title = [
+    `${formatCoverage(coverage)} of the words are known${hard ? ' (hard)' : ''}`,
+    unknownWords.length ? `Most frequent unknown: ${unknownWords.join(', ')}` : '',
+  ].filter(Boolean).join('\n')
+
+  return (
+    <span className={`coverage-badge${hard ? ' coverage-badge--hard' : ''}`} title={title}>
+      {hard && <span className="coverage-badge-label">Hard</span>}
+      {formatCoverage(coverage)}
+    </span>
+  )
+}
+
+export default CoverageBadge
@@ -0,0 +1,126 @@
+import { useEffect, useState } from 'react'
+import { lookupDictionaryEntry } from '../services/dictionary'
+
+const GENDER_ABBREV = { masculine: 'm.', feminine: 'f.', neuter: 'n.' }
+
+// Expandable dictionary entry under a word popup. Nothing is fetched until
+// the learner opens it; key it by word so it collapses for the next word.
+const DictionarySection = ({ word, sourceLanguage, nativeLanguage, context = '', variant = 'reader' }) => {
+  const [expanded, setExpanded] = useState(false)
+  const [result, setResult] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+  const [openTable, setOpenTable] = useState(0)
+
+  useEffect(() => {
+    if (!expanded || result || !word || !sourceLanguage) return undefined
+
+    let cancelled = false
+    setLoading(true)
+    setError('')
+
+    lookupDictionaryEntry(word, { sourceLanguage, nativeLanguage, context })
+      .then((data) => {
+        if (!cancelled) setResult(data)
+      })
+      .catch((err) => {
+        console.error('Dictionary lookup failed', err)
+        if (!cancelled) setError('No dictionary entry available.')
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [expanded, result, word, sourceLanguage, nativeLanguage, context])
+
+  if (!word || !sourceLanguage) return null
+
+  const entry = result?.entry
+  const table = entry?.tables?.[openTable]
+
+  return (
+    <div className={`dictionary-section dictionary-section--${variant}`}>
+      <button
+        type="button"
+        className="dictionary-section-toggle"
+        onClick={() => setExpanded((prev) => !prev)}
+        onMouseDown={(event) => event.preventDefault()}
+        aria-expanded={expanded}
+      >
+        Dictionary
+        <span className="dictionary-section-chevron" aria-hidden="true">{expanded ? '▴' : '▾'}</span>
+      </button>
+
+      {expanded && (
+        <div className="dictionary-section-body">
+          {loading && <p className="dictionary-section-note">Looking up…</p>}
+          {!loading && error && <p className="dictionary-section-note">{error}</p>}
+
+          {!loading && entry && (
+            <>
+              <p className="dictionary-section-heading">
+                <strong>{entry.lemma}</strong>
+                {entry.partOfSpeech && <span className="dictionary-section-pos">{entry.partOfSpeech}</span>}
+                {entry.gender && <span className="dictionary-section-pos">{GENDER_ABBREV[entry.gender]}</span>}
+              </p>
+
+              <ol className="dictionary-section-senses">
+                {entry.senses.map((sense, index) => (
+                  <li
+                    key={`${sense.translation}-${index}`}
+                    className={index === 0 && result.rankedByContext ? 'is-in-context' : ''}
+                    title={index === 0 && result.rankedByContext ? 'The sense used here' : undefined}
+                  >
+                    <span className="dictionary-section-translation">{sense.translation}</span>
+                    {sense.definition && <span className="dictionary-section-definition"> — {sense.definition}</span>}
+                    {sense.examples.map((example) => (
+                      <p key={example.text} className="dictionary-section-example">
+                        <em>{example.text}</em>
+                        {example.translation && <span> · {example.translation}</span>}
+                      </p>
+                    ))}
+                  </li>
+                ))}
+              </ol>
+
+              {entry.tables.length > 0 && (
+                <div className="dictionary-section-tables">
+                  <div className="dictionary-section-table-tabs">
+                    {entry.tables.map((item, index) => (
+                      <button
+                        key={item.title}
+                        type="button"
+                        className={`dictionary-section-table-tab ${index === openTable ? 'is-active' : ''}`}
+                        onClick={() => setOpenTable(index)}
+                        onMouseDown={(event) => event.preventDefault()}
+                      >
+                        {item.title}
+                      </button>
+                    ))}
+                  </div>
+                  {table && (
+                    <table className="dictionary-section-table">
+                      <tbody>
+                        {table.rows.map((row) => (
+                          <tr key={`${row.label}-${row.form}`}>
+                            <th scope="row">{row.label}</th>
+                            <td>{row.form}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default DictionarySection
@@ -0,0 +1,81 @@
+import { forwardRef, useEffect, useImperativeHandle, useRef } from 'react'
+
+// Same values as YT.PlayerState, so Cinema's state handler reads both players
+export const PLAYER_STATE = { ENDED: 0, PLAYING: 1, PAUSED: 2 }
+
+// Plays an uploaded video or audio file behind the same imperative API as
+// YouTubePlayer: Cinema drives either one through `playerRef`.
+const LocalMediaPlayer = forwardRef(({ src, mediaType = 'video', onStatus, onPlayerReady, onPlayerStateChange }, ref) => {
+  const mediaRef = useRef(null)
+  const statusIntervalRef = useRef(null)
+
+  const sendStatusUpdate = () => {
+    const media = mediaRef.current
+    if (!media) return
+    onStatus?.({
+      currentTime: media.currentTime || 0,
+      duration: Number.isFinite(media.duration) ? media.duration : 0,
+      isPlaying: !media.paused && !media.ended,
+    })
+  }
+
+  const emitState = (state) => {
+    sendStatusUpdate()
+    onPlayerStateChange?.({ data: state }, api)
+  }
+
+  useEffect(() => {
+    statusIntervalRef.current = window.setInterval(sendStatusUpdate, 1000)
+    return () => clearInterval(statusIntervalRef.current)
+  }, [src])
+
+  const api = {
+    playVideo: () => {
+      mediaRef.current?.play()?.catch((error) => console.error('Playback failed', error))
+    },
+    pauseVideo: () => mediaRef.current?.pause(),
+    getCurrentTime: () => mediaRef.current?.currentTime ?? 0,
+    getDuration: () => (Number.isFinite(mediaRef.current?.duration) ? mediaRef.current.duration : 0),
+    seekTo: (seconds) => {
+      if (mediaRef.current) mediaRef.current.currentTime = seconds
+    },
+    mute: () => {
+      if (mediaRef.current) mediaRef.current.muted = true
+    },
+    unMute: () => {
+      if (mediaRef.current) mediaRef.current.muted = false
+    },
+    setPlaybackRate: (rate) => {
+      if (mediaRef.current) mediaRef.current.playbackRate = rate
+    },
+    getPlaybackRate: () => mediaRef.current?.playbackRate ?? 1,
+    getPlayer: () => mediaRef.current,
+    getIframe: () => null,
+  }
+
+  useImperativeHandle(ref, () => api, [])
+
+  const MediaTag = mediaType === 'audio' ? 'audio' : 'video'
+
+  return (
+    <div className={`local-media-player is-${MediaTag}`}>
+      <MediaTag
+        ref={mediaRef}
+        src={src}
+        preload="auto"
+        playsInline
+        onLoadedMetadata={(event) => {
+          sendStatusUpdate()
+          onPlayerReady?.(api, event)
+        }}
+        onPlay={() => emitState(PLAYER_STATE.PLAYING)}
+        onPause={() => emitState(PLAYER_STATE.PAUSED)}
+        onEnded={() => emitState(PLAYER_STATE.ENDED)}
+      />
+    </div>
+  )
+})
+
+LocalMediaPlayer.displayName = 'LocalMediaPlayer'
+
+export default LocalMediaPlayer
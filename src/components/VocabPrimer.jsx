@@ -0,0 +1,235 @@
+import { useEffect, useRef, useState } from 'react'
+import { addSourceContentId, normaliseExpression, upsertVocabEntry, VOCAB_STATUSES } from '../services/vocab'
+import { fetchVocabPrimer, getPrimerAudioSrc } from '../services/primer'
+
+const STATUS_LABELS = {
+  unknown: 'Unknown',
+  recognised: 'Recognised',
+  familiar: 'Familiar',
+  known: 'Known',
+}
+
+// Pre-reading primer for a chapter or transcript chunk: the most frequent
+// unknown words and expressions in it, to skim as a list or drill one by one.
+// Anything marked here goes straight into vocab, tagged with the content.
+const VocabPrimer = ({
+  isOpen,
+  onClose,
+  title,
+  userId,
+  text,
+  language,
+  nativeLanguage,
+  expressions,
+  voiceGender,
+  contentId,
+  vocabEntries = {},
+  onVocabChange,
+}) => {
+  const [items, setItems] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+  const [view, setView] = useState('list') // 'list' | 'drill'
+  const [drillIndex, setDrillIndex] = useState(0)
+  const [revealed, setRevealed] = useState(false)
+  const audioRef = useRef(null)
+
+  useEffect(() => {
+    if (!isOpen) return undefined
+
+    let cancelled = false
+    setLoading(true)
+    setError('')
+    setItems([])
+    setDrillIndex(0)
+    setRevealed(false)
+
+    fetchVocabPrimer(userId, { text, language, nativeLanguage, expressions, voiceGender })
+      .then((result) => {
+        if (!cancelled) setItems(result)
+      })
+      .catch((err) => {
+        console.error('Failed to build primer', err)
+        if (!cancelled) setError('Could not build a primer for this section.')
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false)
+      })
+
+    return () => {
+      cancelled = true
+    }
+    // Expressions arrive in the background; the primer is built from what's known on open
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isOpen, userId, text, language, nativeLanguage, voiceGender])
+
+  useEffect(() => () => audioRef.current?.pause(), [])
+
+  if (!isOpen) return null
+
+  const playItem = async (item) => {
+    try {
+      const src = await getPrimerAudioSrc(item, language, voiceGender)
+      if (!src) return
+      audioRef.current?.pause()
+      audioRef.current = new Audio(src)
+      await audioRef.current.play()
+    } catch (err) {
+      console.error('Failed to play primer audio', err)
+    }
+  }
+
+  const markItem = async (item, status) => {
+    if (!userId || !language) return
+
+    try {
+      await upsertVocabEntry(userId, language, item.text, item.translation, status)
+      if (contentId) await addSourceContentId(userId, language, item.text, contentId)
+      const key = normaliseExpression(item.text)
+      onVocabChange?.(key, {
+        ...(vocabEntries[key] || { text: item.text, language }),
+        status,
+        translation: item.translation,
+      })
+    } catch (err) {
+      console.error('Failed to save primer word', err)
+    }
+  }
+
+  const handleDrillMark = async (item, status) => {
+    await markItem(item, status)
+    setRevealed(false)
+    setDrillIndex((prev) => prev + 1)
+  }
+
+  const getStatus = (item) => vocabEntries[normaliseExpression(item.text)]?.status || null
+
+  const renderStatusButtons = (item, onMark) => (
+    <div className="vocab-primer-statuses">
+      {VOCAB_STATUSES.map((status) => (
+        <button
+          key={status}
+          type="button"
+          className={`vocab-primer-status vocab-primer-status--${status} ${getStatus(item) === status ? 'is-active' : ''}`}
+          onClick={() => onMark(item, status)}
+        >
+          {STATUS_LABELS[status]}
+        </button>
+      ))}
+    </div>
+  )
+
+  const renderPlayButton = (item) => (
+    <button
+      type="button"
+      className="vocab-primer-play"
+      onClick={() => playItem(item)}
+      aria-label={`Play pronunciation of ${item.text}`}
+    >
+      <svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor">
+        <path d="M8 5v14l11-7z" />
+      </svg>
+    </button>
+  )
+
+  const drillItem = items[drillIndex]
+
+  return (
+    <div className="vocab-primer-overlay" onClick={onClose}>
+      <div
+        className="vocab-primer"
+        role="dialog"
+        aria-label="Vocabulary primer"
+        onClick={(event) => event.stopPropagation()}
+      >
+        <div className="vocab-primer-header">
+          <div>
+            <h3>Before you start</h3>
+            {title && <p className="muted small">{title}</p>}
+          </div>
+          <div className="vocab-primer-header-actions">
+            <div className="vocab-primer-tabs">
+              <button
+                type="button"
+                className={`vocab-primer-tab ${view === 'list' ? 'is-active' : ''}`}
+                onClick={() => setView('list')}
+              >
+                Skim
+              </button>
+              <button
+                type="button"
+                className={`vocab-primer-tab ${view === 'drill' ? 'is-active' : ''}`}
+                onClick={() => {
+                  setView('drill')
+                  setDrillIndex(0)
+                  setRevealed(false)
+                }}
+                disabled={!items.length}
+              >
+                Drill
+              </button>
+            </div>
+            <button type="button" className="vocab-primer-close" aria-label="Close primer" onClick={onClose}>
+              ×
+            </button>
+          </div>
+        </div>
+
+        {loading && <p className="muted small vocab-primer-empty">Finding the words you&apos;ll need…</p>}
+        {!loading && error && <p className="error small vocab-primer-empty">{error}</p>}
+        {!loading && !error && !items.length && (
+          <p className="muted small vocab-primer-empty">You already know every word in this section.</p>
+        )}
+
+        {!loading && items.length > 0 && view === 'list' && (
+          <ul className="vocab-primer-list">
+            {items.map((item) => (
+              <li key={item.text} className="vocab-primer-row">
+                {renderPlayButton(item)}
+                <span className="vocab-primer-word">
+                  {item.text}
+                  <span className="vocab-primer-count">×{item.count}</span>
+                </span>
+                <span className="vocab-primer-translation">{item.translation}</span>
+                {renderStatusButtons(item, markItem)}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {!loading && items.length > 0 && view === 'drill' && (
+          drillItem ? (
+            <div className="vocab-primer-card">
+              <p className="vocab-primer-progress muted small">
+                {drillIndex + 1} / {items.length}
+              </p>
+              <div className="vocab-primer-card-word">
+                {renderPlayButton(drillItem)}
+                <span>{drillItem.text}</span>
+              </div>
+              {revealed ? (
+                <>
+                  <p className="vocab-primer-card-translation">{drillItem.translation || '—'}</p>
+                  {renderStatusButtons(drillItem, handleDrillMark)}
+                </>
+              ) : (
+                <button type="button" className="button ghost" onClick={() => setRevealed(true)}>
+                  Show translation
+                </button>
+              )}
+            </div>
+          ) : (
+            <div className="vocab-primer-card">
+              <p>All {items.length} words reviewed.</p>
+              <button type="button" className="button" onClick={onClose}>
+                Start
+              </button>
+            </div>
+          )
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default VocabPrimer
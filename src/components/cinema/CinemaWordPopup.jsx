@@ -1,4 +1,5 @@
 import { useCallback, useRef } from 'react'
+import DictionarySection from '../DictionarySection'
 
 const STATUS_LEVELS = ['new', 'unknown', 'recognised', 'familiar', 'known']
 const STATUS_ABBREV = ['N', 'U', 'R', 'F', 'K']
@@ -36,6 +37,9 @@ const CinemaWordPopup = ({
   status = 'new',
   audioBase64,
   audioUrl,
+  language,
+  nativeLanguage,
+  context = '',
   isClosing = false,
   onStatusChange,
   onClose,
@@ -111,6 +115,15 @@ const CinemaWordPopup = ({
         })}
       </div>
 
+      <DictionarySection
+        key={word}
+        word={word}
+        sourceLanguage={language}
+        nativeLanguage={nativeLanguage}
+        context={context}
+        variant="cinema"
+      />
+
       {onAskTutor && (
         <button
           type="button"
@@ -686,6 +686,7 @@ const TranscriptFlow = ({
             language={language}
             listeningMode="extensive"
             enableHighlight={showWordStatus}
+            isPhrase
             ref={getPhraseRefSetter(phrase.startIdx, phrase.endIdx)}
           />,
         )
@@ -0,0 +1,132 @@
+import { useState } from 'react'
+import { useAuth } from '../../context/AuthContext'
+import { LANGUAGES, toLanguageLabel } from '../../constants/languages'
+import { MEDIA_FILE_ACCEPT, SUBTITLE_FILE_ACCEPT, importSubtitledMedia } from '../../services/mediaImport'
+
+// Strip the extension so "Film.2019.mkv" suggests "Film.2019" as the title
+const titleFromFileName = (name = '') => name.replace(/\.[^.]+$/, '')
+
+const ImportMediaPanel = ({ layout = 'card', onSuccess, onCancel, language }) => {
+  const { user, profile } = useAuth()
+
+  const [title, setTitle] = useState('')
+  const [mediaFile, setMediaFile] = useState(null)
+  const [subtitleFile, setSubtitleFile] = useState(null)
+  const [mediaLanguage, setMediaLanguage] = useState(
+    () => toLanguageLabel(language || profile?.lastUsedLanguage || '') || LANGUAGES[0]
+  )
+  const [error, setError] = useState('')
+  const [submitting, setSubmitting] = useState(false)
+
+  const handleMediaChange = (event) => {
+    const file = event.target.files?.[0] || null
+    setMediaFile(file)
+    if (file && !title.trim()) setTitle(titleFromFileName(file.name))
+  }
+
+  const handleSubmit = async (event) => {
+    event.preventDefault()
+
+    if (!user) {
+      setError('You need to be signed in to import content.')
+      return
+    }
+
+    const trimmedTitle = title.trim()
+    if (!trimmedTitle || !mediaFile || !subtitleFile) {
+      setError('Please choose a media file, its subtitles and a title.')
+      return
+    }
+
+    setSubmitting(true)
+    setError('')
+
+    try {
+      await importSubtitledMedia({
+        mediaFile,
+        subtitleFile,
+        title: trimmedTitle,
+        language: mediaLanguage,
+        uid: user.uid,
+      })
+
+      setTitle('')
+      setMediaFile(null)
+      setSubtitleFile(null)
+      onSuccess?.()
+    } catch (submissionError) {
+      console.error('Failed to import media', submissionError)
+      setError(submissionError.message || 'Unable to import this file right now.')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const isInline = layout === 'inline'
+
+  return (
+    <form className={isInline ? 'form' : 'preview-card'} onSubmit={handleSubmit}>
+      {!isInline && (
+        <div className="section-header">
+          <h3>Import a video or audio file</h3>
+          <p className="muted small">
+            Upload a film, episode or recording with its subtitles (SRT, VTT or ASS) to watch it in Cinema.
+          </p>
+        </div>
+      )}
+
+      <label className="ui-text">
+        Video or audio file
+        <input type="file" accept={MEDIA_FILE_ACCEPT} onChange={handleMediaChange} required />
+      </label>
+
+      <label className="ui-text">
+        Subtitle file
+        <input
+          type="file"
+          accept={SUBTITLE_FILE_ACCEPT}
+          onChange={(event) => setSubtitleFile(event.target.files?.[0] || null)}
+          required
+        />
+      </label>
+
+      <label className="ui-text">
+        Title
+        <input
+          type="text"
+          value={title}
+          onChange={(event) => setTitle(event.target.value)}
+          required
+        />
+      </label>
+
+      <label className="ui-text">
+        Language
+        <select value={mediaLanguage} onChange={(event) => setMediaLanguage(event.target.value)}>
+          {LANGUAGES.map((label) => (
+            <option key={label} value={label}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <p className="muted small">The subtitles should be in the language spoken, not a translation.</p>
+
+      {error && <p className="error">{error}</p>}
+
+      <div className="action-row">
+        {onCancel && (
+          <button className="button ghost" type="button" onClick={onCancel}>
+            Cancel
+          </button>
+        )}
+        <button className="button primary" type="submit" disabled={submitting}>
+          {submitting ? 'Uploading…' : 'Import'}
+        </button>
+      </div>
+    </form>
+  )
+}
+
+export default ImportMediaPanel
@@ -1,6 +1,7 @@
 import { useCallback, useEffect, useMemo, useRef, useState } from 'react'
 import { normaliseExpression, upsertVocabEntry } from '../../services/vocab'
 import WordTokenListening from './WordTokenListening'
+import VocabPrimer from '../VocabPrimer'
 import { resolveSupportedLanguageLabel } from '../../constants/languages'
 import { normalizeLanguageCode } from '../../utils/language'
 
@@ -187,6 +188,7 @@ const IntensiveListeningMode = ({
   const [loopEnd, setLoopEnd] = useState(100)
   const [isDragging, setIsDragging] = useState(null) // 'start' | 'end' | null
   const [isLoadingTranslation, setIsLoadingTranslation] = useState(false)
+  const [isPrimerOpen, setIsPrimerOpen] = useState(false)
   const sentenceAudioStopRef = useRef(null)
   const fallbackAudioRef = useRef(null)
   const progressIntervalRef = useRef(null)
@@ -1412,6 +1414,16 @@ const IntensiveListeningMode = ({
                 </button>
               </div>
 
+              <button
+                type="button"
+                className="intensive-primer-btn"
+                onClick={() => setIsPrimerOpen(true)}
+                disabled={!language || !currentIntensiveSentence}
+                title="Preview the unknown words in this chunk"
+              >
+                Primer
+              </button>
+
               <div className="transcribe-mode-toggle">
                 <span className="transcribe-mode-label">Transcribe</span>
                 <button
@@ -1654,6 +1666,21 @@ const IntensiveListeningMode = ({
           </div>
         </div>
       )}
+
+      <VocabPrimer
+        isOpen={listeningMode === 'intensive' && isPrimerOpen}
+        onClose={() => setIsPrimerOpen(false)}
+        title={`Chunk ${intensiveSentenceIndex + 1} of ${intensiveSentences.length}`}
+        userId={user?.uid}
+        text={currentIntensiveSentence}
+        language={language}
+        nativeLanguage={nativeLanguage}
+        expressions={contentExpressions}
+        voiceGender={voiceGender}
+        contentId={contentId}
+        vocabEntries={vocabEntries}
+        onVocabChange={(key, entry) => setVocabEntries((prev) => ({ ...prev, [key]: entry }))}
+      />
     </>
   )
 }
@@ -11,6 +11,9 @@ import { deleteYoutubeVideo, fetchYoutubeVideosMeta } from '../../services/youtu
 import { unfollowChannel } from '../../services/youtubeChannels'
 import { unsavePlaylist } from '../../services/youtubePlaylists'
 import { getYouTubeThumbnailFromVideo } from '../../utils/youtube'
+import { getCoverageKey } from '../../services/coverage'
+import useContentCoverage from '../../hooks/useContentCoverage'
+import CoverageBadge from '../CoverageBadge'
 import useListenLibraryData from './useListenLibraryData'
 
 const TITLES = {
@@ -75,7 +78,7 @@ const formatPublishedDate = (raw) => {
 
 const joinTrailing = (...parts) => parts.filter(Boolean).join(' · ')
 
-function Row({ thumb, title, subtitle, eyebrow, trailing, trailingNatural, shape = 'square', onClick, onRemove, followAction }) {
+function Row({ thumb, title, subtitle, eyebrow, trailing, trailingNatural, shape = 'square', coverage, onClick, onRemove, followAction }) {
   const handleRowClick = (e) => {
     if (e.target.closest('[data-row-remove]')) return
     onClick?.()
@@ -97,6 +100,7 @@ function Row({ thumb, title, subtitle, eyebrow, trailing, trailingNatural, shape
         <p className="listen-deep-title">{title}</p>
         {subtitle && <p className="listen-deep-sub">{subtitle}</p>}
       </div>
+      <CoverageBadge coverage={coverage} />
       {trailing && (
         <span className={`listen-deep-trailing${trailingNatural ? ' listen-deep-trailing--natural' : ''}`}>
           {trailing}
@@ -158,6 +162,8 @@ export default function ListenDeepView({ medium }) {
     () => buildRows({ medium, activeTab, data, navigate, uid: user?.uid }),
     [medium, activeTab, data, navigate, user?.uid],
   )
+  const coverageItems = useMemo(() => rows.map((row) => row.coverageItem).filter(Boolean), [rows])
+  const coverage = useContentCoverage(user?.uid, activeLanguage, coverageItems)
 
   // Backfill publishedAt for podcast episodes that were saved before we
   // started persisting that field. Group by showId, hit the RSS feed once
@@ -262,7 +268,13 @@ export default function ListenDeepView({ medium }) {
         {rows.length === 0 ? (
           <EmptyState label="Nothing here yet." />
         ) : (
-          rows.map((row, idx) => <Row key={row.id || idx} {...row} />)
+          rows.map((row, idx) => (
+            <Row
+              key={row.id || idx}
+              {...row}
+              coverage={row.coverageItem && coverage[getCoverageKey(row.coverageItem.contentType, row.coverageItem.contentId)]}
+            />
+          ))
         )}
       </div>
     </div>
@@ -286,6 +298,7 @@ function buildRows({ medium, activeTab, data, navigate, uid }) {
         subtitle: b.author,
         shape: 'square',
         trailing: b.progress > 0 ? `${b.progress}%` : '',
+        coverageItem: { contentType: 'story', contentId: b.id },
         onClick: () => navigate(`/listen/${b.id}`),
       }))
     }
@@ -297,6 +310,7 @@ function buildRows({ medium, activeTab, data, navigate, uid }) {
         subtitle: b.author,
         shape: 'square',
         trailing: `${b.progress}%`,
+        coverageItem: { contentType: 'story', contentId: b.id },
         onClick: () => navigate(`/listen/${b.id}`),
       }))
     }
@@ -308,6 +322,7 @@ function buildRows({ medium, activeTab, data, navigate, uid }) {
         subtitle: b.author,
         shape: 'square',
         trailing: 'Finished',
+        coverageItem: { contentType: 'story', contentId: b.id },
         onClick: () => navigate(`/listen/${b.id}`),
       }))
     }
@@ -362,6 +377,7 @@ function buildRows({ medium, activeTab, data, navigate, uid }) {
             ? (e.dubStatus === 'failed' ? 'Dub failed' : 'Dubbing…')
             : undefined,
           trailingNatural: !dubbing,
+          coverageItem: e.episodeId ? { contentType: 'podcast', contentId: String(e.episodeId) } : undefined,
           onClick: dubbing ? undefined : () => playPodcastEpisode(
             {
               id: e.episodeId,
@@ -516,6 +532,7 @@ function buildRows({ medium, activeTab, data, navigate, uid }) {
           formatPublishedDate(v.publishedAt),
           formatLongDuration((Number(v.durationSeconds) || 0) * 1000),
         ],
+        coverageItem: { contentType: 'youtube', contentId: v.id },
         onClick: () => navigate(`/cinema/${v.id}`),
         onRemove: uid ? () => deleteYoutubeVideo(uid, v.id).catch((err) => console.warn('deleteYoutubeVideo', err)) : undefined,
       }))
@@ -6,6 +6,9 @@ import { prewarmMusicPlayback } from '../../services/musicKit'
 import { playPodcastEpisode } from '../../services/podcast'
 import { incrementSharedAudiobookPopularity } from '../../services/sharedAudiobooks'
 import { getYouTubeThumbnailFromVideo } from '../../utils/youtube'
+import { getCoverageKey } from '../../services/coverage'
+import useContentCoverage from '../../hooks/useContentCoverage'
+import CoverageBadge from '../CoverageBadge'
 import useListenLibraryData, { pickContinueListening } from './useListenLibraryData'
 import MusicKitConnect from '../music/MusicKitConnect'
 import useMusicKit from '../../hooks/useMusicKit'
@@ -99,7 +102,7 @@ function ContinueListeningHero({ item, onPlay }) {
   )
 }
 
-function ShelfCard({ shape, coverUrl, title, subtitle, trailing, onClick, ariaLabel, disabled }) {
+function ShelfCard({ shape, coverUrl, title, subtitle, trailing, coverage, onClick, ariaLabel, disabled }) {
   const metaParts = [subtitle, trailing].filter(Boolean)
   return (
     <button
@@ -115,6 +118,7 @@ function ShelfCard({ shape, coverUrl, title, subtitle, trailing, onClick, ariaLa
         ) : (
           <span className="listen-shelf-cover-fallback">{title}</span>
         )}
+        <CoverageBadge coverage={coverage} />
         <div className="listen-shelf-hover">
           <div className="listen-shelf-hover-title">{title}</div>
           {metaParts.length > 0 && (
@@ -203,6 +207,7 @@ export default function ListenLibrary() {
         subtitle: b.author || '',
         trailing: '',
         coverUrl: b.coverImageUrlSquare || b.coverImageUrl || '',
+        coverageKey: getCoverageKey('story', b.id),
         onClick: () => {
           if (b.sharedAudiobookId) {
             incrementSharedAudiobookPopularity(b.sharedAudiobookId)
@@ -212,6 +217,11 @@ export default function ListenLibrary() {
       })),
     [data.audiobooks, navigate],
   )
+  const audiobookCoverageItems = useMemo(
+    () => audiobookCards.map((card) => ({ contentType: 'story', contentId: card.id })),
+    [audiobookCards],
+  )
+  const audiobookCoverage = useContentCoverage(user?.uid, activeLanguage, audiobookCoverageItems)
 
   // -- Podcasts shelf: subscribed shows -------------------------------------
   // Episode count per show comes from the user's episodeStates (the only
@@ -441,6 +451,7 @@ export default function ListenLibrary() {
                     title={card.title}
                     subtitle={card.subtitle}
                     trailing={card.trailing}
+                    coverage={card.coverageKey && audiobookCoverage[card.coverageKey]}
                     onClick={card.onClick}
                   />
                 ))}
@@ -34,6 +34,7 @@ const WordTokenListening = forwardRef(({
   onSelectionTranslate,
   enableHighlight = false,
   isWordPairMatch = false,
+  isPhrase = false,
   requireDoubleClick = false,
 }, ref) => {
   const normalisedStatus = normaliseStatus(status)
@@ -72,6 +73,7 @@ const WordTokenListening = forwardRef(({
   const classNames = ['reader-word']
   if (highlighted) classNames.push('reader-word--highlighted')
   if (isWordPairMatch) classNames.push('reader-word--word-pair-match')
+  if (isPhrase) classNames.push('reader-word--phrase')
 
   // Only install handlers when callbacks are actually provided. Callers that
   // delegate click/selection handling to an ancestor (see TranscriptFlow)
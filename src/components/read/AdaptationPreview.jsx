@@ -0,0 +1,72 @@
+import { useEffect, useState } from 'react'
+import { getAdaptationLevelLabel } from '../../constants/adaptationLevels'
+import { previewAdaptation, previewGutenbergAdaptation } from '../../services/adaptation'
+
+// Adapts one page of the chosen file (or Gutenberg book) and shows it next to
+// the original, so the level and profile can be checked before the whole book
+// is adapted
+const AdaptationPreview = ({ file = null, gutenbergBook = null, level, outputLanguage, profile = null }) => {
+  const [preview, setPreview] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+
+  // A preview only describes the settings it was made with
+  useEffect(() => {
+    setPreview(null)
+    setError('')
+  }, [file, gutenbergBook?.id, level, outputLanguage, profile?.id, profile?.instructions])
+
+  const hasSource = Boolean(file || gutenbergBook)
+
+  const handlePreview = async () => {
+    if (!hasSource || !level || loading) return
+    setLoading(true)
+    setError('')
+    try {
+      setPreview(
+        file
+          ? await previewAdaptation({ file, level, outputLanguage, profile })
+          : await previewGutenbergAdaptation({ book: gutenbergBook, level, outputLanguage, profile })
+      )
+    } catch (err) {
+      console.error('Failed to preview adaptation:', err)
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="adaptation-preview">
+      {!preview && (
+        <button
+          type="button"
+          className="import-btn-secondary"
+          onClick={handlePreview}
+          disabled={!hasSource || !level || loading}
+        >
+          {loading ? 'Adapting a sample page...' : 'Preview a page'}
+        </button>
+      )}
+      {loading && <p className="import-hint">This can take a minute or two.</p>}
+      {error && <p className="error small">{error}</p>}
+      {preview && (
+        <div className="adaptation-preview-columns">
+          <div className="adaptation-preview-column">
+            <span className="import-label-text">Original</span>
+            <div className="adaptation-preview-text">{preview.original}</div>
+          </div>
+          <div className="adaptation-preview-column">
+            <span className="import-label-text">
+              {getAdaptationLevelLabel(preview.level)}
+              {profile ? ` · ${profile.name}` : ''}
+            </span>
+            <div className="adaptation-preview-text">{preview.adapted}</div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default AdaptationPreview
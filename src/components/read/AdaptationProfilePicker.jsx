@@ -0,0 +1,145 @@
+import { useEffect, useState } from 'react'
+import { useAuth } from '../../context/AuthContext'
+import {
+  MAX_PROFILE_INSTRUCTIONS_LENGTH,
+  deleteAdaptationProfile,
+  loadAdaptationProfiles,
+  saveAdaptationProfile,
+} from '../../services/adaptation'
+
+const EMPTY_DRAFT = { id: null, name: '', instructions: '' }
+
+// Pick, create, edit or delete a personal adaptation profile. `onSelect`
+// receives the chosen profile ({ id, name, instructions }) or null.
+const AdaptationProfilePicker = ({ selectedId = '', onSelect }) => {
+  const { user } = useAuth()
+  const [profiles, setProfiles] = useState([])
+  const [draft, setDraft] = useState(null)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    if (!user?.uid) return
+    let cancelled = false
+    loadAdaptationProfiles(user.uid)
+      .then((loaded) => {
+        if (!cancelled) setProfiles(loaded)
+      })
+      .catch((err) => console.error('Failed to load adaptation profiles:', err))
+    return () => {
+      cancelled = true
+    }
+  }, [user?.uid])
+
+  const selectedProfile = profiles.find((profile) => profile.id === selectedId) || null
+
+  const handleSave = async () => {
+    if (!draft.name.trim() || !draft.instructions.trim()) return
+    setSaving(true)
+    setError('')
+    try {
+      const id = await saveAdaptationProfile(user.uid, draft)
+      const saved = { id, name: draft.name.trim(), instructions: draft.instructions.trim() }
+      setProfiles((prev) =>
+        prev.some((profile) => profile.id === id)
+          ? prev.map((profile) => (profile.id === id ? saved : profile))
+          : [...prev, saved]
+      )
+      onSelect(saved)
+      setDraft(null)
+    } catch (err) {
+      console.error('Failed to save adaptation profile:', err)
+      setError('Could not save this profile. Please try again.')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleDelete = async () => {
+    if (!draft?.id || !window.confirm(`Delete the profile "${draft.name}"?`)) return
+    setSaving(true)
+    try {
+      await deleteAdaptationProfile(user.uid, draft.id)
+      setProfiles((prev) => prev.filter((profile) => profile.id !== draft.id))
+      if (selectedId === draft.id) onSelect(null)
+      setDraft(null)
+    } catch (err) {
+      console.error('Failed to delete adaptation profile:', err)
+      setError('Could not delete this profile. Please try again.')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  if (draft) {
+    return (
+      <div className="adaptation-profile-editor">
+        <input
+          type="text"
+          className="import-input"
+          value={draft.name}
+          onChange={(event) => setDraft((prev) => ({ ...prev, name: event.target.value }))}
+          placeholder="Profile name, e.g. Latin American Spanish"
+          maxLength={100}
+        />
+        <textarea
+          className="import-input adaptation-profile-instructions"
+          value={draft.instructions}
+          onChange={(event) => setDraft((prev) => ({ ...prev, instructions: event.target.value }))}
+          placeholder="e.g. Keep the original vocabulary and simplify only the grammar. Use ustedes, never vosotros."
+          maxLength={MAX_PROFILE_INSTRUCTIONS_LENGTH}
+          rows={4}
+        />
+        {error && <p className="error small">{error}</p>}
+        <div className="adaptation-profile-actions">
+          {draft.id && (
+            <button type="button" className="import-btn-secondary" onClick={handleDelete} disabled={saving}>
+              Delete
+            </button>
+          )}
+          <button type="button" className="import-btn-secondary" onClick={() => setDraft(null)} disabled={saving}>
+            Cancel
+          </button>
+          <button
+            type="button"
+            className="import-btn-primary"
+            onClick={handleSave}
+            disabled={saving || !draft.name.trim() || !draft.instructions.trim()}
+          >
+            {saving ? 'Saving...' : 'Save profile'}
+          </button>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="adaptation-profile-picker">
+      <div className="adaptation-profile-row">
+        <select
+          className="import-input"
+          value={selectedProfile?.id || ''}
+          onChange={(event) => onSelect(profiles.find((profile) => profile.id === event.target.value) || null)}
+        >
+          <option value="">No extra instructions</option>
+          {profiles.map((profile) => (
+            <option key={profile.id} value={profile.id}>
+              {profile.name}
+            </option>
+          ))}
+        </select>
+        {selectedProfile && (
+          <button type="button" className="import-btn-secondary" onClick={() => setDraft(selectedProfile)}>
+            Edit
+          </button>
+        )}
+        <button type="button" className="import-btn-secondary" onClick={() => setDraft(EMPTY_DRAFT)}>
+          New
+        </button>
+      </div>
+      {selectedProfile && <p className="import-hint">{selectedProfile.instructions}</p>}
+    </div>
+  )
+}
+
+export default AdaptationProfilePicker
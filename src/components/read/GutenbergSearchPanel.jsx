@@ -4,6 +4,9 @@ import {
   getCachedPopularBooks,
   localCoverPath,
 } from '../../services/gutenberg'
+import { ADAPTATION_LEVELS, getAdaptationLevelLabel } from '../../constants/adaptationLevels'
+import AdaptationPreview from './AdaptationPreview'
+import AdaptationProfilePicker from './AdaptationProfilePicker'
 
 function BookCover({ book, variant }) {
   const localSrc = useMemo(() => localCoverPath(book.title), [book.title])
@@ -43,8 +46,6 @@ const EXPLORE_TITLES = {
   English: 'Explore',
 }
 
-const LEVELS = ['Beginner', 'Intermediate', 'Native']
-
 const GutenbergSearchPanel = forwardRef(function GutenbergSearchPanel({
   activeLanguage = '',
   onClose,
@@ -62,6 +63,10 @@ const GutenbergSearchPanel = forwardRef(function GutenbergSearchPanel({
   const [currentPage, setCurrentPage] = useState(1)
   const [selectedBook, setSelectedBook] = useState(null)
 
+  // Detail view import options: level, personal profile and preview
+  const [detailLevel, setDetailLevel] = useState(ADAPTATION_LEVELS[0].id)
+  const [detailProfile, setDetailProfile] = useState(null)
+
   // Import wizard state
   const [importingBookId, setImportingBookId] = useState(null)
   const [importStep, setImportStep] = useState('format') // format, level, audio, voice, confirm
@@ -285,18 +290,21 @@ const GutenbergSearchPanel = forwardRef(function GutenbergSearchPanel({
       // Show level selection directly on hover
       return (
         <div className="gutenberg-book-hover-overlay">
-          {LEVELS.map((level) => (
-            <button
-              key={level}
-              className="gutenberg-quick-import-btn"
-              onClick={(e) => {
-                startImportWizard(e, book)
-                handleLevelSelect(e, level)
-              }}
-            >
-              {level}
-            </button>
-          ))}
+          <div className="gutenberg-level-grid">
+            {ADAPTATION_LEVELS.map((level) => (
+              <button
+                key={level.id}
+                className="gutenberg-quick-import-btn"
+                title={level.description}
+                onClick={(e) => {
+                  startImportWizard(e, book)
+                  handleLevelSelect(e, level.id)
+                }}
+              >
+                {level.label}
+              </button>
+            ))}
+          </div>
         </div>
       )
     }
@@ -314,15 +322,18 @@ const GutenbergSearchPanel = forwardRef(function GutenbergSearchPanel({
         {importStep === 'level' && (
           <div className="gutenberg-wizard-step">
             <span className="gutenberg-wizard-label">Select Level</span>
-            {LEVELS.map((level) => (
-              <button
-                key={level}
-                className="gutenberg-quick-import-btn"
-                onClick={(e) => handleLevelSelect(e, level)}
-              >
-                {level}
-              </button>
-            ))}
+            <div className="gutenberg-level-grid">
+              {ADAPTATION_LEVELS.map((level) => (
+                <button
+                  key={level.id}
+                  className="gutenberg-quick-import-btn"
+                  title={level.description}
+                  onClick={(e) => handleLevelSelect(e, level.id)}
+                >
+                  {level.label}
+                </button>
+              ))}
+            </div>
           </div>
         )}
 
@@ -366,7 +377,7 @@ const GutenbergSearchPanel = forwardRef(function GutenbergSearchPanel({
           <div className="gutenberg-wizard-step gutenberg-wizard-confirm">
             <span className="gutenberg-wizard-label">Confirm Import</span>
             <div className="gutenberg-wizard-summary">
-              <span>{importOptions.level}</span>
+              <span>{getAdaptationLevelLabel(importOptions.level)}</span>
               <span>{importOptions.generateAudio ? `Audio: ${importOptions.voiceGender}` : 'No audio'}</span>
             </div>
             <button
@@ -388,6 +399,8 @@ const GutenbergSearchPanel = forwardRef(function GutenbergSearchPanel({
       onSelectBook({
         ...selectedBook,
         selectedFormat: format,
+        level: detailLevel,
+        adaptationProfile: detailProfile,
       })
     }
   }
@@ -487,6 +500,41 @@ const GutenbergSearchPanel = forwardRef(function GutenbergSearchPanel({
                 )}
               </div>
 
+              {(selectedBook.textUrl || selectedBook.epubUrl) && (
+                <div className="gutenberg-book-detail-options">
+                  <div className="import-form-section">
+                    <span className="import-label-text">Adaptation level</span>
+                    <div className="import-level-options">
+                      {ADAPTATION_LEVELS.map((option) => (
+                        <button
+                          key={option.id}
+                          type="button"
+                          className={`import-level-option${detailLevel === option.id ? ' is-active' : ''}`}
+                          onClick={() => setDetailLevel(option.id)}
+                          title={option.description}
+                        >
+                          {option.label}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+
+                  <div className="import-form-section">
+                    <span className="import-label-text">Adaptation profile</span>
+                    <AdaptationProfilePicker
+                      selectedId={detailProfile?.id || ''}
+                      onSelect={setDetailProfile}
+                    />
+                    <AdaptationPreview
+                      gutenbergBook={selectedBook}
+                      level={detailLevel}
+                      outputLanguage={activeLanguage}
+                      profile={detailProfile}
+                    />
+                  </div>
+                </div>
+              )}
+
               <div className="gutenberg-book-detail-actions">
                 {(selectedBook.textUrl || selectedBook.epubUrl) && (
                   <button
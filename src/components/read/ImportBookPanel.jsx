@@ -1,7 +1,16 @@
 import { useMemo, useState } from 'react'
 import { useAuth } from '../../context/AuthContext'
-
-const LEVELS = ['Beginner', 'Intermediate', 'Native']
+import { ADAPTATION_LEVELS, DEFAULT_ADAPTATION_LEVEL } from '../../constants/adaptationLevels'
+import { BOOK_FILE_ACCEPT, BOOK_FILE_HINT } from '../../constants/importFormats'
+import { appendAdaptationProfile } from '../../services/adaptation'
+import {
+  LOW_OCR_CONFIDENCE,
+  OCR_FILE_ACCEPT,
+  buildOcrTextFile,
+  recognisePages,
+} from '../../services/ocrImport'
+import AdaptationPreview from './AdaptationPreview'
+import AdaptationProfilePicker from './AdaptationProfilePicker'
 
 // Target language translations for modal title
 const IMPORT_TITLES = {
@@ -12,6 +21,17 @@ const IMPORT_TITLES = {
   English: 'Import',
 }
 
+// Server responses that mean the file needs the OCR path
+const OCR_ERROR_CODES = ['SCANNED_PDF_NOT_SUPPORTED', 'OCR_REQUIRED']
+
+const moveItem = (items, index, offset) => {
+  const target = index + offset
+  if (target < 0 || target >= items.length) return items
+  const next = [...items]
+  ;[next[index], next[target]] = [next[target], next[index]]
+  return next
+}
+
 const ImportBookPanel = ({
   activeLanguage = '',
   onBack,
@@ -22,90 +42,132 @@ const ImportBookPanel = ({
   const { user } = useAuth()
   const [file, setFile] = useState(null)
   const [originalLanguage, setOriginalLanguage] = useState('')
-  const [levelIndex, setLevelIndex] = useState(0)
+  const [level, setLevel] = useState(DEFAULT_ADAPTATION_LEVEL)
+  const [adaptationProfile, setAdaptationProfile] = useState(null)
   const [author, setAuthor] = useState('')
   const [title, setTitle] = useState('')
   const [voiceGender, setVoiceGender] = useState('male')
   const [isPublicDomain, setIsPublicDomain] = useState(false)
   const [generateAudio, setGenerateAudio] = useState(false)
   const [submitting, setSubmitting] = useState(false)
+  // OCR mode: scanned files in page order, then the recognised pages for review
+  const [isScanned, setIsScanned] = useState(false)
+  const [scanFiles, setScanFiles] = useState([])
+  const [ocrPages, setOcrPages] = useState(null)
 
   const HeadingTag = useMemo(() => headingLevel || 'h2', [headingLevel])
 
+  const uploadBook = async (bookFile) => {
+    const formData = new FormData()
+    formData.append('file', bookFile)
+    formData.append('originalLanguage', originalLanguage)
+    formData.append('outputLanguage', activeLanguage)
+    formData.append('translationMode', 'graded')
+    formData.append('level', level)
+    formData.append('author', author)
+    formData.append('title', title)
+    formData.append('isPublicDomain', isPublicDomain ? 'true' : 'false')
+    formData.append('userId', user?.uid || '')
+    formData.append('voiceGender', voiceGender)
+    formData.append('generateAudio', generateAudio ? 'true' : 'false')
+    appendAdaptationProfile(formData, adaptationProfile)
+
+    const response = await fetch('http://localhost:4000/api/import-upload', {
+      method: 'POST',
+      body: formData,
+    })
+
+    if (!response.ok) {
+      try {
+        const data = await response.json()
+
+        // Scanned PDFs and page photos go through OCR instead
+        if (OCR_ERROR_CODES.includes(data?.error)) {
+          setIsScanned(true)
+          setScanFiles([bookFile])
+          alert(data.message)
+          return
+        }
+
+        // Generic JSON error message fallback
+        if (data?.message) {
+          alert('Upload failed: ' + data.message)
+          return
+        }
+
+        // If JSON has no useful message, fall back to text
+        const fallbackText = await response.text()
+        alert('Upload failed: ' + fallbackText)
+        return
+      } catch (e) {
+        // If JSON parsing fails, fall back to original behaviour
+        const fallbackText = await response.text()
+        alert('Upload failed: ' + fallbackText)
+        return
+      }
+    }
+
+    await response.json()
+    alert('Import started successfully.')
+    if (onClose) {
+      onClose()
+    }
+  }
+
   const handleSubmit = async (event) => {
     event.preventDefault()
     setSubmitting(true)
 
-    if (!file || !originalLanguage || !title || !activeLanguage) {
+    const hasFiles = isScanned ? scanFiles.length > 0 : Boolean(file)
+    if (!hasFiles || !originalLanguage || !title || !activeLanguage) {
       alert('Please fill in all required fields')
       setSubmitting(false)
       return
     }
 
-    const selectedLevel = LEVELS[levelIndex] || 'Beginner'
-
     try {
-      const formData = new FormData()
-      formData.append('file', file)
-      formData.append('originalLanguage', originalLanguage)
-      formData.append('outputLanguage', activeLanguage)
-      formData.append('translationMode', 'graded')
-      formData.append('level', selectedLevel)
-      formData.append('author', author)
-      formData.append('title', title)
-      formData.append('isPublicDomain', isPublicDomain ? 'true' : 'false')
-      formData.append('userId', user?.uid || '')
-      formData.append('voiceGender', voiceGender)
-      formData.append('generateAudio', generateAudio ? 'true' : 'false')
-
-      const response = await fetch('http://localhost:4000/api/import-upload', {
-        method: 'POST',
-        body: formData,
-      })
-
-      if (!response.ok) {
-        try {
-          const data = await response.json()
-
-          // Specific handling for scanned PDFs
-          if (data?.error === 'SCANNED_PDF_NOT_SUPPORTED') {
-            alert(data.message)
-            return
-          }
-
-          // Generic JSON error message fallback
-          if (data?.message) {
-            alert('Upload failed: ' + data.message)
-            return
-          }
-
-          // If JSON has no useful message, fall back to text
-          const fallbackText = await response.text()
-          alert('Upload failed: ' + fallbackText)
-          return
-        } catch (e) {
-          // If JSON parsing fails, fall back to original behaviour
-          const fallbackText = await response.text()
-          alert('Upload failed: ' + fallbackText)
-          return
-        }
-      }
-
-      await response.json()
-      alert('Import started successfully.')
-      if (onClose) {
-        onClose()
+      if (!isScanned) {
+        await uploadBook(file)
+      } else if (!ocrPages) {
+        // First pass: recognise the pages and stop for review
+        setOcrPages(await recognisePages(scanFiles, originalLanguage))
+      } else {
+        await uploadBook(buildOcrTextFile(ocrPages, title))
       }
     } catch (error) {
       console.error('Failed to submit import request', error)
-      alert('Upload failed. Please try again later.')
+      alert(isScanned && !ocrPages ? error.message : 'Upload failed. Please try again later.')
     } finally {
       setSubmitting(false)
     }
   }
 
+  const handleScanFilesChange = (event) => {
+    const added = Array.from(event.target.files || [])
+    setScanFiles((prev) => [...prev, ...added])
+    event.target.value = ''
+  }
+
+  const handleScannedToggle = (checked) => {
+    setIsScanned(checked)
+    setOcrPages(null)
+    if (checked && file) setScanFiles([file])
+  }
+
+  const updateOcrPageText = (index, text) => {
+    setOcrPages((prev) => prev.map((page, i) => (i === index ? { ...page, text } : page)))
+  }
+
   const isSubmitDisabled =
-    !file || !originalLanguage || !title || submitting || !activeLanguage
+    !(isScanned ? scanFiles.length : file) || !originalLanguage || !title || submitting || !activeLanguage
+
+  const submitLabel = submitting
+    ? isScanned && !ocrPages
+      ? 'Reading pages...'
+      : 'Importing...'
+    : isScanned && !ocrPages
+      ? 'Read pages'
+      : 'Import'
 
   const panelContent = (
     <>
@@ -123,19 +185,131 @@ const ImportBookPanel = ({
 
       {!activeLanguage ? (
         <p className="muted small ui-text">Select a language to import a book.</p>
+      ) : ocrPages ? (
+        <form className="import-form" onSubmit={handleSubmit}>
+          <p className="import-hint">
+            Check the recognised text and fix any OCR errors before the adaptation starts. Pages marked
+            for review were hard to read.
+          </p>
+          <div className="import-ocr-pages">
+            {ocrPages.map((page, index) => {
+              const isLowConfidence = page.confidence !== null && page.confidence < LOW_OCR_CONFIDENCE
+              return (
+                <div key={page.index} className={`import-ocr-page${isLowConfidence ? ' is-low-confidence' : ''}`}>
+                  <div className="import-ocr-page-header">
+                    <span className="import-label-text">Page {index + 1}</span>
+                    {isLowConfidence && <span className="import-ocr-flag">Review</span>}
+                    <button
+                      type="button"
+                      className="import-ocr-move"
+                      onClick={() => setOcrPages((prev) => moveItem(prev, index, -1))}
+                      disabled={index === 0}
+                      aria-label="Move page up"
+                    >
+                      ↑
+                    </button>
+                    <button
+                      type="button"
+                      className="import-ocr-move"
+                      onClick={() => setOcrPages((prev) => moveItem(prev, index, 1))}
+                      disabled={index === ocrPages.length - 1}
+                      aria-label="Move page down"
+                    >
+                      ↓
+                    </button>
+                  </div>
+                  <textarea
+                    className="import-input import-ocr-text"
+                    value={page.text}
+                    onChange={(event) => updateOcrPageText(index, event.target.value)}
+                    rows={8}
+                  />
+                </div>
+              )
+            })}
+          </div>
+
+          <div className="import-actions">
+            <button className="import-btn-secondary" type="button" onClick={() => setOcrPages(null)}>
+              Back
+            </button>
+            <button
+              type="submit"
+              className="import-btn-primary"
+              disabled={submitting || !ocrPages.some((page) => page.text.trim())}
+            >
+              {submitLabel}
+            </button>
+          </div>
+        </form>
       ) : (
         <form className="import-form" onSubmit={handleSubmit}>
           <div className="import-form-section">
-            <label className="import-label">
-              <span className="import-label-text">Book file</span>
-              <div className="import-file-input">
-                <input
-                  type="file"
-                  accept=".txt,.pdf,.epub"
-                  onChange={(event) => setFile(event.target.files?.[0] || null)}
-                />
+            {isScanned ? (
+              <div className="import-label">
+                <span className="import-label-text">Scanned pages</span>
+                <div className="import-file-input">
+                  <input type="file" accept={OCR_FILE_ACCEPT} multiple onChange={handleScanFilesChange} />
+                </div>
+                <span className="import-hint">
+                  Scanned PDFs or JPEG/PNG photos of pages. Text is read in the order listed below.
+                </span>
+                {scanFiles.length > 0 && (
+                  <ol className="import-ocr-file-list">
+                    {scanFiles.map((scanFile, index) => (
+                      <li key={`${scanFile.name}-${index}`} className="import-ocr-file">
+                        <span className="import-ocr-file-name">{scanFile.name}</span>
+                        <button
+                          type="button"
+                          className="import-ocr-move"
+                          onClick={() => setScanFiles((prev) => moveItem(prev, index, -1))}
+                          disabled={index === 0}
+                          aria-label="Move up"
+                        >
+                          ↑
+                        </button>
+                        <button
+                          type="button"
+                          className="import-ocr-move"
+                          onClick={() => setScanFiles((prev) => moveItem(prev, index, 1))}
+                          disabled={index === scanFiles.length - 1}
+                          aria-label="Move down"
+                        >
+                          ↓
+                        </button>
+                        <button
+                          type="button"
+                          className="import-ocr-move"
+                          onClick={() => setScanFiles((prev) => prev.filter((_, i) => i !== index))}
+                          aria-label="Remove"
+                        >
+                          ×
+                        </button>
+                      </li>
+                    ))}
+                  </ol>
+                )}
               </div>
-              <span className="import-hint">.txt, .pdf, or .epub</span>
+            ) : (
+              <label className="import-label">
+                <span className="import-label-text">Book file</span>
+                <div className="import-file-input">
+                  <input
+                    type="file"
+                    accept={BOOK_FILE_ACCEPT}
+                    onChange={(event) => setFile(event.target.files?.[0] || null)}
+                  />
+                </div>
+                <span className="import-hint">{BOOK_FILE_HINT}</span>
+              </label>
+            )}
+            <label className="import-checkbox-label">
+              <span>Scanned book or photos of pages (OCR)</span>
+              <input
+                type="checkbox"
+                checked={isScanned}
+                onChange={(event) => handleScannedToggle(event.target.checked)}
+              />
             </label>
           </div>
 
@@ -178,17 +352,37 @@ const ImportBookPanel = ({
           <div className="import-form-section">
             <span className="import-label-text">Adaptation level</span>
             <div className="import-level-options">
-              {LEVELS.map((level, index) => (
+              {ADAPTATION_LEVELS.map((option) => (
                 <button
-                  key={level}
+                  key={option.id}
                   type="button"
-                  className={`import-level-option${levelIndex === index ? ' is-active' : ''}`}
-                  onClick={() => setLevelIndex(index)}
+                  className={`import-level-option${level === option.id ? ' is-active' : ''}`}
+                  onClick={() => setLevel(option.id)}
+                  title={option.description}
                 >
-                  {level}
+                  {option.label}
                 </button>
               ))}
             </div>
+            <p className="import-hint">
+              {ADAPTATION_LEVELS.find((option) => option.id === level)?.description}
+            </p>
+          </div>
+
+          <div className="import-form-section">
+            <span className="import-label-text">Adaptation profile</span>
+            <AdaptationProfilePicker
+              selectedId={adaptationProfile?.id || ''}
+              onSelect={setAdaptationProfile}
+            />
+            {!isScanned && file && (
+              <AdaptationPreview
+                file={file}
+                level={level}
+                outputLanguage={activeLanguage}
+                profile={adaptationProfile}
+              />
+            )}
           </div>
 
           <div className="import-form-section">
@@ -238,7 +432,7 @@ const ImportBookPanel = ({
               </button>
             )}
             <button type="submit" className="import-btn-primary" disabled={isSubmitDisabled}>
-              {submitting ? 'Importing...' : 'Import'}
+              {submitLabel}
             </button>
           </div>
         </form>
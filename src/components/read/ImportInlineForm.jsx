@@ -1,8 +1,24 @@
 import { useEffect, useMemo, useRef, useState } from 'react'
 import { useNavigate } from 'react-router-dom'
 import { useAuth } from '../../context/AuthContext'
+import {
+  ADAPTATION_LEVELS,
+  DEFAULT_ADAPTATION_LEVEL,
+  getAdaptationLevelLabel,
+} from '../../constants/adaptationLevels'
+import { BOOK_FILE_ACCEPT, BOOK_FILE_HINT, isSupportedBookFile } from '../../constants/importFormats'
+import { appendAdaptationProfile } from '../../services/adaptation'
+import { importArticle, previewArticle } from '../../services/articleImport'
+import AdaptationPreview from './AdaptationPreview'
+import AdaptationProfilePicker from './AdaptationProfilePicker'
 
-const LEVELS = ['Beginner', 'Intermediate', 'Native']
+// Articles can also be read exactly as published
+const KEEP_ORIGINAL_LEVEL = 'Keep original'
+
+const SOURCE_TABS = [
+  { id: 'file', label: 'File' },
+  { id: 'url', label: 'Web article' },
+]
 
 const AUDIO_OPTIONS = [
   { id: 'audio', label: 'Audio' },
@@ -25,6 +41,7 @@ const STEP_ORDER = [
   'author',
   'language',
   'level',
+  'profile',
   'audio',
   'voice',
   'publicDomain',
@@ -35,12 +52,17 @@ export default function ImportInlineForm({ activeLanguage }) {
   const navigate = useNavigate()
   const { user } = useAuth()
 
+  const [source, setSource] = useState('file') // 'file' | 'url'
   const [step, setStep] = useState('file')
   const [file, setFile] = useState(null)
+  const [articleUrl, setArticleUrl] = useState('')
+  const [article, setArticle] = useState(null)
+  const [loadingArticle, setLoadingArticle] = useState(false)
   const [title, setTitle] = useState('')
   const [author, setAuthor] = useState('')
   const [originalLanguage, setOriginalLanguage] = useState('')
-  const [level, setLevel] = useState('Beginner')
+  const [level, setLevel] = useState(DEFAULT_ADAPTATION_LEVEL)
+  const [adaptationProfile, setAdaptationProfile] = useState(null)
   const [audio, setAudio] = useState(null) // 'audio' | 'text'
   const [voice, setVoice] = useState(null) // 'female' | 'male'
   const [isPublicDomain, setIsPublicDomain] = useState(null) // 'yes' | 'no'
@@ -50,6 +72,7 @@ export default function ImportInlineForm({ activeLanguage }) {
   const [isDragging, setIsDragging] = useState(false)
 
   const fileInputRef = useRef(null)
+  const urlInputRef = useRef(null)
   const titleInputRef = useRef(null)
   const authorInputRef = useRef(null)
   const languageInputRef = useRef(null)
@@ -66,6 +89,7 @@ export default function ImportInlineForm({ activeLanguage }) {
       }
       prevStepRef.current = step
     }
+    if (step === 'file' && urlInputRef.current) urlInputRef.current.focus()
     if (step === 'title' && titleInputRef.current) titleInputRef.current.focus()
     if (step === 'author' && authorInputRef.current) authorInputRef.current.focus()
     if (step === 'language' && languageInputRef.current) languageInputRef.current.focus()
@@ -76,11 +100,15 @@ export default function ImportInlineForm({ activeLanguage }) {
   const resetFrom = (target) => {
     const idx = STEP_ORDER.indexOf(target)
     if (idx < 0) return
-    if (idx <= STEP_ORDER.indexOf('file')) setFile(null)
+    if (idx <= STEP_ORDER.indexOf('file')) {
+      setFile(null)
+      setArticle(null)
+    }
     if (idx <= STEP_ORDER.indexOf('title')) setTitle('')
     if (idx <= STEP_ORDER.indexOf('author')) setAuthor('')
     if (idx <= STEP_ORDER.indexOf('language')) setOriginalLanguage('')
-    if (idx <= STEP_ORDER.indexOf('level')) setLevel('Beginner')
+    if (idx <= STEP_ORDER.indexOf('level')) setLevel(DEFAULT_ADAPTATION_LEVEL)
+    if (idx <= STEP_ORDER.indexOf('profile')) setAdaptationProfile(null)
     if (idx <= STEP_ORDER.indexOf('audio')) setAudio(null)
     if (idx <= STEP_ORDER.indexOf('voice')) setVoice(null)
     if (idx <= STEP_ORDER.indexOf('publicDomain')) setIsPublicDomain(null)
@@ -89,9 +117,7 @@ export default function ImportInlineForm({ activeLanguage }) {
 
   const acceptFile = (picked) => {
     if (!picked) return
-    const name = picked.name?.toLowerCase() || ''
-    const ok = ['.txt', '.pdf', '.epub'].some((ext) => name.endsWith(ext))
-    if (!ok) return
+    if (!isSupportedBookFile(picked.name)) return
     setFile(picked)
     advance('title')
   }
@@ -119,16 +145,57 @@ export default function ImportInlineForm({ activeLanguage }) {
     acceptFile(event.dataTransfer.files?.[0] || null)
   }
 
+  const handleSourceChange = (value) => {
+    if (value === source) return
+    resetFrom('file')
+    setSource(value)
+    setError('')
+  }
+
+  // Prefill title, author and language from the page before moving on
+  const handleArticleLoad = async () => {
+    if (!articleUrl.trim() || loadingArticle) return
+    setError('')
+    setLoadingArticle(true)
+    try {
+      const preview = await previewArticle(articleUrl.trim())
+      setArticle(preview)
+      setTitle(preview.title || '')
+      setAuthor(preview.byline || preview.siteName || '')
+      setOriginalLanguage(preview.language || '')
+      advance('title')
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoadingArticle(false)
+    }
+  }
+
+  // Articles already in the study language can skip adaptation; anything
+  // else has to be translated
+  const canKeepOriginal =
+    source === 'url' &&
+    Boolean(activeLanguage) &&
+    originalLanguage.trim().toLowerCase() === activeLanguage.toLowerCase()
+
   const handleLevelPick = (value) => {
     setLevel(value)
-    advance('audio')
+    if (value === KEEP_ORIGINAL_LEVEL) {
+      setAdaptationProfile(null)
+      advance('audio')
+    } else {
+      advance('profile')
+    }
   }
 
+  // Articles aren't added to the shared catalogue, so there's no public domain step
+  const stepAfterAudio = source === 'url' ? 'confirm' : 'publicDomain'
+
   const handleAudioPick = (value) => {
     setAudio(value)
     if (value === 'text') {
       setVoice(null)
-      advance('publicDomain')
+      advance(stepAfterAudio)
     } else {
       advance('voice')
     }
@@ -136,7 +203,7 @@ export default function ImportInlineForm({ activeLanguage }) {
 
   const handleVoicePick = (value) => {
     setVoice(value)
-    advance('publicDomain')
+    advance(stepAfterAudio)
   }
 
   const handlePublicDomainPick = (value) => {
@@ -144,7 +211,41 @@ export default function ImportInlineForm({ activeLanguage }) {
     advance('confirm')
   }
 
+  const handleArticleSubmit = async () => {
+    if (!article || !title.trim() || !activeLanguage || submitting) return
+    setError('')
+    setSubmitting(true)
+
+    try {
+      const keepOriginal = level === KEEP_ORIGINAL_LEVEL
+      await importArticle({
+        url: article.url,
+        userId: user?.uid || '',
+        title: title.trim(),
+        author: author.trim(),
+        originalLanguage: originalLanguage.trim(),
+        outputLanguage: activeLanguage,
+        translationMode: keepOriginal ? 'native' : 'graded',
+        level: keepOriginal ? null : level,
+        adaptationProfileName: keepOriginal ? undefined : adaptationProfile?.name,
+        adaptationInstructions: keepOriginal ? undefined : adaptationProfile?.instructions,
+        voiceGender: voice || 'male',
+        generateAudio: audio === 'audio',
+      })
+      navigate('/read/library')
+    } catch (err) {
+      console.error('Failed to import article', err)
+      setError('Import failed: ' + err.message)
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
   const handleSubmit = async () => {
+    if (source === 'url') {
+      handleArticleSubmit()
+      return
+    }
     if (!file || !originalLanguage.trim() || !title.trim() || !activeLanguage || submitting) return
     setError('')
     setSubmitting(true)
@@ -162,6 +263,7 @@ export default function ImportInlineForm({ activeLanguage }) {
       formData.append('userId', user?.uid || '')
       formData.append('voiceGender', voice || 'male')
       formData.append('generateAudio', audio === 'audio' ? 'true' : 'false')
+      appendAdaptationProfile(formData, adaptationProfile)
 
       const response = await fetch('http://localhost:4000/api/import-upload', {
         method: 'POST',
@@ -207,6 +309,9 @@ export default function ImportInlineForm({ activeLanguage }) {
     const display = name.length > 22 ? `${name.slice(0, 20)}…` : name
     breadcrumbs.push({ key: 'file', label: display })
   }
+  if (article && completed > STEP_ORDER.indexOf('file')) {
+    breadcrumbs.push({ key: 'file', label: article.siteName || new URL(article.url).hostname })
+  }
   if (title.trim() && completed > STEP_ORDER.indexOf('title')) {
     const display = title.length > 22 ? `${title.slice(0, 20)}…` : title
     breadcrumbs.push({ key: 'title', label: display })
@@ -218,7 +323,10 @@ export default function ImportInlineForm({ activeLanguage }) {
     breadcrumbs.push({ key: 'language', label: originalLanguage.trim() })
   }
   if (completed > STEP_ORDER.indexOf('level')) {
-    breadcrumbs.push({ key: 'level', label: level })
+    breadcrumbs.push({ key: 'level', label: getAdaptationLevelLabel(level) })
+  }
+  if (level !== KEEP_ORIGINAL_LEVEL && completed > STEP_ORDER.indexOf('profile')) {
+    breadcrumbs.push({ key: 'profile', label: adaptationProfile?.name || 'No profile' })
   }
   if (audio && completed > STEP_ORDER.indexOf('audio')) {
     breadcrumbs.push({ key: 'audio', label: audio === 'audio' ? 'Audio' : 'Text only' })
@@ -267,6 +375,39 @@ export default function ImportInlineForm({ activeLanguage }) {
   }
 
   const renderStep = () => {
+    if (step === 'file' && source === 'url') {
+      const handleKeyDown = (e) => {
+        if (e.key === 'Enter') {
+          e.preventDefault()
+          handleArticleLoad()
+        }
+      }
+      return (
+        <>
+          <h3 className="genq-heading">Paste an article link</h3>
+          <div className="genq-setting-form">
+            <input
+              ref={urlInputRef}
+              type="url"
+              className="genq-line-input"
+              placeholder="https://…"
+              value={articleUrl}
+              onChange={(e) => setArticleUrl(e.target.value)}
+              onKeyDown={handleKeyDown}
+            />
+            <button
+              type="button"
+              className="genq-continue-link"
+              onClick={handleArticleLoad}
+              disabled={!articleUrl.trim() || loadingArticle}
+            >
+              {loadingArticle ? 'Loading…' : 'Continue'} <span aria-hidden="true">→</span>
+            </button>
+          </div>
+          {error && <p className="genq-error">{error}</p>}
+        </>
+      )
+    }
     if (step === 'file') {
       return (
         <>
@@ -287,7 +428,7 @@ export default function ImportInlineForm({ activeLanguage }) {
               {!file && (
                 <>
                   <span className="genq-file-dropzone-secondary">
-                    .txt, .pdf, or .epub
+                    {BOOK_FILE_HINT}
                   </span>
                   <span className="genq-file-dropzone-note">
                     For quality and copyright reasons, scanned PDFs are not supported.
@@ -298,7 +439,7 @@ export default function ImportInlineForm({ activeLanguage }) {
             <input
               ref={fileInputRef}
               type="file"
-              accept=".txt,.pdf,.epub"
+              accept={BOOK_FILE_ACCEPT}
               onChange={handleFilePick}
               style={{ display: 'none' }}
             />
@@ -308,7 +449,7 @@ export default function ImportInlineForm({ activeLanguage }) {
     }
     if (step === 'title') {
       return renderInputStep({
-        heading: 'Book title',
+        heading: source === 'url' ? 'Article title' : 'Book title',
         value: title,
         onChange: setTitle,
         placeholder: 'e.g. The Great Gatsby',
@@ -341,17 +482,44 @@ export default function ImportInlineForm({ activeLanguage }) {
       return (
         <>
           <h3 className="genq-heading">Adaptation level</h3>
-          <div className="genq-options genq-options--stack">
-            {LEVELS.map((value) => (
+          <div className="genq-options genq-options--grid">
+            {ADAPTATION_LEVELS.map((option) => (
               <button
-                key={value}
+                key={option.id}
                 type="button"
-                className="genq-option"
-                onClick={() => handleLevelPick(value)}
+                className="genq-option genq-option--compact"
+                onClick={() => handleLevelPick(option.id)}
               >
-                <span className="genq-option-label">{value}</span>
+                <span className="genq-option-label">{option.label}</span>
+                <span className="genq-option-sub">{option.description}</span>
               </button>
             ))}
+            {canKeepOriginal && (
+              <button
+                type="button"
+                className="genq-option genq-option--compact"
+                onClick={() => handleLevelPick(KEEP_ORIGINAL_LEVEL)}
+              >
+                <span className="genq-option-label">{KEEP_ORIGINAL_LEVEL}</span>
+                <span className="genq-option-sub">Read it exactly as published</span>
+              </button>
+            )}
+          </div>
+        </>
+      )
+    }
+    if (step === 'profile') {
+      return (
+        <>
+          <h3 className="genq-heading">Any special instructions?</h3>
+          <div className="genq-setting-form">
+            <AdaptationProfilePicker
+              selectedId={adaptationProfile?.id || ''}
+              onSelect={setAdaptationProfile}
+            />
+            <button type="button" className="genq-continue-link" onClick={() => advance('audio')}>
+              Continue <span aria-hidden="true">→</span>
+            </button>
           </div>
         </>
       )
@@ -424,12 +592,32 @@ export default function ImportInlineForm({ activeLanguage }) {
             <span className="genq-summary-key">{title.trim()}</span>{authorPhrase}
             {', from '}
             <span className="genq-summary-key">{originalLanguage.trim()}</span>
-            {' adapted to '}
-            <span className="genq-summary-key">{level.toLowerCase()}</span> level
+            {level === KEEP_ORIGINAL_LEVEL ? (
+              ', kept as written'
+            ) : (
+              <>
+                {' adapted to '}
+                <span className="genq-summary-key">{getAdaptationLevelLabel(level)}</span>
+                {adaptationProfile && (
+                  <>
+                    {' with '}
+                    <span className="genq-summary-key">{adaptationProfile.name}</span>
+                  </>
+                )}
+              </>
+            )}
             {audioPhrase}
             {pdPhrase}
             .
           </p>
+          {source === 'file' && file && (
+            <AdaptationPreview
+              file={file}
+              level={level}
+              outputLanguage={activeLanguage}
+              profile={adaptationProfile}
+            />
+          )}
           <div className="genq-spacer" />
           <div className="genq-action-row">
             <div className="genq-cost">
@@ -454,6 +642,22 @@ export default function ImportInlineForm({ activeLanguage }) {
 
   return (
     <div className="genq-card">
+      {step === 'file' && (
+        <div className="genq-source-tabs" role="tablist">
+          {SOURCE_TABS.map((tab) => (
+            <button
+              key={tab.id}
+              type="button"
+              role="tab"
+              aria-selected={source === tab.id}
+              className={`genq-source-tab${source === tab.id ? ' is-active' : ''}`}
+              onClick={() => handleSourceChange(tab.id)}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+      )}
       <div className="genq-breadcrumbs" aria-label="Progress">
         {breadcrumbs.map((b) => (
           <button
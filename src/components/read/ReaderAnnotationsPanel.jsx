@@ -0,0 +1,133 @@
+import { useState } from 'react'
+import { ANNOTATION_COLORS } from '../../services/annotations'
+
+const getSwatch = (color) => ANNOTATION_COLORS.find((option) => option.id === color)?.swatch
+
+// Sidebar listing a book's highlights, notes and bookmarks in reading order
+const ReaderAnnotationsPanel = ({
+  isOpen,
+  onClose,
+  annotations,
+  chapterTitles,
+  onJump,
+  onUpdateNote,
+  onDelete,
+  onExport,
+}) => {
+  const [editingId, setEditingId] = useState(null)
+  const [noteDraft, setNoteDraft] = useState('')
+
+  if (!isOpen) return null
+
+  const startEditing = (annotation) => {
+    setEditingId(annotation.id)
+    setNoteDraft(annotation.note || '')
+  }
+
+  const saveNote = (event, annotation) => {
+    event.preventDefault()
+    onUpdateNote(annotation, noteDraft)
+    setEditingId(null)
+  }
+
+  let lastChapter = null
+
+  return (
+    <aside className="reader-annotations-panel" aria-label="Annotations">
+      <div className="reader-annotations-header">
+        <h3>Annotations</h3>
+        <div className="reader-annotations-header-actions">
+          <button
+            type="button"
+            className="button ghost small"
+            onClick={onExport}
+            disabled={!annotations.length}
+          >
+            Export Markdown
+          </button>
+          <button
+            type="button"
+            className="reader-annotations-close"
+            aria-label="Close annotations"
+            onClick={onClose}
+          >
+            ×
+          </button>
+        </div>
+      </div>
+
+      {!annotations.length ? (
+        <p className="muted small reader-annotations-empty">
+          Select a passage to highlight it or add a note, or use the bookmark button to mark your place.
+        </p>
+      ) : (
+        <ul className="reader-annotations-list">
+          {annotations.map((annotation) => {
+            const showChapter = annotation.chapterIndex !== lastChapter && chapterTitles.length > 1
+            lastChapter = annotation.chapterIndex
+            return (
+              <li key={annotation.id} className="reader-annotations-item">
+                {showChapter && (
+                  <p className="reader-annotations-chapter">
+                    {chapterTitles[annotation.chapterIndex] || `Chapter ${annotation.chapterIndex + 1}`}
+                  </p>
+                )}
+                <button
+                  type="button"
+                  className="reader-annotations-jump"
+                  onClick={() => onJump(annotation)}
+                  title="Jump to passage"
+                >
+                  {annotation.type === 'bookmark' ? (
+                    <span className="reader-annotations-marker" aria-label="Bookmark">🔖</span>
+                  ) : (
+                    <span
+                      className="reader-annotations-marker reader-annotations-swatch"
+                      style={{ background: getSwatch(annotation.color) }}
+                      aria-hidden="true"
+                    />
+                  )}
+                  <span className="reader-annotations-text">
+                    {annotation.type === 'bookmark' ? `${annotation.text}…` : annotation.text}
+                  </span>
+                </button>
+
+                {editingId === annotation.id ? (
+                  <form className="reader-annotations-note-form" onSubmit={(event) => saveNote(event, annotation)}>
+                    <textarea
+                      value={noteDraft}
+                      onChange={(event) => setNoteDraft(event.target.value)}
+                      rows={3}
+                      placeholder="Add a note"
+                      autoFocus
+                    />
+                    <div className="reader-annotations-item-actions">
+                      <button type="submit" className="button ghost small">Save</button>
+                      <button type="button" className="button ghost small" onClick={() => setEditingId(null)}>
+                        Cancel
+                      </button>
+                    </div>
+                  </form>
+                ) : (
+                  <>
+                    {annotation.note && <p className="reader-annotations-note">{annotation.note}</p>}
+                    <div className="reader-annotations-item-actions">
+                      <button type="button" className="button ghost small" onClick={() => startEditing(annotation)}>
+                        {annotation.note ? 'Edit note' : 'Add note'}
+                      </button>
+                      <button type="button" className="button ghost small" onClick={() => onDelete(annotation)}>
+                        Delete
+                      </button>
+                    </div>
+                  </>
+                )}
+              </li>
+            )
+          })}
+        </ul>
+      )}
+    </aside>
+  )
+}
+
+export default ReaderAnnotationsPanel
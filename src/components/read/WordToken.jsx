@@ -22,7 +22,7 @@ const normaliseStatus = (status) => {
   return 'new'
 }
 
-const WordToken = ({ text, status, readerMode, tone, onWordClick }) => {
+const WordToken = ({ text, status, readerMode, tone, isPhrase = false, frequencyRank = null, onWordClick }) => {
   const normalisedStatus = normaliseStatus(status)
   const style = getHighlightStyle({
     status: normalisedStatus,
@@ -42,10 +42,15 @@ const WordToken = ({ text, status, readerMode, tone, onWordClick }) => {
     }
   }
 
+  const classNames = ['reader-word']
+  if (highlighted) classNames.push('reader-word--highlighted')
+  if (isPhrase) classNames.push('reader-word--phrase')
+
   return (
     <span
-      className={highlighted ? 'reader-word reader-word--highlighted' : 'reader-word'}
+      className={classNames.join(' ')}
       style={style}
+      data-frequency-rank={frequencyRank || undefined}
       onClick={handleWordInteraction}
     >
       {text}
@@ -55,6 +60,6 @@ const WordToken = ({ text, status, readerMode, tone, onWordClick }) => {
 
 // Memoised: a chapter renders thousands of these, and the Reader root re-renders
 // on every state change (translation toggle, vocab update, etc.). Shallow-prop
-// equality is sufficient because all five props are primitives (text, status,
-// language, readerMode, tone) or a useCallback-stabilised function (onWordClick).
+// equality is sufficient because all props are primitives (text, status,
+// language, readerMode, tone, isPhrase, frequencyRank) or a useCallback-stabilised function (onWordClick).
 export default memo(WordToken)
@@ -5,12 +5,18 @@ import {
   loadDueCards,
   loadCardsByStatus,
   loadDueCardsByContentId,
+  loadDueCardsByTag,
+  loadDueListeningCards,
+  loadMostCommonUnknownCards,
   updateVocabSRS,
+  updateListeningSRS,
   setVocabStatus,
   updateVocabTranslation,
   VOCAB_STATUSES,
 } from '../../services/vocab'
 import { incrementReviewCount } from '../../services/stats'
+import { loadCardReviewHistory } from '../../services/reviewLog'
+import { ANSWER_FEEDBACK, findContextCloze, gradeTypedAnswer } from '../../utils/answerGrading'
 
 // Helper to get language color (unified brand color)
 const getLanguageColor = () => HIGHLIGHT_COLOR
@@ -22,6 +28,14 @@ const PlayIcon = () => (
   </svg>
 )
 
+const HistoryIcon = () => (
+  <svg viewBox="0 0 24 24" width="18" height="18" fill="none" stroke="currentColor" strokeWidth="2">
+    <path d="M3 12a9 9 0 1 0 3-6.7L3 8" />
+    <path d="M3 3v5h5" />
+    <path d="M12 7v5l3 2" />
+  </svg>
+)
+
 const CloseIcon = () => (
   <svg viewBox="0 0 24 24" width="20" height="20" fill="none" stroke="currentColor" strokeWidth="2">
     <line x1="18" y1="6" x2="6" y2="18" />
@@ -33,6 +47,35 @@ const CloseIcon = () => (
 const ALL_STATUSES = ['new', 'unknown', 'recognised', 'familiar', 'known']
 const STATUS_ABBREV = { new: 'N', unknown: 'U', recognised: 'R', familiar: 'F', known: 'K' }
 
+const QUALITY_LABELS = { again: 'Again', hard: 'Hard', good: 'Good', easy: 'Easy' }
+
+// Most choices offered in listening mode (the answer plus distractors from the session)
+const LISTENING_CHOICE_COUNT = 4
+
+const shuffle = (items) => {
+  const shuffled = [...items]
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1))
+    ;[shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]]
+  }
+  return shuffled
+}
+
+// Format an interval in days for the history list (e.g. "6h", "3d", "2mo")
+const formatInterval = (days) => {
+  if (!Number.isFinite(days) || days <= 0) return '0'
+  if (days < 1) return `${Math.round(days * 24)}h`
+  if (days < 30) return `${Math.round(days)}d`
+  if (days < 365) return `${Math.round(days / 30)}mo`
+  return `${(days / 365).toFixed(1)}y`
+}
+
+const formatReviewDate = (timestamp) => {
+  const date = timestamp?.toDate ? timestamp.toDate() : null
+  if (!date) return ''
+  return date.toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' })
+}
+
 // Get background style for a status button when active
 // Uses exact same color codes and opacity values as the word highlighting system
 const getStatusStyle = (statusLevel, isActive, languageColor) => {
@@ -72,6 +115,9 @@ const getStatusStyle = (statusLevel, isActive, languageColor) => {
 const ReviewModal = ({ deck, language, onClose, onCardsUpdated }) => {
   const { user, profile } = useAuth()
 
+  // The listening deck is audio-only and graded as its own skill
+  const isListeningDeck = deck?.skill === 'listening'
+
   // Review session state
   const [cards, setCards] = useState([])
   const [currentIndex, setCurrentIndex] = useState(0)
@@ -81,6 +127,7 @@ const ReviewModal = ({ deck, language, onClose, onCardsUpdated }) => {
 
   // Review mode toggles
   const [isRecallMode, setIsRecallMode] = useState(false)
+  const [isClozeMode, setIsClozeMode] = useState(false)
   const [autoPlayAudio, setAutoPlayAudio] = useState(true)
   const [useSerifFont, setUseSerifFont] = useState(false)
 
@@ -90,6 +137,24 @@ const ReviewModal = ({ deck, language, onClose, onCardsUpdated }) => {
   const [translationLoading, setTranslationLoading] = useState(false)
   const [skipFlipAnimation, setSkipFlipAnimation] = useState(false)
 
+  // Response timing for the review log
+  const cardShownAtRef = useRef(Date.now())
+  const revealedAtRef = useRef(null)
+
+  // Per-card review history
+  const [showHistory, setShowHistory] = useState(false)
+  const [cardHistory, setCardHistory] = useState([])
+  const [historyLoading, setHistoryLoading] = useState(false)
+
+  // Cloze and listening modes: typed answer and its grade for the current card
+  const [typedAnswer, setTypedAnswer] = useState('')
+  const [answerResult, setAnswerResult] = useState(null)
+
+  // Listening mode options
+  const [useListeningChoices, setUseListeningChoices] = useState(false)
+  const [playListeningSentence, setPlayListeningSentence] = useState(false)
+  const [listeningChoices, setListeningChoices] = useState([])
+
   // Get language color for status selector
   const languageColor = getLanguageColor(language)
 
@@ -105,13 +170,19 @@ const ReviewModal = ({ deck, language, onClose, onCardsUpdated }) => {
         let loadedCards = []
 
         if (deck.type === 'core') {
-          if (deck.filter) {
+          if (deck.skill === 'listening') {
+            loadedCards = await loadDueListeningCards(user.uid, language)
+          } else if (deck.sort === 'frequency') {
+            loadedCards = await loadMostCommonUnknownCards(user.uid, language)
+          } else if (deck.filter) {
             loadedCards = await loadCardsByStatus(user.uid, language, deck.filter)
           } else {
             loadedCards = await loadDueCards(user.uid, language)
           }
         } else if (deck.type === 'content') {
           loadedCards = await loadDueCardsByContentId(user.uid, language, deck.contentId)
+        } else if (deck.type === 'tag') {
+          loadedCards = await loadDueCardsByTag(user.uid, language, deck.tag)
         }
 
         setCards(loadedCards)
@@ -126,6 +197,54 @@ const ReviewModal = ({ deck, language, onClose, onCardsUpdated }) => {
     loadCards()
   }, [user, language, deck])
 
+  const currentCardId = cards[currentIndex]?.id || null
+
+  // Restart the response timer whenever a new card is shown
+  useEffect(() => {
+    cardShownAtRef.current = Date.now()
+    revealedAtRef.current = null
+    setTypedAnswer('')
+    setAnswerResult(null)
+
+    // Distractors are drawn once per card so the options don't reshuffle mid-answer
+    const card = cards.find((candidate) => candidate.id === currentCardId)
+    if (!isListeningDeck || !card) {
+      setListeningChoices([])
+      return
+    }
+    const distractors = shuffle(
+      [...new Set(cards.map((candidate) => candidate.text))].filter((text) => text !== card.text)
+    ).slice(0, LISTENING_CHOICE_COUNT - 1)
+    setListeningChoices(shuffle([card.text, ...distractors]))
+  }, [currentCardId])
+
+  // Load review history for the current card while the history panel is open
+  useEffect(() => {
+    if (!showHistory || !user || !currentCardId) {
+      setCardHistory([])
+      return
+    }
+
+    let cancelled = false
+    setHistoryLoading(true)
+
+    loadCardReviewHistory(user.uid, currentCardId)
+      .then((history) => {
+        if (!cancelled) setCardHistory(history)
+      })
+      .catch((error) => {
+        console.error('Error loading review history:', error)
+        if (!cancelled) setCardHistory([])
+      })
+      .finally(() => {
+        if (!cancelled) setHistoryLoading(false)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [showHistory, user, currentCardId])
+
   // Handle escape key to close
   useEffect(() => {
     const handleKeyDown = (e) => {
@@ -137,6 +256,23 @@ const ReviewModal = ({ deck, language, onClose, onCardsUpdated }) => {
     return () => window.removeEventListener('keydown', handleKeyDown)
   }, [onClose])
 
+  // In cloze and listening modes, Enter after grading accepts the suggested response
+  const suggestedQuality = (isClozeMode || isListeningDeck) && showAnswer ? answerResult?.quality || null : null
+  const handleResponseRef = useRef(null)
+
+  useEffect(() => {
+    if (!suggestedQuality) return
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault()
+        handleResponseRef.current?.(suggestedQuality)
+      }
+    }
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [suggestedQuality])
+
   // Helper to check if translation is missing or invalid
   const isMissingTranslation = (translation) => {
     return !translation ||
@@ -236,31 +372,118 @@ const ReviewModal = ({ deck, language, onClose, onCardsUpdated }) => {
     [language, profile?.nativeLanguage]
   )
 
+  // Listening mode audio: the cached word pronunciation, or the sentence it was met in
+  const playListeningAudio = useCallback(
+    async (card, withSentence) => {
+      if (!card || !language) return
+
+      if (audioRef.current) {
+        audioRef.current.pause()
+        audioRef.current = null
+      }
+
+      const cloze = withSentence ? findContextCloze(card) : null
+      const text = cloze ? `${cloze.before}${cloze.answer}${cloze.after}` : card.text
+
+      setAudioLoading(true)
+
+      try {
+        const response = await fetch('http://localhost:4000/api/pronunciation', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ text, language }),
+        })
+
+        if (!response.ok) throw new Error('Failed to fetch pronunciation')
+
+        const data = await response.json()
+        const audio = new Audio(
+          data.audioBase64 ? `data:audio/mp3;base64,${data.audioBase64}` : data.audioUrl
+        )
+        audio.play().catch((err) => console.error('Audio playback failed:', err))
+        audioRef.current = audio
+      } catch (error) {
+        console.error('Error playing pronunciation:', error)
+      } finally {
+        setAudioLoading(false)
+      }
+    },
+    [language]
+  )
+
+  // Listening cards always play on arrival: there is nothing else to go on
+  useEffect(() => {
+    if (!isListeningDeck || !currentCardId) return
+    const card = cards.find((candidate) => candidate.id === currentCardId)
+    playListeningAudio(card, playListeningSentence)
+  }, [currentCardId, isListeningDeck, playListeningAudio])
+
   // Auto-play audio when card is first shown (not when answer is revealed)
   useEffect(() => {
-    if (!autoPlayAudio || cards.length === 0 || showAnswer) return
+    if (!autoPlayAudio || cards.length === 0 || showAnswer || isListeningDeck) return
 
     const currentCard = cards[currentIndex]
-    if (currentCard && !isRecallMode) {
+    if (currentCard && !isRecallMode && !isClozeMode) {
       playAudio(currentCard.text)
     }
-  }, [currentIndex, autoPlayAudio, isRecallMode, cards, playAudio, showAnswer])
+  }, [currentIndex, autoPlayAudio, isRecallMode, isClozeMode, isListeningDeck, cards, playAudio, showAnswer])
 
   // Handle reveal answer
   const handleReveal = () => {
+    revealedAtRef.current = Date.now()
     setShowAnswer(true)
     if (autoPlayAudio && isRecallMode && cards[currentIndex]) {
       playAudio(cards[currentIndex].text)
     }
   }
 
+  // Grade a typed (or picked) answer, then flip to show the word
+  const handleAnswerSubmit = (e, answer = typedAnswer) => {
+    e?.preventDefault()
+    const currentCard = cards[currentIndex]
+    if (!currentCard || showAnswer) return
+
+    setTypedAnswer(answer)
+    setAnswerResult(gradeTypedAnswer(clozeCard?.answer || currentCard.text, answer))
+    revealedAtRef.current = Date.now()
+    setShowAnswer(true)
+    if (autoPlayAudio && isClozeMode) {
+      playAudio(currentCard.text)
+    }
+  }
+
+  // Recall and cloze are alternative ways of testing production
+  const handleRecallToggle = (checked) => {
+    setIsRecallMode(checked)
+    if (checked) setIsClozeMode(false)
+  }
+
+  const handleClozeToggle = (checked) => {
+    setIsClozeMode(checked)
+    if (checked) setIsRecallMode(false)
+  }
+
   // Handle review response
   const handleResponse = async (quality) => {
     const currentCard = cards[currentIndex]
     if (!currentCard || !user) return
 
     try {
-      await updateVocabSRS(user.uid, language, currentCard.text, quality, isRecallMode)
+      const reviewOptions = {
+        scheduler: profile?.srsScheduler,
+        fsrsParameters: profile?.fsrsParameters,
+        responseTimeMs: (revealedAtRef.current || Date.now()) - cardShownAtRef.current,
+      }
+
+      if (isListeningDeck) {
+        await updateListeningSRS(user.uid, language, currentCard.text, quality, reviewOptions)
+      } else {
+        // Cloze answers are typed from memory, so they count as recall
+        await updateVocabSRS(user.uid, language, currentCard.text, quality, isRecallMode || isClozeMode, {
+          ...reviewOptions,
+          mode: isClozeMode ? 'cloze' : undefined,
+        })
+      }
 
       // Track this review for stats
       incrementReviewCount(user.uid, language)
@@ -290,6 +513,7 @@ const ReviewModal = ({ deck, language, onClose, onCardsUpdated }) => {
       setSessionError('Failed to update card. Please try again.')
     }
   }
+  handleResponseRef.current = handleResponse
 
   // Handle manual status change
   const handleStatusChange = async (newStatus) => {
@@ -318,6 +542,12 @@ const ReviewModal = ({ deck, language, onClose, onCardsUpdated }) => {
   const currentCard = cards[currentIndex] || null
   const fontClass = useSerifFont ? 'use-serif-font' : ''
 
+  // Cards without a usable sentence fall back to typing the word from its translation
+  const clozeCard = isClozeMode ? findContextCloze(currentCard) : null
+  // Sentence shown after a listening answer, with the word highlighted
+  const listeningCloze = isListeningDeck ? findContextCloze(currentCard) : null
+  const showListeningChoices = useListeningChoices && listeningChoices.length > 1
+
   return (
     <div className="review-modal-backdrop" onClick={handleBackdropClick}>
       <div className={`review-modal ${fontClass}`}>
@@ -330,28 +560,75 @@ const ReviewModal = ({ deck, language, onClose, onCardsUpdated }) => {
             )}
           </div>
           <div className="review-modal-controls">
-            <label className="review-toggle-switch">
-              <span className="review-toggle-label">Recall</span>
-              <div className="toggle-switch">
-                <input
-                  type="checkbox"
-                  checked={isRecallMode}
-                  onChange={(e) => setIsRecallMode(e.target.checked)}
-                />
-                <span className="toggle-slider"></span>
-              </div>
-            </label>
-            <label className="review-toggle-switch">
-              <span className="review-toggle-label">Audio</span>
-              <div className="toggle-switch">
-                <input
-                  type="checkbox"
-                  checked={autoPlayAudio}
-                  onChange={(e) => setAutoPlayAudio(e.target.checked)}
-                />
-                <span className="toggle-slider"></span>
-              </div>
-            </label>
+            {isListeningDeck ? (
+              <>
+                <label className="review-toggle-switch">
+                  <span className="review-toggle-label">Choices</span>
+                  <div className="toggle-switch">
+                    <input
+                      type="checkbox"
+                      checked={useListeningChoices}
+                      onChange={(e) => setUseListeningChoices(e.target.checked)}
+                    />
+                    <span className="toggle-slider"></span>
+                  </div>
+                </label>
+                <label className="review-toggle-switch">
+                  <span className="review-toggle-label">Sentence</span>
+                  <div className="toggle-switch">
+                    <input
+                      type="checkbox"
+                      checked={playListeningSentence}
+                      onChange={(e) => setPlayListeningSentence(e.target.checked)}
+                    />
+                    <span className="toggle-slider"></span>
+                  </div>
+                </label>
+              </>
+            ) : (
+              <>
+                <label className="review-toggle-switch">
+                  <span className="review-toggle-label">Recall</span>
+                  <div className="toggle-switch">
+                    <input
+                      type="checkbox"
+                      checked={isRecallMode}
+                      onChange={(e) => handleRecallToggle(e.target.checked)}
+                    />
+                    <span className="toggle-slider"></span>
+                  </div>
+                </label>
+                <label className="review-toggle-switch">
+                  <span className="review-toggle-label">Cloze</span>
+                  <div className="toggle-switch">
+                    <input
+                      type="checkbox"
+                      checked={isClozeMode}
+                      onChange={(e) => handleClozeToggle(e.target.checked)}
+                    />
+                    <span className="toggle-slider"></span>
+                  </div>
+                </label>
+                <label className="review-toggle-switch">
+                  <span className="review-toggle-label">Audio</span>
+                  <div className="toggle-switch">
+                    <input
+                      type="checkbox"
+                      checked={autoPlayAudio}
+                      onChange={(e) => setAutoPlayAudio(e.target.checked)}
+                    />
+                    <span className="toggle-slider"></span>
+                  </div>
+                </label>
+              </>
+            )}
+            <button
+              className={`review-modal-toggle-btn${showHistory ? ' is-active' : ''}`}
+              onClick={() => setShowHistory((prev) => !prev)}
+              title="Review history"
+            >
+              <HistoryIcon />
+            </button>
             <button className="review-modal-close" onClick={onClose}>
               <CloseIcon />
             </button>
@@ -406,7 +683,81 @@ const ReviewModal = ({ deck, language, onClose, onCardsUpdated }) => {
                   {/* Front of card */}
                   <div className="review-card-front">
                     <div className="review-card-content">
-                      {isRecallMode ? (
+                      {isListeningDeck ? (
+                        <>
+                          <button
+                            className="review-audio-button review-listening-play"
+                            onClick={() => playListeningAudio(currentCard, playListeningSentence)}
+                            disabled={audioLoading}
+                            title="Play again"
+                          >
+                            <PlayIcon />
+                          </button>
+                          {showListeningChoices ? (
+                            <div className="review-listening-choices">
+                              {listeningChoices.map((choice) => (
+                                <button
+                                  key={choice}
+                                  type="button"
+                                  className="review-listening-choice"
+                                  onClick={() => handleAnswerSubmit(null, choice)}
+                                  disabled={showAnswer}
+                                >
+                                  {choice}
+                                </button>
+                              ))}
+                            </div>
+                          ) : (
+                            <form className="review-cloze-form" onSubmit={handleAnswerSubmit}>
+                              <input
+                                className="review-cloze-input"
+                                type="text"
+                                value={typedAnswer}
+                                onChange={(e) => setTypedAnswer(e.target.value)}
+                                placeholder="Type what you heard"
+                                autoComplete="off"
+                                autoCapitalize="off"
+                                spellCheck={false}
+                                autoFocus
+                                disabled={showAnswer}
+                              />
+                            </form>
+                          )}
+                        </>
+                      ) : isClozeMode ? (
+                        <>
+                          {clozeCard ? (
+                            <div className="review-cloze-sentence">
+                              {clozeCard.before}
+                              <span className="review-cloze-blank">_____</span>
+                              {clozeCard.after}
+                            </div>
+                          ) : (
+                            <div className="review-card-text">
+                              {translationLoading ? '...' : (currentCard?.translation || 'No translation')}
+                            </div>
+                          )}
+                          {clozeCard && (
+                            <div className="review-cloze-hint">
+                              {translationLoading ? '...' : (currentCard?.translation || '')}
+                            </div>
+                          )}
+                          <form className="review-cloze-form" onSubmit={handleAnswerSubmit}>
+                            <input
+                              className="review-cloze-input"
+                              type="text"
+                              value={typedAnswer}
+                              onChange={(e) => setTypedAnswer(e.target.value)}
+                              placeholder="Type the missing word"
+                              autoComplete="off"
+                              autoCapitalize="off"
+                              spellCheck={false}
+                              autoFocus
+                              disabled={showAnswer}
+                            />
+                          </form>
+                        </>
+                      ) : isRecallMode ? (
                         <>
                           <div className="review-card-text">
                             {translationLoading ? '...' : (currentCard?.translation || 'No translation')}
@@ -432,7 +783,63 @@ const ReviewModal = ({ deck, language, onClose, onCardsUpdated }) => {
                   {/* Back of card */}
                   <div className="review-card-back">
                     <div className="review-card-content">
-                      {isRecallMode ? (
+                      {isListeningDeck ? (
+                        <>
+                          <div className="review-card-text">{currentCard?.text}</div>
+                          <div className="review-cloze-hint">
+                            {translationLoading ? '...' : (currentCard?.translation || '')}
+                          </div>
+                          {answerResult && (
+                            <div className={`review-cloze-feedback ${answerResult.isCorrect ? 'is-correct' : 'is-wrong'}`}>
+                              {ANSWER_FEEDBACK[answerResult.feedback]}
+                              {answerResult.feedback !== 'exact' && typedAnswer.trim() && (
+                                <span className="review-cloze-typed"> — you heard “{typedAnswer.trim()}”</span>
+                              )}
+                            </div>
+                          )}
+                          {listeningCloze && (
+                            <div className="review-listening-sentence">
+                              {listeningCloze.before}
+                              <span className="review-cloze-answer">{listeningCloze.answer}</span>
+                              {listeningCloze.after}
+                            </div>
+                          )}
+                          <button
+                            className="review-audio-button"
+                            onClick={() => playListeningAudio(currentCard, playListeningSentence)}
+                            disabled={audioLoading}
+                          >
+                            <PlayIcon />
+                          </button>
+                        </>
+                      ) : isClozeMode ? (
+                        <>
+                          {clozeCard ? (
+                            <div className="review-cloze-sentence">
+                              {clozeCard.before}
+                              <span className="review-cloze-answer">{clozeCard.answer}</span>
+                              {clozeCard.after}
+                            </div>
+                          ) : (
+                            <div className="review-card-text">{currentCard?.text}</div>
+                          )}
+                          {answerResult && (
+                            <div className={`review-cloze-feedback ${answerResult.isCorrect ? 'is-correct' : 'is-wrong'}`}>
+                              {ANSWER_FEEDBACK[answerResult.feedback]}
+                              {answerResult.feedback !== 'exact' && typedAnswer.trim() && (
+                                <span className="review-cloze-typed"> — you typed “{typedAnswer.trim()}”</span>
+                              )}
+                            </div>
+                          )}
+                          <button
+                            className="review-audio-button"
+                            onClick={() => playAudio(currentCard?.text)}
+                            disabled={audioLoading}
+                          >
+                            <PlayIcon />
+                          </button>
+                        </>
+                      ) : isRecallMode ? (
                         <>
                           <div className="review-card-text">{currentCard?.text}</div>
                           <button
@@ -457,37 +864,74 @@ const ReviewModal = ({ deck, language, onClose, onCardsUpdated }) => {
                 </div>
               </div>
 
+              {/* Review history for this card */}
+              {showHistory && (
+                <div className="review-history-panel">
+                  {historyLoading ? (
+                    <p className="muted small">Loading history...</p>
+                  ) : cardHistory.length === 0 ? (
+                    <p className="muted small">No reviews recorded for this card yet.</p>
+                  ) : (
+                    <ul className="review-history-list">
+                      {cardHistory.map((entry) => (
+                        <li key={entry.id} className="review-history-item">
+                          <span className="review-history-date">{formatReviewDate(entry.reviewedAt)}</span>
+                          <span className={`review-history-quality ${entry.quality}`}>
+                            {QUALITY_LABELS[entry.quality] || entry.quality}
+                          </span>
+                          <span className="review-history-mode">{entry.mode}</span>
+                          <span className="review-history-interval">
+                            {formatInterval(entry.previousIntervalDays)} → {formatInterval(entry.nextIntervalDays)}
+                          </span>
+                          {Number.isFinite(entry.responseTimeMs) && (
+                            <span className="review-history-time">
+                              {(entry.responseTimeMs / 1000).toFixed(1)}s
+                            </span>
+                          )}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              )}
+
               {/* Actions */}
               {!showAnswer ? (
                 <div className="review-actions">
-                  <button className="button review-reveal-button" onClick={handleReveal}>
-                    Show Answer
-                  </button>
+                  {isClozeMode || isListeningDeck ? (
+                    <button className="button review-reveal-button" onClick={() => handleAnswerSubmit()}>
+                      Check
+                    </button>
+                  ) : (
+                    <button className="button review-reveal-button" onClick={handleReveal}>
+                      Show Answer
+                    </button>
+                  )}
                 </div>
               ) : (
                 <div className="review-actions">
                   {/* Response buttons */}
                   <div className="review-response-buttons">
                     <button
-                      className="button review-response-button again"
+                      className={`button review-response-button again${suggestedQuality === 'again' ? ' is-suggested' : ''}`}
                       onClick={() => handleResponse('again')}
                     >
                       Again
                     </button>
                     <button
-                      className="button review-response-button hard"
+                      className={`button review-response-button hard${suggestedQuality === 'hard' ? ' is-suggested' : ''}`}
                       onClick={() => handleResponse('hard')}
                     >
                       Hard
                     </button>
                     <button
-                      className="button review-response-button good"
+                      className={`button review-response-button good${suggestedQuality === 'good' ? ' is-suggested' : ''}`}
                       onClick={() => handleResponse('good')}
                     >
                       Good
                     </button>
                     <button
-                      className="button review-response-button easy"
+                      className={`button review-response-button easy${suggestedQuality === 'easy' ? ' is-suggested' : ''}`}
                       onClick={() => handleResponse('easy')}
                     >
                       Easy
@@ -0,0 +1,213 @@
+import { useRef, useState } from 'react'
+import { loadUserVocab } from '../../services/vocab'
+import {
+  exportVocabFile,
+  importVocabEntries,
+  parseVocabImportFile,
+  previewVocabImport,
+  VOCAB_EXPORT_FORMATS,
+  VOCAB_IMPORT_CONFLICT_STRATEGIES,
+} from '../../services/vocabTransfer'
+
+// Rows shown in the dry-run preview table
+const PREVIEW_LIMIT = 50
+
+const VocabTransferPanel = ({ userId, language }) => {
+  const fileInputRef = useRef(null)
+
+  const [exportingFormat, setExportingFormat] = useState(null)
+  const [exportError, setExportError] = useState('')
+
+  const [parsing, setParsing] = useState(false)
+  const [importError, setImportError] = useState('')
+  const [preview, setPreview] = useState(null) // { fileName, entries, warnings }
+  const [conflictStrategy, setConflictStrategy] = useState('skip')
+  const [importing, setImporting] = useState(false)
+  const [importProgress, setImportProgress] = useState(null)
+  const [importResult, setImportResult] = useState(null)
+
+  const handleExport = async (format) => {
+    if (!userId || !language || exportingFormat) return
+
+    setExportingFormat(format)
+    setExportError('')
+    try {
+      await exportVocabFile(userId, language, format)
+    } catch (err) {
+      console.error('Failed to export vocab:', err)
+      setExportError(err.message || 'Export failed')
+    } finally {
+      setExportingFormat(null)
+    }
+  }
+
+  const handleFileSelected = async (event) => {
+    const file = event.target.files?.[0]
+    event.target.value = ''
+    if (!file || !userId || !language) return
+
+    setParsing(true)
+    setImportError('')
+    setImportResult(null)
+    setPreview(null)
+    try {
+      const [parsed, existingVocab] = await Promise.all([
+        parseVocabImportFile(file),
+        loadUserVocab(userId, language),
+      ])
+      setPreview({
+        fileName: file.name,
+        entries: previewVocabImport(parsed.entries, existingVocab),
+        warnings: parsed.warnings || [],
+      })
+    } catch (err) {
+      console.error('Failed to parse vocab import:', err)
+      setImportError(err.message || 'Could not read file')
+    } finally {
+      setParsing(false)
+    }
+  }
+
+  const handleImport = async () => {
+    if (!preview || importing) return
+
+    setImporting(true)
+    setImportProgress({ done: 0, total: preview.entries.length })
+    try {
+      const result = await importVocabEntries(
+        userId,
+        language,
+        preview.entries,
+        conflictStrategy,
+        (done, total) => setImportProgress({ done, total })
+      )
+      setImportResult(result)
+      setPreview(null)
+    } catch (err) {
+      console.error('Failed to import vocab:', err)
+      setImportError(err.message || 'Import failed')
+    } finally {
+      setImporting(false)
+      setImportProgress(null)
+    }
+  }
+
+  const conflictCount = preview ? preview.entries.filter((entry) => entry.isConflict).length : 0
+
+  return (
+    <>
+      <div className="settings-section">
+        <h3 className="settings-section-title">Export</h3>
+        <p className="settings-section-description">
+          Download your {language} words with translations, status, review schedule and cached pronunciations.
+        </p>
+        <div className="settings-confirm-actions">
+          {VOCAB_EXPORT_FORMATS.map((format) => (
+            <button
+              key={format.id}
+              className="btn btn-secondary"
+              onClick={() => handleExport(format.id)}
+              disabled={Boolean(exportingFormat)}
+            >
+              {exportingFormat === format.id ? 'Exporting...' : format.label}
+            </button>
+          ))}
+        </div>
+        {exportError && <p className="error small">{exportError}</p>}
+      </div>
+
+      <div className="settings-section">
+        <h3 className="settings-section-title">Import</h3>
+        <p className="settings-section-description">
+          Import an Anki deck (.apkg) or a CSV / tab-separated file of words into {language}.
+          You will see a preview before anything is saved.
+        </p>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".apkg,.colpkg,.csv,.tsv,.txt"
+          style={{ display: 'none' }}
+          onChange={handleFileSelected}
+        />
+        <button
+          className="btn btn-secondary"
+          onClick={() => fileInputRef.current?.click()}
+          disabled={parsing || importing}
+        >
+          {parsing ? 'Reading file...' : 'Choose file'}
+        </button>
+        {importError && <p className="error small">{importError}</p>}
+        {importResult && (
+          <p className="settings-section-description">
+            Imported: {importResult.created} new, {importResult.updated} updated, {importResult.skipped} skipped
+            {importResult.failed > 0 ? `, ${importResult.failed} failed` : ''}.
+          </p>
+        )}
+
+        {preview && (
+          <div className="vocab-import-preview">
+            <p className="settings-section-description">
+              {preview.fileName}: {preview.entries.length} words, {conflictCount} already in your vocab.
+            </p>
+            {preview.warnings.length > 0 && (
+              <p className="muted small">{preview.warnings.length} rows skipped while reading the file.</p>
+            )}
+
+            {conflictCount > 0 && (
+              <select
+                className="settings-select"
+                value={conflictStrategy}
+                onChange={(e) => setConflictStrategy(e.target.value)}
+              >
+                {VOCAB_IMPORT_CONFLICT_STRATEGIES.map((strategy) => (
+                  <option key={strategy.id} value={strategy.id}>
+                    {strategy.label}
+                  </option>
+                ))}
+              </select>
+            )}
+
+            <table className="vocab-import-table">
+              <thead>
+                <tr>
+                  <th>Word</th>
+                  <th>Translation</th>
+                  <th>Status</th>
+                  <th>Interval</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {preview.entries.slice(0, PREVIEW_LIMIT).map((entry) => (
+                  <tr key={entry.text} className={entry.isConflict ? 'is-conflict' : ''}>
+                    <td>{entry.text}</td>
+                    <td>{entry.translation || '—'}</td>
+                    <td>{entry.status}</td>
+                    <td>{entry.intervalDays ? `${Math.round(entry.intervalDays)}d` : '—'}</td>
+                    <td>{entry.isConflict ? `Exists (${entry.existing.status})` : 'New'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {preview.entries.length > PREVIEW_LIMIT && (
+              <p className="muted small">…and {preview.entries.length - PREVIEW_LIMIT} more</p>
+            )}
+
+            <div className="settings-confirm-actions">
+              <button className="btn btn-secondary" onClick={handleImport} disabled={importing}>
+                {importing && importProgress
+                  ? `Importing ${importProgress.done}/${importProgress.total}...`
+                  : `Import ${preview.entries.length} words`}
+              </button>
+              <button className="btn btn-ghost" onClick={() => setPreview(null)} disabled={importing}>
+                Cancel
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </>
+  )
+}
+
+export default VocabTransferPanel
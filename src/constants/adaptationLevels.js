@@ -0,0 +1,15 @@
+// Levels a book can be adapted to. Ids are what the server's
+// loadAdaptationPrompt expects (matched case-insensitively).
+export const ADAPTATION_LEVELS = [
+  { id: 'A1', label: 'A1', description: 'First book: present tense, very short sentences' },
+  { id: 'A2', label: 'A2', description: 'Simple past tenses and everyday words' },
+  { id: 'B1', label: 'B1', description: 'Most tenses, plain sentences, common vocabulary' },
+  { id: 'B2', label: 'B2', description: 'Real prose with rare and literary words replaced' },
+  { id: 'C1', label: 'C1', description: 'Close to the original, only archaic words and idioms eased' },
+  { id: 'Native', label: 'Native', description: 'Full translation, no simplification' },
+]
+
+export const DEFAULT_ADAPTATION_LEVEL = 'A2'
+
+export const getAdaptationLevelLabel = (id) =>
+  ADAPTATION_LEVELS.find((level) => level.id.toLowerCase() === String(id || '').toLowerCase())?.label || id || ''
@@ -0,0 +1,27 @@
+// Book file types /api/import-upload accepts. Shared by the import panel and
+// the inline import form so the file picker and drop zone stay in step with
+// the server's detectFileType.
+
+export const BOOK_FILE_EXTENSIONS = [
+  '.txt',
+  '.pdf',
+  '.epub',
+  '.docx',
+  '.html',
+  '.htm',
+  '.xhtml',
+  '.md',
+  '.fb2',
+  '.mobi',
+  '.azw',
+  '.azw3',
+]
+
+export const BOOK_FILE_ACCEPT = BOOK_FILE_EXTENSIONS.join(',')
+
+export const BOOK_FILE_HINT = '.txt, .pdf, .epub, .docx, .html, .md, .fb2, .mobi or .azw3'
+
+export const isSupportedBookFile = (name = '') => {
+  const lower = name.toLowerCase()
+  return BOOK_FILE_EXTENSIONS.some((ext) => lower.endsWith(ext))
+}
@@ -2,4 +2,5 @@ export const readerModes = [
   { id: 'extensive', label: 'Extensive' },
   { id: 'active', label: 'Active' },
   { id: 'intensive', label: 'Intensive' },
+  { id: 'parallel', label: 'Parallel' },
 ]
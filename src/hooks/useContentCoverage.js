@@ -0,0 +1,37 @@
+import { useEffect, useMemo, useState } from 'react'
+import { fetchContentCoverage } from '../services/coverage'
+
+// Coverage scores for the library items on screen, keyed by getCoverageKey.
+// Items are only re-requested when the set of ids changes.
+const useContentCoverage = (userId, language, items) => {
+  const [coverage, setCoverage] = useState({})
+
+  const itemsKey = useMemo(
+    () => items.map((item) => `${item.contentType}:${item.contentId}`).sort().join('|'),
+    [items]
+  )
+
+  useEffect(() => {
+    if (!userId || !language || !itemsKey) return undefined
+
+    let cancelled = false
+    const requested = itemsKey.split('|').map((key) => {
+      const [contentType, ...rest] = key.split(':')
+      return { contentType, contentId: rest.join(':') }
+    })
+
+    fetchContentCoverage(userId, language, requested)
+      .then((result) => {
+        if (!cancelled) setCoverage((prev) => ({ ...prev, ...result }))
+      })
+      .catch((err) => console.error('Failed to load content coverage', err))
+
+    return () => {
+      cancelled = true
+    }
+  }, [userId, language, itemsKey])
+
+  return coverage
+}
+
+export default useContentCoverage
@@ -0,0 +1,29 @@
+import { useEffect, useState } from 'react'
+import { loadFrequencyRanks } from '../services/frequency'
+
+const EMPTY_RANKS = new Map()
+
+// Word → frequency rank for a language; empty until the list has loaded
+const useFrequencyRanks = (language) => {
+  const [ranks, setRanks] = useState(EMPTY_RANKS)
+
+  useEffect(() => {
+    if (!language) {
+      setRanks(EMPTY_RANKS)
+      return undefined
+    }
+
+    let cancelled = false
+    loadFrequencyRanks(language).then((loaded) => {
+      if (!cancelled) setRanks(loaded)
+    })
+
+    return () => {
+      cancelled = true
+    }
+  }, [language])
+
+  return ranks
+}
+
+export default useFrequencyRanks
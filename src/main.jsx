@@ -3,9 +3,12 @@ import ReactDOM from 'react-dom/client'
 import { BrowserRouter } from 'react-router-dom'
 import App from './App'
 import { AuthProvider } from './context/AuthContext'
+import { onAuthStateChanged } from 'firebase/auth'
 import { auth } from './firebase'
 import { getMusicKit } from './services/musicKit'
 import { initSpotifyPlayer } from './services/spotifyPlayer'
+import { registerOfflineServiceWorker } from './services/offlineStore'
+import { syncQueuedVocabChanges } from './services/vocab'
 import './style.css'
 import './components/media/media-surface.css'
 
@@ -42,6 +45,18 @@ if (typeof window !== 'undefined') {
   // Pre-warm MusicKit (SDK + dev token + configure) so the library-click
   // prewarm path resolves instantly and stays inside the user gesture.
   getMusicKit().catch(() => {})
+
+  // Vite serves source modules in dev, which the offline cache shouldn't hold
+  if (import.meta.env.PROD) registerOfflineServiceWorker()
+
+  // Replay vocab changes made offline once signed in, and whenever the
+  // connection returns
+  const syncOfflineVocab = () => {
+    if (!auth.currentUser) return
+    syncQueuedVocabChanges(auth.currentUser.uid).catch(console.error)
+  }
+  onAuthStateChanged(auth, syncOfflineVocab)
+  window.addEventListener('online', syncOfflineVocab)
 }
 
 ReactDOM.createRoot(document.getElementById('root')).render(
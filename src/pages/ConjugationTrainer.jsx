@@ -0,0 +1,251 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { filterSupportedLanguages, resolveSupportedLanguageLabel } from '../constants/languages'
+import { useAuth } from '../context/AuthContext'
+import {
+  buildConjugationPrompts,
+  getConjugationTenses,
+  getTenseAccuracy,
+  gradeConjugationAnswer,
+  loadConjugationStats,
+  loadTrainableVerbs,
+  recordConjugationAnswer,
+} from '../services/conjugation'
+
+const ChevronLeftIcon = () => (
+  <svg viewBox="0 0 24 24" width="20" height="20" fill="none" stroke="currentColor" strokeWidth="2">
+    <path d="M15 18l-6-6 6-6" />
+  </svg>
+)
+
+const ANSWER_FEEDBACK = {
+  exact: 'Correct',
+  accents: 'Correct, check the accents',
+  wrong: 'Not quite',
+}
+
+const formatRate = (rate) => (rate === null ? '—' : `${Math.round(rate * 100)}%`)
+
+const ConjugationTrainer = () => {
+  const { user, profile } = useAuth()
+  const navigate = useNavigate()
+  const inputRef = useRef(null)
+
+  const supportedLanguages = useMemo(
+    () => filterSupportedLanguages(profile?.myLanguages || []),
+    [profile?.myLanguages]
+  )
+  const activeLanguage = useMemo(() => {
+    if (profile?.lastUsedLanguage) {
+      const resolved = resolveSupportedLanguageLabel(profile.lastUsedLanguage, '')
+      if (resolved) return resolved
+    }
+    return supportedLanguages.length ? supportedLanguages[0] : ''
+  }, [profile?.lastUsedLanguage, supportedLanguages])
+
+  const [verbs, setVerbs] = useState([])
+  const [stats, setStats] = useState({})
+  const [prompts, setPrompts] = useState([])
+  const [currentIndex, setCurrentIndex] = useState(0)
+  const [typedAnswer, setTypedAnswer] = useState('')
+  const [answerResult, setAnswerResult] = useState(null)
+  const [correctCount, setCorrectCount] = useState(0)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    if (!user) {
+      navigate('/login')
+      return
+    }
+    if (!activeLanguage) {
+      setLoading(false)
+      return
+    }
+
+    let cancelled = false
+    setLoading(true)
+    setError('')
+
+    Promise.all([loadTrainableVerbs(user.uid, activeLanguage), loadConjugationStats(user.uid, activeLanguage)])
+      .then(([loadedVerbs, loadedStats]) => {
+        if (cancelled) return
+        setVerbs(loadedVerbs)
+        setStats(loadedStats)
+        setPrompts(buildConjugationPrompts(loadedVerbs, activeLanguage, loadedStats))
+        setCurrentIndex(0)
+        setCorrectCount(0)
+      })
+      .catch((err) => {
+        console.error('Failed to load conjugation drill:', err)
+        if (!cancelled) setError('Failed to load your verbs. Please try again.')
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [user, activeLanguage, navigate])
+
+  useEffect(() => {
+    if (!answerResult) inputRef.current?.focus()
+  }, [currentIndex, answerResult, prompts])
+
+  const tenses = getConjugationTenses(activeLanguage)
+  const currentPrompt = prompts[currentIndex]
+  const isFinished = prompts.length > 0 && currentIndex >= prompts.length
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (!currentPrompt || answerResult || !typedAnswer.trim()) return
+
+    const result = gradeConjugationAnswer(currentPrompt, typedAnswer)
+    const tenseId = currentPrompt.tense.id
+    setAnswerResult(result)
+    if (result.isCorrect) setCorrectCount((prev) => prev + 1)
+    setStats((prev) => ({
+      ...prev,
+      [tenseId]: {
+        attempts: (prev[tenseId]?.attempts || 0) + 1,
+        correct: (prev[tenseId]?.correct || 0) + (result.isCorrect ? 1 : 0),
+      },
+    }))
+    recordConjugationAnswer(user.uid, activeLanguage, tenseId, result.isCorrect).catch((err) =>
+      console.error('Failed to record conjugation answer:', err)
+    )
+  }
+
+  const handleNext = () => {
+    setTypedAnswer('')
+    setAnswerResult(null)
+    setCurrentIndex((prev) => prev + 1)
+  }
+
+  // A fresh session weighted by this session's answers too
+  const handleRestart = () => {
+    setPrompts(buildConjugationPrompts(verbs, activeLanguage, stats))
+    setCurrentIndex(0)
+    setCorrectCount(0)
+    setTypedAnswer('')
+    setAnswerResult(null)
+  }
+
+  return (
+    <div className="vocab-browser-page conjugation-trainer-page">
+      <div className="review-session-header">
+        <button
+          className="button ghost icon-button"
+          onClick={() => navigate('/dashboard', { state: { initialTab: 'review' } })}
+        >
+          <ChevronLeftIcon />
+        </button>
+        <div className="review-session-title">
+          <h2>Conjugation</h2>
+          {prompts.length > 0 && (
+            <span className="review-progress">
+              {activeLanguage} · {Math.min(currentIndex + 1, prompts.length)} / {prompts.length}
+            </span>
+          )}
+        </div>
+      </div>
+
+      {loading ? (
+        <p className="muted">Loading your verbs...</p>
+      ) : error ? (
+        <p className="error">{error}</p>
+      ) : !activeLanguage ? (
+        <p className="muted">Add a language first to drill conjugations.</p>
+      ) : !tenses.length ? (
+        <p className="muted">Conjugation drills aren't available for {activeLanguage} yet.</p>
+      ) : !prompts.length ? (
+        <p className="muted">
+          No verbs to drill yet. Verbs you mark as familiar or known while reading and listening show up here.
+        </p>
+      ) : (
+        <div className="review-analytics-grid">
+          <div className="home-card conjugation-trainer-card">
+            {isFinished ? (
+              <div className="conjugation-trainer-summary">
+                <h3 className="home-card-title">Session complete</h3>
+                <p className="review-analytics-headline">
+                  {correctCount} / {prompts.length}
+                </p>
+                <button type="button" className="button" onClick={handleRestart}>
+                  Practice again
+                </button>
+              </div>
+            ) : (
+              <>
+                <p className="review-analytics-subtitle">{currentPrompt.tense.label}</p>
+                <p className="conjugation-trainer-verb">{currentPrompt.verb.infinitive}</p>
+                {currentPrompt.verb.translation && (
+                  <p className="muted small">{currentPrompt.verb.translation}</p>
+                )}
+                <form className="conjugation-trainer-form" onSubmit={handleSubmit}>
+                  <span className="conjugation-trainer-person">{currentPrompt.person}</span>
+                  <input
+                    ref={inputRef}
+                    type="text"
+                    className="conjugation-trainer-input"
+                    value={typedAnswer}
+                    onChange={(e) => setTypedAnswer(e.target.value)}
+                    readOnly={Boolean(answerResult)}
+                    autoComplete="off"
+                    autoCapitalize="off"
+                    spellCheck={false}
+                  />
+                  {!answerResult && (
+                    <button type="submit" className="button" disabled={!typedAnswer.trim()}>
+                      Check
+                    </button>
+                  )}
+                </form>
+                {answerResult && (
+                  <>
+                    <div className={`review-cloze-feedback ${answerResult.isCorrect ? 'is-correct' : 'is-wrong'}`}>
+                      {ANSWER_FEEDBACK[answerResult.feedback]}
+                      {answerResult.feedback !== 'exact' && (
+                        <span className="review-cloze-typed">
+                          {' '}— {currentPrompt.person} {currentPrompt.answer}
+                        </span>
+                      )}
+                    </div>
+                    <button type="button" className="button conjugation-trainer-next" onClick={handleNext} autoFocus>
+                      {currentIndex + 1 < prompts.length ? 'Next' : 'Finish'}
+                    </button>
+                  </>
+                )}
+              </>
+            )}
+          </div>
+
+          <div className="home-card">
+            <div className="home-card-header">
+              <h3 className="home-card-title">Accuracy by tense</h3>
+            </div>
+            <p className="muted small">Tenses you get wrong come up more often</p>
+            <div className="review-analytics-bars">
+              {tenses.map((tense) => {
+                const rate = getTenseAccuracy(stats, tense.id)
+                return (
+                  <div key={tense.id} className="review-analytics-bar-row">
+                    <span className="review-analytics-bar-label">{tense.label}</span>
+                    <div className="review-analytics-bar-track">
+                      <div className="review-analytics-bar-fill" style={{ width: `${(rate ?? 0) * 100}%` }} />
+                    </div>
+                    <span className="review-analytics-bar-value">{formatRate(rate)}</span>
+                    <span className="review-analytics-bar-meta">{stats[tense.id]?.attempts || 0} answers</span>
+                  </div>
+                )
+              })}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ConjugationTrainer
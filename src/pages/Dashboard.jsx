@@ -20,18 +20,23 @@ import DiscoverLanding from '../components/read/DiscoverLanding'
 import NewShelfBuilder from '../components/read/NewShelfBuilder'
 import { applyCoverOverride } from '../data/coverOverrides'
 import { prefetchPopularBooks } from '../services/gutenberg'
+import { getAdaptationProfileFields } from '../services/adaptation'
 import ReviewModal from '../components/review/ReviewModal'
 import RoutineBuilder from '../components/home/RoutineBuilder'
 import ProgressChart from '../components/home/ProgressChart'
 import { filterSupportedLanguages, resolveSupportedLanguageLabel } from '../constants/languages'
 import { useAuth } from '../context/AuthContext'
 import { db } from '../firebase'
-import { loadDueCards } from '../services/vocab'
+import { loadDueCards, loadListeningCards, loadVocabTags, MOST_COMMON_DECK_SIZE } from '../services/vocab'
+import { getFrequencyRank, loadFrequencyRanks } from '../services/frequency'
 import { getHomeStats } from '../services/stats'
 import { getTodayActivities, ACTIVITY_TYPES, addActivity, getOrCreateActiveRoutine, DAYS_OF_WEEK, DAY_LABELS } from '../services/routine'
 import { regeneratePhases, executePhase, generateChapter, resetGeneration, cancelGeneration, regenerateChapterSummaries } from '../services/novelApiClient'
 import { rewriteProse, validateCoherence, repairCoherence, regenerateConcept, generateStoryProse } from '../services/generator'
 import { incrementSharedAudiobookPopularity } from '../services/sharedAudiobooks'
+import { getCoverageKey, isHardCoverage } from '../services/coverage'
+import useContentCoverage from '../hooks/useContentCoverage'
+import CoverageBadge from '../components/CoverageBadge'
 
 // Target language translations for card headers
 const CARD_HEADERS = {
@@ -222,6 +227,10 @@ const CORE_DECKS = [
   { id: 'unknown', label: 'Unknown', filter: 'unknown' },
   { id: 'recognised', label: 'Recognised', filter: 'recognised' },
   { id: 'familiar', label: 'Familiar', filter: 'familiar' },
+  // The most frequent words in the language still marked unknown, most common first
+  { id: 'common', label: 'Most Common Unknown', filter: 'unknown', sort: 'frequency' },
+  // Audio-only deck, scheduled separately from the reading decks above
+  { id: 'listening', label: 'Listening', filter: null, skill: 'listening' },
 ]
 
 const BookGrid = ({
@@ -420,6 +429,9 @@ const BookGrid = ({
                     {book.level && book.pageCount ? ' · ' : ''}
                     {book.pageCount ? `${book.pageCount} pages` : ''}
                   </div>
+                  {progress > 0 && progress < 100 && (
+                    <div className="book-tile-hover-meta">{`Continue reading · ${Math.round(progress)}%`}</div>
+                  )}
                   <div className="book-tile-hover-progress">
                     <div className="book-tile-hover-progress-bar" style={{ width: `${progress}%` }} />
                   </div>
@@ -498,6 +510,8 @@ const Dashboard = () => {
   // Review tab state
   const [deckCounts, setDeckCounts] = useState({})
   const [contentCounts, setContentCounts] = useState({})
+  const [tagDecks, setTagDecks] = useState([])
+  const [tagCounts, setTagCounts] = useState({})
   const [countsLoading, setCountsLoading] = useState(true)
   const [contentItems, setContentItems] = useState([])
   const [contentLoading, setContentLoading] = useState(true)
@@ -517,6 +531,7 @@ const Dashboard = () => {
     listeningSeconds: 0,
     listeningFormatted: '0m',
     knownWords: 0,
+    knownLemmas: 0,
     reviewCount: 0,
     wordsWritten: 0,
     speakingSeconds: 0,
@@ -853,6 +868,8 @@ const Dashboard = () => {
     if (!user || !activeLanguage) {
       setDeckCounts({})
       setContentCounts({})
+      setTagDecks([])
+      setTagCounts({})
       setCountsLoading(false)
       return
     }
@@ -860,12 +877,24 @@ const Dashboard = () => {
     const loadCounts = async () => {
       setCountsLoading(true)
       try {
-        const allCards = await loadDueCards(user.uid, activeLanguage)
+        const [allCards, listeningCards, tags, frequencyRanks] = await Promise.all([
+          loadDueCards(user.uid, activeLanguage),
+          loadListeningCards(user.uid, activeLanguage),
+          loadVocabTags(user.uid, activeLanguage),
+          loadFrequencyRanks(activeLanguage),
+        ])
+        const unknownCards = allCards.filter((c) => c.status === 'unknown')
         const counts = {
           all: allCards.length,
-          unknown: allCards.filter((c) => c.status === 'unknown').length,
+          unknown: unknownCards.length,
+          common: Math.min(
+            unknownCards.filter((c) => c.frequencyRank ?? getFrequencyRank(frequencyRanks, c.text)).length,
+            MOST_COMMON_DECK_SIZE
+          ),
           recognised: allCards.filter((c) => c.status === 'recognised').length,
           familiar: allCards.filter((c) => c.status === 'familiar').length,
+          listening: listeningCards.dueCards.length,
+          listeningNew: listeningCards.newCards.length,
         }
         setDeckCounts(counts)
 
@@ -879,6 +908,16 @@ const Dashboard = () => {
           }
         })
         setContentCounts(perContent)
+
+        // Calculate counts per custom deck
+        const perTag = {}
+        allCards.forEach((card) => {
+          card.tags.forEach((tag) => {
+            perTag[tag] = (perTag[tag] || 0) + 1
+          })
+        })
+        setTagDecks(tags)
+        setTagCounts(perTag)
       } catch (error) {
         console.error('Error loading deck counts:', error)
       } finally {
@@ -988,12 +1027,17 @@ const Dashboard = () => {
   const handleCardsUpdated = async () => {
     if (!user || !activeLanguage) return
     try {
-      const allCards = await loadDueCards(user.uid, activeLanguage)
+      const [allCards, listeningCards] = await Promise.all([
+        loadDueCards(user.uid, activeLanguage),
+        loadListeningCards(user.uid, activeLanguage),
+      ])
       const counts = {
         all: allCards.length,
         unknown: allCards.filter((c) => c.status === 'unknown').length,
         recognised: allCards.filter((c) => c.status === 'recognised').length,
         familiar: allCards.filter((c) => c.status === 'familiar').length,
+        listening: listeningCards.dueCards.length,
+        listeningNew: listeningCards.newCards.length,
       }
       setDeckCounts(counts)
 
@@ -1007,15 +1051,29 @@ const Dashboard = () => {
         }
       })
       setContentCounts(perContent)
+
+      // Recalculate custom deck counts
+      const perTag = {}
+      allCards.forEach((card) => {
+        card.tags.forEach((tag) => {
+          perTag[tag] = (perTag[tag] || 0) + 1
+        })
+      })
+      setTagCounts(perTag)
     } catch (error) {
       console.error('Error refreshing deck counts:', error)
     }
   }
 
+  const getPinKey = (type, id) => `${type}:${id}`
+
   // Toggle pin status for a deck
   const togglePinDeck = (deckInfo) => {
     setPinnedDecks((prev) => {
-      const key = deckInfo.type === 'core' ? `core:${deckInfo.id}` : `content:${deckInfo.contentId}`
+      const key = getPinKey(
+        deckInfo.type,
+        deckInfo.type === 'core' ? deckInfo.id : deckInfo.type === 'tag' ? deckInfo.tag : deckInfo.contentId
+      )
       const exists = prev.some((p) => p.key === key)
       let next
       if (exists) {
@@ -1028,9 +1086,19 @@ const Dashboard = () => {
     })
   }
 
+  // Core deck counts; the listening deck also offers today's new words
+  const getCoreDeckCount = (deck) =>
+    (deckCounts[deck.id] ?? 0) + (deck.skill === 'listening' ? deckCounts.listeningNew ?? 0 : 0)
+
+  const formatCoreDeckCount = (deck) => {
+    const due = deckCounts[deck.id] ?? 0
+    if (deck.skill !== 'listening') return `${due} due`
+    return `${due} due · ${deckCounts.listeningNew ?? 0} new`
+  }
+
   // Check if a deck is pinned
   const isDeckPinned = (type, id) => {
-    const key = type === 'core' ? `core:${id}` : `content:${id}`
+    const key = getPinKey(type, id)
     return pinnedDecks.some((p) => p.key === key)
   }
 
@@ -1100,6 +1168,7 @@ const Dashboard = () => {
           voiceGender: book.voiceGender || 'male',
           epubUrl: book.epubUrl || null,
           coverUrl: book.coverUrl || null,
+          ...getAdaptationProfileFields(book.adaptationProfile),
         }),
       })
       if (!response.ok) {
@@ -1728,6 +1797,14 @@ const Dashboard = () => {
     return Number.isFinite(parsed) ? parsed : 0
   }
   const libraryItems = items
+  const getBookCoverageKey = (book) => getCoverageKey(book.isGeneratedBook ? 'generatedBook' : 'story', book.id)
+  const libraryCoverage = useContentCoverage(
+    user?.uid,
+    activeLanguage,
+    libraryItems
+      .filter((book) => book.id)
+      .map((book) => ({ contentType: book.isGeneratedBook ? 'generatedBook' : 'story', contentId: book.id }))
+  )
   const yourRecentBooks = libraryItems
     .filter((book) => toMillis(book.lastOpenedAt) > 0)
     .slice()
@@ -2062,6 +2139,7 @@ const Dashboard = () => {
                                           <span>{getStoryTitle(book)}</span>
                                         </div>
                                       )}
+                                      <CoverageBadge coverage={libraryCoverage[getBookCoverageKey(book)]} />
                                     </div>
                                   </button>
                                 </div>
@@ -2255,6 +2333,7 @@ const Dashboard = () => {
                                       <span>{getStoryTitle(book)}</span>
                                     </div>
                                   )}
+                                  {!isProcessing && <CoverageBadge coverage={libraryCoverage[getBookCoverageKey(book)]} />}
                                   {isProcessing && (
                                     <div className="reading-shelf-generating-overlay">
                                       <div className="reading-shelf-spinner" />
@@ -2266,15 +2345,24 @@ const Dashboard = () => {
                                   {!isProcessing && (() => {
                                     const pages = getPageCount(book)
                                     const format = getBookFormat(book)
+                                    const coverage = libraryCoverage[getBookCoverageKey(book)]
                                     return (
                                     <div className="reading-shelf-hover-overlay">
                                       <div className="reading-shelf-hover-title">{getStoryTitle(book)}</div>
                                       {book.level && <div className="reading-shelf-hover-meta">{`Level ${book.level}`}</div>}
+                                      {isHardCoverage(coverage) && coverage.topUnknown?.length > 0 && (
+                                        <div className="reading-shelf-hover-meta">
+                                          {`New: ${coverage.topUnknown.slice(0, 5).map((entry) => entry.word).join(', ')}`}
+                                        </div>
+                                      )}
                                       {(pages > 0 || format) && (
                                         <div className="reading-shelf-hover-meta">
                                           {pages > 0 ? `${pages} pages` : ''}{pages > 0 && format ? ' · ' : ''}{format}
                                         </div>
                                       )}
+                                      {progress > 0 && progress < 100 && (
+                                        <div className="reading-shelf-hover-meta">{`Continue reading · ${Math.round(progress)}%`}</div>
+                                      )}
                                       <div className="reading-shelf-hover-progress">
                                         <div className="reading-shelf-hover-progress-bar" style={{ width: `${progress}%` }} />
                                       </div>
@@ -2487,6 +2575,7 @@ const Dashboard = () => {
                                       <span>{getStoryTitle(book)}</span>
                                     </div>
                                   )}
+                                  {!isProcessing && <CoverageBadge coverage={libraryCoverage[getBookCoverageKey(book)]} />}
                                   {isProcessing && (
                                     <div className="reading-shelf-generating-overlay">
                                       <div className="reading-shelf-spinner" />
@@ -2498,15 +2587,24 @@ const Dashboard = () => {
                                   {!isProcessing && (() => {
                                     const pages = getPageCount(book)
                                     const format = getBookFormat(book)
+                                    const coverage = libraryCoverage[getBookCoverageKey(book)]
                                     return (
                                     <div className="reading-shelf-hover-overlay">
                                       <div className="reading-shelf-hover-title">{getStoryTitle(book)}</div>
                                       {book.level && <div className="reading-shelf-hover-meta">{`Level ${book.level}`}</div>}
+                                      {isHardCoverage(coverage) && coverage.topUnknown?.length > 0 && (
+                                        <div className="reading-shelf-hover-meta">
+                                          {`New: ${coverage.topUnknown.slice(0, 5).map((entry) => entry.word).join(', ')}`}
+                                        </div>
+                                      )}
                                       {(pages > 0 || format) && (
                                         <div className="reading-shelf-hover-meta">
                                           {pages > 0 ? `${pages} pages` : ''}{pages > 0 && format ? ' · ' : ''}{format}
                                         </div>
                                       )}
+                                      {progress > 0 && progress < 100 && (
+                                        <div className="reading-shelf-hover-meta">{`Continue reading · ${Math.round(progress)}%`}</div>
+                                      )}
                                       <div className="reading-shelf-hover-progress">
                                         <div className="reading-shelf-hover-progress-bar" style={{ width: `${progress}%` }} />
                                       </div>
@@ -2619,8 +2717,10 @@ const Dashboard = () => {
                       <div className="listen-shelf">
                         {pinnedDecks.map((pinned) => {
                           const count = pinned.type === 'core'
-                            ? (deckCounts[pinned.id] ?? 0)
-                            : (contentCounts[pinned.contentId] || 0)
+                            ? getCoreDeckCount(pinned)
+                            : pinned.type === 'tag'
+                              ? (tagCounts[pinned.tag] || 0)
+                              : (contentCounts[pinned.contentId] || 0)
                           const isDisabled = countsLoading || count === 0
                           return (
                             <div
@@ -2629,7 +2729,9 @@ const Dashboard = () => {
                               onClick={() => {
                                 if (isDisabled) return
                                 if (pinned.type === 'core') {
-                                  startReviewSession({ type: 'core', id: pinned.id, label: pinned.label, filter: pinned.filter })
+                                  startReviewSession({ type: 'core', id: pinned.id, label: pinned.label, filter: pinned.filter, skill: pinned.skill, sort: pinned.sort })
+                                } else if (pinned.type === 'tag') {
+                                  startReviewSession({ type: 'tag', tag: pinned.tag, label: pinned.label })
                                 } else {
                                   startReviewSession({ type: 'content', contentId: pinned.contentId, label: pinned.label })
                                 }
@@ -2652,7 +2754,9 @@ const Dashboard = () => {
                                 <div className="review-deck-card-content">
                                   <div className="review-deck-card-title">{pinned.label}</div>
                                   <div className="review-deck-card-meta ui-text">
-                                    {countsLoading ? 'Loading...' : `${count} due`}
+                                    {countsLoading
+                                      ? 'Loading...'
+                                      : pinned.type === 'core' ? formatCoreDeckCount(pinned) : `${count} due`}
                                   </div>
                                 </div>
                               </div>
@@ -2665,12 +2769,23 @@ const Dashboard = () => {
 
                   {/* Core Decks */}
                   <div className="section">
-                    <div className="section-header">
+                    <div className="section-header review-section-header">
                       <h3>Core Decks</h3>
+                      <div className="review-section-header-actions">
+                        <button type="button" className="button ghost small" onClick={() => navigate('/review/analytics')}>
+                          Analytics
+                        </button>
+                        <button type="button" className="button ghost small" onClick={() => navigate('/review/conjugation')}>
+                          Conjugation
+                        </button>
+                        <button type="button" className="button ghost small" onClick={() => navigate('/vocab')}>
+                          Manage vocabulary
+                        </button>
+                      </div>
                     </div>
                     <div className="listen-shelf">
                       {CORE_DECKS.map((deck) => {
-                        const count = deckCounts[deck.id] ?? 0
+                        const count = getCoreDeckCount(deck)
                         const pinned = isDeckPinned('core', deck.id)
                         return (
                           <div
@@ -2678,7 +2793,7 @@ const Dashboard = () => {
                             className={`preview-card listen-card review-deck-card${countsLoading || count === 0 ? ' is-disabled' : ''}`}
                             onClick={() => {
                               if (!countsLoading && count > 0) {
-                                startReviewSession({ type: 'core', id: deck.id, label: deck.label, filter: deck.filter })
+                                startReviewSession({ type: 'core', id: deck.id, label: deck.label, filter: deck.filter, skill: deck.skill, sort: deck.sort })
                               }
                             }}
                             role="button"
@@ -2690,7 +2805,7 @@ const Dashboard = () => {
                               title={pinned ? 'Unpin deck' : 'Pin deck'}
                               onClick={(e) => {
                                 e.stopPropagation()
-                                togglePinDeck({ type: 'core', id: deck.id, label: deck.label, filter: deck.filter })
+                                togglePinDeck({ type: 'core', id: deck.id, label: deck.label, filter: deck.filter, skill: deck.skill, sort: deck.sort })
                               }}
                             >
                               <PinIcon filled={pinned} />
@@ -2699,7 +2814,7 @@ const Dashboard = () => {
                               <div className="review-deck-card-content">
                                 <div className="review-deck-card-title">{deck.label}</div>
                                 <div className="review-deck-card-meta ui-text">
-                                  {countsLoading ? 'Loading...' : `${count} due`}
+                                  {countsLoading ? 'Loading...' : formatCoreDeckCount(deck)}
                                 </div>
                               </div>
                             </div>
@@ -2709,6 +2824,58 @@ const Dashboard = () => {
                     </div>
                   </div>
 
+                  {/* My Decks - custom decks backed by vocab tags */}
+                  <div className="section">
+                    <div className="section-header">
+                      <h3>My Decks</h3>
+                    </div>
+                    {tagDecks.length === 0 ? (
+                      <p className="muted small">
+                        Add words to a deck from the reader popup or the vocabulary browser.
+                      </p>
+                    ) : (
+                      <div className="listen-shelf">
+                        {tagDecks.map(({ tag, total }) => {
+                          const count = tagCounts[tag] || 0
+                          const pinned = isDeckPinned('tag', tag)
+                          return (
+                            <div
+                              key={tag}
+                              className={`preview-card listen-card review-deck-card${countsLoading || count === 0 ? ' is-disabled' : ''}`}
+                              onClick={() => {
+                                if (!countsLoading && count > 0) {
+                                  startReviewSession({ type: 'tag', tag, label: tag })
+                                }
+                              }}
+                              role="button"
+                              tabIndex={countsLoading || count === 0 ? -1 : 0}
+                            >
+                              <button
+                                type="button"
+                                className={`review-deck-pin-btn${pinned ? ' is-pinned' : ''}`}
+                                title={pinned ? 'Unpin deck' : 'Pin deck'}
+                                onClick={(e) => {
+                                  e.stopPropagation()
+                                  togglePinDeck({ type: 'tag', tag, label: tag })
+                                }}
+                              >
+                                <PinIcon filled={pinned} />
+                              </button>
+                              <div className="review-deck-card-inner">
+                                <div className="review-deck-card-content">
+                                  <div className="review-deck-card-title">{tag}</div>
+                                  <div className="review-deck-card-meta ui-text">
+                                    {countsLoading ? 'Loading...' : `${count} due · ${total} words`}
+                                  </div>
+                                </div>
+                              </div>
+                            </div>
+                          )
+                        })}
+                      </div>
+                    )}
+                  </div>
+
                   {/* Recently Studied - Placeholder */}
                   <div className="section">
                     <div className="section-header">
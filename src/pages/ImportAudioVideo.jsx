@@ -1,5 +1,6 @@
 import { useNavigate } from 'react-router-dom'
 import ImportYouTubePanel from '../components/listen/ImportYouTubePanel'
+import ImportMediaPanel from '../components/listen/ImportMediaPanel'
 
 const ImportAudioVideo = () => {
   const navigate = useNavigate()
@@ -11,7 +12,8 @@ const ImportAudioVideo = () => {
           <div>
             <h1>Import audio or video</h1>
             <p className="muted small">
-              Add a YouTube video to your listening library and access it inside inTongues Cinema.
+              Add a YouTube video, or a video or audio file with subtitles, to your listening library and
+              access it inside inTongues Cinema.
             </p>
           </div>
           <button className="button ghost" onClick={() => navigate('/listen/library')}>
@@ -20,6 +22,7 @@ const ImportAudioVideo = () => {
         </div>
 
         <ImportYouTubePanel headingLevel="h3" layout="section" onSuccess={() => navigate('/listen/library')} />
+        <ImportMediaPanel layout="section" onSuccess={() => navigate('/listen/library')} />
       </div>
     </div>
   )
@@ -4,8 +4,12 @@ import { useLocation, useNavigate, useParams } from 'react-router-dom'
 import { useAuth } from '../context/AuthContext'
 import { db } from '../firebase'
 import YouTubePlayer from '../components/YouTubePlayer'
+import LocalMediaPlayer, { PLAYER_STATE } from '../components/LocalMediaPlayer'
 import CinemaSubtitles from '../components/CinemaSubtitles'
 import { VOCAB_STATUSES, loadUserVocab, normaliseExpression, upsertVocabEntry } from '../services/vocab'
+import { detectExpressions, mergeExpressions } from '../services/expressions'
+import { isOffline, loadOfflineBundle } from '../services/offlineStore'
+import { downloadVideoForOffline, removeOfflineDownload } from '../services/offlineContent'
 import { resolveSupportedLanguageLabel } from '../constants/languages'
 import { normalizeLanguageCode } from '../utils/language'
 import { cinemaViewingModes } from '../constants/cinemaViewingModes'
@@ -17,6 +21,15 @@ import CinemaErrorBoundary from '../components/cinema/CinemaErrorBoundary'
 import CinemaWordPopup from '../components/cinema/CinemaWordPopup'
 import TutorPanel from '../components/read/TutorPanel'
 
+// Transcript segments sent per expression-detection request
+const EXPRESSION_WINDOW_SEGMENTS = 40
+
+// The downloaded copy of a video, used in place of Firestore with no connection
+const loadOfflineVideo = (userId, videoId, isSpotify) =>
+  isOffline()
+    ? loadOfflineBundle(isSpotify ? 'spotify' : 'youtube', userId, videoId).catch(() => null)
+    : Promise.resolve(null)
+
 const extractVideoId = (video) => {
   if (!video) return ''
   if (video.videoId) return video.videoId
@@ -152,6 +165,9 @@ const IntonguesCinema = () => {
   // Dubbed content state
   const [isDubbed, setIsDubbed] = useState(false)
   const [dubbedAudioUrl, setDubbedAudioUrl] = useState('')
+  // Downloaded copy of this video for offline use, if any
+  const [offlineBundle, setOfflineBundle] = useState(null)
+  const [offlineSaving, setOfflineSaving] = useState(false)
   const [activeSubtitleLanguage, setActiveSubtitleLanguage] = useState('target')
   const [sourceTranscript, setSourceTranscript] = useState({ text: '', segments: [], sentenceSegments: [], intensiveSegments: [] })
   const [targetTranscript, setTargetTranscript] = useState({ text: '', segments: [], sentenceSegments: [], intensiveSegments: [] })
@@ -168,6 +184,8 @@ const IntonguesCinema = () => {
   const [playbackRate, setPlaybackRate] = useState(1)
   const [wordTranslations, setWordTranslations] = useState({})
   const [contentExpressions, setContentExpressions] = useState([])
+  const scannedExpressionWindowsRef = useRef(new Set())
+  const expressionScanGenerationRef = useRef(0)
 
   // Extensive mode state - defaults to subtitles for immediate value
   // textDisplayMode: 'off' | 'subtitles' | 'transcript'
@@ -520,6 +538,14 @@ const normalisePagesToSegments = (pages = []) =>
     return match?.text?.trim() || word
   }, [displaySegments])
 
+  // Sentence around the popup word, so the dictionary can rank senses by it
+  const popupContext = useMemo(() => {
+    const word = popup?.displayText || popup?.word
+    if (!word) return ''
+    const sentence = findContainingSentence(word)
+    return sentence !== word ? sentence : ''
+  }, [popup?.displayText, popup?.word, findContainingSentence])
+
   // Intensive-mode segment list. Prefers the server-built pause-based chunks
   // (written at import time from word-level audio gaps); falls back to the
   // cue-derived `displaySegments` for transcripts that have no intensive
@@ -574,16 +600,17 @@ const normalisePagesToSegments = (pages = []) =>
         const videoRef = isSpotify
           ? doc(db, 'users', user.uid, 'spotifyItems', id)
           : doc(db, 'users', user.uid, 'youtubeVideos', id)
-        const videoSnap = await getDoc(videoRef)
+        const offlineVideo = await loadOfflineVideo(user.uid, id, isSpotify)
+        const videoSnap = offlineVideo ? null : await getDoc(videoRef)
 
-        if (!videoSnap.exists()) {
+        if (!offlineVideo && !videoSnap.exists()) {
           setError(isSpotify ? 'This Spotify item was not found in your library.' : 'This YouTube video was not found in your library.')
           setVideo(null)
           return
         }
 
-        const videoData = videoSnap.data()
-        setVideo({ id: videoSnap.id, ...videoData })
+        const videoData = offlineVideo?.video || videoSnap.data()
+        setVideo({ id, ...videoData })
         if (videoData.isDubbed) {
           setIsDubbed(true)
           setDubbedAudioUrl(videoData.dubbedAudioUrl || '')
@@ -646,6 +673,8 @@ const normalisePagesToSegments = (pages = []) =>
   }, [id, isSpotify, user])
 
   const videoId = useMemo(() => extractVideoId(video), [video])
+  // Uploaded files play from Storage and bring their own subtitles
+  const isUploadedMedia = video?.source === 'upload'
   const transcriptLanguage = useMemo(
     () => isDubbed ? (video?.targetLanguage || video?.language || profile?.lastUsedLanguage || 'auto') : (video?.language || profile?.lastUsedLanguage || 'auto'),
     [isDubbed, video?.targetLanguage, video?.language, profile?.lastUsedLanguage]
@@ -660,7 +689,7 @@ const normalisePagesToSegments = (pages = []) =>
 
   useEffect(() => {
     if (isSpotify) return
-    if (!videoId || !user || !id) return
+    if ((!videoId && !isUploadedMedia) || !user || !id) return
 
     let isCancelled = false
     const transcriptDocId = transcriptLanguage || 'auto'
@@ -671,6 +700,20 @@ const normalisePagesToSegments = (pages = []) =>
       setTranscript({ text: '', segments: [], sentenceSegments: [], intensiveSegments: [] })
       setTranslations({})
       try {
+        const offlineVideo = await loadOfflineVideo(user.uid, id, false)
+        const offlineTranscript = offlineVideo?.transcripts?.[transcriptDocId]
+        if (offlineTranscript) {
+          if (!isCancelled) {
+            setTranscript({
+              text: offlineTranscript.text || '',
+              segments: normaliseSegments(offlineTranscript.segments),
+              sentenceSegments: normaliseSegments(offlineTranscript.sentenceSegments),
+              intensiveSegments: normaliseIntensiveSegments(offlineTranscript.intensiveSegments),
+            })
+          }
+          return
+        }
+
         const transcriptRef = doc(db, 'users', user.uid, 'youtubeVideos', id, 'transcripts', transcriptDocId)
         const cached = await getDoc(transcriptRef)
 
@@ -693,6 +736,9 @@ const normalisePagesToSegments = (pages = []) =>
           if (hasAnyContent && !intensiveStale) return
         }
 
+        // The subtitles were saved at import; there is nothing to fetch
+        if (isUploadedMedia) throw new Error('No subtitles saved for this upload')
+
         const response = await fetch('http://localhost:4000/api/youtube/transcript', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
@@ -747,7 +793,7 @@ const normalisePagesToSegments = (pages = []) =>
     return () => {
       isCancelled = true
     }
-  }, [id, isSpotify, transcriptLanguage, user?.uid, videoId])
+  }, [id, isSpotify, isUploadedMedia, transcriptLanguage, user?.uid, videoId])
 
   // Load both source and target transcripts for dubbed content
   useEffect(() => {
@@ -757,6 +803,20 @@ const normalisePagesToSegments = (pages = []) =>
 
     const loadDubbedTranscripts = async () => {
       try {
+        const offlineVideo = await loadOfflineVideo(user.uid, id, false)
+        if (offlineVideo) {
+          if (isCancelled) return
+          const toTranscript = (data) => ({
+            text: data?.text || '',
+            segments: normaliseSegments(data?.segments),
+            sentenceSegments: normaliseSegments(data?.sentenceSegments),
+            intensiveSegments: normaliseIntensiveSegments(data?.intensiveSegments),
+          })
+          setTargetTranscript(toTranscript(offlineVideo.transcripts?.[video.targetLanguage]))
+          setSourceTranscript(toTranscript(offlineVideo.transcripts?.[video.sourceLanguage]))
+          return
+        }
+
         // Load target transcript
         const targetRef = doc(db, 'users', user.uid, 'youtubeVideos', id, 'transcripts', video.targetLanguage)
         const targetSnap = await getDoc(targetRef)
@@ -809,11 +869,16 @@ const normalisePagesToSegments = (pages = []) =>
       setTranscriptLoading(true)
       setTranscriptError('')
       try {
-        const pagesRef = collection(db, 'users', user.uid, 'spotifyItems', id, 'pages')
-        const pagesQuery = query(pagesRef, orderBy('index', 'asc'))
-        const snapshot = await getDocs(pagesQuery)
+        const offlineVideo = await loadOfflineVideo(user.uid, id, true)
+        let pages = offlineVideo?.pages
+        if (!pages) {
+          const pagesRef = collection(db, 'users', user.uid, 'spotifyItems', id, 'pages')
+          const pagesQuery = query(pagesRef, orderBy('index', 'asc'))
+          const snapshot = await getDocs(pagesQuery)
+          pages = snapshot.docs.map((docSnap) => docSnap.data())
+        }
         if (cancelled) return
-        const segments = normalisePagesToSegments(snapshot.docs.map((docSnap) => docSnap.data()))
+        const segments = normalisePagesToSegments(pages)
         setTranscript({
           text: segments.map((seg) => seg.text).join(' '),
           segments,
@@ -979,6 +1044,14 @@ const normalisePagesToSegments = (pages = []) =>
 
     async function preloadTranslations() {
       try {
+        const offlineVideo = await loadOfflineVideo(user.uid, id, isSpotify)
+        if (offlineVideo) {
+          if (controller.signal.aborted) return
+          setTranslations(offlineVideo.translations || {})
+          setPronunciations(offlineVideo.pronunciations || {})
+          return
+        }
+
         const response = await fetch('http://localhost:4000/api/content/preload', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
@@ -1012,6 +1085,92 @@ const normalisePagesToSegments = (pages = []) =>
     return () => controller.abort()
   }, [id, isSpotify, user, transcriptLanguage, profile?.nativeLanguage])
 
+  useEffect(() => {
+    setOfflineBundle(null)
+    if (!user || !id) return undefined
+
+    let cancelled = false
+    loadOfflineBundle(isSpotify ? 'spotify' : 'youtube', user.uid, id)
+      .then((bundle) => {
+        if (!cancelled) setOfflineBundle(bundle)
+      })
+      .catch((err) => console.error('Failed to check offline download:', err))
+    return () => {
+      cancelled = true
+    }
+  }, [id, isSpotify, user])
+
+  const handleToggleOfflineDownload = async () => {
+    if (!user || !id || offlineSaving) return
+
+    const type = isSpotify ? 'spotify' : 'youtube'
+    setOfflineSaving(true)
+    try {
+      if (offlineBundle) {
+        await removeOfflineDownload(type, user.uid, id)
+        setOfflineBundle(null)
+      } else {
+        await downloadVideoForOffline(user.uid, id, { isSpotify, nativeLanguage: profile?.nativeLanguage })
+        setOfflineBundle(await loadOfflineBundle(type, user.uid, id))
+      }
+    } catch (err) {
+      console.error('Failed to update offline download', err)
+    } finally {
+      setOfflineSaving(false)
+    }
+  }
+
+  // Detect multi-word expressions one transcript window at a time, keeping the
+  // window under the playhead and the one after it scanned
+  const expressionSegments = transcript.sentenceSegments?.length
+    ? transcript.sentenceSegments
+    : transcript.segments
+  const currentExpressionWindow = useMemo(() => {
+    const index = expressionSegments.findIndex(
+      (segment) => (segment.end ?? segment.start) >= playbackStatus.currentTime
+    )
+    return Math.floor(Math.max(index, 0) / EXPRESSION_WINDOW_SEGMENTS)
+  }, [expressionSegments, playbackStatus.currentTime])
+
+  useEffect(() => {
+    scannedExpressionWindowsRef.current = new Set()
+    expressionScanGenerationRef.current += 1
+    setContentExpressions([])
+  }, [id, transcriptLanguage])
+
+  useEffect(() => {
+    if (!expressionSegments.length || !transcriptLanguage || transcriptLanguage === 'auto') return
+
+    const scanned = scannedExpressionWindowsRef.current
+    const windows = [currentExpressionWindow, currentExpressionWindow + 1].filter(
+      (windowIndex) =>
+        windowIndex * EXPRESSION_WINDOW_SEGMENTS < expressionSegments.length && !scanned.has(windowIndex)
+    )
+    if (!windows.length) return
+
+    const generation = expressionScanGenerationRef.current
+    windows.forEach((windowIndex) => scanned.add(windowIndex))
+
+    const text = windows
+      .flatMap((windowIndex) =>
+        expressionSegments
+          .slice(windowIndex * EXPRESSION_WINDOW_SEGMENTS, (windowIndex + 1) * EXPRESSION_WINDOW_SEGMENTS)
+          .map((segment) => segment.text)
+      )
+      .join('\n')
+
+    detectExpressions(text, transcriptLanguage, resolveSupportedLanguageLabel(profile?.nativeLanguage))
+      .then((expressions) => {
+        if (generation === expressionScanGenerationRef.current && expressions.length) {
+          setContentExpressions((prev) => mergeExpressions(prev, expressions))
+        }
+      })
+      .catch((err) => {
+        console.error('Failed to detect expressions', err)
+        windows.forEach((windowIndex) => scanned.delete(windowIndex))
+      })
+  }, [expressionSegments, currentExpressionWindow, transcriptLanguage, profile?.nativeLanguage])
+
   // Combine preloaded translations and pronunciations into wordTranslations for Pass 3
   useEffect(() => {
     const combinedTranslations = {}
@@ -1180,7 +1339,7 @@ const normalisePagesToSegments = (pages = []) =>
     if (isSpotify || !playerInstance) return
 
     const playerState = event?.data
-    const ytState = window.YT?.PlayerState
+    const ytState = window.YT?.PlayerState || PLAYER_STATE
     const currentTime = playerInstance.getCurrentTime?.() ?? 0
     const duration = playerInstance.getDuration?.() ?? playbackStatus.duration
 
@@ -1818,6 +1977,22 @@ const normalisePagesToSegments = (pages = []) =>
       )
     }
 
+    if (isUploadedMedia) {
+      if (!video.mediaUrl) {
+        return <p className="muted">This file is still uploading. Check back in a moment.</p>
+      }
+      return (
+        <LocalMediaPlayer
+          ref={playerRef}
+          src={video.mediaUrl}
+          mediaType={video.mediaType}
+          onStatus={handleVideoStatus}
+          onPlayerReady={handlePlayerReady}
+          onPlayerStateChange={handlePlayerStateChange}
+        />
+      )
+    }
+
     if (!videoId) {
       return <p className="error">This video cannot be embedded.</p>
     }
@@ -1835,7 +2010,7 @@ const normalisePagesToSegments = (pages = []) =>
         onPlayerStateChange={handlePlayerStateChange}
       />
     )
-  }, [isSpotify, videoId, cinemaMode])
+  }, [isSpotify, videoId, cinemaMode, isUploadedMedia, video?.mediaUrl, video?.mediaType])
 
   const safeCurrentTime = Number.isFinite(playbackStatus.currentTime) ? playbackStatus.currentTime : 0
   const safeDuration = Number.isFinite(playbackStatus.duration) ? playbackStatus.duration : 0
@@ -2100,6 +2275,19 @@ const normalisePagesToSegments = (pages = []) =>
             >
               <span className="material-symbols-outlined">question_mark</span>
             </button>
+            {/* Offline download - transcript, translations and any dubbed audio */}
+            <button
+              type="button"
+              className={`cinema-header-icon-btn ${offlineBundle ? 'cinema-header-icon-btn--active' : ''}`}
+              onClick={handleToggleOfflineDownload}
+              disabled={offlineSaving}
+              aria-label={offlineBundle ? 'Remove offline download' : 'Save for offline'}
+              title={offlineSaving ? 'Saving for offline…' : offlineBundle ? 'Saved for offline' : 'Save for offline'}
+            >
+              <span className="material-symbols-outlined">
+                {offlineBundle ? 'download_done' : 'download'}
+              </span>
+            </button>
             {/* Subtitle language toggle - dubbed content only */}
             {isDubbed && (
               <button
@@ -2175,6 +2363,8 @@ const normalisePagesToSegments = (pages = []) =>
           audioBase64={popup.audioBase64}
           audioUrl={popup.audioUrl}
           language={transcriptLanguage}
+          nativeLanguage={profile?.nativeLanguage}
+          context={popupContext}
           isClosing={popupClosing}
           onStatusChange={(word, status) => handleSetWordStatus(status)}
           onClose={closePopupAnimated}
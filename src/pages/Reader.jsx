@@ -7,14 +7,54 @@ import {
   getDocs,
   orderBy,
   query,
+  serverTimestamp,
+  updateDoc,
 } from 'firebase/firestore'
 import { useAuth } from '../context/AuthContext'
 import { db } from '../firebase'
-import { VOCAB_STATUSES, loadUserVocab, normaliseExpression, upsertVocabEntry } from '../services/vocab'
+import {
+  VOCAB_STATUSES,
+  addVocabTag,
+  loadLemmaStatuses,
+  loadUserVocab,
+  normaliseExpression,
+  normaliseTag,
+  removeVocabTag,
+  setLemmaStatus,
+  upsertVocabEntry,
+} from '../services/vocab'
+import { fetchLemma, fetchLemmas } from '../services/lemmas'
+import { detectExpressions, mergeExpressions } from '../services/expressions'
 import { incrementWordsRead } from '../services/stats'
 import { generateChapter } from '../services/novelApiClient'
+import {
+  ANNOTATION_COLORS,
+  addAnnotation,
+  deleteAnnotation,
+  downloadAnnotationsMarkdown,
+  loadAnnotations,
+  sortAnnotations,
+  updateAnnotation,
+} from '../services/annotations'
 import WordToken from '../components/read/WordToken'
 import TutorPanel from '../components/read/TutorPanel'
+import ReaderAnnotationsPanel from '../components/read/ReaderAnnotationsPanel'
+import VocabPrimer from '../components/VocabPrimer'
+import DictionarySection from '../components/DictionarySection'
+import useFrequencyRanks from '../hooks/useFrequencyRanks'
+import { formatFrequencyRank, getFrequencyRank } from '../services/frequency'
+import {
+  findReadAlongWordAtOffset,
+  findReadAlongWordAtTime,
+  loadReadAlongTimeline,
+} from '../services/readAlong'
+import { isOffline, loadOfflineBundle } from '../services/offlineStore'
+import {
+  getParallelKey,
+  loadParallelTranslations,
+  translateParallelParagraphs,
+} from '../services/parallelText'
+import { downloadStoryForOffline, removeOfflineDownload } from '../services/offlineContent'
 import { readerModes } from '../constants/readerModes'
 import {
   filterSupportedLanguages,
@@ -22,6 +62,15 @@ import {
   toLanguageLabel,
 } from '../constants/languages'
 import { normalizeLanguageCode } from '../utils/language'
+import {
+  getAnchorRange,
+  getParagraphOffsets,
+  getPointAnchor,
+  getReadingAnchor,
+  getReadingProgress,
+  getSelectionAnchor,
+  scrollToReadingAnchor,
+} from '../utils/readingPosition'
 import {
   HIGHLIGHT_COLOR,
   STATUS_OPACITY,
@@ -62,6 +111,10 @@ const countWords = (text) => {
   return text.trim().split(/\s+/).filter(Boolean).length
 }
 
+// The downloaded copy of a story, used in place of Firestore with no connection
+const loadOfflineStory = (userId, storyId) =>
+  isOffline() ? loadOfflineBundle('story', userId, storyId).catch(() => null) : Promise.resolve(null)
+
 const STATUS_LEVELS = ['new', 'unknown', 'recognised', 'familiar', 'known']
 const STATUS_ABBREV = ['N', 'U', 'R', 'F', 'K']
 
@@ -158,6 +211,8 @@ const Reader = ({ initialMode }) => {
 
   const [chapters, setChapters] = useState([])
   const [storyTitle, setStoryTitle] = useState('')
+  // Saved { chapterIndex, charOffset } from the story doc, restored once on open
+  const [savedReadingPosition, setSavedReadingPosition] = useState(null)
 
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState('')
@@ -172,12 +227,32 @@ const Reader = ({ initialMode }) => {
   const [voiceGender, setVoiceGender] = useState('male')
   const [popup, setPopup] = useState(null)
   const [vocabEntries, setVocabEntries] = useState({})
+  // Lemma layer: statuses set for a whole word family, and page forms → lemma
+  const [lemmaStatuses, setLemmaStatuses] = useState({})
+  const [formLemmas, setFormLemmas] = useState({})
+  const [popupLemma, setPopupLemma] = useState(null)
+  const [applyToAllForms, setApplyToAllForms] = useState(false)
+  const [deckInput, setDeckInput] = useState('')
+  // Highlights and bookmarks on this book, in reading order
+  const [annotations, setAnnotations] = useState([])
+  const [annotationsOpen, setAnnotationsOpen] = useState(false)
+  const [annotationNote, setAnnotationNote] = useState('')
+  // Chapter the vocabulary primer is open for, or null
+  const [primerChapterIndex, setPrimerChapterIndex] = useState(null)
+  // Chapter at the reading position, for work that only needs what's on screen
+  const [visibleChapterIndex, setVisibleChapterIndex] = useState(0)
   const missingLanguageMessage =
     'Select a language for this content to enable translation/pronunciation.'
   const [showAutoKnownBubble, setShowAutoKnownBubble] = useState(false)
   const [audioStatus, setAudioStatus] = useState('')
   const [fullAudioUrl, setFullAudioUrl] = useState('')
   const [hasFullAudio, setHasFullAudio] = useState(false)
+  // Word timings over fullAudioUrl, and whether the Reader follows along
+  const [readAlongTimeline, setReadAlongTimeline] = useState([])
+  const [readAlongEnabled, setReadAlongEnabled] = useState(false)
+  // Downloaded copy of this story for offline use, if any
+  const [offlineBundle, setOfflineBundle] = useState(null)
+  const [offlineSaving, setOfflineSaving] = useState(false)
   const [readerTheme, setReaderTheme] = useState('soft-white')
   const [readerFont, setReaderFont] = useState(profile?.readerFont || DEFAULT_READER_FONT)
   const [isFullscreen, setIsFullscreen] = useState(Boolean(document.fullscreenElement))
@@ -187,6 +262,12 @@ const Reader = ({ initialMode }) => {
   // Display mode is now always single-column
   const [currentSentenceIndex, setCurrentSentenceIndex] = useState(0)
   const [sentenceTranslations, setSentenceTranslations] = useState({})
+  // Parallel mode: paragraph translations keyed by getParallelKey, and whether
+  // they sit beside or beneath the original
+  const [parallelTranslations, setParallelTranslations] = useState({})
+  const [parallelLayout, setParallelLayout] = useState(
+    () => localStorage.getItem('readerParallelLayout') || 'side-by-side'
+  )
   const [sentenceSegments, setSentenceSegments] = useState([])
   const [isIntensiveTranslationVisible, setIsIntensiveTranslationVisible] =
     useState(false)
@@ -202,6 +283,10 @@ const Reader = ({ initialMode }) => {
   const scrollContainerRef = useRef(null)
   const highWaterMarkRef = useRef(0)
   const promotedParagraphsRef = useRef(new Set())
+  const readingAnchorRef = useRef(null)
+  const readingPositionRestoredRef = useRef(false)
+  const scannedExpressionParagraphsRef = useRef(new Set())
+  const expressionScanGenerationRef = useRef(0)
   const globalParagraphCounterRef = useRef(0)
   const vocabEntriesRef = useRef(vocabEntries)
   const fabPositionRef = useRef({ x: null, y: null })
@@ -236,6 +321,7 @@ const Reader = ({ initialMode }) => {
   }, [profile?.lastUsedLanguage, supportedLanguages])
   const activeLanguage = resolvedLanguageParam || fallbackLanguage
   const language = activeLanguage
+  const frequencyRanks = useFrequencyRanks(language)
 
   useEffect(() => {
     if (!languageParam) return
@@ -332,8 +418,16 @@ const Reader = ({ initialMode }) => {
 
     if (!selection) return
 
+    // Parallel-mode translations are already in the reader's own language
+    if (e.target.closest?.('.reader-parallel-translation')) return
+
     const parts = selection.split(/\s+/).filter(Boolean)
 
+    // Passages of chapter text can be highlighted from the popup
+    const selectedRange = window.getSelection()?.rangeCount ? window.getSelection().getRangeAt(0) : null
+    const annotationAnchor = getSelectionAnchor(selectedRange)
+    setAnnotationNote('')
+
     // Multiple words → treat as phrase
     if (parts.length > 1) {
       const phrase = selection
@@ -360,6 +454,7 @@ const Reader = ({ initialMode }) => {
           y,
           word: phrase,
           displayText: selection,
+          annotationAnchor,
           translation: missingLanguageMessage,
           targetText: missingLanguageMessage,
           audioBase64: null,
@@ -374,6 +469,7 @@ const Reader = ({ initialMode }) => {
         x, y,
         word: phrase,
         displayText: selection,
+        annotationAnchor,
         translation: null,
         targetText: null,
         audioBase64: null,
@@ -427,6 +523,7 @@ const Reader = ({ initialMode }) => {
         y,
         word: phrase,
         displayText: selection,
+        annotationAnchor,
         translation,
         targetText,
         audioBase64,
@@ -459,6 +556,7 @@ const Reader = ({ initialMode }) => {
         x, y,
         word: clean,
         displayText: selection,
+        annotationAnchor,
         translation: missingLanguageMessage,
         targetText: missingLanguageMessage,
         audioBase64: null,
@@ -473,6 +571,7 @@ const Reader = ({ initialMode }) => {
       x, y,
       word: clean,
       displayText: selection,
+      annotationAnchor,
       translation: null,
       targetText: null,
       audioBase64: null,
@@ -501,7 +600,7 @@ const Reader = ({ initialMode }) => {
         translation = 'No translation found'
       }
     } catch (err) {
-      translation = 'No translation found'
+      translation = offlineBundle?.translations?.[clean] || 'No translation found'
     }
 
     setPopup({
@@ -509,6 +608,7 @@ const Reader = ({ initialMode }) => {
       y,
       word: clean,
       displayText: selection,
+      annotationAnchor,
       translation,
       targetText,
       audioBase64,
@@ -532,6 +632,12 @@ const Reader = ({ initialMode }) => {
     const rect = event.currentTarget.getBoundingClientRect()
     const { x, y } = getPopupPosition(rect)
 
+    // Sentence the word sits in, saved with the vocab entry for cloze review
+    const paragraphText = event.currentTarget.closest('.reader-paragraph')?.textContent || ''
+    const sentence = splitIntoSentences(paragraphText)
+      .find((candidate) => candidate.toLowerCase().includes(text.toLowerCase()))
+      ?.trim() || null
+
     // Check for pre-stored expression meaning
     const detectedExpr = isExpression
       ? contentExpressions.find((expr) => normaliseExpression(expr.text || '') === key)
@@ -553,6 +659,7 @@ const Reader = ({ initialMode }) => {
         targetText: detectedExpr?.meaning || missingLanguageMessage,
         audioBase64: null,
         audioUrl: null,
+        sentence,
       })
 
       return
@@ -567,6 +674,7 @@ const Reader = ({ initialMode }) => {
       targetText: null,
       audioBase64: null,
       audioUrl: null,
+      sentence,
     })
 
     try {
@@ -592,7 +700,7 @@ const Reader = ({ initialMode }) => {
         targetText = translation
       }
     } catch (err) {
-      translation = detectedExpr?.meaning || 'No translation found'
+      translation = detectedExpr?.meaning || offlineBundle?.translations?.[key] || 'No translation found'
       targetText = translation
     }
 
@@ -605,8 +713,51 @@ const Reader = ({ initialMode }) => {
       targetText: targetText || translation || 'No translation found',
       audioBase64: audioBase64 || null,
       audioUrl: audioUrl || null,
+      sentence,
     })
-  }, [contentExpressions, language, profile?.nativeLanguage, voiceGender])
+  }, [contentExpressions, language, offlineBundle, profile?.nativeLanguage, voiceGender])
+
+  // Custom decks the user already has, offered as suggestions in the popup
+  const deckOptions = useMemo(() => {
+    const tags = new Set()
+    Object.values(vocabEntries).forEach((entry) => entry.tags?.forEach((tag) => tags.add(tag)))
+    return [...tags].sort()
+  }, [vocabEntries])
+
+  const updateEntryTags = (key, updateTags) => {
+    setVocabEntries((prev) =>
+      prev[key] ? { ...prev, [key]: { ...prev[key], tags: updateTags(prev[key].tags || []) } } : prev
+    )
+  }
+
+  const handleAddWordToDeck = async (event) => {
+    event.preventDefault()
+    const tag = normaliseTag(deckInput)
+    if (!user || !language || !popup?.word || !tag) return
+
+    const key = normaliseExpression(popup.word)
+    setDeckInput('')
+    updateEntryTags(key, (tags) => (tags.includes(tag) ? tags : [...tags, tag]))
+    try {
+      await addVocabTag(user.uid, language, popup.word, tag)
+    } catch (err) {
+      console.error('Failed to add word to deck', err)
+      updateEntryTags(key, (tags) => tags.filter((existing) => existing !== tag))
+    }
+  }
+
+  const handleRemoveWordFromDeck = async (tag) => {
+    if (!user || !language || !popup?.word) return
+
+    const key = normaliseExpression(popup.word)
+    updateEntryTags(key, (tags) => tags.filter((existing) => existing !== tag))
+    try {
+      await removeVocabTag(user.uid, language, popup.word, tag)
+    } catch (err) {
+      console.error('Failed to remove word from deck', err)
+      updateEntryTags(key, (tags) => (tags.includes(tag) ? tags : [...tags, tag]))
+    }
+  }
 
   // Optimistic update, matching handleIntensiveWordStatus above: close the
   // popup and flip the vocab entry synchronously, then persist to Firestore
@@ -618,21 +769,40 @@ const Reader = ({ initialMode }) => {
 
     const word = popup.word
     const translation = popup.translation
+    const sentence = popup.sentence || null
     const key = normaliseExpression(word)
     const prevEntry = vocabEntriesRef.current[key]
+    const lemma = applyToAllForms && popupLemma && popupLemma !== key ? popupLemma : null
 
     setPopup(null)
-    setVocabEntries((prev) => ({
-      ...prev,
-      [key]: {
-        ...(prev[key] || { text: word, language }),
-        status,
-        translation,
-      },
-    }))
+    setVocabEntries((prev) => {
+      const next = {
+        ...prev,
+        [key]: {
+          ...(prev[key] || { text: word, language }),
+          ...(popupLemma ? { lemma: popupLemma } : {}),
+          status,
+          translation,
+        },
+      }
+      // Saved forms of the same lemma follow a lemma-level status
+      if (lemma) {
+        Object.keys(next).forEach((formKey) => {
+          if (next[formKey].lemma === lemma) next[formKey] = { ...next[formKey], status }
+        })
+      }
+      return next
+    })
+    if (lemma) {
+      setLemmaStatuses((prev) => ({ ...prev, [lemma]: status }))
+      setFormLemmas((prev) => ({ ...prev, [key]: lemma }))
+    }
 
     try {
-      await upsertVocabEntry(user.uid, language, word, translation, status, id)
+      await upsertVocabEntry(user.uid, language, word, translation, status, id, sentence)
+      if (lemma) {
+        await setLemmaStatus(user.uid, language, lemma, status)
+      }
     } catch (err) {
       console.error('Failed to update vocab status, rolling back:', err)
       setVocabEntries((prev) => {
@@ -656,8 +826,21 @@ const Reader = ({ initialMode }) => {
       setIsGeneratedBook(false)
       setGeneratedBookData(null)
       setStoryTitle('')
+      setSavedReadingPosition(null)
+      readingAnchorRef.current = null
+      readingPositionRestoredRef.current = false
+      setVisibleChapterIndex(0)
 
       try {
+        const offlineStory = await loadOfflineStory(user.uid, id)
+        if (offlineStory) {
+          setStoryTitle(offlineStory.story.storyTitle || '')
+          setSavedReadingPosition(offlineStory.story.readingPosition || null)
+          setChapters(offlineStory.chapters)
+          setError('')
+          return
+        }
+
         // First try regular stories collection
         const storyRef = doc(db, 'users', user.uid, 'stories', id)
         const storySnap = await getDoc(storyRef)
@@ -665,6 +848,7 @@ const Reader = ({ initialMode }) => {
         if (storySnap.exists()) {
           const storyData = storySnap.data() || {}
           setStoryTitle(storyData.storyTitle || '')
+          setSavedReadingPosition(storyData.readingPosition || null)
 
           // Defence-in-depth: never display source text to the reader for books
           // whose adaptation hasn't finished. The Dashboard already blocks clicks
@@ -724,6 +908,7 @@ const Reader = ({ initialMode }) => {
 
         setIsGeneratedBook(true)
         setGeneratedBookData(bookData)
+        setSavedReadingPosition(bookData.readingPosition || null)
         setTotalChapters(bookData.totalChapters || bookData.chapterCount || 12)
 
         // Load generated chapters
@@ -770,17 +955,17 @@ const Reader = ({ initialMode }) => {
 
     const loadStoryMeta = async () => {
       try {
-        const storyRef = doc(db, 'users', user.uid, 'stories', id)
-        const storySnap = await getDoc(storyRef)
+        const offlineStory = await loadOfflineStory(user.uid, id)
+        const storySnap = offlineStory ? null : await getDoc(doc(db, 'users', user.uid, 'stories', id))
 
-        if (!storySnap.exists()) {
+        if (!offlineStory && !storySnap.exists()) {
           setAudioStatus('')
           setFullAudioUrl('')
           setHasFullAudio(false)
           return
         }
 
-        const data = storySnap.data() || {}
+        const data = offlineStory?.story || storySnap.data() || {}
         setAudioStatus(data.audioStatus || '')
         setFullAudioUrl(data.fullAudioUrl || '')
         setHasFullAudio(Boolean(data.hasFullAudio))
@@ -817,16 +1002,18 @@ const Reader = ({ initialMode }) => {
           'intensive'
         )
 
-        const transcriptSnap = await getDoc(transcriptRef)
+        const offlineStory = await loadOfflineStory(user.uid, id)
+        const transcriptSnap = offlineStory ? null : await getDoc(transcriptRef)
 
         if (!isActive) return
 
-        if (!transcriptSnap.exists()) {
+        if (!offlineStory && !transcriptSnap.exists()) {
           setSentenceSegments([])
           return
         }
 
-        const data = transcriptSnap.data() || {}
+        // A download keeps the timestamp chunks already joined
+        const data = offlineStory ? { wordTimestamps: offlineStory.wordTimestamps } : transcriptSnap.data() || {}
 
         // Prefer ElevenLabs word timestamps (new format), fall back to
         // Whisper sentenceSegments with nested words (old format)
@@ -899,6 +1086,366 @@ const Reader = ({ initialMode }) => {
   const getDisplayText = (page) =>
     page?.adaptedText || page?.originalText || page?.text || ''
 
+  // Reading position: restore the saved anchor once the chapters are on screen
+  useEffect(() => {
+    if (loading || !chapters.length || readerMode === 'intensive') return undefined
+    if (readingPositionRestoredRef.current) return undefined
+
+    const frame = requestAnimationFrame(() => {
+      const container = scrollContainerRef.current
+      if (savedReadingPosition && scrollToReadingAnchor(container, savedReadingPosition)) {
+        readingAnchorRef.current = savedReadingPosition
+        setVisibleChapterIndex(savedReadingPosition.chapterIndex ?? 0)
+        // Jumping back in isn't reading past the skipped paragraphs, so keep
+        // auto-known promotion from marking their words
+        highWaterMarkRef.current = container.scrollTop
+        container.querySelectorAll('[data-paragraph-index]').forEach((el) => {
+          if (el.getBoundingClientRect().bottom < container.getBoundingClientRect().top) {
+            promotedParagraphsRef.current.add(Number(el.dataset.paragraphIndex))
+          }
+        })
+      }
+      readingPositionRestoredRef.current = true
+    })
+    return () => cancelAnimationFrame(frame)
+  }, [loading, chapters, savedReadingPosition, readerMode])
+
+  // Reading position: track the anchor while scrolling and persist it to the story doc
+  useEffect(() => {
+    if (!user || !id || loading || !chapters.length || readerMode === 'intensive') return undefined
+
+    const container = scrollContainerRef.current
+    if (!container) return undefined
+
+    const chapterLengths = chapters.map((chapter) => getDisplayText(chapter).length)
+    const storyRef = doc(db, 'users', user.uid, isGeneratedBook ? 'generatedBooks' : 'stories', id)
+    let saveTimer = null
+    let lastSavedKey = ''
+
+    const savePosition = () => {
+      // Don't overwrite the saved position before it has been restored
+      if (!readingPositionRestoredRef.current) return
+      const anchor = readingAnchorRef.current
+      if (!anchor) return
+
+      const key = `${anchor.chapterIndex}:${anchor.charOffset}`
+      if (key === lastSavedKey) return
+      lastSavedKey = key
+
+      const atEnd = container.scrollTop + container.clientHeight >= container.scrollHeight - 4
+      updateDoc(storyRef, {
+        readingPosition: { ...anchor, updatedAt: serverTimestamp() },
+        progress: atEnd ? 100 : getReadingProgress(chapterLengths, anchor),
+      }).catch((err) => console.debug('Failed to save reading position:', err))
+    }
+
+    const handleScroll = () => {
+      if (!readingPositionRestoredRef.current) return
+      readingAnchorRef.current = getReadingAnchor(container) || readingAnchorRef.current
+      setVisibleChapterIndex(readingAnchorRef.current?.chapterIndex ?? 0)
+      clearTimeout(saveTimer)
+      saveTimer = setTimeout(savePosition, 1500)
+    }
+
+    container.addEventListener('scroll', handleScroll, { passive: true })
+    return () => {
+      container.removeEventListener('scroll', handleScroll)
+      clearTimeout(saveTimer)
+      savePosition() // Final save on leave
+    }
+  }, [user, id, loading, chapters, isGeneratedBook, readerMode])
+
+  // Annotations live under the book doc, so load them once the book is known
+  useEffect(() => {
+    setAnnotations([])
+    if (!user || !id || loading) return undefined
+
+    let cancelled = false
+    loadAnnotations(user.uid, id, isGeneratedBook)
+      .then((loaded) => {
+        if (!cancelled) setAnnotations(loaded)
+      })
+      .catch((err) => console.error('Failed to load annotations:', err))
+    return () => {
+      cancelled = true
+    }
+  }, [user, id, loading, isGeneratedBook])
+
+  // Notes are shown in the margin beside the paragraph their passage starts in
+  const marginNotes = useMemo(() => {
+    const notes = {}
+    annotations.forEach((annotation) => {
+      if (!annotation.note || !chapters[annotation.chapterIndex]) return
+      const offsets = getParagraphOffsets(getDisplayText(chapters[annotation.chapterIndex]))
+      const paragraphOffset = offsets.filter((offset) => offset <= annotation.startOffset).pop() ?? 0
+      const key = `${annotation.chapterIndex}:${paragraphOffset}`
+      notes[key] = notes[key] ? `${notes[key]} · ${annotation.note}` : annotation.note
+    })
+    return notes
+  }, [annotations, chapters])
+
+  // Draw highlights with the CSS Custom Highlight API, so the rendered word
+  // tokens are left untouched. Re-run whenever the text nodes may have changed.
+  useEffect(() => {
+    if (typeof CSS === 'undefined' || !CSS.highlights || typeof Highlight === 'undefined') return undefined
+    const container = scrollContainerRef.current
+    if (loading || !container) return undefined
+
+    const highlightNames = ANNOTATION_COLORS.map((color) => `reader-annotation-${color.id}`)
+    const byColor = Object.fromEntries(ANNOTATION_COLORS.map((color) => [color.id, []]))
+    annotations.forEach((annotation) => {
+      if (annotation.type !== 'highlight' || !byColor[annotation.color]) return
+      const range = getAnchorRange(container, annotation)
+      if (range) byColor[annotation.color].push(range)
+    })
+    ANNOTATION_COLORS.forEach((color, i) => {
+      CSS.highlights.set(highlightNames[i], new Highlight(...byColor[color.id]))
+    })
+
+    return () => highlightNames.forEach((name) => CSS.highlights.delete(name))
+  }, [annotations, loading, chapters, readerMode, vocabEntries, contentExpressions, currentSentenceIndex, readerFont])
+
+  const handleAddHighlight = async (color) => {
+    const anchor = popup?.annotationAnchor
+    if (!user || !id || !anchor) return
+
+    const note = annotationNote
+    setPopup(null)
+    setAnnotationNote('')
+    window.getSelection()?.removeAllRanges()
+    try {
+      const saved = await addAnnotation(user.uid, id, isGeneratedBook, {
+        type: 'highlight',
+        ...anchor,
+        text: popup.displayText || popup.word,
+        color,
+        note,
+      })
+      setAnnotations((prev) => sortAnnotations([...prev, saved]))
+    } catch (err) {
+      console.error('Failed to save highlight', err)
+    }
+  }
+
+  const handleAddBookmark = async () => {
+    const container = scrollContainerRef.current
+    const anchor = getReadingAnchor(container)
+    if (!user || !id || !anchor) return
+
+    const snippetRange = getAnchorRange(container, {
+      chapterIndex: anchor.chapterIndex,
+      startOffset: anchor.charOffset,
+      endOffset: anchor.charOffset + 80,
+    })
+    const snippet = (snippetRange?.toString() || '').replace(/\s+/g, ' ').trim()
+    try {
+      const saved = await addAnnotation(user.uid, id, isGeneratedBook, {
+        type: 'bookmark',
+        chapterIndex: anchor.chapterIndex,
+        startOffset: anchor.charOffset,
+        text: snippet,
+      })
+      setAnnotations((prev) => sortAnnotations([...prev, saved]))
+      setAnnotationsOpen(true)
+    } catch (err) {
+      console.error('Failed to save bookmark', err)
+    }
+  }
+
+  const handleOpenPrimer = () => {
+    const anchor = getReadingAnchor(scrollContainerRef.current)
+    setPrimerChapterIndex(anchor?.chapterIndex ?? 0)
+  }
+
+  const handleUpdateAnnotationNote = async (annotation, note) => {
+    const previous = annotation.note
+    const applyNote = (value) =>
+      setAnnotations((prev) => prev.map((item) => (item.id === annotation.id ? { ...item, note: value } : item)))
+
+    applyNote(note.trim())
+    try {
+      await updateAnnotation(user.uid, id, isGeneratedBook, annotation.id, { note })
+    } catch (err) {
+      console.error('Failed to update note', err)
+      applyNote(previous)
+    }
+  }
+
+  const handleDeleteAnnotation = async (annotation) => {
+    setAnnotations((prev) => prev.filter((item) => item.id !== annotation.id))
+    try {
+      await deleteAnnotation(user.uid, id, isGeneratedBook, annotation.id)
+    } catch (err) {
+      console.error('Failed to delete annotation', err)
+      setAnnotations((prev) => sortAnnotations([...prev, annotation]))
+    }
+  }
+
+  const handleJumpToAnnotation = (annotation) => {
+    const container = scrollContainerRef.current
+    const anchor = { chapterIndex: annotation.chapterIndex, charOffset: annotation.startOffset }
+    if (scrollToReadingAnchor(container, anchor)) readingAnchorRef.current = anchor
+  }
+
+  // Read-along timings are written alongside the full audio, so reload them
+  // whenever the audio finishes (re)generating
+  useEffect(() => {
+    setReadAlongTimeline([])
+    if (!user || !id || isGeneratedBook || audioStatus !== 'ready') return undefined
+
+    let cancelled = false
+    loadOfflineStory(user.uid, id)
+      .then((offlineStory) => offlineStory?.readAlong || loadReadAlongTimeline(user.uid, id))
+      .then((timeline) => {
+        if (!cancelled) setReadAlongTimeline(timeline)
+      })
+      .catch((err) => console.error('Failed to load read-along timings:', err))
+    return () => {
+      cancelled = true
+    }
+  }, [user, id, isGeneratedBook, audioStatus])
+
+  useEffect(() => {
+    setOfflineBundle(null)
+    if (!user || !id) return undefined
+
+    let cancelled = false
+    loadOfflineBundle('story', user.uid, id)
+      .then((bundle) => {
+        if (!cancelled) setOfflineBundle(bundle)
+      })
+      .catch((err) => console.error('Failed to check offline download:', err))
+    return () => {
+      cancelled = true
+    }
+  }, [user, id])
+
+  const handleToggleOfflineDownload = async () => {
+    if (!user || !id || offlineSaving) return
+
+    setOfflineSaving(true)
+    try {
+      if (offlineBundle) {
+        await removeOfflineDownload('story', user.uid, id)
+        setOfflineBundle(null)
+      } else {
+        await downloadStoryForOffline(user.uid, id, { nativeLanguage: profile?.nativeLanguage })
+        setOfflineBundle(await loadOfflineBundle('story', user.uid, id))
+      }
+    } catch (err) {
+      console.error('Failed to update offline download', err)
+    } finally {
+      setOfflineSaving(false)
+    }
+  }
+
+  const canReadAlong = readAlongTimeline.length > 0 && Boolean(fullAudioUrl) && readerMode !== 'intensive'
+
+  useEffect(() => {
+    if (!canReadAlong) setReadAlongEnabled(false)
+  }, [canReadAlong])
+
+  // Highlight the word being spoken and keep it in view. Polled every frame
+  // while playing, since timeupdate only fires every ~250ms.
+  useEffect(() => {
+    const audio = audioRef.current
+    const container = scrollContainerRef.current
+    if (!readAlongEnabled || !audio || !container) return undefined
+
+    const canHighlight = typeof CSS !== 'undefined' && CSS.highlights && typeof Highlight !== 'undefined'
+    let currentIndex = -1
+    let frameId = null
+
+    const showWordAt = (time) => {
+      const index = findReadAlongWordAtTime(readAlongTimeline, time)
+      if (index === currentIndex) return
+      currentIndex = index
+
+      const word = readAlongTimeline[index]
+      const range = word
+        ? getAnchorRange(container, { chapterIndex: word.chapterIndex, startOffset: word.charStart, endOffset: word.charEnd })
+        : null
+      if (!range) {
+        if (canHighlight) CSS.highlights.delete('reader-read-along')
+        return
+      }
+      if (canHighlight) CSS.highlights.set('reader-read-along', new Highlight(range))
+
+      // Turn the page once the spoken word nears the bottom (or is above the fold after a seek)
+      const rect = range.getBoundingClientRect()
+      const containerRect = container.getBoundingClientRect()
+      if (rect.bottom > containerRect.bottom - 80 || rect.top < containerRect.top + 140) {
+        container.scrollTo({
+          top: container.scrollTop + rect.top - containerRect.top - container.clientHeight * 0.3,
+          behavior: 'smooth',
+        })
+      }
+    }
+
+    const tick = () => {
+      showWordAt(audio.currentTime)
+      frameId = audio.paused ? null : requestAnimationFrame(tick)
+    }
+    const handlePlay = () => {
+      if (frameId === null) frameId = requestAnimationFrame(tick)
+    }
+    const handleSeeked = () => showWordAt(audio.currentTime)
+
+    audio.addEventListener('play', handlePlay)
+    audio.addEventListener('seeked', handleSeeked)
+    showWordAt(audio.currentTime)
+    if (!audio.paused) handlePlay()
+
+    return () => {
+      audio.removeEventListener('play', handlePlay)
+      audio.removeEventListener('seeked', handleSeeked)
+      if (frameId !== null) cancelAnimationFrame(frameId)
+      if (canHighlight) CSS.highlights.delete('reader-read-along')
+    }
+  }, [readAlongEnabled, readAlongTimeline, chapters, vocabEntries, contentExpressions, readerFont])
+
+  const toggleReadAlong = () => {
+    const audio = audioRef.current
+    if (!audio) return
+
+    if (readAlongEnabled) {
+      audio.pause()
+      setReadAlongEnabled(false)
+      return
+    }
+
+    // Start from the first word on screen unless the narration is already underway
+    const anchor = getReadingAnchor(scrollContainerRef.current)
+    if (audio.currentTime === 0 && anchor) {
+      const firstVisible = readAlongTimeline.find(
+        (word) => word.chapterIndex > anchor.chapterIndex
+          || (word.chapterIndex === anchor.chapterIndex && word.charEnd >= anchor.charOffset)
+      )
+      if (firstVisible) audio.currentTime = firstVisible.start
+    }
+    setReadAlongEnabled(true)
+    audio.play().catch((err) => console.error('Read-along playback failed', err))
+  }
+
+  // In read-along, tapping a word seeks the narration to it instead of translating
+  const handleReadAlongTap = (event) => {
+    if (!readAlongEnabled || window.getSelection()?.toString().trim()) return
+    const anchor = getPointAnchor(event.clientX, event.clientY)
+    const word = anchor && findReadAlongWordAtOffset(readAlongTimeline, anchor.chapterIndex, anchor.charOffset)
+    const audio = audioRef.current
+    if (!word || !audio) return
+
+    event.stopPropagation()
+    event.preventDefault()
+    audio.currentTime = word.start
+    if (audio.paused) audio.play().catch((err) => console.error('Read-along playback failed', err))
+  }
+
+  const chapterTitles = useMemo(
+    () => chapters.map((chapter, index) => chapter.adaptedChapterHeader || chapter.title || `Chapter ${index + 1}`),
+    [chapters]
+  )
+
   useEffect(() => {
     if (!user || !language) {
       setVocabEntries({})
@@ -921,13 +1468,54 @@ const Reader = ({ initialMode }) => {
       }
     }
 
+    const fetchLemmaStatuses = async () => {
+      try {
+        const statuses = await loadLemmaStatuses(user.uid, language)
+        if (isActive) setLemmaStatuses(statuses)
+      } catch (err) {
+        console.error('Failed to load lemma statuses', err)
+        if (isActive) setLemmaStatuses({})
+      }
+    }
+
     fetchVocab()
+    fetchLemmaStatuses()
 
     return () => {
       isActive = false
     }
   }, [language, user])
 
+  // Resolve lemmas for the popup word so its status can be applied to all forms
+  const popupWord = popup?.word || null
+  useEffect(() => {
+    setApplyToAllForms(false)
+    if (!popupWord || !language || /\s/.test(popupWord.trim())) {
+      setPopupLemma(null)
+      return undefined
+    }
+
+    let cancelled = false
+    const key = normaliseExpression(popupWord)
+    const knownLemma = vocabEntriesRef.current[key]?.lemma || formLemmas[key]
+    if (knownLemma) {
+      setPopupLemma(knownLemma)
+      return undefined
+    }
+
+    setPopupLemma(null)
+    fetchLemma(language, popupWord)
+      .then((lemma) => {
+        if (!cancelled) setPopupLemma(lemma)
+      })
+      .catch((err) => console.error('Failed to resolve lemma', err))
+
+    return () => {
+      cancelled = true
+    }
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [popupWord, language])
+
   const splitIntoSentences = (text) => {
     if (!text) return []
 
@@ -955,6 +1543,193 @@ const Reader = ({ initialMode }) => {
     [chapters]
   )
 
+  const visibleChapterText = useMemo(
+    () => (chapters[visibleChapterIndex] ? getDisplayText(chapters[visibleChapterIndex]) : ''),
+    [chapters, visibleChapterIndex]
+  )
+
+  // Unsaved forms inherit a lemma-level status, so lemmatise the words of the
+  // chapter being read (only needed once the user has set a status for some
+  // lemma). Forms already looked up are cached, so scrolling back is free.
+  const hasLemmaStatuses = Object.keys(lemmaStatuses).length > 0
+  useEffect(() => {
+    if (!hasLemmaStatuses || !language || !visibleChapterText) return undefined
+
+    let cancelled = false
+    const forms = (visibleChapterText.match(/[\p{L}\p{N}][\p{L}\p{N}'-]*/gu) || [])
+      .map((token) => normaliseExpression(token))
+      .filter((form) => !vocabEntriesRef.current[form])
+
+    fetchLemmas(language, forms)
+      .then((lemmas) => {
+        if (!cancelled) setFormLemmas((prev) => ({ ...prev, ...lemmas }))
+      })
+      .catch((err) => console.error('Failed to lemmatise page words', err))
+
+    return () => {
+      cancelled = true
+    }
+  }, [hasLemmaStatuses, language, visibleChapterText])
+
+  // Detect idioms, phrasal verbs and collocations paragraph by paragraph as they
+  // come into view, so a long book is scanned a screen at a time
+  useEffect(() => {
+    scannedExpressionParagraphsRef.current = new Set()
+    expressionScanGenerationRef.current += 1
+    setContentExpressions([])
+  }, [id, language])
+
+  useEffect(() => {
+    if (!language || !chapters.length) return undefined
+
+    let flushTimer = null
+    const pending = new Set()
+
+    const flush = () => {
+      const generation = expressionScanGenerationRef.current
+      const texts = [...pending]
+      pending.clear()
+      if (!texts.length) return
+
+      detectExpressions(texts.join('\n'), language, nativeLanguage)
+        .then((expressions) => {
+          if (generation === expressionScanGenerationRef.current && expressions.length) {
+            setContentExpressions((prev) => mergeExpressions(prev, expressions))
+          }
+        })
+        .catch((err) => {
+          console.error('Failed to detect expressions', err)
+          texts.forEach((text) => scannedExpressionParagraphsRef.current.delete(text))
+        })
+    }
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        entries.forEach((entry) => {
+          if (!entry.isIntersecting) return
+          const text = entry.target.textContent?.trim()
+          if (!text || scannedExpressionParagraphsRef.current.has(text)) return
+          scannedExpressionParagraphsRef.current.add(text)
+          pending.add(text)
+        })
+        if (pending.size) {
+          clearTimeout(flushTimer)
+          flushTimer = setTimeout(flush, 800)
+        }
+      },
+      { rootMargin: '400px 0px' }
+    )
+
+    document.querySelectorAll('.reader-paragraph').forEach((el) => observer.observe(el))
+
+    return () => {
+      clearTimeout(flushTimer)
+      // Paragraphs queued but never sent get another chance on the next pass
+      pending.forEach((text) => scannedExpressionParagraphsRef.current.delete(text))
+      observer.disconnect()
+    }
+  }, [chapters, language, nativeLanguage, readerMode])
+
+  useEffect(() => {
+    setParallelTranslations({})
+  }, [id, nativeLanguage])
+
+  // Parallel mode: load the book's cached translations, then translate the
+  // paragraphs on and just below screen in batches as the reader scrolls
+  useEffect(() => {
+    if (readerMode !== 'parallel' || loading || !chapters.length) return undefined
+    if (!user || !id || !language || !nativeLanguage) return undefined
+
+    const paragraphTexts = {}
+    chapters.forEach((chapter, chapterIndex) => {
+      const text = getDisplayText(chapter)
+      const offsets = getParagraphOffsets(text)
+      text.split(/\n\n+/).forEach((paragraph, pIndex) => {
+        if (paragraph.trim()) paragraphTexts[getParallelKey(chapterIndex, offsets[pIndex])] = paragraph.trim()
+      })
+    })
+
+    let cancelled = false
+    let observer = null
+    let flushTimer = null
+    const requested = new Set()
+    const pending = new Map()
+
+    const flush = () => {
+      const batch = [...pending.values()]
+      pending.clear()
+      if (!batch.length) return
+
+      translateParallelParagraphs(user.uid, id, isGeneratedBook, {
+        paragraphs: batch,
+        sourceLanguage: language,
+        nativeLanguage,
+      })
+        .then((translated) => {
+          if (!cancelled) setParallelTranslations((prev) => ({ ...prev, ...translated }))
+        })
+        .catch((err) => {
+          console.error('Failed to translate paragraphs', err)
+          batch.forEach((paragraph) => requested.delete(getParallelKey(paragraph.chapterIndex, paragraph.charOffset)))
+        })
+    }
+
+    loadParallelTranslations(user.uid, id, isGeneratedBook, nativeLanguage)
+      .catch((err) => {
+        console.error('Failed to load parallel translations', err)
+        return {}
+      })
+      .then((cached) => {
+        if (cancelled) return
+        Object.entries(cached).forEach(([key, entry]) => {
+          if (entry?.text === paragraphTexts[key]) requested.add(key)
+        })
+        setParallelTranslations((prev) => ({ ...cached, ...prev }))
+
+        observer = new IntersectionObserver(
+          (entries) => {
+            entries.forEach((entry) => {
+              if (!entry.isIntersecting) return
+              const chapterIndex = Number(entry.target.dataset.chapterIndex)
+              const charOffset = Number(entry.target.dataset.charOffset)
+              const key = getParallelKey(chapterIndex, charOffset)
+              if (requested.has(key) || !paragraphTexts[key]) return
+              requested.add(key)
+              pending.set(key, { chapterIndex, charOffset, text: paragraphTexts[key] })
+            })
+            if (pending.size) {
+              clearTimeout(flushTimer)
+              flushTimer = setTimeout(flush, 300)
+            }
+          },
+          // Well past the bottom of the screen, so the next screenful is ready
+          { root: scrollContainerRef.current, rootMargin: '200px 0px 1500px 0px' }
+        )
+
+        scrollContainerRef.current
+          ?.querySelectorAll('.reader-paragraph[data-char-offset]')
+          .forEach((el) => observer.observe(el))
+      })
+
+    return () => {
+      cancelled = true
+      clearTimeout(flushTimer)
+      observer?.disconnect()
+    }
+  }, [chapters, id, isGeneratedBook, language, loading, nativeLanguage, readerMode, user])
+
+  const toggleParallelLayout = () => {
+    setParallelLayout((prev) => {
+      const next = prev === 'side-by-side' ? 'interlinear' : 'side-by-side'
+      localStorage.setItem('readerParallelLayout', next)
+      return next
+    })
+  }
+
+  // A form's own vocab status wins; otherwise fall back to its lemma's status
+  const getWordStatus = (normalised) =>
+    vocabEntries[normalised]?.status || lemmaStatuses[formLemmas[normalised]] || null
+
   const chapterSentences = chapters.map((ch) =>
     splitIntoSentences(getDisplayText(ch))
   )
@@ -968,6 +1743,15 @@ const Reader = ({ initialMode }) => {
 
   const allVisibleSentences = chapterSentences.flat()
 
+  // Intensive mode reads sentence by sentence, so its chapter follows the
+  // current sentence rather than the scroll position
+  useEffect(() => {
+    if (readerMode !== 'intensive') return
+    const chapterIndex = chapterSentenceOffsets.findLastIndex((offset) => offset <= currentSentenceIndex)
+    setVisibleChapterIndex(Math.max(0, chapterIndex))
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [readerMode, currentSentenceIndex, chapters])
+
   // Precompute audio time ranges for each sentence by walking the word timeline
   // sequentially. Each sentence consumes N words from the timeline where N is the
   // word count of that text sentence. No matching needed — same source, same order.
@@ -1041,6 +1825,10 @@ const Reader = ({ initialMode }) => {
       ? allVisibleSentences[currentSentenceIndex]?.trim() || ''
       : ''
 
+  // Read through a ref so handleIntensiveWordStatus keeps a stable identity
+  const currentIntensiveSentenceRef = useRef(currentIntensiveSentence)
+  currentIntensiveSentenceRef.current = currentIntensiveSentence
+
   useEffect(() => {
     if (readerMode !== 'intensive') return
 
@@ -1314,6 +2102,7 @@ const Reader = ({ initialMode }) => {
             language={language}
             readerMode={readerMode}
             tone={activeTheme.tone}
+            isPhrase
             onWordClick={handleSingleWordClick}
           />
         )
@@ -1335,8 +2124,7 @@ const Reader = ({ initialMode }) => {
         }
 
         const normalised = normaliseExpression(token)
-        const entry = vocabEntries[normalised]
-        const status = getDisplayStatus(entry?.status)
+        const status = getDisplayStatus(getWordStatus(normalised))
 
         elements.push(
           <WordToken
@@ -1346,6 +2134,7 @@ const Reader = ({ initialMode }) => {
             language={language}
             readerMode={readerMode}
             tone={activeTheme.tone}
+            frequencyRank={getFrequencyRank(frequencyRanks, normalised)}
             onWordClick={handleSingleWordClick}
           />
         )
@@ -1355,8 +2144,18 @@ const Reader = ({ initialMode }) => {
     return elements
   }
 
-  const renderHighlightedText = (text, sentenceOffset = 0, trackSentences = false) => {
+  // chapterIndex marks chapter body text, so paragraphs carry a reading-position anchor
+  const renderHighlightedText = (text, sentenceOffset = 0, trackSentences = false, chapterIndex = null) => {
     const paragraphs = (text || '').split(/\n\n+/)
+    const paragraphOffsets = chapterIndex !== null ? getParagraphOffsets(text) : null
+    const getAnchorAttributes = (pIndex) =>
+      paragraphOffsets
+        ? {
+            'data-chapter-index': chapterIndex,
+            'data-char-offset': paragraphOffsets[pIndex],
+            'data-margin-note': marginNotes[`${chapterIndex}:${paragraphOffsets[pIndex]}`],
+          }
+        : {}
 
     if (readerMode !== 'intensive') {
       let runningSentenceOffset = sentenceOffset
@@ -1370,11 +2169,12 @@ const Reader = ({ initialMode }) => {
           firstSentenceIdx = runningSentenceOffset
           runningSentenceOffset += sentenceCount
         }
-        return (
+        const paragraphElement = (
           <p
             key={`para-${paraIdx}`}
             className="reader-paragraph"
             data-paragraph-index={paraIdx}
+            {...getAnchorAttributes(pIndex)}
             {...(firstSentenceIdx !== null
               ? {
                   'data-first-sentence-index': firstSentenceIdx,
@@ -1385,6 +2185,20 @@ const Reader = ({ initialMode }) => {
             {renderWordSegments(paragraph.trim())}
           </p>
         )
+
+        if (readerMode !== 'parallel' || !paragraphOffsets || !paragraph.trim()) return paragraphElement
+
+        // A cached translation only counts if the paragraph hasn't changed since
+        const parallelEntry = parallelTranslations[getParallelKey(chapterIndex, paragraphOffsets[pIndex])]
+        const translation = parallelEntry?.text === paragraph.trim() ? parallelEntry.translation : null
+        return (
+          <div key={`parallel-${paraIdx}`} className={`reader-parallel-row reader-parallel-row--${parallelLayout}`}>
+            {paragraphElement}
+            <p className={`reader-parallel-translation ${translation ? '' : 'is-loading'}`}>
+              {translation || 'Translating…'}
+            </p>
+          </div>
+        )
       })
     }
 
@@ -1417,7 +2231,12 @@ const Reader = ({ initialMode }) => {
       runningSentenceOffset += sentences.length
 
       return (
-        <p key={`para-${paraIdx}`} className="reader-paragraph" data-paragraph-index={paraIdx}>
+        <p
+          key={`para-${paraIdx}`}
+          className="reader-paragraph"
+          data-paragraph-index={paraIdx}
+          {...getAnchorAttributes(pIndex)}
+        >
           {paragraphContent}
         </p>
       )
@@ -1773,6 +2592,23 @@ const Reader = ({ initialMode }) => {
 
   const activeFont = fontOptions.find((option) => option.id === readerFont) || fontOptions[0]
 
+  // Font and theme changes reflow the text; scroll back to the same anchor
+  useLayoutEffect(() => {
+    const anchor = readingAnchorRef.current
+    const container = scrollContainerRef.current
+    if (!anchor || !container || !readingPositionRestoredRef.current) return undefined
+
+    scrollToReadingAnchor(container, anchor)
+    // Web fonts can finish loading after the first layout
+    let cancelled = false
+    document.fonts?.ready.then(() => {
+      if (!cancelled) scrollToReadingAnchor(container, anchor)
+    })
+    return () => {
+      cancelled = true
+    }
+  }, [readerFont, readerTheme])
+
   const cycleTheme = () => {
     const currentIndex = themeOptions.findIndex((option) => option.id === readerTheme)
     const nextIndex = currentIndex === -1 ? 0 : (currentIndex + 1) % themeOptions.length
@@ -2031,13 +2867,13 @@ const Reader = ({ initialMode }) => {
       return {
         word,
         normalised,
-        status: entry?.status || 'new',
+        status: entry?.status || lemmaStatuses[formLemmas[normalised]] || 'new',
         translation: entry?.translation || intensiveWordTranslations[normalised]?.translation || null,
         audioBase64: intensiveWordTranslations[normalised]?.audioBase64 || null,
         audioUrl: intensiveWordTranslations[normalised]?.audioUrl || null,
       }
     })
-  }, [readerMode, intensiveSentenceKeys, vocabEntries, intensiveWordTranslations])
+  }, [readerMode, intensiveSentenceKeys, vocabEntries, lemmaStatuses, formLemmas, intensiveWordTranslations])
 
   // Fetch translations for words in current + next 5 intensive sentences
   useEffect(() => {
@@ -2141,7 +2977,15 @@ const Reader = ({ initialMode }) => {
     }))
 
     try {
-      await upsertVocabEntry(user.uid, language, word, translation, newStatus, id)
+      await upsertVocabEntry(
+        user.uid,
+        language,
+        word,
+        translation,
+        newStatus,
+        id,
+        currentIntensiveSentenceRef.current || null
+      )
     } catch (err) {
       console.error('Failed to update word status, rolling back:', err)
       setVocabEntries((prev) => {
@@ -2171,6 +3015,14 @@ const Reader = ({ initialMode }) => {
     return word
   }, [readerMode, currentIntensiveSentence])
 
+  // Sentence around the popup word, so the dictionary can rank senses by it
+  const popupContext = useMemo(() => {
+    const word = popup?.displayText || popup?.word
+    if (!word) return ''
+    const sentence = findContainingSentence(word)
+    return sentence !== word ? sentence : ''
+  }, [popup?.displayText, popup?.word, findContainingSentence])
+
   const toggleIntensiveTranslation = () => {
     setIsIntensiveTranslationVisible((prev) => !prev)
   }
@@ -2246,6 +3098,124 @@ const Reader = ({ initialMode }) => {
               </nav>
 
               <div className="reader-header-actions">
+                {readerMode === 'parallel' && (
+                  <button
+                    className="reader-header-button icon-button"
+                    type="button"
+                    aria-label={parallelLayout === 'side-by-side' ? 'Show translations beneath' : 'Show translations side by side'}
+                    title={parallelLayout === 'side-by-side' ? 'Interlinear layout' : 'Side-by-side layout'}
+                    onClick={(e) => {
+                      toggleParallelLayout()
+                      e.currentTarget.blur()
+                    }}
+                  >
+                    {parallelLayout === 'side-by-side' ? (
+                      <svg className="reader-header-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round" strokeLinejoin="round">
+                        <line x1="4" y1="6" x2="20" y2="6" />
+                        <line x1="4" y1="10" x2="16" y2="10" />
+                        <line x1="4" y1="14" x2="20" y2="14" />
+                        <line x1="4" y1="18" x2="16" y2="18" />
+                      </svg>
+                    ) : (
+                      <svg className="reader-header-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round" strokeLinejoin="round">
+                        <rect x="3" y="4" width="18" height="16" rx="2" />
+                        <line x1="12" y1="4" x2="12" y2="20" />
+                      </svg>
+                    )}
+                  </button>
+                )}
+                {canReadAlong && (
+                  <button
+                    className={`reader-header-button icon-button ${readAlongEnabled ? 'is-active' : ''}`}
+                    type="button"
+                    aria-label={readAlongEnabled ? 'Stop read-along' : 'Read along with the narration'}
+                    aria-pressed={readAlongEnabled}
+                    title="Read along"
+                    onClick={(e) => {
+                      toggleReadAlong()
+                      e.currentTarget.blur()
+                    }}
+                  >
+                    <svg className="reader-header-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round" strokeLinejoin="round">
+                      <path d="M3 18v-6a9 9 0 0 1 18 0v6" />
+                      <path d="M21 19a2 2 0 0 1-2 2h-1a2 2 0 0 1-2-2v-3a2 2 0 0 1 2-2h3z" />
+                      <path d="M3 19a2 2 0 0 0 2 2h1a2 2 0 0 0 2-2v-3a2 2 0 0 0-2-2H3z" />
+                    </svg>
+                  </button>
+                )}
+                {!isGeneratedBook && (
+                  <button
+                    className={`reader-header-button icon-button ${offlineBundle ? 'is-active' : ''}`}
+                    type="button"
+                    aria-label={offlineBundle ? 'Remove offline download' : 'Save for offline'}
+                    aria-pressed={Boolean(offlineBundle)}
+                    title={offlineSaving ? 'Saving for offline…' : offlineBundle ? 'Saved for offline' : 'Save for offline'}
+                    disabled={offlineSaving}
+                    onClick={(e) => {
+                      handleToggleOfflineDownload()
+                      e.currentTarget.blur()
+                    }}
+                  >
+                    <svg className="reader-header-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round" strokeLinejoin="round">
+                      <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4" />
+                      <polyline points="7 10 12 15 17 10" />
+                      <line x1="12" y1="15" x2="12" y2="3" />
+                    </svg>
+                  </button>
+                )}
+                <button
+                  className="reader-header-button icon-button"
+                  type="button"
+                  aria-label="Bookmark this page"
+                  title="Bookmark this page"
+                  onClick={(e) => {
+                    handleAddBookmark()
+                    e.currentTarget.blur()
+                  }}
+                >
+                  <svg className="reader-header-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round" strokeLinejoin="round">
+                    <path d="M19 21l-7-5-7 5V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2z" />
+                  </svg>
+                </button>
+                <button
+                  className="reader-header-button icon-button"
+                  type="button"
+                  aria-label="Vocabulary primer for this chapter"
+                  title="Vocabulary primer for this chapter"
+                  disabled={!language || !chapters.length}
+                  onClick={(e) => {
+                    handleOpenPrimer()
+                    e.currentTarget.blur()
+                  }}
+                >
+                  <svg className="reader-header-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round" strokeLinejoin="round">
+                    <rect x="3" y="5" width="13" height="14" rx="2" />
+                    <path d="M7 10h5" />
+                    <path d="M7 14h3" />
+                    <path d="M19 8v8" />
+                    <path d="M21 10l-2-2-2 2" />
+                  </svg>
+                </button>
+                <button
+                  className="reader-header-button icon-button"
+                  type="button"
+                  aria-label="Annotations"
+                  aria-pressed={annotationsOpen}
+                  title="Annotations"
+                  onClick={(e) => {
+                    setAnnotationsOpen((prev) => !prev)
+                    e.currentTarget.blur()
+                  }}
+                >
+                  <svg className="reader-header-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round" strokeLinejoin="round">
+                    <line x1="8" y1="6" x2="21" y2="6" />
+                    <line x1="8" y1="12" x2="21" y2="12" />
+                    <line x1="8" y1="18" x2="21" y2="18" />
+                    <line x1="3" y1="6" x2="3.01" y2="6" />
+                    <line x1="3" y1="12" x2="3.01" y2="12" />
+                    <line x1="3" y1="18" x2="3.01" y2="18" />
+                  </svg>
+                </button>
                 <button
                   className="reader-header-button ui-text"
                   type="button"
@@ -2368,7 +3338,11 @@ const Reader = ({ initialMode }) => {
           ) : error ? (
             <p className="error">{error}</p>
           ) : chapters.length ? (
-            <div className="reader-scroll-container" ref={scrollContainerRef}>
+            <div
+              className="reader-scroll-container"
+              ref={scrollContainerRef}
+              onClickCapture={readAlongEnabled ? handleReadAlongTap : undefined}
+            >
               {showAutoKnownBubble && (
                 <div className="auto-known-bubble">
                   <p>As you read, words you haven&apos;t tagged will automatically be marked as known once you scroll past them.</p>
@@ -2397,7 +3371,8 @@ const Reader = ({ initialMode }) => {
                       {renderHighlightedText(
                         getDisplayText(chapter),
                         chapterSentenceOffsets[chapterIndex] || 0,
-                        true
+                        true,
+                        chapterIndex
                       )}
                     </div>
                   </div>
@@ -2470,7 +3445,7 @@ const Reader = ({ initialMode }) => {
             <p className="muted">Story {id} is ready to read soon.</p>
           )}
           {audioStatus === 'ready' && fullAudioUrl && (
-            <div className="audio-hover-area">
+            <div className={`audio-hover-area ${readAlongEnabled ? 'is-pinned' : ''}`}>
               <div className="audio-player-shell">
                 <audio ref={audioRef} controls src={fullAudioUrl} />
               </div>
@@ -2641,6 +3616,11 @@ const Reader = ({ initialMode }) => {
                   </button>
                 )}
               </p>
+              {frequencyRanks.size > 0 && !/\s/.test((popup.displayText || popup.word).trim()) && (
+                <p className="translate-popup-frequency" title="How common this word is in the language">
+                  {formatFrequencyRank(getFrequencyRank(frequencyRanks, popup.word))}
+                </p>
+              )}
             </div>
 
             <div className="translate-popup-language-column">
@@ -2660,7 +3640,7 @@ const Reader = ({ initialMode }) => {
           <div className="translate-popup-status">
             {STATUS_ABBREV.map((abbrev, i) => {
               const level = STATUS_LEVELS[i]
-              const currentStatus = vocabEntries[normaliseExpression(popup.word)]?.status
+              const currentStatus = getWordStatus(normaliseExpression(popup.word))
               const isActive = level === 'new'
                 ? !currentStatus
                 : currentStatus === level
@@ -2681,6 +3661,74 @@ const Reader = ({ initialMode }) => {
               )
             })}
           </div>
+          {popupLemma && popupLemma !== normaliseExpression(popup.word) && (
+            <label className="translate-popup-lemma-toggle">
+              <input
+                type="checkbox"
+                checked={applyToAllForms}
+                onChange={(event) => setApplyToAllForms(event.target.checked)}
+              />
+              <span>Apply to all forms of <strong>{popupLemma}</strong></span>
+            </label>
+          )}
+          <DictionarySection
+            key={popup.displayText || popup.word}
+            word={popup.displayText || popup.word}
+            sourceLanguage={language}
+            nativeLanguage={nativeLanguage}
+            context={popupContext}
+          />
+          {vocabEntries[normaliseExpression(popup.word)] && (
+            <form className="translate-popup-decks" onSubmit={handleAddWordToDeck}>
+              {(vocabEntries[normaliseExpression(popup.word)].tags || []).map((tag) => (
+                <button
+                  key={tag}
+                  type="button"
+                  className="translate-popup-deck-chip"
+                  onClick={() => handleRemoveWordFromDeck(tag)}
+                  aria-label={`Remove from ${tag}`}
+                >
+                  {tag} ×
+                </button>
+              ))}
+              <input
+                type="text"
+                className="translate-popup-deck-input"
+                list="reader-deck-options"
+                placeholder="Add to deck"
+                value={deckInput}
+                onChange={(event) => setDeckInput(event.target.value)}
+              />
+              <datalist id="reader-deck-options">
+                {deckOptions.map((tag) => (
+                  <option key={tag} value={tag} />
+                ))}
+              </datalist>
+            </form>
+          )}
+          {popup.annotationAnchor && (
+            <div className="translate-popup-annotate">
+              <input
+                type="text"
+                className="translate-popup-deck-input"
+                placeholder="Note (optional)"
+                value={annotationNote}
+                onChange={(event) => setAnnotationNote(event.target.value)}
+              />
+              {ANNOTATION_COLORS.map((color) => (
+                <button
+                  key={color.id}
+                  type="button"
+                  className="translate-popup-annotate-swatch"
+                  style={{ background: color.swatch }}
+                  onClick={() => handleAddHighlight(color.id)}
+                  onMouseDown={(event) => event.preventDefault()}
+                  aria-label={`Highlight in ${color.label.toLowerCase()}`}
+                  title={`Highlight in ${color.label.toLowerCase()}`}
+                />
+              ))}
+            </div>
+          )}
           <button
             type="button"
             className="translate-popup-tutor-button"
@@ -2778,6 +3826,32 @@ const Reader = ({ initialMode }) => {
         </div>
       )}
 
+      <ReaderAnnotationsPanel
+        isOpen={annotationsOpen}
+        onClose={() => setAnnotationsOpen(false)}
+        annotations={annotations}
+        chapterTitles={chapterTitles}
+        onJump={handleJumpToAnnotation}
+        onUpdateNote={handleUpdateAnnotationNote}
+        onDelete={handleDeleteAnnotation}
+        onExport={() => downloadAnnotationsMarkdown(storyTitle, annotations, chapterTitles)}
+      />
+
+      <VocabPrimer
+        isOpen={primerChapterIndex !== null && Boolean(chapters[primerChapterIndex])}
+        onClose={() => setPrimerChapterIndex(null)}
+        title={primerChapterIndex !== null ? chapterTitles[primerChapterIndex] : ''}
+        userId={user?.uid}
+        text={primerChapterIndex !== null && chapters[primerChapterIndex] ? getDisplayText(chapters[primerChapterIndex]) : ''}
+        language={language}
+        nativeLanguage={nativeLanguage}
+        expressions={contentExpressions}
+        voiceGender={voiceGender}
+        contentId={id}
+        vocabEntries={vocabEntries}
+        onVocabChange={(key, entry) => setVocabEntries((prev) => ({ ...prev, [key]: entry }))}
+      />
+
       <TutorPanel
         isOpen={tutorOpen}
         onClose={() => {
@@ -8,10 +8,15 @@ import {
   loadDueCards,
   loadCardsByStatus,
   loadDueCardsByContentId,
+  loadDueCardsByTag,
+  loadDueListeningCards,
+  loadMostCommonUnknownCards,
   updateVocabSRS,
+  updateListeningSRS,
   setVocabStatus,
   VOCAB_STATUSES,
 } from '../services/vocab'
+import { ANSWER_FEEDBACK, findContextCloze, gradeTypedAnswer } from '../utils/answerGrading'
 
 // Icons
 const PlayIcon = () => (
@@ -36,12 +41,26 @@ const CardsIcon = () => (
 // Status abbreviations for display
 const STATUS_ABBREV = { unknown: 'U', recognised: 'R', familiar: 'F', known: 'K' }
 
+// Most choices offered in listening mode (the answer plus distractors from the session)
+const LISTENING_CHOICE_COUNT = 4
+
+const shuffle = (items) => {
+  const shuffled = [...items]
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1))
+    ;[shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]]
+  }
+  return shuffled
+}
+
 // Deck definitions for Core shelf
 const CORE_DECKS = [
   { id: 'all', label: 'All Cards', filter: null },
   { id: 'unknown', label: 'Unknown', filter: 'unknown' },
   { id: 'recognised', label: 'Recognised', filter: 'recognised' },
   { id: 'familiar', label: 'Familiar', filter: 'familiar' },
+  { id: 'common', label: 'Most Common Unknown', filter: 'unknown', sort: 'frequency' },
+  { id: 'listening', label: 'Listening', filter: null, skill: 'listening' },
 ]
 
 const Review = () => {
@@ -56,7 +75,10 @@ const Review = () => {
       type: params.get('type'),
       filter: params.get('filter'),
       contentId: params.get('contentId'),
+      tag: params.get('tag'),
       label: params.get('label'),
+      sort: params.get('sort'),
+      skill: params.get('skill'),
     }
   }, [location.search])
 
@@ -81,6 +103,9 @@ const Review = () => {
           type: queryParams.type,
           filter: queryParams.filter,
           contentId: queryParams.contentId,
+          tag: queryParams.tag,
+          sort: queryParams.sort,
+          skill: queryParams.skill,
           label: queryParams.label || 'Review',
         }
       : null
@@ -104,12 +129,26 @@ const Review = () => {
 
   // Review mode toggles
   const [isRecallMode, setIsRecallMode] = useState(false)
+  const [isClozeMode, setIsClozeMode] = useState(false)
   const [autoPlayAudio, setAutoPlayAudio] = useState(true)
 
+  // Cloze and listening modes: typed answer and its grade for the current card
+  const [typedAnswer, setTypedAnswer] = useState('')
+  const [answerResult, setAnswerResult] = useState(null)
+
+  // Listening mode options
+  const [useListeningChoices, setUseListeningChoices] = useState(false)
+  const [playListeningSentence, setPlayListeningSentence] = useState(false)
+  const [listeningChoices, setListeningChoices] = useState([])
+
   // Audio state
   const audioRef = useRef(null)
   const [audioLoading, setAudioLoading] = useState(false)
 
+  // Response timing for the review log
+  const cardShownAtRef = useRef(Date.now())
+  const revealedAtRef = useRef(null)
+
   // Redirect if not logged in
   useEffect(() => {
     if (!user) {
@@ -130,13 +169,19 @@ const Review = () => {
         let loadedCards = []
 
         if (queryParams.type === 'core') {
-          if (queryParams.filter) {
+          if (queryParams.skill === 'listening') {
+            loadedCards = await loadDueListeningCards(user.uid, activeLanguage)
+          } else if (queryParams.sort === 'frequency') {
+            loadedCards = await loadMostCommonUnknownCards(user.uid, activeLanguage)
+          } else if (queryParams.filter) {
             loadedCards = await loadCardsByStatus(user.uid, activeLanguage, queryParams.filter)
           } else {
             loadedCards = await loadDueCards(user.uid, activeLanguage)
           }
         } else if (queryParams.type === 'content' && queryParams.contentId) {
           loadedCards = await loadDueCardsByContentId(user.uid, activeLanguage, queryParams.contentId)
+        } else if (queryParams.type === 'tag' && queryParams.tag) {
+          loadedCards = await loadDueCardsByTag(user.uid, activeLanguage, queryParams.tag)
         }
 
         setCards(loadedCards)
@@ -267,13 +312,19 @@ const Review = () => {
         let loadedCards = []
 
         if (deck.type === 'core') {
-          if (deck.filter) {
+          if (deck.skill === 'listening') {
+            loadedCards = await loadDueListeningCards(user.uid, activeLanguage)
+          } else if (deck.sort === 'frequency') {
+            loadedCards = await loadMostCommonUnknownCards(user.uid, activeLanguage)
+          } else if (deck.filter) {
             loadedCards = await loadCardsByStatus(user.uid, activeLanguage, deck.filter)
           } else {
             loadedCards = await loadDueCards(user.uid, activeLanguage)
           }
         } else if (deck.type === 'content') {
           loadedCards = await loadDueCardsByContentId(user.uid, activeLanguage, deck.contentId)
+        } else if (deck.type === 'tag') {
+          loadedCards = await loadDueCardsByTag(user.uid, activeLanguage, deck.tag)
         }
 
         setCards(loadedCards)
@@ -334,19 +385,106 @@ const Review = () => {
     [activeLanguage, profile?.nativeLanguage]
   )
 
+  // Listening mode audio: the cached word pronunciation, or the sentence it was met in
+  const playListeningAudio = useCallback(
+    async (card, withSentence) => {
+      if (!card || !activeLanguage) return
+
+      if (audioRef.current) {
+        audioRef.current.pause()
+        audioRef.current = null
+      }
+
+      const cloze = withSentence ? findContextCloze(card) : null
+      const text = cloze ? `${cloze.before}${cloze.answer}${cloze.after}` : card.text
+
+      setAudioLoading(true)
+
+      try {
+        const response = await fetch('http://localhost:4000/api/pronunciation', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ text, language: activeLanguage }),
+        })
+
+        if (!response.ok) throw new Error('Failed to fetch pronunciation')
+
+        const data = await response.json()
+        const audio = new Audio(
+          data.audioBase64 ? `data:audio/mp3;base64,${data.audioBase64}` : data.audioUrl
+        )
+        audio.play().catch((err) => console.error('Audio playback failed:', err))
+        audioRef.current = audio
+      } catch (error) {
+        console.error('Error playing pronunciation:', error)
+      } finally {
+        setAudioLoading(false)
+      }
+    },
+    [activeLanguage]
+  )
+
+  // The listening deck is audio-only and graded as its own skill
+  const isListeningDeck = selectedDeck?.skill === 'listening'
+  const currentCardId = cards[currentIndex]?.id || null
+
+  // Restart the response timer whenever a new card is shown
+  useEffect(() => {
+    cardShownAtRef.current = Date.now()
+    revealedAtRef.current = null
+    setTypedAnswer('')
+    setAnswerResult(null)
+
+    // Distractors are drawn once per card so the options don't reshuffle mid-answer
+    const card = cards.find((candidate) => candidate.id === currentCardId)
+    if (!isListeningDeck || !card) {
+      setListeningChoices([])
+      return
+    }
+    const distractors = shuffle(
+      [...new Set(cards.map((candidate) => candidate.text))].filter((text) => text !== card.text)
+    ).slice(0, LISTENING_CHOICE_COUNT - 1)
+    setListeningChoices(shuffle([card.text, ...distractors]))
+  }, [currentCardId])
+
+  // Listening cards always play on arrival: there is nothing else to go on
+  useEffect(() => {
+    if (!isListeningDeck || !currentCardId) return
+    const card = cards.find((candidate) => candidate.id === currentCardId)
+    playListeningAudio(card, playListeningSentence)
+  }, [currentCardId, isListeningDeck, playListeningAudio])
+
+  // In cloze and listening modes, Enter after grading accepts the suggested response
+  const suggestedQuality = (isClozeMode || isListeningDeck) && showAnswer ? answerResult?.quality || null : null
+  const handleResponseRef = useRef(null)
+
+  useEffect(() => {
+    if (!suggestedQuality) return
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault()
+        handleResponseRef.current?.(suggestedQuality)
+      }
+    }
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [suggestedQuality])
+
   // Auto-play audio when card changes or answer is revealed
   useEffect(() => {
-    if (!autoPlayAudio || !showAnswer || cards.length === 0) return
+    if (!autoPlayAudio || !showAnswer || cards.length === 0 || isListeningDeck) return
 
     const currentCard = cards[currentIndex]
     if (currentCard && !isRecallMode) {
       // In recognition mode, play when answer is shown
       playAudio(currentCard.text)
     }
-  }, [showAnswer, currentIndex, autoPlayAudio, isRecallMode, cards, playAudio])
+  }, [showAnswer, currentIndex, autoPlayAudio, isRecallMode, isListeningDeck, cards, playAudio])
 
   // Handle reveal answer
   const handleReveal = () => {
+    revealedAtRef.current = Date.now()
     setShowAnswer(true)
     // In recall mode, auto-play on reveal
     if (autoPlayAudio && isRecallMode && cards[currentIndex]) {
@@ -354,13 +492,50 @@ const Review = () => {
     }
   }
 
+  // Grade a typed (or picked) answer, then flip to show the word
+  const handleAnswerSubmit = (e, answer = typedAnswer) => {
+    e?.preventDefault()
+    const currentCard = cards[currentIndex]
+    if (!currentCard || showAnswer) return
+
+    setTypedAnswer(answer)
+    setAnswerResult(gradeTypedAnswer(clozeCard?.answer || currentCard.text, answer))
+    revealedAtRef.current = Date.now()
+    setShowAnswer(true)
+  }
+
+  // Recall and cloze are alternative ways of testing production
+  const handleRecallToggle = (checked) => {
+    setIsRecallMode(checked)
+    if (checked) setIsClozeMode(false)
+  }
+
+  const handleClozeToggle = (checked) => {
+    setIsClozeMode(checked)
+    if (checked) setIsRecallMode(false)
+  }
+
   // Handle review response
   const handleResponse = async (quality) => {
     const currentCard = cards[currentIndex]
     if (!currentCard || !user) return
 
     try {
-      await updateVocabSRS(user.uid, activeLanguage, currentCard.text, quality, isRecallMode)
+      const reviewOptions = {
+        scheduler: profile?.srsScheduler,
+        fsrsParameters: profile?.fsrsParameters,
+        responseTimeMs: (revealedAtRef.current || Date.now()) - cardShownAtRef.current,
+      }
+
+      if (isListeningDeck) {
+        await updateListeningSRS(user.uid, activeLanguage, currentCard.text, quality, reviewOptions)
+      } else {
+        // Cloze answers are typed from memory, so they count as recall
+        await updateVocabSRS(user.uid, activeLanguage, currentCard.text, quality, isRecallMode || isClozeMode, {
+          ...reviewOptions,
+          mode: isClozeMode ? 'cloze' : undefined,
+        })
+      }
 
       // Remove card from session
       const updatedCards = cards.filter((_, idx) => idx !== currentIndex)
@@ -370,20 +545,23 @@ const Review = () => {
       setCurrentIndex(nextIndex)
       setShowAnswer(false)
 
-      // Update deck counts
-      setDeckCounts((prev) => {
-        const newCounts = { ...prev }
-        if (newCounts.all > 0) newCounts.all -= 1
-        if (currentCard.status && newCounts[currentCard.status] > 0) {
-          newCounts[currentCard.status] -= 1
-        }
-        return newCounts
-      })
+      // Update deck counts (listening reviews don't touch reading counts)
+      if (!isListeningDeck) {
+        setDeckCounts((prev) => {
+          const newCounts = { ...prev }
+          if (newCounts.all > 0) newCounts.all -= 1
+          if (currentCard.status && newCounts[currentCard.status] > 0) {
+            newCounts[currentCard.status] -= 1
+          }
+          return newCounts
+        })
+      }
     } catch (error) {
       console.error('Error updating card:', error)
       setSessionError('Failed to update card. Please try again.')
     }
   }
+  handleResponseRef.current = handleResponse
 
   // Handle manual status change
   const handleStatusChange = async (newStatus) => {
@@ -410,6 +588,11 @@ const Review = () => {
   }
 
   const currentCard = cards[currentIndex] || null
+  // Cards without a usable sentence fall back to typing the word from its translation
+  const clozeCard = isClozeMode && !isListeningDeck ? findContextCloze(currentCard) : null
+  // Sentence shown after a listening answer, with the word highlighted
+  const listeningCloze = isListeningDeck ? findContextCloze(currentCard) : null
+  const showListeningChoices = useListeningChoices && listeningChoices.length > 1
 
   // Redirect to Dashboard review tab if no deck selected
   if (view === 'shelves' || !selectedDeck) {
@@ -435,22 +618,53 @@ const Review = () => {
             )}
           </div>
           <div className="review-toggles">
-            <label className="review-toggle">
-              <input
-                type="checkbox"
-                checked={isRecallMode}
-                onChange={(e) => setIsRecallMode(e.target.checked)}
-              />
-              <span>Recall</span>
-            </label>
-            <label className="review-toggle">
-              <input
-                type="checkbox"
-                checked={autoPlayAudio}
-                onChange={(e) => setAutoPlayAudio(e.target.checked)}
-              />
-              <span>Audio</span>
-            </label>
+            {isListeningDeck ? (
+              <>
+                <label className="review-toggle">
+                  <input
+                    type="checkbox"
+                    checked={useListeningChoices}
+                    onChange={(e) => setUseListeningChoices(e.target.checked)}
+                  />
+                  <span>Choices</span>
+                </label>
+                <label className="review-toggle">
+                  <input
+                    type="checkbox"
+                    checked={playListeningSentence}
+                    onChange={(e) => setPlayListeningSentence(e.target.checked)}
+                  />
+                  <span>Sentence</span>
+                </label>
+              </>
+            ) : (
+              <>
+                <label className="review-toggle">
+                  <input
+                    type="checkbox"
+                    checked={isRecallMode}
+                    onChange={(e) => handleRecallToggle(e.target.checked)}
+                  />
+                  <span>Recall</span>
+                </label>
+                <label className="review-toggle">
+                  <input
+                    type="checkbox"
+                    checked={isClozeMode}
+                    onChange={(e) => handleClozeToggle(e.target.checked)}
+                  />
+                  <span>Cloze</span>
+                </label>
+                <label className="review-toggle">
+                  <input
+                    type="checkbox"
+                    checked={autoPlayAudio}
+                    onChange={(e) => setAutoPlayAudio(e.target.checked)}
+                  />
+                  <span>Audio</span>
+                </label>
+              </>
+            )}
           </div>
         </div>
 
@@ -482,7 +696,81 @@ const Review = () => {
                 {/* Front of card */}
                 <div className="review-card-front">
                   <div className="review-card-content">
-                    {isRecallMode ? (
+                    {isListeningDeck ? (
+                      // Listening mode: type or pick the word you hear
+                      <>
+                        <button
+                          className="review-audio-button review-listening-play"
+                          onClick={() => playListeningAudio(currentCard, playListeningSentence)}
+                          disabled={audioLoading}
+                          title="Play again"
+                        >
+                          <PlayIcon />
+                        </button>
+                        {showListeningChoices ? (
+                          <div className="review-listening-choices">
+                            {listeningChoices.map((choice) => (
+                              <button
+                                key={choice}
+                                type="button"
+                                className="review-listening-choice"
+                                onClick={() => handleAnswerSubmit(null, choice)}
+                                disabled={showAnswer}
+                              >
+                                {choice}
+                              </button>
+                            ))}
+                          </div>
+                        ) : (
+                          <form className="review-cloze-form" onSubmit={handleAnswerSubmit}>
+                            <input
+                              className="review-cloze-input"
+                              type="text"
+                              value={typedAnswer}
+                              onChange={(e) => setTypedAnswer(e.target.value)}
+                              placeholder="Type what you heard"
+                              autoComplete="off"
+                              autoCapitalize="off"
+                              spellCheck={false}
+                              autoFocus
+                              disabled={showAnswer}
+                            />
+                          </form>
+                        )}
+                      </>
+                    ) : isClozeMode ? (
+                      // Cloze mode: type the word missing from its sentence
+                      <>
+                        {clozeCard ? (
+                          <div className="review-cloze-sentence">
+                            {clozeCard.before}
+                            <span className="review-cloze-blank">_____</span>
+                            {clozeCard.after}
+                          </div>
+                        ) : (
+                          <div className="review-card-translation">
+                            {currentCard?.translation || 'No translation'}
+                          </div>
+                        )}
+                        {clozeCard && (
+                          <div className="review-cloze-hint">{currentCard?.translation || ''}</div>
+                        )}
+                        <form className="review-cloze-form" onSubmit={handleAnswerSubmit}>
+                          <input
+                            className="review-cloze-input"
+                            type="text"
+                            value={typedAnswer}
+                            onChange={(e) => setTypedAnswer(e.target.value)}
+                            placeholder="Type the missing word"
+                            autoComplete="off"
+                            autoCapitalize="off"
+                            spellCheck={false}
+                            autoFocus
+                            disabled={showAnswer}
+                          />
+                        </form>
+                      </>
+                    ) : isRecallMode ? (
                       // Recall mode: show translation first
                       <div className="review-card-translation">
                         {currentCard?.translation || 'No translation'}
@@ -506,7 +794,63 @@ const Review = () => {
                 {/* Back of card */}
                 <div className="review-card-back">
                   <div className="review-card-content">
-                    {isRecallMode ? (
+                    {isListeningDeck ? (
+                      // Listening mode: reveal the word, its meaning and the sentence it came from
+                      <>
+                        <div className="review-card-word">{currentCard?.text}</div>
+                        <div className="review-cloze-hint">{currentCard?.translation || ''}</div>
+                        {answerResult && (
+                          <div className={`review-cloze-feedback ${answerResult.isCorrect ? 'is-correct' : 'is-wrong'}`}>
+                            {ANSWER_FEEDBACK[answerResult.feedback]}
+                            {answerResult.feedback !== 'exact' && typedAnswer.trim() && (
+                              <span className="review-cloze-typed"> — you heard “{typedAnswer.trim()}”</span>
+                            )}
+                          </div>
+                        )}
+                        {listeningCloze && (
+                          <div className="review-listening-sentence">
+                            {listeningCloze.before}
+                            <span className="review-cloze-answer">{listeningCloze.answer}</span>
+                            {listeningCloze.after}
+                          </div>
+                        )}
+                        <button
+                          className="review-audio-button"
+                          onClick={() => playListeningAudio(currentCard, playListeningSentence)}
+                          disabled={audioLoading}
+                        >
+                          <PlayIcon />
+                        </button>
+                      </>
+                    ) : isClozeMode ? (
+                      // Cloze mode: reveal the word in its sentence and grade the answer
+                      <>
+                        {clozeCard ? (
+                          <div className="review-cloze-sentence">
+                            {clozeCard.before}
+                            <span className="review-cloze-answer">{clozeCard.answer}</span>
+                            {clozeCard.after}
+                          </div>
+                        ) : (
+                          <div className="review-card-word">{currentCard?.text}</div>
+                        )}
+                        {answerResult && (
+                          <div className={`review-cloze-feedback ${answerResult.isCorrect ? 'is-correct' : 'is-wrong'}`}>
+                            {ANSWER_FEEDBACK[answerResult.feedback]}
+                            {answerResult.feedback !== 'exact' && typedAnswer.trim() && (
+                              <span className="review-cloze-typed"> — you typed “{typedAnswer.trim()}”</span>
+                            )}
+                          </div>
+                        )}
+                        <button
+                          className="review-audio-button"
+                          onClick={() => playAudio(currentCard?.text)}
+                          disabled={audioLoading}
+                        >
+                          <PlayIcon />
+                        </button>
+                      </>
+                    ) : isRecallMode ? (
                       // Recall mode: reveal word
                       <>
                         <div className="review-card-word">{currentCard?.text}</div>
@@ -545,52 +889,60 @@ const Review = () => {
             {/* Actions */}
             {!showAnswer ? (
               <div className="review-actions">
-                <button className="button review-reveal-button" onClick={handleReveal}>
-                  Show Answer
-                </button>
+                {isClozeMode || isListeningDeck ? (
+                  <button className="button review-reveal-button" onClick={() => handleAnswerSubmit()}>
+                    Check
+                  </button>
+                ) : (
+                  <button className="button review-reveal-button" onClick={handleReveal}>
+                    Show Answer
+                  </button>
+                )}
               </div>
             ) : (
               <div className="review-actions">
-                {/* Status adjustment */}
-                <div className="review-status-row">
-                  <span className="review-status-label">Status:</span>
-                  <div className="review-status-buttons">
-                    {VOCAB_STATUSES.filter((s) => s !== 'known').map((status) => (
-                      <button
-                        key={status}
-                        className={`review-status-button ${
-                          currentCard?.status === status ? 'is-active' : ''
-                        }`}
-                        onClick={() => handleStatusChange(status)}
-                      >
-                        {STATUS_ABBREV[status]}
-                      </button>
-                    ))}
+                {/* Status adjustment (reading status only) */}
+                {!isListeningDeck && (
+                  <div className="review-status-row">
+                    <span className="review-status-label">Status:</span>
+                    <div className="review-status-buttons">
+                      {VOCAB_STATUSES.filter((s) => s !== 'known').map((status) => (
+                        <button
+                          key={status}
+                          className={`review-status-button ${
+                            currentCard?.status === status ? 'is-active' : ''
+                          }`}
+                          onClick={() => handleStatusChange(status)}
+                        >
+                          {STATUS_ABBREV[status]}
+                        </button>
+                      ))}
+                    </div>
                   </div>
-                </div>
+                )}
 
                 {/* Response buttons */}
                 <div className="review-response-buttons">
                   <button
-                    className="button review-response-button again"
+                    className={`button review-response-button again${suggestedQuality === 'again' ? ' is-suggested' : ''}`}
                     onClick={() => handleResponse('again')}
                   >
                     Again
                   </button>
                   <button
-                    className="button review-response-button hard"
+                    className={`button review-response-button hard${suggestedQuality === 'hard' ? ' is-suggested' : ''}`}
                     onClick={() => handleResponse('hard')}
                   >
                     Hard
                   </button>
                   <button
-                    className="button review-response-button good"
+                    className={`button review-response-button good${suggestedQuality === 'good' ? ' is-suggested' : ''}`}
                     onClick={() => handleResponse('good')}
                   >
                     Good
                   </button>
                   <button
-                    className="button review-response-button easy"
+                    className={`button review-response-button easy${suggestedQuality === 'easy' ? ' is-suggested' : ''}`}
                     onClick={() => handleResponse('easy')}
                   >
                     Easy
@@ -0,0 +1,246 @@
+import { useEffect, useMemo, useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { filterSupportedLanguages, resolveSupportedLanguageLabel } from '../constants/languages'
+import { useAuth } from '../context/AuthContext'
+import { FORECAST_DAYS, LEECH_LAPSE_THRESHOLD, loadReviewAnalytics } from '../services/reviewAnalytics'
+
+const ChevronLeftIcon = () => (
+  <svg viewBox="0 0 24 24" width="20" height="20" fill="none" stroke="currentColor" strokeWidth="2">
+    <path d="M15 18l-6-6 6-6" />
+  </svg>
+)
+
+const formatRate = (rate) => (rate === null ? '—' : `${Math.round(rate * 100)}%`)
+
+const formatDate = (timestamp) => {
+  const date = timestamp?.toDate ? timestamp.toDate() : null
+  return date ? date.toLocaleDateString() : '—'
+}
+
+// Horizontal bars, one row per bucket
+const BarList = ({ rows, getValue, formatValue, getMeta }) => {
+  const max = Math.max(...rows.map(getValue), 0)
+  return (
+    <div className="review-analytics-bars">
+      {rows.map((row) => {
+        const value = getValue(row)
+        return (
+          <div key={row.label} className="review-analytics-bar-row">
+            <span className="review-analytics-bar-label">{row.label}</span>
+            <div className="review-analytics-bar-track">
+              <div
+                className="review-analytics-bar-fill"
+                style={{ width: max > 0 ? `${(value / max) * 100}%` : 0 }}
+              />
+            </div>
+            <span className="review-analytics-bar-value">{formatValue(row)}</span>
+            {getMeta && <span className="review-analytics-bar-meta">{getMeta(row)}</span>}
+          </div>
+        )
+      })}
+    </div>
+  )
+}
+
+const ReviewAnalytics = () => {
+  const { user, profile } = useAuth()
+  const navigate = useNavigate()
+
+  const supportedLanguages = useMemo(
+    () => filterSupportedLanguages(profile?.myLanguages || []),
+    [profile?.myLanguages]
+  )
+  const activeLanguage = useMemo(() => {
+    if (profile?.lastUsedLanguage) {
+      const resolved = resolveSupportedLanguageLabel(profile.lastUsedLanguage, '')
+      if (resolved) return resolved
+    }
+    return supportedLanguages.length ? supportedLanguages[0] : ''
+  }, [profile?.lastUsedLanguage, supportedLanguages])
+
+  const [analytics, setAnalytics] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    if (!user) {
+      navigate('/login')
+      return
+    }
+    if (!activeLanguage) {
+      setLoading(false)
+      return
+    }
+
+    let cancelled = false
+    setLoading(true)
+    setError('')
+
+    loadReviewAnalytics(user.uid, activeLanguage)
+      .then((result) => {
+        if (!cancelled) setAnalytics(result)
+      })
+      .catch((err) => {
+        console.error('Failed to load review analytics:', err)
+        if (!cancelled) setError('Failed to load review analytics. Please try again.')
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [user, activeLanguage, navigate])
+
+  const forecastMax = analytics ? Math.max(...analytics.forecast.map((day) => day.count), 0) : 0
+  const forecastTotal = analytics ? analytics.forecast.reduce((sum, day) => sum + day.count, 0) : 0
+  const hasFsrsCards = analytics?.distribution.difficulty.some((bucket) => bucket.count > 0)
+
+  return (
+    <div className="vocab-browser-page review-analytics-page">
+      <div className="review-session-header">
+        <button
+          className="button ghost icon-button"
+          onClick={() => navigate('/dashboard', { state: { initialTab: 'review' } })}
+        >
+          <ChevronLeftIcon />
+        </button>
+        <div className="review-session-title">
+          <h2>Review analytics</h2>
+          {analytics && (
+            <span className="review-progress">
+              {activeLanguage} · {analytics.totalCards} cards · {analytics.totalReviews} reviews
+            </span>
+          )}
+        </div>
+      </div>
+
+      {loading ? (
+        <p className="muted">Loading analytics...</p>
+      ) : error ? (
+        <p className="error">{error}</p>
+      ) : !analytics ? (
+        <p className="muted">Add a language first to see review analytics.</p>
+      ) : (
+        <div className="review-analytics-grid">
+          <div className="home-card">
+            <div className="home-card-header">
+              <h3 className="home-card-title">Retention</h3>
+              <span className="review-analytics-headline">{formatRate(analytics.retention.overall.rate)}</span>
+            </div>
+            <p className="muted small">
+              Share of reviews of learned cards answered correctly
+              {analytics.retention.listening.reviews > 0 &&
+                ` · Listening ${formatRate(analytics.retention.listening.rate)}`}
+            </p>
+            <h4 className="review-analytics-subtitle">By status</h4>
+            <BarList
+              rows={analytics.retention.byStatus}
+              getValue={(row) => row.rate ?? 0}
+              formatValue={(row) => formatRate(row.rate)}
+              getMeta={(row) => `${row.reviews} reviews`}
+            />
+            <h4 className="review-analytics-subtitle">By interval</h4>
+            <BarList
+              rows={analytics.retention.byInterval}
+              getValue={(row) => row.rate ?? 0}
+              formatValue={(row) => formatRate(row.rate)}
+              getMeta={(row) => `${row.reviews} reviews`}
+            />
+          </div>
+
+          <div className="home-card">
+            <div className="home-card-header">
+              <h3 className="home-card-title">Next {FORECAST_DAYS} days</h3>
+              <span className="review-analytics-headline">{forecastTotal}</span>
+            </div>
+            <p className="muted small">Cards coming due each day, with overdue cards counted today</p>
+            <div className="review-analytics-forecast">
+              {analytics.forecast.map((day, i) => (
+                <div
+                  key={day.date.toISOString()}
+                  className="review-analytics-forecast-day"
+                  title={`${day.date.toLocaleDateString()}: ${day.count} due`}
+                >
+                  <div
+                    className="review-analytics-forecast-bar"
+                    style={{ height: forecastMax > 0 ? `${Math.max((day.count / forecastMax) * 100, day.count ? 4 : 0)}%` : 0 }}
+                  />
+                  {i % 7 === 0 && (
+                    <span className="review-analytics-forecast-label">
+                      {i === 0 ? 'Today' : day.date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}
+                    </span>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div className="home-card">
+            <div className="home-card-header">
+              <h3 className="home-card-title">Intervals</h3>
+            </div>
+            <BarList
+              rows={analytics.distribution.interval}
+              getValue={(row) => row.count}
+              formatValue={(row) => row.count}
+            />
+            <h4 className="review-analytics-subtitle">Ease (SM-2 cards)</h4>
+            <BarList
+              rows={analytics.distribution.ease}
+              getValue={(row) => row.count}
+              formatValue={(row) => row.count}
+            />
+            {hasFsrsCards && (
+              <>
+                <h4 className="review-analytics-subtitle">Difficulty (FSRS cards)</h4>
+                <BarList
+                  rows={analytics.distribution.difficulty}
+                  getValue={(row) => row.count}
+                  formatValue={(row) => row.count}
+                />
+              </>
+            )}
+          </div>
+
+          <div className="home-card">
+            <div className="home-card-header">
+              <h3 className="home-card-title">Leeches</h3>
+              <span className="review-analytics-headline">{analytics.leeches.length}</span>
+            </div>
+            <p className="muted small">Cards failed {LEECH_LAPSE_THRESHOLD} or more times</p>
+            {analytics.leeches.length === 0 ? (
+              <p className="muted small">No leeches. Nice work.</p>
+            ) : (
+              <table className="vocab-import-table">
+                <thead>
+                  <tr>
+                    <th>Word</th>
+                    <th>Translation</th>
+                    <th>Status</th>
+                    <th>Lapses</th>
+                    <th>Last failed</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {analytics.leeches.map((leech) => (
+                    <tr key={leech.id}>
+                      <td>{leech.text}</td>
+                      <td>{leech.translation || '—'}</td>
+                      <td>{leech.status}</td>
+                      <td>{leech.lapses}</td>
+                      <td>{formatDate(leech.lastFailedAt)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ReviewAnalytics
@@ -8,9 +8,20 @@ import {
   toLanguageLabel,
 } from '../constants/languages'
 import { resetVocabProgress } from '../services/vocab'
+import {
+  DEFAULT_FSRS_PARAMETERS,
+  DEFAULT_SCHEDULER,
+  MIN_REVIEWS_FOR_OPTIMISATION,
+  optimiseFsrsParameters,
+  SRS_SCHEDULERS,
+} from '../services/srsSchedulers'
+import { loadReviewLog } from '../services/reviewLog'
+import VocabTransferPanel from '../components/review/VocabTransferPanel'
 
 const SETTINGS_SECTIONS = [
   { id: 'languages', label: 'Languages', icon: 'globe' },
+  { id: 'review', label: 'Review', icon: 'cards' },
+  { id: 'vocabulary', label: 'Vocabulary', icon: 'book' },
   { id: 'account', label: 'Account', icon: 'user' },
   { id: 'subscription', label: 'Subscription', icon: 'card' },
 ]
@@ -21,6 +32,8 @@ const Settings = () => {
   const [activeSection, setActiveSection] = useState('languages')
   const [confirmReset, setConfirmReset] = useState(null)
   const [resetting, setResetting] = useState(false)
+  const [optimising, setOptimising] = useState(false)
+  const [optimiseMessage, setOptimiseMessage] = useState('')
 
   const nativeLanguage = resolveSupportedLanguageLabel(profile?.nativeLanguage, '')
   const allLanguages = profile?.myLanguages || []
@@ -76,6 +89,48 @@ const Settings = () => {
     }
   }
 
+  const activeScheduler = profile?.srsScheduler || DEFAULT_SCHEDULER
+  const hasCustomFsrsParameters = Array.isArray(profile?.fsrsParameters) &&
+    profile.fsrsParameters.length === DEFAULT_FSRS_PARAMETERS.length
+
+  const handleSchedulerChange = async (schedulerId) => {
+    await updateProfile({ srsScheduler: schedulerId })
+  }
+
+  const handleResetFsrsParameters = async () => {
+    await updateProfile({ fsrsParameters: null, fsrsOptimisedAt: null })
+    setOptimiseMessage('')
+  }
+
+  const handleOptimiseFsrs = async () => {
+    if (!user || optimising) return
+
+    setOptimising(true)
+    setOptimiseMessage('')
+    try {
+      const reviews = await loadReviewLog(user.uid)
+      const result = optimiseFsrsParameters(reviews)
+
+      if (!result.optimised) {
+        setOptimiseMessage(
+          `Not enough review history yet (${result.reviewCount} of ${MIN_REVIEWS_FOR_OPTIMISATION} repeat reviews).`
+        )
+        return
+      }
+
+      await updateProfile({
+        fsrsParameters: result.parameters,
+        fsrsOptimisedAt: new Date().toISOString(),
+      })
+      setOptimiseMessage(`Fitted to ${result.reviewCount} reviews.`)
+    } catch (err) {
+      console.error('Failed to optimise FSRS parameters:', err)
+      setOptimiseMessage('Optimisation failed. Please try again.')
+    } finally {
+      setOptimising(false)
+    }
+  }
+
   const handleLogout = async () => {
     await logout()
     navigate('/login')
@@ -97,6 +152,20 @@ const Settings = () => {
             <circle cx="12" cy="7" r="4" />
           </svg>
         )
+      case 'cards':
+        return (
+          <svg viewBox="0 0 24 24" width="18" height="18" fill="none" stroke="currentColor" strokeWidth="1.5">
+            <rect x="3" y="5" width="18" height="14" rx="2" />
+            <path d="M3 10h18" />
+          </svg>
+        )
+      case 'book':
+        return (
+          <svg viewBox="0 0 24 24" width="18" height="18" fill="none" stroke="currentColor" strokeWidth="1.5">
+            <path d="M4 19.5A2.5 2.5 0 0 1 6.5 17H20" />
+            <path d="M6.5 2H20v20H6.5A2.5 2.5 0 0 1 4 19.5v-15A2.5 2.5 0 0 1 6.5 2z" />
+          </svg>
+        )
       case 'card':
         return (
           <svg viewBox="0 0 24 24" width="18" height="18" fill="none" stroke="currentColor" strokeWidth="1.5">
@@ -210,6 +279,66 @@ const Settings = () => {
     </div>
   )
 
+  const renderReviewPanel = () => (
+    <div className="settings-panel">
+      <h2 className="settings-panel-title">Review</h2>
+      <p className="settings-panel-description">Choose how flashcard reviews are scheduled.</p>
+
+      <div className="settings-section">
+        <h3 className="settings-section-title">Scheduler</h3>
+        <p className="settings-section-description">
+          {SRS_SCHEDULERS.find((entry) => entry.id === activeScheduler)?.description}
+        </p>
+        <select
+          className="settings-select"
+          value={activeScheduler}
+          onChange={(e) => handleSchedulerChange(e.target.value)}
+        >
+          {SRS_SCHEDULERS.map((entry) => (
+            <option key={entry.id} value={entry.id}>
+              {entry.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {activeScheduler === 'fsrs' && (
+        <div className="settings-section">
+          <h3 className="settings-section-title">FSRS Parameters</h3>
+          <p className="settings-section-description">
+            {hasCustomFsrsParameters
+              ? 'Using parameters fitted to your own review history.'
+              : 'Using the default parameters.'}
+          </p>
+          <div className="settings-confirm-actions">
+            <button className="btn btn-secondary" onClick={handleOptimiseFsrs} disabled={optimising}>
+              {optimising ? 'Optimising...' : 'Optimise from review history'}
+            </button>
+            {hasCustomFsrsParameters && (
+              <button className="btn btn-ghost" onClick={handleResetFsrsParameters}>
+                Reset to defaults
+              </button>
+            )}
+          </div>
+          {optimiseMessage && <p className="settings-section-description">{optimiseMessage}</p>}
+        </div>
+      )}
+    </div>
+  )
+
+  const renderVocabularyPanel = () => (
+    <div className="settings-panel">
+      <h2 className="settings-panel-title">Vocabulary</h2>
+      <p className="settings-panel-description">Move your words between inTongues and Anki or a spreadsheet.</p>
+
+      {activeLanguage ? (
+        <VocabTransferPanel userId={user?.uid} language={activeLanguage} />
+      ) : (
+        <p className="muted">Add a learning language first.</p>
+      )}
+    </div>
+  )
+
   const renderAccountPanel = () => (
     <div className="settings-panel">
       <h2 className="settings-panel-title">Account</h2>
@@ -244,6 +373,10 @@ const Settings = () => {
     switch (activeSection) {
       case 'languages':
         return renderLanguagesPanel()
+      case 'review':
+        return renderReviewPanel()
+      case 'vocabulary':
+        return renderVocabularyPanel()
       case 'account':
         return renderAccountPanel()
       case 'subscription':
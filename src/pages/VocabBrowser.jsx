@@ -0,0 +1,554 @@
+import { useCallback, useEffect, useMemo, useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { collection, getDocs } from 'firebase/firestore'
+import { resolveSupportedLanguageLabel } from '../constants/languages'
+import { useAuth } from '../context/AuthContext'
+import { db } from '../firebase'
+import {
+  bulkDeleteVocab,
+  bulkMoveVocabToDeck,
+  bulkResetVocabSRS,
+  bulkSetVocabStatus,
+  loadAllUserVocab,
+  normaliseTag,
+  updateVocabTranslation,
+  VOCAB_STATUSES,
+} from '../services/vocab'
+
+const ChevronLeftIcon = () => (
+  <svg viewBox="0 0 24 24" width="20" height="20" fill="none" stroke="currentColor" strokeWidth="2">
+    <path d="M15 18l-6-6 6-6" />
+  </svg>
+)
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Rows rendered at once; "Show more" reveals the next page
+const PAGE_SIZE = 200
+
+const DUE_FILTERS = [
+  { id: 'all', label: 'Any due date' },
+  { id: 'due', label: 'Due now' },
+  { id: 'week', label: 'Due within 7 days' },
+  { id: 'later', label: 'Due later' },
+]
+
+const ADDED_FILTERS = [
+  { id: 'all', label: 'Any time' },
+  { id: '7', label: 'Last 7 days' },
+  { id: '30', label: 'Last 30 days' },
+  { id: '90', label: 'Last 90 days' },
+]
+
+const COLUMNS = [
+  { key: 'text', label: 'Word' },
+  { key: 'translation', label: 'Translation' },
+  { key: 'status', label: 'Status' },
+  { key: 'language', label: 'Language' },
+  { key: 'nextReviewAt', label: 'Due' },
+  { key: 'createdAt', label: 'Added' },
+]
+
+// Content collections that vocab can be saved from
+const SOURCE_COLLECTIONS = [
+  { name: 'stories', fallbackTitle: 'Untitled Story' },
+  { name: 'youtubeVideos', fallbackTitle: 'Untitled Video' },
+  { name: 'spotifyItems', fallbackTitle: 'Untitled' },
+]
+
+const toDate = (timestamp) => (timestamp?.toDate ? timestamp.toDate() : null)
+
+// Entries without a review date are due immediately
+const getDueTime = (entry) => toDate(entry.nextReviewAt)?.getTime() ?? 0
+
+const getSortValue = (entry, key) => {
+  switch (key) {
+    case 'status':
+      return VOCAB_STATUSES.indexOf(entry.status)
+    case 'nextReviewAt':
+      return getDueTime(entry)
+    case 'createdAt':
+      return toDate(entry.createdAt)?.getTime() ?? 0
+    default:
+      return (entry[key] || '').toLowerCase()
+  }
+}
+
+const formatDate = (timestamp) => {
+  const date = toDate(timestamp)
+  return date ? date.toLocaleDateString() : '—'
+}
+
+const formatDue = (entry, now) => {
+  const dueTime = getDueTime(entry)
+  if (dueTime <= now) return 'Now'
+  const days = Math.ceil((dueTime - now) / DAY_MS)
+  return days === 1 ? 'Tomorrow' : `${days} days`
+}
+
+const VocabBrowser = () => {
+  const { user, profile } = useAuth()
+  const navigate = useNavigate()
+
+  const [entries, setEntries] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [contentTitles, setContentTitles] = useState({})
+
+  // Filters
+  const [search, setSearch] = useState('')
+  const [statusFilter, setStatusFilter] = useState('all')
+  const [languageFilter, setLanguageFilter] = useState(
+    () => resolveSupportedLanguageLabel(profile?.lastUsedLanguage, '') || 'all'
+  )
+  const [dueFilter, setDueFilter] = useState('all')
+  const [sourceFilter, setSourceFilter] = useState('all')
+  const [addedFilter, setAddedFilter] = useState('all')
+  const [sort, setSort] = useState({ key: 'createdAt', direction: 'desc' })
+  const [visibleCount, setVisibleCount] = useState(PAGE_SIZE)
+
+  // Selection and editing
+  const [selectedIds, setSelectedIds] = useState(() => new Set())
+  const [editing, setEditing] = useState(null) // { id, value }
+  const [bulkStatus, setBulkStatus] = useState('known')
+  const [deckName, setDeckName] = useState('')
+  const [confirmDelete, setConfirmDelete] = useState(false)
+  const [bulkBusy, setBulkBusy] = useState(false)
+  const [bulkMessage, setBulkMessage] = useState('')
+
+  useEffect(() => {
+    if (!user) {
+      navigate('/login')
+      return
+    }
+
+    let cancelled = false
+
+    const loadVocab = async () => {
+      setLoading(true)
+      setError('')
+      try {
+        const allEntries = await loadAllUserVocab(user.uid)
+        if (!cancelled) setEntries(allEntries)
+      } catch (err) {
+        console.error('Error loading vocab:', err)
+        if (!cancelled) setError('Failed to load your vocabulary. Please try again.')
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+
+    const loadContentTitles = async () => {
+      const titles = {}
+      for (const source of SOURCE_COLLECTIONS) {
+        try {
+          const snapshot = await getDocs(collection(db, 'users', user.uid, source.name))
+          snapshot.forEach((docSnap) => {
+            const data = docSnap.data()
+            titles[docSnap.id] = data.title || data.name || source.fallbackTitle
+          })
+        } catch (err) {
+          console.error(`Error loading ${source.name} titles:`, err)
+        }
+      }
+      if (!cancelled) setContentTitles(titles)
+    }
+
+    loadVocab()
+    loadContentTitles()
+
+    return () => {
+      cancelled = true
+    }
+  }, [user, navigate])
+
+  const languageOptions = useMemo(
+    () => [...new Set(entries.map((entry) => entry.language).filter(Boolean))].sort(),
+    [entries]
+  )
+
+  const sourceOptions = useMemo(() => {
+    const ids = new Set()
+    entries.forEach((entry) => entry.sourceContentIds.forEach((contentId) => ids.add(contentId)))
+    return [...ids]
+      .map((contentId) => ({ id: contentId, title: contentTitles[contentId] || 'Removed content' }))
+      .sort((a, b) => a.title.localeCompare(b.title))
+  }, [entries, contentTitles])
+
+  const filteredEntries = useMemo(() => {
+    const now = Date.now()
+    const searchTerm = search.trim().toLowerCase()
+    const addedSince = addedFilter === 'all' ? null : now - Number(addedFilter) * DAY_MS
+
+    const matches = entries.filter((entry) => {
+      if (languageFilter !== 'all' && entry.language !== languageFilter) return false
+      if (statusFilter !== 'all' && entry.status !== statusFilter) return false
+      if (sourceFilter !== 'all' && !entry.sourceContentIds.includes(sourceFilter)) return false
+
+      if (dueFilter !== 'all') {
+        const dueTime = getDueTime(entry)
+        if (dueFilter === 'due' && dueTime > now) return false
+        if (dueFilter === 'week' && dueTime > now + 7 * DAY_MS) return false
+        if (dueFilter === 'later' && dueTime <= now + 7 * DAY_MS) return false
+      }
+
+      if (addedSince !== null) {
+        const createdTime = toDate(entry.createdAt)?.getTime()
+        if (!createdTime || createdTime < addedSince) return false
+      }
+
+      if (searchTerm) {
+        const haystack = [entry.text, entry.translation, entry.lemma, ...entry.tags]
+          .filter(Boolean)
+          .join(' ')
+          .toLowerCase()
+        if (!haystack.includes(searchTerm)) return false
+      }
+
+      return true
+    })
+
+    const direction = sort.direction === 'asc' ? 1 : -1
+    return matches.sort((a, b) => {
+      const aValue = getSortValue(a, sort.key)
+      const bValue = getSortValue(b, sort.key)
+      if (aValue < bValue) return -1 * direction
+      if (aValue > bValue) return 1 * direction
+      return 0
+    })
+  }, [entries, search, statusFilter, languageFilter, dueFilter, sourceFilter, addedFilter, sort])
+
+  // Start from the first page whenever the result set changes
+  useEffect(() => {
+    setVisibleCount(PAGE_SIZE)
+  }, [search, statusFilter, languageFilter, dueFilter, sourceFilter, addedFilter, sort])
+
+  const visibleEntries = filteredEntries.slice(0, visibleCount)
+  const selectedEntries = useMemo(
+    () => entries.filter((entry) => selectedIds.has(entry.id)),
+    [entries, selectedIds]
+  )
+  const allFilteredSelected =
+    filteredEntries.length > 0 && filteredEntries.every((entry) => selectedIds.has(entry.id))
+
+  const handleSort = (key) => {
+    setSort((prev) =>
+      prev.key === key
+        ? { key, direction: prev.direction === 'asc' ? 'desc' : 'asc' }
+        : { key, direction: 'asc' }
+    )
+  }
+
+  const toggleSelected = (id) => {
+    setSelectedIds((prev) => {
+      const next = new Set(prev)
+      if (next.has(id)) {
+        next.delete(id)
+      } else {
+        next.add(id)
+      }
+      return next
+    })
+    setConfirmDelete(false)
+  }
+
+  const toggleSelectAll = () => {
+    setSelectedIds(allFilteredSelected ? new Set() : new Set(filteredEntries.map((entry) => entry.id)))
+    setConfirmDelete(false)
+  }
+
+  const saveTranslation = useCallback(async () => {
+    if (!editing || !user) return
+
+    const entry = entries.find((item) => item.id === editing.id)
+    const translation = editing.value.trim()
+    setEditing(null)
+    if (!entry || translation === (entry.translation || '')) return
+
+    setEntries((prev) => prev.map((item) => (item.id === entry.id ? { ...item, translation } : item)))
+    try {
+      await updateVocabTranslation(user.uid, entry.language, entry.text, translation)
+    } catch (err) {
+      console.error('Failed to update translation:', err)
+      setEntries((prev) =>
+        prev.map((item) => (item.id === entry.id ? { ...item, translation: entry.translation } : item))
+      )
+      setBulkMessage(`Could not save the translation for "${entry.text}".`)
+    }
+  }, [editing, entries, user])
+
+  // Runs a bulk action over the selection, then applies the same change locally
+  const runBulkAction = async (action, applyLocally, describe) => {
+    if (!user || !selectedEntries.length || bulkBusy) return false
+
+    setBulkBusy(true)
+    setBulkMessage('')
+    try {
+      const count = await action(user.uid, selectedEntries)
+      setEntries((prev) => applyLocally(prev, selectedIds))
+      setBulkMessage(describe(count))
+      setConfirmDelete(false)
+      return true
+    } catch (err) {
+      console.error('Bulk vocab action failed:', err)
+      setBulkMessage(err.message || 'Something went wrong. Please try again.')
+      return false
+    } finally {
+      setBulkBusy(false)
+    }
+  }
+
+  const handleBulkStatus = () =>
+    runBulkAction(
+      (uid, selected) => bulkSetVocabStatus(uid, selected, bulkStatus),
+      (prev, ids) => prev.map((entry) => (ids.has(entry.id) ? { ...entry, status: bulkStatus } : entry)),
+      (count) => `Set ${count} words to ${bulkStatus}.`
+    )
+
+  const handleBulkReset = () =>
+    runBulkAction(
+      bulkResetVocabSRS,
+      (prev, ids) =>
+        prev.map((entry) =>
+          ids.has(entry.id)
+            ? { ...entry, intervalDays: 0, correctStreak: 0, recallStreak: 0, nextReviewAt: null }
+            : entry
+        ),
+      (count) => `Reset the review schedule for ${count} words.`
+    )
+
+  const handleBulkDelete = () => {
+    if (!confirmDelete) {
+      setConfirmDelete(true)
+      return
+    }
+    runBulkAction(
+      bulkDeleteVocab,
+      (prev, ids) => prev.filter((entry) => !ids.has(entry.id)),
+      (count) => `Deleted ${count} words.`
+    ).then((succeeded) => succeeded && setSelectedIds(new Set()))
+  }
+
+  const handleBulkDeck = (e) => {
+    e.preventDefault()
+    const tag = normaliseTag(deckName)
+    if (!tag) return
+
+    runBulkAction(
+      (uid, selected) => bulkMoveVocabToDeck(uid, selected, tag),
+      (prev, ids) => prev.map((entry) => (ids.has(entry.id) ? { ...entry, tags: [tag] } : entry)),
+      (count) => `Moved ${count} words to "${tag}".`
+    ).then((succeeded) => succeeded && setDeckName(''))
+  }
+
+  const now = Date.now()
+
+  return (
+    <div className="vocab-browser-page">
+      <div className="review-session-header">
+        <button
+          className="button ghost icon-button"
+          onClick={() => navigate('/dashboard', { state: { initialTab: 'review' } })}
+        >
+          <ChevronLeftIcon />
+        </button>
+        <div className="review-session-title">
+          <h2>Vocabulary</h2>
+          {!loading && (
+            <span className="review-progress">
+              {filteredEntries.length} of {entries.length} words
+            </span>
+          )}
+        </div>
+      </div>
+
+      <div className="vocab-browser-filters">
+        <input
+          type="search"
+          className="vocab-browser-search"
+          placeholder="Search words, translations, decks..."
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+        />
+        <select value={languageFilter} onChange={(e) => setLanguageFilter(e.target.value)}>
+          <option value="all">All languages</option>
+          {languageOptions.map((language) => (
+            <option key={language} value={language}>
+              {language}
+            </option>
+          ))}
+        </select>
+        <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)}>
+          <option value="all">Any status</option>
+          {VOCAB_STATUSES.map((status) => (
+            <option key={status} value={status}>
+              {status}
+            </option>
+          ))}
+        </select>
+        <select value={dueFilter} onChange={(e) => setDueFilter(e.target.value)}>
+          {DUE_FILTERS.map((filter) => (
+            <option key={filter.id} value={filter.id}>
+              {filter.label}
+            </option>
+          ))}
+        </select>
+        <select value={sourceFilter} onChange={(e) => setSourceFilter(e.target.value)}>
+          <option value="all">Any source</option>
+          {sourceOptions.map((source) => (
+            <option key={source.id} value={source.id}>
+              {source.title}
+            </option>
+          ))}
+        </select>
+        <select value={addedFilter} onChange={(e) => setAddedFilter(e.target.value)}>
+          {ADDED_FILTERS.map((filter) => (
+            <option key={filter.id} value={filter.id}>
+              {filter.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {selectedEntries.length > 0 && (
+        <div className="vocab-browser-bulk-bar">
+          <span className="vocab-browser-bulk-count">{selectedEntries.length} selected</span>
+
+          <div className="vocab-browser-bulk-group">
+            <select value={bulkStatus} onChange={(e) => setBulkStatus(e.target.value)} disabled={bulkBusy}>
+              {VOCAB_STATUSES.map((status) => (
+                <option key={status} value={status}>
+                  {status}
+                </option>
+              ))}
+            </select>
+            <button className="button ghost small" onClick={handleBulkStatus} disabled={bulkBusy}>
+              Set status
+            </button>
+          </div>
+
+          <form className="vocab-browser-bulk-group" onSubmit={handleBulkDeck}>
+            <input
+              type="text"
+              placeholder="Deck name"
+              value={deckName}
+              onChange={(e) => setDeckName(e.target.value)}
+              disabled={bulkBusy}
+            />
+            <button type="submit" className="button ghost small" disabled={bulkBusy || !deckName.trim()}>
+              Move to deck
+            </button>
+          </form>
+
+          <button className="button ghost small" onClick={handleBulkReset} disabled={bulkBusy}>
+            Reset SRS
+          </button>
+          <button
+            className={`button ghost small${confirmDelete ? ' is-danger' : ''}`}
+            onClick={handleBulkDelete}
+            disabled={bulkBusy}
+          >
+            {confirmDelete ? `Delete ${selectedEntries.length} words?` : 'Delete'}
+          </button>
+        </div>
+      )}
+
+      {bulkMessage && <p className="muted small">{bulkMessage}</p>}
+
+      {loading ? (
+        <p className="muted">Loading vocabulary...</p>
+      ) : error ? (
+        <p className="error">{error}</p>
+      ) : filteredEntries.length === 0 ? (
+        <p className="muted">{entries.length ? 'No words match these filters.' : 'No saved words yet.'}</p>
+      ) : (
+        <>
+          <table className="vocab-import-table vocab-browser-table">
+            <thead>
+              <tr>
+                <th>
+                  <input type="checkbox" checked={allFilteredSelected} onChange={toggleSelectAll} />
+                </th>
+                {COLUMNS.map((column) => (
+                  <th key={column.key}>
+                    <button
+                      type="button"
+                      className={`vocab-browser-sort${sort.key === column.key ? ' is-active' : ''}`}
+                      onClick={() => handleSort(column.key)}
+                    >
+                      {column.label}
+                      {sort.key === column.key && (sort.direction === 'asc' ? ' ↑' : ' ↓')}
+                    </button>
+                  </th>
+                ))}
+                <th>Source</th>
+              </tr>
+            </thead>
+            <tbody>
+              {visibleEntries.map((entry) => (
+                <tr key={entry.id} className={selectedIds.has(entry.id) ? 'is-selected' : ''}>
+                  <td>
+                    <input
+                      type="checkbox"
+                      checked={selectedIds.has(entry.id)}
+                      onChange={() => toggleSelected(entry.id)}
+                    />
+                  </td>
+                  <td>
+                    <span className="vocab-browser-word">{entry.text}</span>
+                    {entry.tags.length > 0 && (
+                      <span className="vocab-browser-tags">
+                        {entry.tags.map((tag) => (
+                          <span key={tag} className="vocab-browser-tag">
+                            {tag}
+                          </span>
+                        ))}
+                      </span>
+                    )}
+                  </td>
+                  <td
+                    className="vocab-browser-translation"
+                    onClick={() =>
+                      editing?.id !== entry.id && setEditing({ id: entry.id, value: entry.translation || '' })
+                    }
+                  >
+                    {editing?.id === entry.id ? (
+                      <input
+                        type="text"
+                        autoFocus
+                        value={editing.value}
+                        onChange={(e) => setEditing({ id: entry.id, value: e.target.value })}
+                        onBlur={saveTranslation}
+                        onKeyDown={(e) => {
+                          if (e.key === 'Enter') e.currentTarget.blur()
+                          if (e.key === 'Escape') setEditing(null)
+                        }}
+                      />
+                    ) : (
+                      entry.translation || <span className="muted">Add translation</span>
+                    )}
+                  </td>
+                  <td>{entry.status}</td>
+                  <td>{entry.language}</td>
+                  <td>{formatDue(entry, now)}</td>
+                  <td>{formatDate(entry.createdAt)}</td>
+                  <td className="vocab-browser-source">
+                    {entry.sourceContentIds.map((contentId) => contentTitles[contentId]).filter(Boolean).join(', ') ||
+                      '—'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {filteredEntries.length > visibleCount && (
+            <button className="button ghost" onClick={() => setVisibleCount((prev) => prev + PAGE_SIZE)}>
+              Show more ({filteredEntries.length - visibleCount} remaining)
+            </button>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
+
+export default VocabBrowser
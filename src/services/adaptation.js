@@ -0,0 +1,137 @@
+import {
+  addDoc,
+  collection,
+  deleteDoc,
+  doc,
+  getDocs,
+  orderBy,
+  query,
+  serverTimestamp,
+  updateDoc,
+} from 'firebase/firestore'
+import { db } from '../firebase'
+
+/**
+ * Adaptation profiles and previews
+ * A profile is a named set of extra instructions the adaptation follows on
+ * top of the chosen level, e.g. "Latin American Spanish, avoid vosotros".
+ * Imports send the chosen profile's text along with the level; the server
+ * keeps a copy on the story so later edits don't change books in progress.
+ *
+ * Schema: users/{userId}/adaptationProfiles/{autoId}
+ * - name: string
+ * - instructions: string
+ * - createdAt / updatedAt: Timestamp
+ */
+
+const API_BASE = 'http://localhost:4000'
+
+export const MAX_PROFILE_INSTRUCTIONS_LENGTH = 2000
+
+const getProfilesCollection = (userId) => collection(db, 'users', userId, 'adaptationProfiles')
+
+/**
+ * Load the user's adaptation profiles, oldest first
+ * @returns {Promise<Array<{ id: string, name: string, instructions: string }>>}
+ */
+export const loadAdaptationProfiles = async (userId) => {
+  if (!userId) return []
+  const snapshot = await getDocs(query(getProfilesCollection(userId), orderBy('createdAt', 'asc')))
+  return snapshot.docs.map((docSnap) => ({
+    id: docSnap.id,
+    name: docSnap.data().name || '',
+    instructions: docSnap.data().instructions || '',
+  }))
+}
+
+/**
+ * Create a profile, or update it when `id` is given
+ * @returns {Promise<string>} The profile id
+ */
+export const saveAdaptationProfile = async (userId, { id, name, instructions }) => {
+  const fields = {
+    name: name.trim(),
+    instructions: instructions.trim().slice(0, MAX_PROFILE_INSTRUCTIONS_LENGTH),
+    updatedAt: serverTimestamp(),
+  }
+  if (id) {
+    await updateDoc(doc(getProfilesCollection(userId), id), fields)
+    return id
+  }
+  const ref = await addDoc(getProfilesCollection(userId), { ...fields, createdAt: serverTimestamp() })
+  return ref.id
+}
+
+export const deleteAdaptationProfile = (userId, id) => deleteDoc(doc(getProfilesCollection(userId), id))
+
+/**
+ * Form fields the import endpoints read a profile from
+ */
+export const appendAdaptationProfile = (formData, profile) => {
+  if (!profile) return
+  formData.append('adaptationProfileName', profile.name)
+  formData.append('adaptationInstructions', profile.instructions)
+}
+
+/**
+ * The same profile fields for endpoints that take a JSON body
+ */
+export const getAdaptationProfileFields = (profile) =>
+  profile ? { adaptationProfileName: profile.name, adaptationInstructions: profile.instructions } : {}
+
+/**
+ * Adapt about one page of a book file without importing it
+ * @param {Object} options
+ * @param {File} options.file
+ * @param {string} options.level
+ * @param {string} options.outputLanguage
+ * @param {{ name: string, instructions: string } | null} [options.profile]
+ * @returns {Promise<{ original: string, adapted: string, level: string }>}
+ */
+export const previewAdaptation = async ({ file, level, outputLanguage, profile = null }) => {
+  const formData = new FormData()
+  formData.append('file', file)
+  formData.append('level', level)
+  formData.append('outputLanguage', outputLanguage)
+  appendAdaptationProfile(formData, profile)
+
+  const response = await fetch(`${API_BASE}/api/adaptation/preview`, {
+    method: 'POST',
+    body: formData,
+  })
+
+  const data = await response.json().catch(() => ({}))
+  if (!response.ok) {
+    throw new Error(data.message || data.error || 'Failed to preview adaptation')
+  }
+  return data
+}
+
+/**
+ * Adapt about one page of a Project Gutenberg book without importing it
+ * @param {Object} options
+ * @param {{ id: number, epubUrl?: string }} options.book
+ * @param {string} options.level
+ * @param {string} options.outputLanguage
+ * @param {{ name: string, instructions: string } | null} [options.profile]
+ * @returns {Promise<{ original: string, adapted: string, level: string }>}
+ */
+export const previewGutenbergAdaptation = async ({ book, level, outputLanguage, profile = null }) => {
+  const response = await fetch(`${API_BASE}/api/import-gutenberg/preview`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      gutenbergId: book.id,
+      epubUrl: book.epubUrl || null,
+      level,
+      outputLanguage,
+      ...getAdaptationProfileFields(profile),
+    }),
+  })
+
+  const data = await response.json().catch(() => ({}))
+  if (!response.ok) {
+    throw new Error(data.message || data.error || 'Failed to preview adaptation')
+  }
+  return data
+}
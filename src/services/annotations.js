@@ -0,0 +1,180 @@
+import {
+  addDoc,
+  collection,
+  deleteDoc,
+  doc,
+  getDocs,
+  serverTimestamp,
+  updateDoc,
+} from 'firebase/firestore'
+import { db } from '../firebase'
+
+/**
+ * Reader annotations service
+ * Highlights (with an optional note) and bookmarks on a book. Passages are
+ * stored as chapter character offsets, the same coordinates as the saved
+ * reading position, so they land on the same words after a font or layout
+ * change and on every device.
+ *
+ * Schema: users/{userId}/{stories|generatedBooks}/{bookId}/annotations/{autoId}
+ * - type: 'highlight' | 'bookmark'
+ * - chapterIndex: number
+ * - startOffset / endOffset: number (a bookmark has endOffset === startOffset)
+ * - text: string (the highlighted passage, or the opening words of a bookmark)
+ * - color: string | null (highlights only, one of ANNOTATION_COLORS)
+ * - note: string
+ * - createdAt / updatedAt: Timestamp
+ */
+
+export const ANNOTATION_TYPES = ['highlight', 'bookmark']
+
+// Swatch values for the popup; the highlights themselves are styled in style.css
+export const ANNOTATION_COLORS = [
+  { id: 'yellow', label: 'Yellow', swatch: '#F2D46B' },
+  { id: 'green', label: 'Green', swatch: '#9CCB86' },
+  { id: 'blue', label: 'Blue', swatch: '#8FB8DE' },
+  { id: 'pink', label: 'Pink', swatch: '#E8A0B4' },
+]
+
+export const DEFAULT_ANNOTATION_COLOR = 'yellow'
+
+const getAnnotationsCollection = (userId, bookId, isGeneratedBook) =>
+  collection(db, 'users', userId, isGeneratedBook ? 'generatedBooks' : 'stories', bookId, 'annotations')
+
+const resolveColor = (color) =>
+  ANNOTATION_COLORS.some((option) => option.id === color) ? color : DEFAULT_ANNOTATION_COLOR
+
+const mapAnnotationDoc = (docSnap) => {
+  const data = docSnap.data()
+  return {
+    id: docSnap.id,
+    type: data.type,
+    chapterIndex: data.chapterIndex ?? 0,
+    startOffset: data.startOffset ?? 0,
+    endOffset: data.endOffset ?? data.startOffset ?? 0,
+    text: data.text || '',
+    color: data.color || null,
+    note: data.note || '',
+    createdAt: data.createdAt || null,
+  }
+}
+
+/**
+ * Sort annotations into reading order
+ */
+export const sortAnnotations = (annotations) =>
+  [...annotations].sort(
+    (a, b) => a.chapterIndex - b.chapterIndex || a.startOffset - b.startOffset || a.endOffset - b.endOffset
+  )
+
+/**
+ * Load every annotation on a book, in reading order
+ */
+export const loadAnnotations = async (userId, bookId, isGeneratedBook = false) => {
+  if (!userId || !bookId) return []
+  const snapshot = await getDocs(getAnnotationsCollection(userId, bookId, isGeneratedBook))
+  return sortAnnotations(snapshot.docs.map(mapAnnotationDoc))
+}
+
+/**
+ * Save a highlight or bookmark
+ * @param {{ type: string, chapterIndex: number, startOffset: number, endOffset?: number, text?: string, color?: string, note?: string }} annotation
+ * @returns {Promise<object>} The saved annotation, with its id
+ */
+export const addAnnotation = async (userId, bookId, isGeneratedBook, annotation) => {
+  if (!userId || !bookId) throw new Error('userId and bookId are required')
+  if (!ANNOTATION_TYPES.includes(annotation?.type)) throw new Error('Unknown annotation type')
+
+  const isHighlight = annotation.type === 'highlight'
+  const data = {
+    type: annotation.type,
+    chapterIndex: Number(annotation.chapterIndex) || 0,
+    startOffset: Number(annotation.startOffset) || 0,
+    endOffset: isHighlight ? Number(annotation.endOffset) || 0 : Number(annotation.startOffset) || 0,
+    text: (annotation.text || '').trim(),
+    color: isHighlight ? resolveColor(annotation.color) : null,
+    note: (annotation.note || '').trim(),
+  }
+
+  const docRef = await addDoc(getAnnotationsCollection(userId, bookId, isGeneratedBook), {
+    ...data,
+    createdAt: serverTimestamp(),
+    updatedAt: serverTimestamp(),
+  })
+
+  return { id: docRef.id, ...data, createdAt: null }
+}
+
+/**
+ * Change a highlight's colour or an annotation's note
+ * @param {{ color?: string, note?: string }} updates
+ */
+export const updateAnnotation = async (userId, bookId, isGeneratedBook, annotationId, updates) => {
+  if (!userId || !bookId || !annotationId) return
+
+  const data = { updatedAt: serverTimestamp() }
+  if (updates.color !== undefined) data.color = resolveColor(updates.color)
+  if (updates.note !== undefined) data.note = (updates.note || '').trim()
+
+  await updateDoc(doc(getAnnotationsCollection(userId, bookId, isGeneratedBook), annotationId), data)
+}
+
+export const deleteAnnotation = async (userId, bookId, isGeneratedBook, annotationId) => {
+  if (!userId || !bookId || !annotationId) return
+  await deleteDoc(doc(getAnnotationsCollection(userId, bookId, isGeneratedBook), annotationId))
+}
+
+const quoteMarkdown = (text) =>
+  text
+    .split('\n')
+    .map((line) => `> ${line}`.trimEnd())
+    .join('\n')
+
+/**
+ * Markdown export of a book's annotations, grouped by chapter
+ * @param {string} title - Book title
+ * @param {Array} annotations
+ * @param {string[]} [chapterTitles] - Heading for each chapter index
+ */
+export const annotationsToMarkdown = (title, annotations, chapterTitles = []) => {
+  const lines = [`# ${title || 'Untitled'}`, '']
+  let currentChapter = null
+
+  sortAnnotations(annotations).forEach((annotation) => {
+    if (annotation.chapterIndex !== currentChapter) {
+      currentChapter = annotation.chapterIndex
+      lines.push(`## ${chapterTitles[currentChapter] || `Chapter ${currentChapter + 1}`}`, '')
+    }
+
+    if (annotation.type === 'bookmark') {
+      lines.push(`- 🔖 Bookmark: “${annotation.text}…”`)
+      if (annotation.note) lines.push(`  ${annotation.note}`)
+      lines.push('')
+      return
+    }
+
+    lines.push(quoteMarkdown(annotation.text))
+    if (annotation.note) lines.push('', annotation.note)
+    lines.push('')
+  })
+
+  return `${lines.join('\n').trimEnd()}\n`
+}
+
+/**
+ * Download a book's annotations as a .md file
+ */
+export const downloadAnnotationsMarkdown = (title, annotations, chapterTitles = []) => {
+  const markdown = annotationsToMarkdown(title, annotations, chapterTitles)
+  const slug = (title || 'book').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '') || 'book'
+
+  const blob = new Blob([markdown], { type: 'text/markdown;charset=utf-8' })
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = `${slug}-annotations.md`
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  URL.revokeObjectURL(url)
+}
@@ -0,0 +1,44 @@
+// Article Import Service
+// Imports a news or blog article by URL. The server pulls the article out
+// of the page (title, byline, body, lead image) and saves it as a story that
+// is either adapted like an uploaded book or kept as written.
+
+const API_BASE = 'http://localhost:4000'
+
+const postJson = async (path, body, fallbackMessage) => {
+  const response = await fetch(`${API_BASE}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  })
+
+  const data = await response.json().catch(() => ({}))
+  if (!response.ok) {
+    throw new Error(data.message || data.error || fallbackMessage)
+  }
+  return data
+}
+
+/**
+ * Fetch an article's metadata without importing it
+ * @param {string} url
+ * @returns {Promise<{ url: string, title: string, byline: string, siteName: string, language: string, leadImageUrl: string|null, excerpt: string, wordCount: number }>}
+ */
+export const previewArticle = (url) =>
+  postJson('/api/import-url/preview', { url }, 'Failed to load article')
+
+/**
+ * Import an article as a story
+ * @param {Object} options
+ * @param {string} options.url
+ * @param {string} options.userId
+ * @param {string} options.outputLanguage
+ * @param {'graded' | 'native'} options.translationMode - 'native' keeps the article as written
+ *   when it is already in outputLanguage, and otherwise translates it without simplifying
+ * @param {string} [options.level] - Adaptation level for graded imports
+ * @param {string} [options.adaptationProfileName] - Name of the adaptation profile, if any
+ * @param {string} [options.adaptationInstructions] - The profile's extra instructions
+ * @returns {Promise<{ bookId: string, chapterCount: number }>}
+ */
+export const importArticle = (options) =>
+  postJson('/api/import-url', options, 'Failed to import article')
@@ -0,0 +1,209 @@
+import { doc, getDoc, increment, serverTimestamp, setDoc } from 'firebase/firestore'
+import { db } from '../firebase'
+import { resolveSupportedLanguageLabel } from '../constants/languages'
+import { gradeTypedAnswer } from '../utils/answerGrading'
+import { loadUserVocab } from './vocab'
+
+/**
+ * Conjugation trainer
+ * Drills the forms of verbs the user already knows from their own vocab.
+ * Tenses the user gets wrong are picked more often.
+ *
+ * Schema: users/{userId}/conjugationStats/{language}
+ * - language: string
+ * - tenses: { [tenseId]: { attempts: number, correct: number } }
+ * - updatedAt: Timestamp
+ */
+
+const API_BASE = 'http://localhost:4000'
+
+export const CONJUGATION_SESSION_LENGTH = 20
+
+// Only verbs the user is comfortable with are worth drilling forms of
+const TRAINABLE_STATUSES = ['familiar', 'known']
+const MAX_CANDIDATE_WORDS = 30
+
+const SPANISH_PERSONS = ['yo', 'tú', 'él/ella', 'nosotros', 'vosotros', 'ellos/ellas']
+const FRENCH_PERSONS = ['je', 'tu', 'il/elle', 'nous', 'vous', 'ils/elles']
+const ITALIAN_PERSONS = ['io', 'tu', 'lui/lei', 'noi', 'voi', 'loro']
+const ENGLISH_PERSONS = ['I', 'you', 'he/she', 'we', 'they']
+const RUSSIAN_PERSONS = ['я', 'ты', 'он/она', 'мы', 'вы', 'они']
+
+// Tenses drilled per language; `persons` are the prompts, in table order
+export const CONJUGATION_TENSES = {
+  Spanish: [
+    { id: 'present', label: 'Presente', persons: SPANISH_PERSONS },
+    { id: 'preterite', label: 'Pretérito indefinido', persons: SPANISH_PERSONS },
+    { id: 'imperfect', label: 'Pretérito imperfecto', persons: SPANISH_PERSONS },
+    { id: 'future', label: 'Futuro', persons: SPANISH_PERSONS },
+    { id: 'conditional', label: 'Condicional', persons: SPANISH_PERSONS },
+    { id: 'present_subjunctive', label: 'Presente de subjuntivo', persons: SPANISH_PERSONS },
+  ],
+  French: [
+    { id: 'present', label: 'Présent', persons: FRENCH_PERSONS },
+    { id: 'passe_compose', label: 'Passé composé', persons: FRENCH_PERSONS },
+    { id: 'imperfect', label: 'Imparfait', persons: FRENCH_PERSONS },
+    { id: 'future', label: 'Futur simple', persons: FRENCH_PERSONS },
+    { id: 'conditional', label: 'Conditionnel présent', persons: FRENCH_PERSONS },
+    { id: 'present_subjunctive', label: 'Subjonctif présent', persons: FRENCH_PERSONS },
+  ],
+  Italian: [
+    { id: 'present', label: 'Presente', persons: ITALIAN_PERSONS },
+    { id: 'passato_prossimo', label: 'Passato prossimo', persons: ITALIAN_PERSONS },
+    { id: 'imperfect', label: 'Imperfetto', persons: ITALIAN_PERSONS },
+    { id: 'future', label: 'Futuro semplice', persons: ITALIAN_PERSONS },
+    { id: 'conditional', label: 'Condizionale presente', persons: ITALIAN_PERSONS },
+    { id: 'present_subjunctive', label: 'Congiuntivo presente', persons: ITALIAN_PERSONS },
+  ],
+  English: [
+    { id: 'present', label: 'Present simple', persons: ENGLISH_PERSONS },
+    { id: 'past', label: 'Past simple', persons: ENGLISH_PERSONS },
+    { id: 'present_perfect', label: 'Present perfect', persons: ENGLISH_PERSONS },
+    { id: 'future', label: 'Future (will)', persons: ENGLISH_PERSONS },
+  ],
+  Russian: [
+    { id: 'present', label: 'Настоящее время', persons: RUSSIAN_PERSONS },
+    // Russian past tense agrees in gender and number rather than person
+    { id: 'past', label: 'Прошедшее время', persons: ['он', 'она', 'оно', 'они'] },
+    { id: 'future', label: 'Будущее время', persons: RUSSIAN_PERSONS },
+  ],
+}
+
+export const getConjugationTenses = (language) =>
+  CONJUGATION_TENSES[resolveSupportedLanguageLabel(language, '')] || []
+
+const getStatsRef = (userId, language) =>
+  doc(db, 'users', userId, 'conjugationStats', resolveSupportedLanguageLabel(language, language))
+
+/**
+ * Verbs from the user's familiar and known vocab, with their conjugations
+ * @returns {Promise<Array<{ word: string, infinitive: string, translation: string, tenses: Object<string, string[]> }>>}
+ */
+export const loadTrainableVerbs = async (userId, language) => {
+  const tenses = getConjugationTenses(language)
+  if (!userId || !tenses.length) return []
+
+  const vocab = await loadUserVocab(userId, language)
+  const candidates = Object.values(vocab).filter(
+    (entry) => TRAINABLE_STATUSES.includes(entry.status) && entry.text && !entry.text.trim().includes(' ')
+  )
+  // A different sample each session, so large vocabularies rotate through
+  const sample = [...candidates].sort(() => Math.random() - 0.5).slice(0, MAX_CANDIDATE_WORDS)
+  if (!sample.length) return []
+
+  const response = await fetch(`${API_BASE}/api/conjugation/verbs`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      language,
+      words: sample.map((entry) => entry.text),
+      tenses,
+    }),
+  })
+
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}))
+    throw new Error(error.error || 'Failed to load verbs')
+  }
+
+  const data = await response.json()
+  // Keyed the same way on both sides, whatever form the server echoes back
+  const toKey = (word) => String(word || '').trim().toLowerCase()
+  const translations = Object.fromEntries(sample.map((entry) => [toKey(entry.text), entry.translation]))
+  return (data.verbs || []).map((verb) => ({ ...verb, translation: translations[toKey(verb.word)] || '' }))
+}
+
+/**
+ * Per-tense answer counts for a language
+ * @returns {Promise<Object<string, { attempts: number, correct: number }>>}
+ */
+export const loadConjugationStats = async (userId, language) => {
+  const snap = await getDoc(getStatsRef(userId, language))
+  return snap.exists() ? snap.data().tenses || {} : {}
+}
+
+export const recordConjugationAnswer = (userId, language, tenseId, isCorrect) =>
+  setDoc(
+    getStatsRef(userId, language),
+    {
+      language: resolveSupportedLanguageLabel(language, language),
+      tenses: { [tenseId]: { attempts: increment(1), correct: increment(isCorrect ? 1 : 0) } },
+      updatedAt: serverTimestamp(),
+    },
+    { merge: true }
+  )
+
+/**
+ * Accuracy for a tense, or null before it's been drilled
+ */
+export const getTenseAccuracy = (stats, tenseId) => {
+  const entry = stats?.[tenseId]
+  return entry?.attempts ? entry.correct / entry.attempts : null
+}
+
+// Smoothed error rate: an untried tense counts as half wrong, and one bad
+// answer doesn't make a tense dominate the session
+const getTenseWeight = (stats, tenseId) => {
+  const { attempts = 0, correct = 0 } = stats?.[tenseId] || {}
+  const errorRate = 1 - (correct + 1) / (attempts + 2)
+  return 1 + errorRate * 4
+}
+
+const pickWeighted = (items, getWeight) => {
+  const weights = items.map(getWeight)
+  let roll = Math.random() * weights.reduce((sum, weight) => sum + weight, 0)
+  for (let i = 0; i < items.length; i++) {
+    roll -= weights[i]
+    if (roll <= 0) return items[i]
+  }
+  return items[items.length - 1]
+}
+
+/**
+ * Build a drill session: weak tenses come up more often
+ * @returns {Array<{ verb: Object, tense: Object, person: string, answer: string }>}
+ */
+export const buildConjugationPrompts = (verbs, language, stats, count = CONJUGATION_SESSION_LENGTH) => {
+  const tenses = getConjugationTenses(language).filter((tense) =>
+    verbs.some((verb) => verb.tenses?.[tense.id]?.length === tense.persons.length)
+  )
+  if (!tenses.length) return []
+
+  const prompts = []
+  for (let i = 0; i < count; i++) {
+    const tense = pickWeighted(tenses, (item) => getTenseWeight(stats, item.id))
+    const conjugable = verbs.filter((verb) => verb.tenses?.[tense.id]?.length === tense.persons.length)
+    const verb = conjugable[Math.floor(Math.random() * conjugable.length)]
+    const personIndex = Math.floor(Math.random() * tense.persons.length)
+    prompts.push({
+      verb,
+      tense,
+      person: tense.persons[personIndex],
+      answer: verb.tenses[tense.id][personIndex],
+    })
+  }
+  return prompts
+}
+
+// Drop a leading subject pronoun typed along with the form
+const stripTypedPerson = (typed, person) => {
+  const text = String(typed || '').trim()
+  const pronoun = person
+    .split('/')
+    .find((option) => text.toLowerCase().startsWith(`${option.toLowerCase()} `))
+  return pronoun ? text.slice(pronoun.length).trim() : text
+}
+
+/**
+ * Grade a typed form, accent-tolerant like the review modes
+ * A one-letter slip usually lands on another person's ending (hablo/habla),
+ * so unlike vocab review it counts as wrong here.
+ *
+ * @returns {{ isCorrect: boolean, feedback: 'exact' | 'accents' | 'wrong' }}
+ */
+export const gradeConjugationAnswer = (prompt, typed) => {
+  const { feedback } = gradeTypedAnswer(prompt.answer, stripTypedPerson(typed, prompt.person))
+  return feedback === 'exact' || feedback === 'accents'
+    ? { isCorrect: true, feedback }
+    : { isCorrect: false, feedback: 'wrong' }
+}
@@ -0,0 +1,80 @@
+// Coverage Service
+// Lexical coverage of library content against the user's vocab: the share
+// of running words already known (familiar and recognised words count
+// partly). Scores are computed server-side and kept in memory for a few
+// minutes, so moving between library pages doesn't rescore everything while
+// vocab learned in the meantime still shows up.
+
+import { resolveSupportedLanguageLabel } from '../constants/languages'
+
+const API_BASE = 'http://localhost:4000'
+
+// Below this, most readers need a dictionary on nearly every line
+export const HARD_COVERAGE_THRESHOLD = 0.95
+
+// The server scores at most this many items per request
+const ITEMS_PER_REQUEST = 40
+const CACHE_TTL_MS = 5 * 60 * 1000
+
+// `${userId}:${language}` → Map(`${contentType}:${contentId}` → { coverage, fetchedAt })
+const coverageCache = new Map()
+
+const getUserCache = (userId, language) => {
+  const key = `${userId}:${resolveSupportedLanguageLabel(language, language)}`
+  if (!coverageCache.has(key)) coverageCache.set(key, new Map())
+  return coverageCache.get(key)
+}
+
+export const getCoverageKey = (contentType, contentId) => `${contentType}:${contentId}`
+
+export const isHardCoverage = (coverage) =>
+  Boolean(coverage) && coverage.coverage < HARD_COVERAGE_THRESHOLD
+
+export const formatCoverage = (coverage) => {
+  if (!coverage) return ''
+  // 99.6% reads as "100%" but isn't full coverage
+  const percent = Math.floor(coverage.coverage * 1000) / 10
+  return `${percent % 1 === 0 ? percent.toFixed(0) : percent.toFixed(1)}%`
+}
+
+/**
+ * Coverage for a batch of library items
+ * @param {string} userId
+ * @param {string} language
+ * @param {Array<{ contentType: 'story' | 'generatedBook' | 'youtube' | 'spotify' | 'podcast', contentId: string }>} items
+ * @returns {Promise<Object<string, { coverage: number, totalWords: number, uniqueWords: number, topUnknown: Array<{ word: string, count: number }> } | null>>}
+ *   keyed by getCoverageKey; null for items with no text yet
+ */
+export async function fetchContentCoverage(userId, language, items) {
+  if (!userId || !language || !Array.isArray(items) || items.length === 0) return {}
+
+  const cache = getUserCache(userId, language)
+  const now = Date.now()
+  const missing = items.filter((item) => {
+    const cached = cache.get(getCoverageKey(item.contentType, item.contentId))
+    return !cached || now - cached.fetchedAt > CACHE_TTL_MS
+  })
+
+  for (let i = 0; i < missing.length; i += ITEMS_PER_REQUEST) {
+    const response = await fetch(`${API_BASE}/api/content/coverage`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ uid: userId, language, items: missing.slice(i, i + ITEMS_PER_REQUEST) }),
+    })
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}))
+      throw new Error(error.error || 'Failed to load coverage')
+    }
+
+    const data = await response.json()
+    Object.entries(data.coverage || {}).forEach(([key, coverage]) => cache.set(key, { coverage, fetchedAt: now }))
+  }
+
+  const result = {}
+  items.forEach(({ contentType, contentId }) => {
+    const key = getCoverageKey(contentType, contentId)
+    if (cache.has(key)) result[key] = cache.get(key).coverage
+  })
+  return result
+}
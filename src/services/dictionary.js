@@ -0,0 +1,51 @@
+// Dictionary Service
+// Full entries for a clicked word: part of speech, gender, senses with
+// examples and inflection tables. The server caches entries per word and
+// language pair; this keeps this session's lookups so reopening is instant.
+
+import { resolveSupportedLanguageLabel } from '../constants/languages'
+
+const API_BASE = 'http://localhost:4000'
+
+const entryCache = new Map()
+
+/**
+ * @typedef {Object} DictionaryEntry
+ * @property {string} word
+ * @property {string} lemma
+ * @property {string} partOfSpeech
+ * @property {'masculine' | 'feminine' | 'neuter' | null} gender
+ * @property {Array<{ translation: string, definition: string, examples: Array<{ text: string, translation: string }> }>} senses
+ *   - the sense used in the context sentence first, when one was given
+ * @property {Array<{ title: string, rows: Array<{ label: string, form: string }> }>} tables
+ */
+
+/**
+ * Look up a word
+ * @param {string} word
+ * @param {Object} options
+ * @param {string} options.sourceLanguage - Language of the word
+ * @param {string} [options.nativeLanguage] - Language for translations
+ * @param {string} [options.context] - The sentence the word was clicked in
+ * @returns {Promise<{ entry: DictionaryEntry, rankedByContext: boolean }>}
+ */
+export async function lookupDictionaryEntry(word, { sourceLanguage, nativeLanguage, context = '' }) {
+  const targetLanguage = resolveSupportedLanguageLabel(nativeLanguage)
+  const cacheKey = [sourceLanguage, targetLanguage, word.trim().toLowerCase(), context.trim()].join('|')
+  if (entryCache.has(cacheKey)) return entryCache.get(cacheKey)
+
+  const response = await fetch(`${API_BASE}/api/dictionary`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ word, sourceLang: sourceLanguage, targetLang: targetLanguage, context }),
+  })
+
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}))
+    throw new Error(error.error || 'Failed to look up word')
+  }
+
+  const data = await response.json()
+  entryCache.set(cacheKey, data)
+  return data
+}
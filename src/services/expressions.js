@@ -0,0 +1,81 @@
+// Expression Detection Service
+// Finds idioms, phrasal verbs and collocations in a page or transcript so the
+// Reader and Cinema can render each one as a single clickable unit.
+
+import { normaliseExpression } from './vocab'
+
+const API_BASE = 'http://localhost:4000'
+
+// Matches the server's per-request scan limit
+const MAX_CHUNK_CHARS = 6000
+
+// Split on paragraph (or line) breaks into chunks the server will scan whole
+const chunkText = (text) => {
+  const chunks = []
+  let current = ''
+
+  text.split(/\n+/).forEach((paragraph) => {
+    const piece = paragraph.trim()
+    if (!piece) return
+
+    if (current && current.length + piece.length + 1 > MAX_CHUNK_CHARS) {
+      chunks.push(current)
+      current = ''
+    }
+    current = current ? `${current}\n${piece}` : piece.slice(0, MAX_CHUNK_CHARS)
+  })
+
+  if (current) chunks.push(current)
+  return chunks
+}
+
+/**
+ * Merge expression lists, keeping the first occurrence of each expression
+ * @param {Array<{ text: string }>} existing
+ * @param {Array<{ text: string }>} incoming
+ */
+export function mergeExpressions(existing = [], incoming = []) {
+  const seen = new Set(existing.map((expr) => normaliseExpression(expr.text || '')))
+  const merged = [...existing]
+  incoming.forEach((expr) => {
+    const key = normaliseExpression(expr.text || '')
+    if (!key || seen.has(key)) return
+    seen.add(key)
+    merged.push(expr)
+  })
+  return merged
+}
+
+/**
+ * Detect multi-word expressions in a text
+ * @param {string} text
+ * @param {string} language - Target language of the text
+ * @param {string} [nativeLanguage] - Language for the returned meanings
+ * @returns {Promise<Array<{ text: string, meaning: string, type: 'idiom' | 'phrasal_verb' | 'collocation' }>>}
+ */
+export async function detectExpressions(text, language, nativeLanguage) {
+  if (!text || !language) return []
+
+  let expressions = []
+
+  for (const chunk of chunkText(text)) {
+    const response = await fetch(`${API_BASE}/api/expressions/detect`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text: chunk, language, nativeLanguage }),
+    })
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}))
+      throw new Error(error.error || 'Failed to detect expressions')
+    }
+
+    const data = await response.json()
+    expressions = mergeExpressions(
+      expressions,
+      (data.expressions || []).map(({ text: exprText, meaning, type }) => ({ text: exprText, meaning, type }))
+    )
+  }
+
+  return expressions
+}
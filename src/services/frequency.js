@@ -0,0 +1,90 @@
+// Word Frequency Service
+// Bundled frequency lists (src/data/frequency/{code}.txt, most frequent word
+// form first; sources and licenses in SOURCES.md there) give every word a
+// rank, so the most common unknown words can be shown and studied first.
+// Words outside the list have no rank.
+
+import { toLanguageCode } from '../constants/languages'
+
+// Each list is its own chunk, only fetched once a language needs it
+const FREQUENCY_LISTS = import.meta.glob('../data/frequency/*.txt', { query: '?raw', import: 'default' })
+
+const rankCache = new Map()
+
+/**
+ * Parse a frequency list into word → rank (1-based)
+ * @param {string} raw
+ * @returns {Map<string, number>}
+ */
+export const parseFrequencyList = (raw) => {
+  const ranks = new Map()
+  String(raw || '')
+    .split('\n')
+    .map((line) => line.trim().toLowerCase())
+    .filter((line) => line && !line.startsWith('#'))
+    .forEach((word) => {
+      if (!ranks.has(word)) ranks.set(word, ranks.size + 1)
+    })
+  return ranks
+}
+
+/**
+ * Frequency ranks for a language, loaded once per session
+ * @param {string} language - Label or code
+ * @returns {Promise<Map<string, number>>} empty for a language without a list
+ */
+export const loadFrequencyRanks = (language) => {
+  const code = toLanguageCode(language)
+  const loader = FREQUENCY_LISTS[`../data/frequency/${code}.txt`]
+  if (!loader) return Promise.resolve(new Map())
+
+  if (!rankCache.has(code)) {
+    rankCache.set(
+      code,
+      loader()
+        .then(parseFrequencyList)
+        .catch((err) => {
+          console.error(`Failed to load ${code} frequency list`, err)
+          rankCache.delete(code)
+          return new Map()
+        })
+    )
+  }
+  return rankCache.get(code)
+}
+
+/**
+ * @param {Map<string, number>} ranks
+ * @param {string} word
+ * @returns {number | null}
+ */
+export const getFrequencyRank = (ranks, word) => {
+  if (!ranks?.size || !word) return null
+  return ranks.get(String(word).trim().toLowerCase()) ?? null
+}
+
+export const getWordFrequencyRank = async (language, word) =>
+  getFrequencyRank(await loadFrequencyRanks(language), word)
+
+/**
+ * Short label for the popup, e.g. "#42 · top 100"
+ * @param {number | null} rank
+ */
+export const formatFrequencyRank = (rank) => {
+  if (!rank) return 'Rare'
+  const band = [100, 500, 1000].find((limit) => rank <= limit)
+  return band ? `#${rank} · top ${band}` : `#${rank}`
+}
+
+/**
+ * Sort words or cards so the most common come first; unranked ones keep
+ * their order at the end
+ * @param {Array} items
+ * @param {Map<string, number>} ranks
+ * @param {(item: any) => string} [getText]
+ */
+export const sortByFrequency = (items, ranks, getText = (item) => item) =>
+  items
+    .map((item, index) => ({ item, index, rank: getFrequencyRank(ranks, getText(item)) ?? Infinity }))
+    .sort((a, b) => a.rank - b.rank || a.index - b.index)
+    .map(({ item }) => item)
@@ -0,0 +1,65 @@
+// Lemma Service
+// Maps inflected word forms to their dictionary form ("hablé", "hablaremos" → "hablar").
+// Lemmas are computed and cached server-side; this module keeps an in-memory
+// copy per language so a page's words are only requested once per session.
+
+import { resolveSupportedLanguageLabel } from '../constants/languages'
+
+const API_BASE = 'http://localhost:4000'
+
+// language → Map(form → lemma)
+const lemmaCache = new Map()
+
+const getLanguageCache = (language) => {
+  const key = resolveSupportedLanguageLabel(language, language)
+  if (!lemmaCache.has(key)) lemmaCache.set(key, new Map())
+  return lemmaCache.get(key)
+}
+
+/**
+ * Look up lemmas for a list of word forms
+ * @param {string} language
+ * @param {string[]} words
+ * @returns {Promise<Object<string, string>>} form (lowercase) → lemma
+ */
+export async function fetchLemmas(language, words) {
+  if (!language || !Array.isArray(words) || words.length === 0) return {}
+
+  const cache = getLanguageCache(language)
+  const forms = [...new Set(words.map((word) => String(word || '').toLowerCase().trim()).filter(Boolean))]
+  const missing = forms.filter((form) => !cache.has(form))
+
+  // The server accepts up to 500 words per request
+  for (let i = 0; i < missing.length; i += 500) {
+    const response = await fetch(`${API_BASE}/api/lemmatize`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ language, words: missing.slice(i, i + 500) }),
+    })
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}))
+      throw new Error(error.error || 'Failed to lemmatize words')
+    }
+
+    const data = await response.json()
+    Object.entries(data.lemmas || {}).forEach(([form, lemma]) => {
+      if (lemma) cache.set(form, lemma)
+    })
+  }
+
+  const result = {}
+  forms.forEach((form) => {
+    if (cache.has(form)) result[form] = cache.get(form)
+  })
+  return result
+}
+
+/**
+ * Lemma for a single word form, or null if it couldn't be resolved
+ */
+export async function fetchLemma(language, word) {
+  const form = String(word || '').toLowerCase().trim()
+  const lemmas = await fetchLemmas(language, [form])
+  return lemmas[form] || null
+}
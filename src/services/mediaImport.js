@@ -0,0 +1,38 @@
+// Media Import Service
+// Uploads a local video or audio file with its subtitle file. The subtitles
+// become the transcript, so the item opens in Cinema like a YouTube import.
+
+const API_BASE = 'http://localhost:4000'
+
+export const MEDIA_FILE_ACCEPT = '.mp4,.m4v,.mov,.webm,.mkv,.mp3,.m4a,.aac,.wav,.ogg,.opus,.flac'
+export const SUBTITLE_FILE_ACCEPT = '.srt,.vtt,.ass,.ssa'
+
+/**
+ * Import a local video/audio file with subtitles into the listening library
+ * @param {Object} options
+ * @param {File} options.mediaFile
+ * @param {File} options.subtitleFile - SRT, VTT or ASS
+ * @param {string} options.title
+ * @param {string} options.language - The language spoken (and subtitled)
+ * @param {string} options.uid
+ * @returns {Promise<{ id: string }>} The new youtubeVideos doc; it stays 'importing' until the upload finishes
+ */
+export const importSubtitledMedia = async ({ mediaFile, subtitleFile, title, language, uid }) => {
+  const formData = new FormData()
+  formData.append('media', mediaFile)
+  formData.append('subtitles', subtitleFile)
+  formData.append('title', title)
+  formData.append('language', language)
+  formData.append('uid', uid)
+
+  const response = await fetch(`${API_BASE}/api/media/import`, {
+    method: 'POST',
+    body: formData,
+  })
+
+  const data = await response.json().catch(() => ({}))
+  if (!response.ok) {
+    throw new Error(data.message || data.error || 'Failed to import media')
+  }
+  return data
+}
@@ -0,0 +1,55 @@
+// OCR Import Service
+// Scanned PDFs and photos of book pages go through server-side OCR first.
+// The recognised pages come back for review; the corrected text is then
+// imported like any .txt book.
+
+const API_BASE = 'http://localhost:4000'
+
+export const OCR_FILE_ACCEPT = '.pdf,.jpg,.jpeg,.png'
+
+// Mean word confidence (0–100) below which a page is flagged for a closer look
+export const LOW_OCR_CONFIDENCE = 70
+
+/**
+ * Recognise the text of scanned pages
+ * @param {File[]} files - PDFs and/or page photos, in reading order
+ * @param {string} originalLanguage - The book's language, used as the OCR language hint
+ * @returns {Promise<Array<{ index: number, text: string, confidence: number|null }>>}
+ */
+export async function recognisePages(files, originalLanguage) {
+  const formData = new FormData()
+  files.forEach((file) => formData.append('files', file))
+  formData.append('originalLanguage', originalLanguage || '')
+
+  const response = await fetch(`${API_BASE}/api/import-upload/ocr`, {
+    method: 'POST',
+    body: formData,
+  })
+
+  const data = await response.json().catch(() => ({}))
+  if (!response.ok) {
+    throw new Error(data.message || data.error || 'Text recognition failed')
+  }
+  return data.pages || []
+}
+
+/**
+ * Join reviewed pages into a .txt file for /api/import-upload
+ * A page that ends mid-sentence runs on into the next one.
+ * @param {Array<{ text: string }>} pages - In reading order
+ * @param {string} title - Used for the file name
+ * @returns {File}
+ */
+export function buildOcrTextFile(pages, title) {
+  const text = pages
+    .map((page) => page.text.trim())
+    .filter(Boolean)
+    .reduce((joined, pageText) => {
+      if (!joined) return pageText
+      const continues = !/[.!?…:»"”)]$/.test(joined) && /^\p{Ll}/u.test(pageText)
+      return `${joined}${continues ? ' ' : '\n\n'}${pageText}`
+    }, '')
+
+  const fileName = `${(title || 'scanned-book').replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-|-$/g, '')}.txt`
+  return new File([text], fileName, { type: 'text/plain' })
+}
@@ -0,0 +1,174 @@
+import { collection, doc, getDoc, getDocs, orderBy, query } from 'firebase/firestore'
+import { db } from '../firebase'
+import { resolveSupportedLanguageLabel } from '../constants/languages'
+import { loadUserVocab } from './vocab'
+import { loadReadAlongTimeline } from './readAlong'
+import {
+  cacheOfflineMedia,
+  deleteOfflineBundle,
+  saveOfflineBundle,
+  saveOfflineVocabSnapshot,
+} from './offlineStore'
+
+/**
+ * Offline downloads
+ * Everything the Reader or Cinema needs to open a story or video with no
+ * connection: text, timings, cached translations, a vocab snapshot for the
+ * language and the audio. YouTube and Spotify stream their own media, which
+ * can't be downloaded, so videos keep their transcript and any dubbed audio.
+ */
+
+const API_BASE = 'http://localhost:4000'
+
+// Firestore Timestamps don't survive IndexedDB's structured clone; keep millis
+const toStorable = (value) => {
+  if (value?.toMillis) return value.toMillis()
+  if (Array.isArray(value)) return value.map(toStorable)
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toStorable(item)]))
+  }
+  return value
+}
+
+// Cached word translations and pronunciations for the content, from the server
+const fetchContentPreload = async (userId, contentId, contentType, targetLanguage, nativeLanguage) => {
+  const response = await fetch(`${API_BASE}/api/content/preload`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      uid: userId,
+      contentId,
+      contentType,
+      targetLanguage,
+      nativeLanguage: resolveSupportedLanguageLabel(nativeLanguage),
+    }),
+  })
+
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}))
+    throw new Error(error.error || 'Failed to load translations for offline use')
+  }
+
+  const data = await response.json()
+  return { translations: data.translations || {}, pronunciations: data.pronunciations || {} }
+}
+
+const saveVocabSnapshot = async (userId, language) => {
+  if (!language) return
+  const vocab = await loadUserVocab(userId, language)
+  await saveOfflineVocabSnapshot(userId, resolveSupportedLanguageLabel(language, language), toStorable(vocab))
+}
+
+/**
+ * Download a story for offline reading and listening
+ * @param {{ nativeLanguage?: string }} [options]
+ */
+export const downloadStoryForOffline = async (userId, storyId, { nativeLanguage } = {}) => {
+  if (!userId || !storyId) throw new Error('userId and storyId are required')
+
+  const storyRef = doc(db, 'users', userId, 'stories', storyId)
+  const storySnap = await getDoc(storyRef)
+  if (!storySnap.exists()) throw new Error('Story not found')
+
+  const story = storySnap.data() || {}
+  const language = story.language || story.outputLanguage || ''
+
+  let chapters
+  if (story.isFlat) {
+    chapters = [{
+      id: 'flat-0',
+      index: 0,
+      title: story.title || 'Untitled',
+      adaptedText: story.adaptedTextBlob || '',
+      adaptedChapterHeader: story.adaptedChapterHeader || story.chapterHeader || null,
+      adaptedChapterOutline: story.adaptedChapterOutline || story.chapterOutline || null,
+    }]
+  } else {
+    const chaptersSnap = await getDocs(query(collection(storyRef, 'chapters'), orderBy('index', 'asc')))
+    chapters = chaptersSnap.docs.map((docSnap) => ({ id: docSnap.id, ...docSnap.data() }))
+  }
+
+  // Intensive word timestamps may be split across overflow docs
+  const wordTimestamps = []
+  const transcriptSnap = await getDoc(doc(storyRef, 'transcripts', 'intensive'))
+  if (transcriptSnap.exists()) {
+    const transcript = transcriptSnap.data() || {}
+    wordTimestamps.push(...(transcript.wordTimestamps || []))
+    for (let c = 1; c < (transcript.chunkCount || 1); c++) {
+      const chunkSnap = await getDoc(doc(storyRef, 'transcripts', `intensive_${c}`))
+      if (chunkSnap.exists()) wordTimestamps.push(...(chunkSnap.data().wordTimestamps || []))
+    }
+  }
+
+  const [readAlong, preload] = await Promise.all([
+    loadReadAlongTimeline(userId, storyId),
+    language
+      ? fetchContentPreload(userId, storyId, 'story', language, nativeLanguage)
+      : { translations: {}, pronunciations: {} },
+    saveVocabSnapshot(userId, language),
+  ])
+
+  const mediaUrls = story.fullAudioUrl ? [story.fullAudioUrl] : []
+  await Promise.all(mediaUrls.map(cacheOfflineMedia))
+
+  await saveOfflineBundle({
+    type: 'story',
+    userId,
+    id: storyId,
+    title: story.storyTitle || story.title || 'Untitled',
+    language,
+    story: toStorable(story),
+    chapters: toStorable(chapters),
+    wordTimestamps,
+    readAlong,
+    ...preload,
+    mediaUrls,
+  })
+}
+
+/**
+ * Download an imported YouTube video or Spotify episode's transcript for
+ * offline use, with the dubbed audio when there is one
+ * @param {{ isSpotify?: boolean, nativeLanguage?: string }} [options]
+ */
+export const downloadVideoForOffline = async (userId, videoId, { isSpotify = false, nativeLanguage } = {}) => {
+  if (!userId || !videoId) throw new Error('userId and videoId are required')
+
+  const type = isSpotify ? 'spotify' : 'youtube'
+  const videoRef = doc(db, 'users', userId, isSpotify ? 'spotifyItems' : 'youtubeVideos', videoId)
+  const videoSnap = await getDoc(videoRef)
+  if (!videoSnap.exists()) throw new Error('Video not found')
+
+  const video = videoSnap.data() || {}
+  const language = video.isDubbed ? video.targetLanguage : video.language
+
+  const transcriptsSnap = await getDocs(collection(videoRef, isSpotify ? 'pages' : 'transcripts'))
+  const transcriptDocs = transcriptsSnap.docs.map((docSnap) => ({ id: docSnap.id, ...toStorable(docSnap.data()) }))
+
+  const [preload] = await Promise.all([
+    language
+      ? fetchContentPreload(userId, videoId, type, language, nativeLanguage)
+      : { translations: {}, pronunciations: {} },
+    saveVocabSnapshot(userId, language),
+  ])
+
+  const mediaUrls = video.dubbedAudioUrl ? [video.dubbedAudioUrl] : []
+  await Promise.all(mediaUrls.map(cacheOfflineMedia))
+
+  await saveOfflineBundle({
+    type,
+    userId,
+    id: videoId,
+    title: video.title || video.name || 'Untitled',
+    language,
+    video: toStorable(video),
+    // Spotify transcripts are pages ordered by index; YouTube ones are keyed by language
+    ...(isSpotify
+      ? { pages: transcriptDocs.sort((a, b) => (a.index ?? 0) - (b.index ?? 0)) }
+      : { transcripts: Object.fromEntries(transcriptDocs.map(({ id, ...data }) => [id, data])) }),
+    ...preload,
+    mediaUrls,
+  })
+}
+
+export const removeOfflineDownload = (type, userId, id) => deleteOfflineBundle(type, userId, id)
@@ -0,0 +1,153 @@
+/**
+ * Offline storage
+ * Downloaded content bundles and vocab snapshots live in IndexedDB, their
+ * audio in Cache Storage (served by public/sw.js), and vocab changes made
+ * while offline wait in a queue until the connection comes back.
+ *
+ * IndexedDB: intongues-offline
+ * - bundles: { key: '{type}:{userId}:{id}', type, userId, id, title, savedAt, ... }
+ * - vocabSnapshots: { key: '{userId}:{language}', vocab, savedAt }
+ * - vocabQueue: { id (auto), userId, op, args, queuedAt }
+ */
+
+const DB_NAME = 'intongues-offline'
+const DB_VERSION = 1
+
+// Must match OFFLINE_MEDIA_CACHE in public/sw.js
+export const OFFLINE_MEDIA_CACHE = 'intongues-offline-media'
+
+let dbPromise = null
+
+const openOfflineDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        const database = request.result
+        database.createObjectStore('bundles', { keyPath: 'key' })
+        database.createObjectStore('vocabSnapshots', { keyPath: 'key' })
+        database.createObjectStore('vocabQueue', { keyPath: 'id', autoIncrement: true })
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => {
+        dbPromise = null
+        reject(request.error)
+      }
+    })
+  }
+  return dbPromise
+}
+
+// Run one request against a store and resolve with its result
+const runStoreRequest = async (storeName, mode, makeRequest) => {
+  const database = await openOfflineDb()
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(storeName, mode)
+    const request = makeRequest(transaction.objectStore(storeName))
+    transaction.oncomplete = () => resolve(request.result)
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error)
+  })
+}
+
+export const isOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false
+
+/**
+ * Firestore reports a lost connection as 'unavailable'; treat it like being offline
+ */
+export const isOfflineError = (error) => isOffline() || error?.code === 'unavailable'
+
+export const registerOfflineServiceWorker = () => {
+  if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return
+  navigator.serviceWorker.register('/sw.js').catch((err) => {
+    console.error('Failed to register offline service worker', err)
+  })
+}
+
+// Content bundles
+
+const getBundleKey = (type, userId, id) => `${type}:${userId}:${id}`
+
+export const saveOfflineBundle = (bundle) =>
+  runStoreRequest('bundles', 'readwrite', (store) =>
+    store.put({ ...bundle, key: getBundleKey(bundle.type, bundle.userId, bundle.id), savedAt: Date.now() })
+  )
+
+/**
+ * @param {'story' | 'youtube' | 'spotify'} type
+ * @returns {Promise<object | null>}
+ */
+export const loadOfflineBundle = async (type, userId, id) => {
+  if (!userId || !id) return null
+  return (await runStoreRequest('bundles', 'readonly', (store) => store.get(getBundleKey(type, userId, id)))) || null
+}
+
+/**
+ * Downloaded bundles for a user, newest first, without their content
+ */
+export const listOfflineBundles = async (userId) => {
+  const bundles = await runStoreRequest('bundles', 'readonly', (store) => store.getAll())
+  return bundles
+    .filter((bundle) => bundle.userId === userId)
+    .map(({ key, type, id, title, language, savedAt, mediaUrls }) => ({ key, type, id, title, language, savedAt, mediaUrls }))
+    .sort((a, b) => b.savedAt - a.savedAt)
+}
+
+export const deleteOfflineBundle = async (type, userId, id) => {
+  const bundle = await loadOfflineBundle(type, userId, id)
+  if (!bundle) return
+
+  await runStoreRequest('bundles', 'readwrite', (store) => store.delete(bundle.key))
+  if (bundle.mediaUrls?.length && typeof caches !== 'undefined') {
+    const cache = await caches.open(OFFLINE_MEDIA_CACHE)
+    await Promise.all(bundle.mediaUrls.map((url) => cache.delete(url)))
+  }
+}
+
+/**
+ * Store audio for offline playback
+ * Falls back to an opaque response for storage hosts without CORS, which
+ * media elements can still play.
+ */
+export const cacheOfflineMedia = async (url) => {
+  if (!url || typeof caches === 'undefined') return false
+
+  const cache = await caches.open(OFFLINE_MEDIA_CACHE)
+  if (await cache.match(url)) return true
+
+  let response = await fetch(url).catch(() => null)
+  if (!response?.ok) response = await fetch(url, { mode: 'no-cors' })
+  await cache.put(url, response)
+  return true
+}
+
+// Vocab snapshots
+
+export const saveOfflineVocabSnapshot = (userId, language, vocab) =>
+  runStoreRequest('vocabSnapshots', 'readwrite', (store) =>
+    store.put({ key: `${userId}:${language}`, vocab, savedAt: Date.now() })
+  )
+
+export const loadOfflineVocabSnapshot = async (userId, language) => {
+  const snapshot = await runStoreRequest('vocabSnapshots', 'readonly', (store) => store.get(`${userId}:${language}`))
+  return snapshot?.vocab || null
+}
+
+// Queued vocab changes
+
+/**
+ * Queue a vocab write to replay when back online
+ * @param {string} op - Name of the vocab service function to call
+ * @param {Array} args - Its arguments, which must be structured-cloneable
+ */
+export const queueVocabChange = (userId, op, args) =>
+  runStoreRequest('vocabQueue', 'readwrite', (store) => store.add({ userId, op, args, queuedAt: Date.now() }))
+
+/**
+ * Queued changes, oldest first
+ */
+export const loadQueuedVocabChanges = () =>
+  runStoreRequest('vocabQueue', 'readonly', (store) => store.getAll())
+
+export const removeQueuedVocabChange = (id) =>
+  runStoreRequest('vocabQueue', 'readwrite', (store) => store.delete(id))
@@ -0,0 +1,112 @@
+import { collection, doc, getDocs, query, serverTimestamp, setDoc, where } from 'firebase/firestore'
+import { db } from '../firebase'
+
+/**
+ * Parallel text translations
+ * Paragraph-by-paragraph translations for the Reader's parallel mode, cached
+ * per chapter so a paragraph is only ever translated once per language.
+ *
+ * Schema: users/{userId}/{stories|generatedBooks}/{bookId}/parallelTranslations/{nativeLanguage}_{chapterIndex}
+ * - chapterIndex: number
+ * - nativeLanguage: string
+ * - paragraphs: { [charOffset]: { text, translation } } - keyed by the
+ *   paragraph's offset into the chapter text; text is the original paragraph,
+ *   so an edited chapter doesn't show a stale translation
+ * - updatedAt: Timestamp
+ */
+
+const API_BASE = 'http://localhost:4000'
+
+// The server translates at most this many paragraphs per request
+const PARAGRAPHS_PER_REQUEST = 20
+
+const getParallelCollection = (userId, bookId, isGeneratedBook) =>
+  collection(db, 'users', userId, isGeneratedBook ? 'generatedBooks' : 'stories', bookId, 'parallelTranslations')
+
+export const getParallelKey = (chapterIndex, charOffset) => `${chapterIndex}:${charOffset}`
+
+/**
+ * Every cached paragraph translation for a book in one language
+ * @returns {Promise<Object<string, { text: string, translation: string }>>} keyed by getParallelKey
+ */
+export const loadParallelTranslations = async (userId, bookId, isGeneratedBook, nativeLanguage) => {
+  if (!userId || !bookId || !nativeLanguage) return {}
+
+  const snapshot = await getDocs(
+    query(getParallelCollection(userId, bookId, isGeneratedBook), where('nativeLanguage', '==', nativeLanguage))
+  )
+
+  const translations = {}
+  snapshot.docs.forEach((docSnap) => {
+    const { chapterIndex = 0, paragraphs = {} } = docSnap.data() || {}
+    Object.entries(paragraphs).forEach(([offset, entry]) => {
+      translations[getParallelKey(chapterIndex, offset)] = entry
+    })
+  })
+  return translations
+}
+
+/**
+ * Translate paragraphs and cache the results
+ * @param {Array<{ chapterIndex: number, charOffset: number, text: string }>} paragraphs
+ * @returns {Promise<Object<string, { text: string, translation: string }>>} the new entries, keyed by getParallelKey
+ */
+export const translateParallelParagraphs = async (
+  userId,
+  bookId,
+  isGeneratedBook,
+  { paragraphs, sourceLanguage, nativeLanguage }
+) => {
+  if (!userId || !bookId || !nativeLanguage || !paragraphs?.length) return {}
+
+  const translated = {}
+  for (let i = 0; i < paragraphs.length; i += PARAGRAPHS_PER_REQUEST) {
+    const batch = paragraphs.slice(i, i + PARAGRAPHS_PER_REQUEST)
+    const response = await fetch(`${API_BASE}/api/prefetchTranslations`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        languageCode: sourceLanguage,
+        targetLang: nativeLanguage,
+        paragraphs: batch.map((paragraph) => paragraph.text),
+      }),
+    })
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}))
+      throw new Error(error.error || 'Failed to translate paragraphs')
+    }
+
+    const data = await response.json()
+    batch.forEach((paragraph, index) => {
+      const translation = data.paragraphs?.[index]
+      if (translation) {
+        translated[getParallelKey(paragraph.chapterIndex, paragraph.charOffset)] = {
+          chapterIndex: paragraph.chapterIndex,
+          charOffset: paragraph.charOffset,
+          text: paragraph.text,
+          translation,
+        }
+      }
+    })
+  }
+
+  // One merge per chapter
+  const byChapter = {}
+  Object.values(translated).forEach(({ chapterIndex, charOffset, text, translation }) => {
+    byChapter[chapterIndex] = { ...byChapter[chapterIndex], [charOffset]: { text, translation } }
+  })
+  await Promise.all(
+    Object.entries(byChapter).map(([chapterIndex, entries]) =>
+      setDoc(
+        doc(getParallelCollection(userId, bookId, isGeneratedBook), `${nativeLanguage}_${chapterIndex}`),
+        { chapterIndex: Number(chapterIndex), nativeLanguage, paragraphs: entries, updatedAt: serverTimestamp() },
+        { merge: true }
+      )
+    )
+  )
+
+  return Object.fromEntries(
+    Object.entries(translated).map(([key, { text, translation }]) => [key, { text, translation }])
+  )
+}
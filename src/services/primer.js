@@ -0,0 +1,70 @@
+// Vocabulary Primer Service
+// Before starting a chapter or transcript chunk, the learner can skim or drill
+// the most frequent words and expressions in it they don't know yet.
+
+import { resolveSupportedLanguageLabel } from '../constants/languages'
+
+const API_BASE = 'http://localhost:4000'
+
+export const PRIMER_SIZE = 15
+
+/**
+ * Build a primer for a piece of text
+ * @param {string} userId
+ * @param {Object} options
+ * @param {string} options.text - The chapter or chunk the primer is for
+ * @param {string} options.language - Target language of the text
+ * @param {string} [options.nativeLanguage] - Language for the translations
+ * @param {Array<{ text: string, meaning?: string }>} [options.expressions] - Expressions detected in the text
+ * @param {string} [options.voiceGender]
+ * @param {number} [options.limit]
+ * @returns {Promise<Array<{ text: string, count: number, kind: 'word' | 'expression', translation: string, audioUrl: string | null }>>}
+ *   most frequent first
+ */
+export async function fetchVocabPrimer(
+  userId,
+  { text, language, nativeLanguage, expressions = [], voiceGender, limit = PRIMER_SIZE }
+) {
+  if (!userId || !language || !text?.trim()) return []
+
+  const response = await fetch(`${API_BASE}/api/content/primer`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      uid: userId,
+      text,
+      language,
+      nativeLanguage: resolveSupportedLanguageLabel(nativeLanguage),
+      expressions: expressions.map(({ text: exprText, meaning }) => ({ text: exprText, meaning })),
+      voiceGender,
+      limit,
+    }),
+  })
+
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}))
+    throw new Error(error.error || 'Failed to build primer')
+  }
+
+  const data = await response.json()
+  return data.items || []
+}
+
+/**
+ * Audio for a primer item: its cached pronunciation, or a freshly generated one
+ * @returns {Promise<string | null>} a playable URL
+ */
+export async function getPrimerAudioSrc(item, language, voiceGender) {
+  if (item.audioUrl) return item.audioUrl
+
+  const response = await fetch(`${API_BASE}/api/pronunciation`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ text: item.text, language, voiceGender }),
+  })
+  if (!response.ok) return null
+
+  const data = await response.json()
+  if (data.audioUrl) return data.audioUrl
+  return data.audioBase64 ? `data:audio/mpeg;base64,${data.audioBase64}` : null
+}
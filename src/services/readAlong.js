@@ -0,0 +1,64 @@
+import { collection, getDocs } from 'firebase/firestore'
+import { db } from '../firebase'
+
+/**
+ * Read-along timings
+ * Word-level narration timings written by /api/generate-audio-book, aligned
+ * against each chapter's text so the Reader can highlight words as they are
+ * spoken over the full-book audio.
+ *
+ * Schema: users/{userId}/stories/{storyId}/readAlong/{chapterIndex}_{part}
+ * - chapterIndex: number (position in the Reader's chapter list)
+ * - part: number (long chapters are split across docs)
+ * - words: Array<{ start, end, charStart, charEnd }>, times in seconds into
+ *   fullAudioUrl, offsets into the chapter text
+ */
+
+/**
+ * Load every aligned word of a story as one timeline, ordered by start time
+ * @returns {Promise<Array<{ chapterIndex: number, start: number, end: number, charStart: number, charEnd: number }>>}
+ */
+export const loadReadAlongTimeline = async (userId, storyId) => {
+  if (!userId || !storyId) return []
+
+  const snapshot = await getDocs(collection(db, 'users', userId, 'stories', storyId, 'readAlong'))
+  const timeline = []
+  snapshot.docs.forEach((docSnap) => {
+    const { chapterIndex = 0, words = [] } = docSnap.data() || {}
+    words.forEach((word) => {
+      if (Number.isFinite(word.start) && Number.isFinite(word.charStart)) {
+        timeline.push({ chapterIndex, ...word })
+      }
+    })
+  })
+
+  return timeline.sort((a, b) => a.start - b.start)
+}
+
+/**
+ * Index of the word being spoken at a time, or -1 before the first word
+ * Between two words the earlier one stays current, so the highlight doesn't flicker.
+ */
+export const findReadAlongWordAtTime = (timeline, time) => {
+  let low = 0
+  let high = timeline.length - 1
+  let found = -1
+  while (low <= high) {
+    const mid = (low + high) >> 1
+    if (timeline[mid].start <= time) {
+      found = mid
+      low = mid + 1
+    } else {
+      high = mid - 1
+    }
+  }
+  return found
+}
+
+/**
+ * Word covering a character of a chapter, e.g. the word the reader tapped
+ */
+export const findReadAlongWordAtOffset = (timeline, chapterIndex, charOffset) =>
+  timeline.find(
+    (word) => word.chapterIndex === chapterIndex && word.charStart <= charOffset && charOffset <= word.charEnd
+  ) || null
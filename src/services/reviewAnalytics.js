@@ -0,0 +1,209 @@
+import { loadUserVocab, VOCAB_STATUSES } from './vocab'
+import { loadReviewLog } from './reviewLog'
+
+/**
+ * Review analytics
+ * Retention, workload forecast, schedule distributions and leeches, computed
+ * client-side from the vocab collection and the append-only review log.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+export const FORECAST_DAYS = 30
+
+// A card failed this many times counts as a leech
+export const LEECH_LAPSE_THRESHOLD = 4
+
+// Buckets are [min, max) in days
+const INTERVAL_BUCKETS = [
+  { label: '1 day', min: 0, max: 2 },
+  { label: '2–6 days', min: 2, max: 7 },
+  { label: '1–3 weeks', min: 7, max: 21 },
+  { label: '3 weeks–2 months', min: 21, max: 60 },
+  { label: '2–6 months', min: 60, max: 180 },
+  { label: '6 months+', min: 180, max: Infinity },
+]
+
+// Current intervals, where 0 means the card hasn't been learned yet
+const SCHEDULED_INTERVAL_BUCKETS = [
+  { label: 'New', min: 0, max: 1 },
+  { label: '1 day', min: 1, max: 2 },
+  ...INTERVAL_BUCKETS.slice(1),
+]
+
+const EASE_BUCKETS = [
+  { label: '1.3–1.7', min: 0, max: 1.7 },
+  { label: '1.7–2.1', min: 1.7, max: 2.1 },
+  { label: '2.1–2.5', min: 2.1, max: 2.5 },
+  { label: '2.5–2.9', min: 2.5, max: 2.9 },
+  { label: '2.9+', min: 2.9, max: Infinity },
+]
+
+// FSRS difficulty runs 1 (easy) to 10 (hard)
+const DIFFICULTY_BUCKETS = [
+  { label: '1–3', min: 0, max: 3 },
+  { label: '3–5', min: 3, max: 5 },
+  { label: '5–7', min: 5, max: 7 },
+  { label: '7–9', min: 7, max: 9 },
+  { label: '9–10', min: 9, max: Infinity },
+]
+
+const toDate = (timestamp) => (timestamp?.toDate ? timestamp.toDate() : null)
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate())
+
+const findBucketIndex = (buckets, value) =>
+  buckets.findIndex((bucket) => value >= bucket.min && value < bucket.max)
+
+const toRate = ({ reviews, passed }) => (reviews > 0 ? passed / reviews : null)
+
+const countIntoBuckets = (buckets, values) => {
+  const counts = buckets.map((bucket) => ({ label: bucket.label, count: 0 }))
+  values.forEach((value) => {
+    const index = findBucketIndex(buckets, value)
+    if (index !== -1) counts[index].count++
+  })
+  return counts
+}
+
+/**
+ * True retention: the share of reviews of already-learned cards that were
+ * answered correctly. First sightings (no previous interval) are excluded so
+ * new cards don't drag the rate down.
+ * @param {Array} reviews - Review log entries
+ */
+export const computeRetention = (reviews) => {
+  const overall = { reviews: 0, passed: 0 }
+  const byStatus = Object.fromEntries(VOCAB_STATUSES.map((status) => [status, { reviews: 0, passed: 0 }]))
+  const byInterval = INTERVAL_BUCKETS.map(() => ({ reviews: 0, passed: 0 }))
+  const listening = { reviews: 0, passed: 0 }
+
+  reviews.forEach((review) => {
+    if (!(review.previousIntervalDays > 0)) return
+    const passed = review.quality !== 'again' ? 1 : 0
+
+    // Listening is its own schedule, so it gets its own figure
+    if (review.mode === 'listening') {
+      listening.reviews++
+      listening.passed += passed
+      return
+    }
+
+    overall.reviews++
+    overall.passed += passed
+
+    const statusTotals = byStatus[review.previousStatus]
+    if (statusTotals) {
+      statusTotals.reviews++
+      statusTotals.passed += passed
+    }
+
+    const bucketIndex = findBucketIndex(INTERVAL_BUCKETS, review.previousIntervalDays)
+    if (bucketIndex !== -1) {
+      byInterval[bucketIndex].reviews++
+      byInterval[bucketIndex].passed += passed
+    }
+  })
+
+  return {
+    overall: { ...overall, rate: toRate(overall) },
+    listening: { ...listening, rate: toRate(listening) },
+    byStatus: VOCAB_STATUSES.map((status) => ({ label: status, ...byStatus[status], rate: toRate(byStatus[status]) })),
+    byInterval: INTERVAL_BUCKETS.map((bucket, i) => ({
+      label: bucket.label,
+      ...byInterval[i],
+      rate: toRate(byInterval[i]),
+    })),
+  }
+}
+
+/**
+ * Cards coming due on each of the next FORECAST_DAYS days
+ * Overdue cards count towards today; known cards are skipped, as in review decks.
+ */
+export const computeDueForecast = (vocabEntries, now = new Date()) => {
+  const today = startOfDay(now)
+  const days = Array.from({ length: FORECAST_DAYS }, (_, i) => ({
+    date: new Date(today.getTime() + i * DAY_MS),
+    count: 0,
+  }))
+
+  vocabEntries.forEach((entry) => {
+    if (entry.status === 'known') return
+    const dueDate = toDate(entry.nextReviewAt)
+    const dayIndex = dueDate ? Math.floor((startOfDay(dueDate) - today) / DAY_MS) : 0
+    if (dayIndex < FORECAST_DAYS) days[Math.max(dayIndex, 0)].count++
+  })
+
+  return days
+}
+
+/**
+ * Histograms of the current schedule: interval for every card, ease for SM-2
+ * cards and difficulty for FSRS cards
+ */
+export const computeScheduleDistribution = (vocabEntries) => {
+  const fsrsEntries = vocabEntries.filter((entry) => entry.scheduler === 'fsrs' && Number.isFinite(entry.difficulty))
+  const sm2Entries = vocabEntries.filter((entry) => entry.scheduler !== 'fsrs' && Number.isFinite(entry.easeFactor))
+
+  return {
+    interval: countIntoBuckets(
+      SCHEDULED_INTERVAL_BUCKETS,
+      vocabEntries.map((entry) => entry.intervalDays ?? 0)
+    ),
+    ease: countIntoBuckets(EASE_BUCKETS, sm2Entries.map((entry) => entry.easeFactor)),
+    difficulty: countIntoBuckets(DIFFICULTY_BUCKETS, fsrsEntries.map((entry) => entry.difficulty)),
+  }
+}
+
+/**
+ * Cards that keep being forgotten, worst first
+ */
+export const findLeeches = (reviews, vocabEntries, threshold = LEECH_LAPSE_THRESHOLD) => {
+  const lapsesByCard = {}
+
+  reviews.forEach((review) => {
+    if (review.quality !== 'again' || review.mode === 'listening') return
+    const lapses = lapsesByCard[review.cardId] || { count: 0, lastFailedAt: null, text: review.text }
+    lapses.count++
+    lapses.lastFailedAt = review.reviewedAt
+    lapsesByCard[review.cardId] = lapses
+  })
+
+  const entriesById = Object.fromEntries(vocabEntries.map((entry) => [entry.id, entry]))
+
+  return Object.entries(lapsesByCard)
+    .filter(([cardId, lapses]) => lapses.count >= threshold && entriesById[cardId])
+    .map(([cardId, lapses]) => {
+      const entry = entriesById[cardId]
+      return {
+        id: cardId,
+        text: entry.text || lapses.text,
+        translation: entry.translation,
+        status: entry.status,
+        lapses: lapses.count,
+        lastFailedAt: lapses.lastFailedAt,
+      }
+    })
+    .sort((a, b) => b.lapses - a.lapses)
+}
+
+/**
+ * Everything the analytics view needs for one language
+ */
+export const loadReviewAnalytics = async (userId, language) => {
+  const [vocabMap, reviews] = await Promise.all([
+    loadUserVocab(userId, language),
+    loadReviewLog(userId, language),
+  ])
+  const vocabEntries = Object.values(vocabMap)
+
+  return {
+    totalCards: vocabEntries.length,
+    totalReviews: reviews.length,
+    retention: computeRetention(reviews),
+    forecast: computeDueForecast(vocabEntries),
+    distribution: computeScheduleDistribution(vocabEntries),
+    leeches: findLeeches(reviews, vocabEntries),
+  }
+}
@@ -0,0 +1,120 @@
+import {
+  addDoc,
+  collection,
+  getDocs,
+  query,
+  serverTimestamp,
+  Timestamp,
+  where,
+} from 'firebase/firestore'
+import { db } from '../firebase'
+import { resolveSupportedLanguageLabel } from '../constants/languages'
+
+/**
+ * Review log service
+ * Append-only record of every flashcard grading. Entries are never updated
+ * or deleted by the client, so the log can be replayed for retention
+ * analytics and scheduler tuning.
+ *
+ * Schema: users/{userId}/reviewLog/{autoId}
+ * - cardId: string (vocab doc id)
+ * - text: string
+ * - language: string
+ * - reviewedAt: Timestamp
+ * - quality: 'again' | 'hard' | 'good' | 'easy'
+ * - mode: 'recognition' | 'recall' | 'cloze' | 'listening'
+ * - responseTimeMs: number | null
+ * - previousIntervalDays / nextIntervalDays: number
+ * - previousStatus / nextStatus: string
+ * - scheduler: 'sm2' | 'fsrs'
+ */
+
+export const REVIEW_MODES = ['recognition', 'recall', 'cloze', 'listening']
+
+const normaliseLanguage = (language) => resolveSupportedLanguageLabel(language, language)
+
+const getReviewLogCollection = (userId) => collection(db, 'users', userId, 'reviewLog')
+
+const toMillis = (value) => (value?.toMillis ? value.toMillis() : 0)
+
+const mapReviewDoc = (docSnap) => {
+  const data = docSnap.data()
+  return {
+    id: docSnap.id,
+    cardId: data.cardId,
+    text: data.text,
+    language: data.language,
+    reviewedAt: data.reviewedAt,
+    quality: data.quality,
+    mode: data.mode,
+    responseTimeMs: data.responseTimeMs ?? null,
+    previousIntervalDays: data.previousIntervalDays ?? 0,
+    nextIntervalDays: data.nextIntervalDays ?? 0,
+    previousStatus: data.previousStatus,
+    nextStatus: data.nextStatus,
+    scheduler: data.scheduler,
+  }
+}
+
+/**
+ * Append a review to the log
+ * Call this once per grading, after the card has been rescheduled
+ */
+export const logReview = async (userId, entry) => {
+  if (!userId || !entry?.cardId) return null
+
+  const reviewedAt = entry.reviewedAt instanceof Date
+    ? Timestamp.fromDate(entry.reviewedAt)
+    : Timestamp.now()
+
+  const docRef = await addDoc(getReviewLogCollection(userId), {
+    cardId: entry.cardId,
+    text: entry.text || '',
+    language: normaliseLanguage(entry.language),
+    reviewedAt,
+    quality: entry.quality,
+    mode: REVIEW_MODES.includes(entry.mode) ? entry.mode : 'recognition',
+    responseTimeMs: Number.isFinite(entry.responseTimeMs) ? Math.round(entry.responseTimeMs) : null,
+    previousIntervalDays: entry.previousIntervalDays ?? 0,
+    nextIntervalDays: entry.nextIntervalDays ?? 0,
+    previousStatus: entry.previousStatus || 'unknown',
+    nextStatus: entry.nextStatus || 'unknown',
+    scheduler: entry.scheduler || 'sm2',
+    createdAt: serverTimestamp(),
+  })
+
+  return docRef.id
+}
+
+/**
+ * Every past grading for one card, newest first
+ */
+export const loadCardReviewHistory = async (userId, cardId) => {
+  if (!userId || !cardId) return []
+
+  const historyQuery = query(getReviewLogCollection(userId), where('cardId', '==', cardId))
+  const snapshot = await getDocs(historyQuery)
+
+  // Sorted client-side to avoid needing a composite index
+  return snapshot.docs
+    .map(mapReviewDoc)
+    .sort((a, b) => toMillis(b.reviewedAt) - toMillis(a.reviewedAt))
+}
+
+/**
+ * Full review log, oldest first
+ * Pass a language to restrict to one language, or omit for all languages
+ */
+export const loadReviewLog = async (userId, language = null) => {
+  if (!userId) return []
+
+  const logCollection = getReviewLogCollection(userId)
+  const logQuery = language
+    ? query(logCollection, where('language', '==', normaliseLanguage(language)))
+    : logCollection
+  const snapshot = await getDocs(logQuery)
+
+  return snapshot.docs
+    .map(mapReviewDoc)
+    .sort((a, b) => toMillis(a.reviewedAt) - toMillis(b.reviewedAt))
+}
@@ -0,0 +1,377 @@
+/**
+ * Spaced-repetition schedulers
+ *
+ * Every scheduler exposes the same shape so updateVocabSRS can stay agnostic:
+ *   schedule(card, quality, { now, parameters }) → { intervalDays, ...schedulerFields }
+ *
+ * `card` is the raw vocab doc data (intervalDays, easeFactor, correctStreak,
+ * stability, difficulty, lastReviewedAt...). Status promotion/regression is
+ * NOT handled here — it lives in vocab.js and works on top of whatever
+ * intervalDays the scheduler returns.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Relearning step after a lapse (shared by both schedulers)
+const LAPSE_INTERVAL_DAYS = 0.25 // 6 hours
+const MAX_INTERVAL_DAYS = 365
+
+export const DEFAULT_SCHEDULER = 'sm2'
+
+export const SRS_SCHEDULERS = [
+  {
+    id: 'sm2',
+    label: 'SM-2 (classic)',
+    description: 'Fixed growth by ease factor. Predictable and simple.',
+  },
+  {
+    id: 'fsrs',
+    label: 'FSRS',
+    description: 'Models memory stability and difficulty per card. Fewer reviews for the same retention.',
+  },
+]
+
+// Convert Firestore Timestamp / Date / millis into a Date (or null)
+const toDate = (value) => {
+  if (!value) return null
+  if (value.toDate) return value.toDate()
+  if (value instanceof Date) return value
+  if (typeof value === 'number') return new Date(value)
+  return null
+}
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value))
+
+// ============================================================================
+// SM-2
+// ============================================================================
+
+const DEFAULT_EASE_FACTOR = 2.5
+const MIN_EASE_FACTOR = 1.3
+const FIRST_INTERVAL = 1 // days
+const SECOND_INTERVAL = 6 // days
+
+/**
+ * SM-2 variant
+ *
+ * Quality responses:
+ * - 'again': Complete failure, reset interval
+ * - 'hard': Correct but with difficulty
+ * - 'good': Correct with normal effort
+ * - 'easy': Correct with no effort
+ */
+const scheduleSm2 = (card, quality) => {
+  let intervalDays = Number.isFinite(card.intervalDays) ? card.intervalDays : 0
+  let easeFactor = Number.isFinite(card.easeFactor) ? card.easeFactor : DEFAULT_EASE_FACTOR
+  const correctStreak = Number.isFinite(card.correctStreak) ? card.correctStreak : 0
+
+  if (quality === 'again') {
+    return {
+      intervalDays: LAPSE_INTERVAL_DAYS,
+      easeFactor: Math.max(MIN_EASE_FACTOR, easeFactor - 0.2),
+    }
+  }
+
+  const isFirstReview = intervalDays === 0 || correctStreak === 0
+  const isSecondReview = correctStreak === 1 && intervalDays <= FIRST_INTERVAL
+
+  if (quality === 'hard') {
+    if (isFirstReview) {
+      intervalDays = FIRST_INTERVAL
+    } else if (isSecondReview) {
+      intervalDays = SECOND_INTERVAL
+    } else {
+      intervalDays = Math.round(intervalDays * 1.2)
+    }
+    easeFactor = Math.max(MIN_EASE_FACTOR, easeFactor - 0.15)
+  } else if (quality === 'good') {
+    if (isFirstReview) {
+      intervalDays = FIRST_INTERVAL
+    } else if (isSecondReview) {
+      intervalDays = SECOND_INTERVAL
+    } else {
+      intervalDays = Math.round(intervalDays * easeFactor)
+    }
+    // Ease factor unchanged for 'good'
+  } else if (quality === 'easy') {
+    if (isFirstReview) {
+      intervalDays = SECOND_INTERVAL // Skip to second interval
+    } else if (isSecondReview) {
+      intervalDays = Math.round(SECOND_INTERVAL * easeFactor)
+    } else {
+      intervalDays = Math.round(intervalDays * easeFactor * 1.3)
+    }
+    easeFactor = easeFactor + 0.15
+  }
+
+  return {
+    intervalDays: Math.min(intervalDays, MAX_INTERVAL_DAYS),
+    easeFactor,
+  }
+}
+
+// ============================================================================
+// FSRS (v4.5 memory model)
+// ============================================================================
+
+// Default weights published with FSRS-4.5, trained on a large Anki dataset.
+export const DEFAULT_FSRS_PARAMETERS = [
+  0.4872, 1.4003, 3.7145, 13.8206, 5.1618, 1.2298, 0.8975, 0.031, 1.6474,
+  0.1367, 1.0461, 2.1072, 0.0793, 0.3246, 1.587, 0.2272, 2.8755,
+]
+
+// Lower/upper bounds for each weight, used by the optimiser
+const FSRS_PARAMETER_BOUNDS = [
+  [0.1, 100], [0.1, 100], [0.1, 100], [0.1, 100],
+  [1, 10], [0.1, 5], [0.1, 5], [0, 0.5], [0, 3],
+  [0.1, 0.8], [0.01, 2.5], [0.5, 5], [0.01, 0.2], [0.01, 0.9],
+  [0.01, 2], [0, 1], [1, 4],
+]
+
+// Intervals are chosen so a card is reviewed when recall drops to 90%
+const DESIRED_RETENTION = 0.9
+
+const DECAY = -0.5
+const FACTOR = 19 / 81 // Chosen so that R(S, S) = 0.9
+
+const GRADES = { again: 1, hard: 2, good: 3, easy: 4 }
+
+const resolveFsrsParameters = (parameters) =>
+  Array.isArray(parameters) && parameters.length === DEFAULT_FSRS_PARAMETERS.length
+    ? parameters
+    : DEFAULT_FSRS_PARAMETERS
+
+/**
+ * Probability of recall after `elapsedDays` for a card with stability `stability`
+ */
+export const fsrsRetrievability = (elapsedDays, stability) => {
+  if (!stability || stability <= 0) return 0
+  return Math.pow(1 + (FACTOR * Math.max(0, elapsedDays)) / stability, DECAY)
+}
+
+const fsrsIntervalFromStability = (stability) =>
+  (stability / FACTOR) * (Math.pow(DESIRED_RETENTION, 1 / DECAY) - 1)
+
+const fsrsInitialStability = (w, grade) => Math.max(0.1, w[grade - 1])
+
+const fsrsInitialDifficulty = (w, grade) => clamp(w[4] - (grade - 3) * w[5], 1, 10)
+
+const fsrsNextDifficulty = (w, difficulty, grade) => {
+  const next = difficulty - w[6] * (grade - 3)
+  // Mean reversion towards the difficulty of a first 'good'
+  return clamp(w[7] * fsrsInitialDifficulty(w, 3) + (1 - w[7]) * next, 1, 10)
+}
+
+const fsrsRecallStability = (w, difficulty, stability, retrievability, grade) => {
+  const hardPenalty = grade === 2 ? w[15] : 1
+  const easyBonus = grade === 4 ? w[16] : 1
+  return (
+    stability *
+    (1 +
+      Math.exp(w[8]) *
+        (11 - difficulty) *
+        Math.pow(stability, -w[9]) *
+        (Math.exp(w[10] * (1 - retrievability)) - 1) *
+        hardPenalty *
+        easyBonus)
+  )
+}
+
+const fsrsForgetStability = (w, difficulty, stability, retrievability) =>
+  Math.min(
+    stability,
+    w[11] *
+      Math.pow(difficulty, -w[12]) *
+      (Math.pow(stability + 1, w[13]) - 1) *
+      Math.exp(w[14] * (1 - retrievability))
+  )
+
+/**
+ * Advance an FSRS memory state by one review.
+ * `state` is { stability, difficulty } or null for a card never reviewed under FSRS.
+ */
+export const fsrsNextState = (w, state, grade, elapsedDays) => {
+  if (!state || !state.stability) {
+    return {
+      stability: fsrsInitialStability(w, grade),
+      difficulty: fsrsInitialDifficulty(w, grade),
+      retrievability: null,
+    }
+  }
+
+  const retrievability = fsrsRetrievability(elapsedDays, state.stability)
+  const difficulty = fsrsNextDifficulty(w, state.difficulty, grade)
+  const stability =
+    grade === 1
+      ? fsrsForgetStability(w, state.difficulty, state.stability, retrievability)
+      : fsrsRecallStability(w, state.difficulty, state.stability, retrievability, grade)
+
+  return { stability: Math.max(0.1, stability), difficulty, retrievability }
+}
+
+// Cards reviewed under SM-2 have no FSRS state yet: seed it from the
+// current interval so switching schedulers doesn't reset progress.
+const readFsrsState = (w, card) => {
+  if (Number.isFinite(card.stability) && card.stability > 0) {
+    return {
+      stability: card.stability,
+      difficulty: Number.isFinite(card.difficulty) ? card.difficulty : fsrsInitialDifficulty(w, 3),
+    }
+  }
+  if (Number.isFinite(card.intervalDays) && card.intervalDays >= 1) {
+    return { stability: card.intervalDays, difficulty: fsrsInitialDifficulty(w, 3) }
+  }
+  return null
+}
+
+const scheduleFsrs = (card, quality, { now = new Date(), parameters } = {}) => {
+  const w = resolveFsrsParameters(parameters)
+  const grade = GRADES[quality] || GRADES.good
+
+  const state = readFsrsState(w, card)
+  const lastReviewed = toDate(card.lastReviewedAt)
+  // Without a recorded last review, assume the card was seen on schedule
+  const elapsedDays = lastReviewed
+    ? Math.max(0, (now.getTime() - lastReviewed.getTime()) / DAY_MS)
+    : Number.isFinite(card.intervalDays) ? card.intervalDays : 0
+
+  const next = fsrsNextState(w, state, grade, elapsedDays)
+
+  const intervalDays =
+    grade === 1
+      ? LAPSE_INTERVAL_DAYS
+      : clamp(Math.round(fsrsIntervalFromStability(next.stability)), 1, MAX_INTERVAL_DAYS)
+
+  return {
+    intervalDays,
+    stability: next.stability,
+    difficulty: next.difficulty,
+    retrievability: next.retrievability,
+  }
+}
+
+// ============================================================================
+// FSRS optimiser
+// ============================================================================
+
+// Below this many predictable reviews the defaults are a better bet
+export const MIN_REVIEWS_FOR_OPTIMISATION = 50
+
+const toMillis = (value) => {
+  const date = toDate(value)
+  return date ? date.getTime() : null
+}
+
+// Group reviews by card, oldest first
+const groupReviewsByCard = (reviews) => {
+  const byCard = new Map()
+  reviews.forEach((review) => {
+    const reviewedAt = toMillis(review.reviewedAt)
+    if (!review.cardId || reviewedAt === null || !GRADES[review.quality]) return
+    // Listening is scheduled as its own skill, so it is replayed as a separate track
+    const key = review.mode === 'listening' ? `${review.cardId}:listening` : review.cardId
+    if (!byCard.has(key)) byCard.set(key, [])
+    byCard.get(key).push({ reviewedAt, grade: GRADES[review.quality] })
+  })
+  byCard.forEach((cardReviews) => cardReviews.sort((a, b) => a.reviewedAt - b.reviewedAt))
+  return byCard
+}
+
+// Replay every card's history and score predicted recall against the outcome
+const evaluateFsrsLoss = (w, reviewsByCard) => {
+  let loss = 0
+  let count = 0
+
+  reviewsByCard.forEach((cardReviews) => {
+    let state = null
+    let previousAt = null
+
+    cardReviews.forEach(({ reviewedAt, grade }) => {
+      const elapsedDays = previousAt === null ? 0 : (reviewedAt - previousAt) / DAY_MS
+      if (state) {
+        const predicted = clamp(fsrsRetrievability(elapsedDays, state.stability), 0.0001, 0.9999)
+        const recalled = grade > 1 ? 1 : 0
+        loss -= recalled * Math.log(predicted) + (1 - recalled) * Math.log(1 - predicted)
+        count += 1
+      }
+      state = fsrsNextState(w, state, grade, elapsedDays)
+      previousAt = reviewedAt
+    })
+  })
+
+  return { loss: count ? loss / count : 0, count }
+}
+
+/**
+ * Fit FSRS weights to a user's own review history.
+ *
+ * Replays each card's reviews and minimises the log loss between predicted
+ * retrievability and actual recall, using bounded coordinate descent
+ * starting from `initialParameters`.
+ *
+ * @param {Array<{cardId: string, reviewedAt: Date|Timestamp|number, quality: string}>} reviews
+ * @param {object} [options]
+ * @param {number[]} [options.initialParameters]
+ * @param {number} [options.passes] - Number of descent passes over all weights
+ * @returns {{ parameters: number[], optimised: boolean, reviewCount: number, loss: number, baselineLoss: number }}
+ */
+export const optimiseFsrsParameters = (reviews = [], { initialParameters, passes = 6 } = {}) => {
+  const reviewsByCard = groupReviewsByCard(reviews)
+  let parameters = [...resolveFsrsParameters(initialParameters)]
+  const baseline = evaluateFsrsLoss(parameters, reviewsByCard)
+
+  if (baseline.count < MIN_REVIEWS_FOR_OPTIMISATION) {
+    return {
+      parameters,
+      optimised: false,
+      reviewCount: baseline.count,
+      loss: baseline.loss,
+      baselineLoss: baseline.loss,
+    }
+  }
+
+  let bestLoss = baseline.loss
+  let stepScale = 0.2
+
+  for (let pass = 0; pass < passes; pass++) {
+    for (let i = 0; i < parameters.length; i++) {
+      const [min, max] = FSRS_PARAMETER_BOUNDS[i]
+      const step = Math.max(Math.abs(parameters[i]) * stepScale, (max - min) * 0.005)
+
+      for (const direction of [1, -1]) {
+        const candidate = [...parameters]
+        candidate[i] = clamp(parameters[i] + direction * step, min, max)
+        if (candidate[i] === parameters[i]) continue
+
+        const { loss } = evaluateFsrsLoss(candidate, reviewsByCard)
+        if (loss < bestLoss) {
+          bestLoss = loss
+          parameters = candidate
+          break
+        }
+      }
+    }
+    stepScale /= 2
+  }
+
+  return {
+    parameters: parameters.map((value) => Number(value.toFixed(4))),
+    optimised: true,
+    reviewCount: baseline.count,
+    loss: bestLoss,
+    baselineLoss: baseline.loss,
+  }
+}
+
+// ============================================================================
+// Registry
+// ============================================================================
+
+const SCHEDULERS = {
+  sm2: { id: 'sm2', schedule: scheduleSm2 },
+  fsrs: { id: 'fsrs', schedule: scheduleFsrs },
+}
+
+export const getScheduler = (schedulerId) => SCHEDULERS[schedulerId] || SCHEDULERS[DEFAULT_SCHEDULER]
+
+export { DEFAULT_EASE_FACTOR }
@@ -146,6 +146,41 @@ export async function getKnownWordCount(userId, language) {
   return snapshot.size
 }
 
+/**
+ * Get count of known lemmas for a language
+ * Forms of the same word ("habla", "hablé") count once, as do lemmas marked
+ * known as a whole. Entries not yet lemmatised count by their surface form.
+ */
+export async function getKnownLemmaCount(userId, language) {
+  if (!userId) return 0
+
+  const vocabRef = collection(db, 'users', userId, 'vocab')
+  const lemmaStatusRef = collection(db, 'users', userId, 'lemmaStatuses')
+
+  const byLanguage = (ref, ...constraints) => {
+    if (!language) return query(ref, ...constraints)
+    return query(ref, where('language', '==', normaliseLanguage(language)), ...constraints)
+  }
+
+  const [vocabSnapshot, lemmaSnapshot] = await Promise.all([
+    getDocs(byLanguage(vocabRef, where('status', '==', 'known'))),
+    getDocs(byLanguage(lemmaStatusRef, where('status', '==', 'known'))),
+  ])
+
+  // Keyed by language too, so the all-languages count doesn't merge homographs
+  const lemmas = new Set()
+  vocabSnapshot.forEach((docSnap) => {
+    const data = docSnap.data()
+    lemmas.add(`${data.language}:${data.lemma || (data.text || '').trim().toLowerCase()}`)
+  })
+  lemmaSnapshot.forEach((docSnap) => {
+    const data = docSnap.data()
+    lemmas.add(`${data.language}:${data.lemma}`)
+  })
+
+  return lemmas.size
+}
+
 /**
  * Get vocab counts by status for a language
  */
@@ -480,6 +515,7 @@ export async function getHomeStats(userId, language) {
   if (!userId) {
     return {
       knownWords: 0,
+      knownLemmas: 0,
       wordsRead: 0,
       listeningSeconds: 0,
       listeningFormatted: '0m',
@@ -492,8 +528,9 @@ export async function getHomeStats(userId, language) {
   }
 
   // Run queries in parallel for efficiency
-  const [knownWords, wordsRead, listeningSeconds, reviewCount, wordsWritten, speakingSeconds, vocabCounts] = await Promise.all([
+  const [knownWords, knownLemmas, wordsRead, listeningSeconds, reviewCount, wordsWritten, speakingSeconds, vocabCounts] = await Promise.all([
     getKnownWordCount(userId, language),
+    getKnownLemmaCount(userId, language),
     getWordsReadDirect(userId, language),
     getListeningTime(userId, language),
     getReviewCount(userId, language),
@@ -504,6 +541,7 @@ export async function getHomeStats(userId, language) {
 
   return {
     knownWords,
+    knownLemmas,
     wordsRead,
     listeningSeconds,
     listeningFormatted: formatListeningTime(listeningSeconds),
@@ -1,5 +1,8 @@
 import {
+  arrayRemove,
+  arrayUnion,
   collection,
+  deleteField,
   doc,
   getDoc,
   getDocs,
@@ -13,15 +16,21 @@ import {
 import { db } from '../firebase'
 import { resolveSupportedLanguageLabel } from '../constants/languages'
 import { incrementWordsLearned } from './progress'
+import { DEFAULT_EASE_FACTOR, getScheduler } from './srsSchedulers'
+import { logReview } from './reviewLog'
+import { fetchLemma } from './lemmas'
+import { getFrequencyRank, getWordFrequencyRank, loadFrequencyRanks } from './frequency'
+import {
+  isOffline,
+  isOfflineError,
+  loadOfflineVocabSnapshot,
+  loadQueuedVocabChanges,
+  queueVocabChange,
+  removeQueuedVocabChange,
+} from './offlineStore'
 
 export const VOCAB_STATUSES = ['unknown', 'recognised', 'familiar', 'known']
 
-// SM-2 Constants
-const DEFAULT_EASE_FACTOR = 2.5
-const MIN_EASE_FACTOR = 1.3
-const FIRST_INTERVAL = 1 // days
-const SECOND_INTERVAL = 6 // days
-
 // Status promotion thresholds
 const PROMOTION_THRESHOLDS = {
   // Unknown → Recognised: 1 success (handled separately)
@@ -29,8 +38,22 @@ const PROMOTION_THRESHOLDS = {
   familiar_to_known: { streak: 4, minIntervalDays: 14, requiresRecall: true },
 }
 
+// Sentences the word was met in, kept for cloze review
+const MAX_CONTEXT_SENTENCES = 5
+
 export const normaliseExpression = (text) => text.trim().toLowerCase()
 
+// First review interval for a new entry, by the status it was saved with
+export const INITIAL_INTERVAL_DAYS = {
+  unknown: 0,
+  recognised: 1,
+  familiar: 3,
+  known: 7,
+}
+
+// Custom deck names are stored as lowercase tags on vocab entries
+export const normaliseTag = (tag) => String(tag || '').trim().toLowerCase()
+
 // Normalize language to canonical label format (e.g., 'Spanish', 'French')
 const normaliseLanguage = (language) => resolveSupportedLanguageLabel(language, language)
 
@@ -41,8 +64,49 @@ export const getVocabDocRef = (userId, language, text) => {
   return doc(collection(doc(collection(db, 'users'), userId), 'vocab'), id)
 }
 
+// Lemma-level statuses: users/{userId}/lemmaStatuses/{lang_lemma}
+const getLemmaStatusDocRef = (userId, language, lemma) => {
+  const normalisedLemma = normaliseExpression(lemma)
+  const normalisedLang = normaliseLanguage(language)
+  const id = `${normalisedLang.toLowerCase()}_${normalisedLemma.replace(/\s+/g, '_')}`
+  return doc(collection(doc(collection(db, 'users'), userId), 'lemmaStatuses'), id)
+}
+
+// Resolve and store the lemma for a vocab entry (single words only)
+const attachLemma = async (userId, language, text) => {
+  const lemma = /\s/.test(text.trim()) ? normaliseExpression(text) : await fetchLemma(language, text)
+  if (!lemma) return
+
+  await setDoc(getVocabDocRef(userId, language, text), { lemma }, { merge: true })
+}
+
+// Writes made without a connection are queued and replayed by
+// syncQueuedVocabChanges once it comes back
+const writeOrQueue = async (userId, op, args, write) => {
+  if (isOffline()) {
+    await queueVocabChange(userId, op, args)
+    return null
+  }
+
+  try {
+    return await write()
+  } catch (err) {
+    if (!isOfflineError(err)) throw err
+    await queueVocabChange(userId, op, args)
+    return null
+  }
+}
+
 export const loadUserVocab = async (userId, language) => {
   const normalisedLang = normaliseLanguage(language)
+
+  // Downloaded content keeps a snapshot, which is complete where the
+  // Firestore cache may only hold what was last read
+  if (isOffline()) {
+    const offlineVocab = await loadOfflineVocabSnapshot(userId, normalisedLang).catch(() => null)
+    if (offlineVocab) return offlineVocab
+  }
+
   const vocabCollection = collection(doc(collection(db, 'users'), userId), 'vocab')
   const vocabQuery = query(vocabCollection, where('language', '==', normalisedLang))
   const snapshot = await getDocs(vocabQuery)
@@ -54,15 +118,22 @@ export const loadUserVocab = async (userId, language) => {
     vocabEntries[key] = {
       id: docSnap.id,
       text: data.text,
+      lemma: data.lemma ?? null,
       language: data.language,
       status: data.status,
       translation: data.translation,
       intervalDays: data.intervalDays,
       easeFactor: data.easeFactor ?? DEFAULT_EASE_FACTOR,
+      stability: data.stability ?? null,
+      difficulty: data.difficulty ?? null,
+      scheduler: data.scheduler ?? null,
       correctStreak: data.correctStreak ?? 0,
       recallStreak: data.recallStreak ?? 0,
       nextReviewAt: data.nextReviewAt,
       sourceContentIds: data.sourceContentIds ?? [],
+      contextSentences: data.contextSentences ?? [],
+      tags: data.tags ?? [],
+      frequencyRank: data.frequencyRank ?? null,
     }
   })
 
@@ -79,6 +150,7 @@ export const loadAllUserVocab = async (userId) => {
     vocabEntries.push({
       id: docSnap.id,
       text: data.text,
+      lemma: data.lemma ?? null,
       language: data.language,
       status: data.status,
       translation: data.translation,
@@ -88,6 +160,9 @@ export const loadAllUserVocab = async (userId) => {
       recallStreak: data.recallStreak ?? 0,
       nextReviewAt: data.nextReviewAt,
       sourceContentIds: data.sourceContentIds ?? [],
+      contextSentences: data.contextSentences ?? [],
+      tags: data.tags ?? [],
+      frequencyRank: data.frequencyRank ?? null,
       createdAt: data.createdAt,
       updatedAt: data.updatedAt,
     })
@@ -124,6 +199,9 @@ export const loadDueCards = async (userId, language) => {
         recallStreak: data.recallStreak ?? 0,
         nextReviewAt: data.nextReviewAt,
         sourceContentIds: data.sourceContentIds ?? [],
+        contextSentences: data.contextSentences ?? [],
+        tags: data.tags ?? [],
+        frequencyRank: data.frequencyRank ?? null,
       })
     }
   })
@@ -145,6 +223,38 @@ export const loadDueCardsByContentId = async (userId, language, contentId) => {
   )
 }
 
+/**
+ * Due cards in a custom deck (entries tagged with the deck name)
+ */
+export const loadDueCardsByTag = async (userId, language, tag) => {
+  const normalisedTag = normaliseTag(tag)
+  const allDueCards = await loadDueCards(userId, language)
+  return allDueCards.filter((card) => card.tags.includes(normalisedTag))
+}
+
+/**
+ * Custom decks for a language, with the number of words in each
+ * @returns {Promise<Array<{ tag: string, total: number }>>}
+ */
+export const loadVocabTags = async (userId, language) => {
+  const normalisedLang = normaliseLanguage(language)
+  const vocabCollection = collection(doc(collection(db, 'users'), userId), 'vocab')
+  const vocabQuery = query(vocabCollection, where('language', '==', normalisedLang))
+  const snapshot = await getDocs(vocabQuery)
+
+  const totals = {}
+  snapshot.forEach((docSnap) => {
+    const tags = docSnap.data().tags || []
+    tags.forEach((tag) => {
+      totals[tag] = (totals[tag] || 0) + 1
+    })
+  })
+
+  return Object.entries(totals)
+    .map(([tag, total]) => ({ tag, total }))
+    .sort((a, b) => a.tag.localeCompare(b.tag))
+}
+
 export const loadCardsByStatus = async (userId, language, status) => {
   const normalisedLang = normaliseLanguage(language)
   const vocabCollection = collection(doc(collection(db, 'users'), userId), 'vocab')
@@ -174,6 +284,9 @@ export const loadCardsByStatus = async (userId, language, status) => {
         recallStreak: data.recallStreak ?? 0,
         nextReviewAt: data.nextReviewAt,
         sourceContentIds: data.sourceContentIds ?? [],
+        contextSentences: data.contextSentences ?? [],
+        tags: data.tags ?? [],
+        frequencyRank: data.frequencyRank ?? null,
       })
     }
   })
@@ -187,18 +300,51 @@ export const loadCardsByStatus = async (userId, language, status) => {
   return dueCards
 }
 
+export const MOST_COMMON_DECK_SIZE = 50
+
+/**
+ * Due unknown cards for the most common words in the language, most common first.
+ * Entries saved before ranks were stored are ranked from the bundled list.
+ */
+export const loadMostCommonUnknownCards = async (userId, language, limit = MOST_COMMON_DECK_SIZE) => {
+  const [cards, ranks] = await Promise.all([
+    loadCardsByStatus(userId, language, 'unknown'),
+    loadFrequencyRanks(language),
+  ])
+
+  return cards
+    .map((card) => ({ ...card, frequencyRank: card.frequencyRank ?? getFrequencyRank(ranks, card.text) }))
+    .filter((card) => card.frequencyRank)
+    .sort((a, b) => a.frequencyRank - b.frequencyRank)
+    .slice(0, limit)
+}
+
 export const upsertVocabEntry = async (
   userId,
   language,
   text,
   translation,
   status,
-  sourceContentId = null
+  sourceContentId = null,
+  sourceSentence = null
 ) => {
   if (!VOCAB_STATUSES.includes(status)) {
     throw new Error(`Invalid vocab status: ${status}`)
   }
 
+  const args = [userId, language, text, translation, status, sourceContentId, sourceSentence]
+  await writeOrQueue(userId, 'upsertVocabEntry', args, () => writeVocabEntry(...args))
+}
+
+const writeVocabEntry = async (
+  userId,
+  language,
+  text,
+  translation,
+  status,
+  sourceContentId,
+  sourceSentence
+) => {
   const normalisedLang = normaliseLanguage(language)
   const ref = getVocabDocRef(userId, normalisedLang, text)
   const existingDoc = await getDoc(ref)
@@ -236,16 +382,15 @@ export const upsertVocabEntry = async (
     updatedAt: serverTimestamp(),
   }
 
+  // Entries saved before frequency ranks existed pick one up on their next write
+  if (!existingDoc.exists() || existingDoc.data().frequencyRank === undefined) {
+    updates.frequencyRank = await getWordFrequencyRank(normalisedLang, text)
+  }
+
   if (!existingDoc.exists()) {
     // New entry - initialize all SRS fields
     const now = new Date()
-    const statusIntervals = {
-      unknown: 0,
-      recognised: 1,
-      familiar: 3,
-      known: 7,
-    }
-    const intervalDays = statusIntervals[status] ?? 0
+    const intervalDays = INITIAL_INTERVAL_DAYS[status] ?? 0
     const nextReviewDate =
       intervalDays === 0
         ? serverTimestamp()
@@ -267,8 +412,24 @@ export const upsertVocabEntry = async (
     }
   }
 
+  // Remember the sentence the word was met in (for cloze review)
+  const sentence = typeof sourceSentence === 'string' ? sourceSentence.trim() : ''
+  if (sentence) {
+    const existingSentences = existingDoc.exists() ? existingDoc.data().contextSentences || [] : []
+    if (!existingSentences.some((entry) => entry.text === sentence)) {
+      updates.contextSentences = [
+        ...existingSentences,
+        { text: sentence, contentId: sourceContentId || null },
+      ].slice(-MAX_CONTEXT_SENTENCES)
+    }
+  }
+
   await setDoc(ref, updates, { merge: true })
 
+  if (!existingDoc.exists() || !existingDoc.data().lemma) {
+    attachLemma(userId, normalisedLang, text).catch(console.error)
+  }
+
   // Track progress when word becomes known
   if (isNewlyKnown) {
     incrementWordsLearned(userId, normalisedLang).catch(console.error)
@@ -333,7 +494,11 @@ const shouldPromoteStatus = (currentStatus, correctStreak, recallStreak, interva
 }
 
 /**
- * SM-2 Algorithm Implementation
+ * Record a review and reschedule the card
+ *
+ * Interval maths is delegated to the user's chosen scheduler (SM-2 or FSRS,
+ * see srsSchedulers.js); streaks and status promotion/regression are shared.
+ * Every call also appends an entry to the review log (see reviewLog.js).
  *
  * Quality responses:
  * - 'again': Complete failure, reset interval
@@ -346,8 +511,33 @@ const shouldPromoteStatus = (currentStatus, correctStreak, recallStreak, interva
  * @param {string} text
  * @param {'again' | 'hard' | 'good' | 'easy'} quality
  * @param {boolean} isRecallMode - Whether review was in recall mode (translation → word)
+ * @param {object} [options]
+ * @param {'sm2' | 'fsrs'} [options.scheduler] - profile.srsScheduler
+ * @param {number[]} [options.fsrsParameters] - profile.fsrsParameters
+ * @param {number} [options.responseTimeMs] - Time from card shown to answer revealed
+ * @param {'recognition' | 'recall' | 'cloze'} [options.mode] - Review mode for the log
  */
-export const updateVocabSRS = async (userId, language, text, quality, isRecallMode = false) => {
+export const updateVocabSRS = (
+  userId,
+  language,
+  text,
+  quality,
+  isRecallMode = false,
+  options = {}
+) => {
+  // Replays schedule from when the card was actually reviewed
+  const args = [userId, language, text, quality, isRecallMode, { ...options, reviewedAt: options.reviewedAt ?? Date.now() }]
+  return writeOrQueue(userId, 'updateVocabSRS', args, () => writeVocabSRS(...args))
+}
+
+const writeVocabSRS = async (
+  userId,
+  language,
+  text,
+  quality,
+  isRecallMode,
+  options
+) => {
   const normalisedLang = normaliseLanguage(language)
   const ref = getVocabDocRef(userId, normalisedLang, text)
   const docSnap = await getDoc(ref)
@@ -360,13 +550,16 @@ export const updateVocabSRS = async (userId, language, text, quality, isRecallMo
 
   const previousStatus = data.status || 'unknown'
   let status = previousStatus
-  let intervalDays = Number.isFinite(data.intervalDays) ? data.intervalDays : 0
-  let easeFactor = Number.isFinite(data.easeFactor) ? data.easeFactor : DEFAULT_EASE_FACTOR
   let correctStreak = Number.isFinite(data.correctStreak) ? data.correctStreak : 0
   let recallStreak = Number.isFinite(data.recallStreak) ? data.recallStreak : 0
 
-  const now = new Date()
-  let nextReviewAt
+  const now = options.reviewedAt ? new Date(options.reviewedAt) : new Date()
+  const scheduler = getScheduler(options.scheduler)
+  const scheduled = scheduler.schedule(data, quality, {
+    now,
+    parameters: options.fsrsParameters,
+  })
+  const { intervalDays } = scheduled
 
   if (quality === 'again') {
     // Failed - handle regression
@@ -379,83 +572,212 @@ export const updateVocabSRS = async (userId, language, text, quality, isRecallMo
 
     correctStreak = 0
     recallStreak = 0
-    intervalDays = 0.25 // 6 hours
-    easeFactor = Math.max(MIN_EASE_FACTOR, easeFactor - 0.2)
-    nextReviewAt = Timestamp.fromDate(new Date(now.getTime() + 6 * 60 * 60 * 1000))
   } else {
     // Successful review (hard, good, or easy)
-    const isFirstReview = intervalDays === 0 || correctStreak === 0
-    const isSecondReview = correctStreak === 1 && intervalDays <= FIRST_INTERVAL
-
-    if (quality === 'hard') {
-      // Correct but struggled
-      if (isFirstReview) {
-        intervalDays = FIRST_INTERVAL
-      } else if (isSecondReview) {
-        intervalDays = SECOND_INTERVAL
-      } else {
-        intervalDays = Math.round(intervalDays * 1.2)
-      }
-      easeFactor = Math.max(MIN_EASE_FACTOR, easeFactor - 0.15)
-      correctStreak += 1
-      if (isRecallMode) recallStreak += 1
-    } else if (quality === 'good') {
-      // Normal correct response
-      if (isFirstReview) {
-        intervalDays = FIRST_INTERVAL
-      } else if (isSecondReview) {
-        intervalDays = SECOND_INTERVAL
-      } else {
-        intervalDays = Math.round(intervalDays * easeFactor)
-      }
-      // Ease factor unchanged for 'good'
-      correctStreak += 1
-      if (isRecallMode) recallStreak += 1
-    } else if (quality === 'easy') {
-      // Easy - instant recall
-      if (isFirstReview) {
-        intervalDays = SECOND_INTERVAL // Skip to second interval
-      } else if (isSecondReview) {
-        intervalDays = Math.round(SECOND_INTERVAL * easeFactor)
-      } else {
-        intervalDays = Math.round(intervalDays * easeFactor * 1.3)
-      }
-      easeFactor = easeFactor + 0.15
-      correctStreak += 1
-      if (isRecallMode) recallStreak += 1
-    }
-
-    // Cap interval at 365 days
-    intervalDays = Math.min(intervalDays, 365)
+    correctStreak += 1
+    if (isRecallMode) recallStreak += 1
 
     // Check for status promotion
     if (shouldPromoteStatus(status, correctStreak, recallStreak, intervalDays, isRecallMode)) {
       status = getNextStatus(status)
     }
+  }
+
+  const nextReviewAt = Timestamp.fromDate(new Date(now.getTime() + intervalDays * 24 * 60 * 60 * 1000))
 
-    nextReviewAt = Timestamp.fromDate(new Date(now.getTime() + intervalDays * 24 * 60 * 60 * 1000))
+  const updates = {
+    status,
+    intervalDays,
+    correctStreak,
+    recallStreak,
+    nextReviewAt,
+    lastReviewedAt: Timestamp.fromDate(now),
+    scheduler: scheduler.id,
+    updatedAt: serverTimestamp(),
   }
+  if (Number.isFinite(scheduled.easeFactor)) updates.easeFactor = scheduled.easeFactor
+  if (Number.isFinite(scheduled.stability)) updates.stability = scheduled.stability
+  if (Number.isFinite(scheduled.difficulty)) updates.difficulty = scheduled.difficulty
 
-  await setDoc(
-    ref,
-    {
-      status,
-      intervalDays,
-      easeFactor,
-      correctStreak,
-      recallStreak,
-      nextReviewAt,
-      updatedAt: serverTimestamp(),
-    },
-    { merge: true }
-  )
+  await setDoc(ref, updates, { merge: true })
+
+  logReview(userId, {
+    cardId: ref.id,
+    text: data.text || text,
+    language: normalisedLang,
+    reviewedAt: now,
+    quality,
+    mode: options.mode || (isRecallMode ? 'recall' : 'recognition'),
+    responseTimeMs: options.responseTimeMs,
+    previousIntervalDays: Number.isFinite(data.intervalDays) ? data.intervalDays : 0,
+    nextIntervalDays: intervalDays,
+    previousStatus,
+    nextStatus: status,
+    scheduler: scheduler.id,
+  }).catch(console.error)
 
   // Track progress when word is promoted to known
   if (status === 'known' && previousStatus !== 'known') {
     incrementWordsLearned(userId, normalisedLang).catch(console.error)
   }
 
-  return { status, intervalDays, easeFactor, correctStreak, recallStreak }
+  return {
+    status,
+    intervalDays,
+    easeFactor: updates.easeFactor ?? data.easeFactor ?? DEFAULT_EASE_FACTOR,
+    stability: updates.stability ?? null,
+    difficulty: updates.difficulty ?? null,
+    correctStreak,
+    recallStreak,
+  }
+}
+
+/**
+ * Listening skill
+ * Audio-only reviews are scheduled apart from reading, in a nested `listening`
+ * map on the vocab doc: { intervalDays, easeFactor, stability, difficulty,
+ * correctStreak, introducedAt, lastReviewedAt, nextReviewAt, scheduler }.
+ * Listening reviews never change the word's reading status.
+ */
+
+// Words with no listening history introduced per day, so the deck doesn't
+// open with every saved word at once
+export const LISTENING_NEW_PER_DAY = 20
+
+const toListeningCard = (docSnap) => {
+  const data = docSnap.data()
+  const listening = data.listening || {}
+  return {
+    id: docSnap.id,
+    text: data.text,
+    language: data.language,
+    status: data.status,
+    translation: data.translation,
+    intervalDays: listening.intervalDays ?? 0,
+    correctStreak: listening.correctStreak ?? 0,
+    nextReviewAt: listening.nextReviewAt,
+    sourceContentIds: data.sourceContentIds ?? [],
+    contextSentences: data.contextSentences ?? [],
+    tags: data.tags ?? [],
+    frequencyRank: data.frequencyRank ?? null,
+  }
+}
+
+/**
+ * Listening cards split into words due again and words never heard in review.
+ * New words are capped at what's left of today's LISTENING_NEW_PER_DAY,
+ * most common first.
+ * @returns {Promise<{ dueCards: Array, newCards: Array }>}
+ */
+export const loadListeningCards = async (userId, language) => {
+  const normalisedLang = normaliseLanguage(language)
+  const vocabCollection = collection(doc(collection(db, 'users'), userId), 'vocab')
+  const vocabQuery = query(vocabCollection, where('language', '==', normalisedLang))
+  const snapshot = await getDocs(vocabQuery)
+
+  const now = new Date()
+  const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate())
+  const dueCards = []
+  const newCards = []
+  let introducedToday = 0
+
+  snapshot.forEach((docSnap) => {
+    const listening = docSnap.data().listening || {}
+    const introducedAt = listening.introducedAt?.toDate ? listening.introducedAt.toDate() : null
+    if (introducedAt && introducedAt >= startOfToday) introducedToday += 1
+
+    const nextDate = listening.nextReviewAt?.toDate ? listening.nextReviewAt.toDate() : null
+    if (!nextDate) {
+      newCards.push(toListeningCard(docSnap))
+    } else if (nextDate <= now) {
+      dueCards.push(toListeningCard(docSnap))
+    }
+  })
+
+  // Oldest due first
+  dueCards.sort((a, b) => a.nextReviewAt.toDate() - b.nextReviewAt.toDate())
+
+  const newLimit = Math.max(0, LISTENING_NEW_PER_DAY - introducedToday)
+  const rankedNewCards = newCards
+    .map((card, index) => ({ card, index, rank: card.frequencyRank ?? Infinity }))
+    .sort((a, b) => a.rank - b.rank || a.index - b.index)
+    .slice(0, newLimit)
+    .map(({ card }) => card)
+
+  return { dueCards, newCards: rankedNewCards }
+}
+
+/**
+ * A listening session: due words first, then today's new words
+ */
+export const loadDueListeningCards = async (userId, language) => {
+  const { dueCards, newCards } = await loadListeningCards(userId, language)
+  return [...dueCards, ...newCards]
+}
+
+/**
+ * Grade a listening review and reschedule the word's listening skill only
+ * Takes the same options as updateVocabSRS (scheduler, fsrsParameters, responseTimeMs)
+ */
+export const updateListeningSRS = (userId, language, text, quality, options = {}) => {
+  // Replays schedule from when the word was actually reviewed
+  const args = [userId, language, text, quality, { ...options, reviewedAt: options.reviewedAt ?? Date.now() }]
+  return writeOrQueue(userId, 'updateListeningSRS', args, () => writeListeningSRS(...args))
+}
+
+const writeListeningSRS = async (userId, language, text, quality, options) => {
+  const normalisedLang = normaliseLanguage(language)
+  const ref = getVocabDocRef(userId, normalisedLang, text)
+  const docSnap = await getDoc(ref)
+
+  if (!docSnap.exists()) {
+    throw new Error('Vocab entry not found for review')
+  }
+
+  const data = docSnap.data() || {}
+  const previous = data.listening || {}
+  const status = data.status || 'unknown'
+
+  const now = options.reviewedAt ? new Date(options.reviewedAt) : new Date()
+  const scheduler = getScheduler(options.scheduler)
+  const scheduled = scheduler.schedule(previous, quality, {
+    now,
+    parameters: options.fsrsParameters,
+  })
+  const { intervalDays } = scheduled
+
+  const previousStreak = Number.isFinite(previous.correctStreak) ? previous.correctStreak : 0
+  const listening = {
+    intervalDays,
+    correctStreak: quality === 'again' ? 0 : previousStreak + 1,
+    nextReviewAt: Timestamp.fromDate(new Date(now.getTime() + intervalDays * 24 * 60 * 60 * 1000)),
+    lastReviewedAt: Timestamp.fromDate(now),
+    scheduler: scheduler.id,
+  }
+  // First listening review: counts against today's new-word allowance
+  if (!previous.lastReviewedAt) listening.introducedAt = Timestamp.fromDate(now)
+  if (Number.isFinite(scheduled.easeFactor)) listening.easeFactor = scheduled.easeFactor
+  if (Number.isFinite(scheduled.stability)) listening.stability = scheduled.stability
+  if (Number.isFinite(scheduled.difficulty)) listening.difficulty = scheduled.difficulty
+
+  await setDoc(ref, { listening, updatedAt: serverTimestamp() }, { merge: true })
+
+  logReview(userId, {
+    cardId: ref.id,
+    text: data.text || text,
+    language: normalisedLang,
+    reviewedAt: now,
+    quality,
+    mode: 'listening',
+    responseTimeMs: options.responseTimeMs,
+    previousIntervalDays: Number.isFinite(previous.intervalDays) ? previous.intervalDays : 0,
+    nextIntervalDays: intervalDays,
+    previousStatus: status,
+    nextStatus: status,
+    scheduler: scheduler.id,
+  }).catch(console.error)
+
+  return listening
 }
 
 /**
@@ -466,6 +788,11 @@ export const setVocabStatus = async (userId, language, text, newStatus) => {
     throw new Error(`Invalid vocab status: ${newStatus}`)
   }
 
+  const args = [userId, language, text, newStatus]
+  await writeOrQueue(userId, 'setVocabStatus', args, () => writeVocabStatus(...args))
+}
+
+const writeVocabStatus = async (userId, language, text, newStatus) => {
   const normalisedLang = normaliseLanguage(language)
   const ref = getVocabDocRef(userId, normalisedLang, text)
   const docSnap = await getDoc(ref)
@@ -491,6 +818,73 @@ export const setVocabStatus = async (userId, language, text, newStatus) => {
   }
 }
 
+/**
+ * Lemma-level statuses for a language
+ * A lemma status covers every form of the word, including forms not yet
+ * saved as vocab; a form's own vocab entry still takes precedence.
+ * @returns {Promise<Object<string, string>>} lemma → status
+ */
+export const loadLemmaStatuses = async (userId, language) => {
+  const normalisedLang = normaliseLanguage(language)
+  const lemmaCollection = collection(doc(collection(db, 'users'), userId), 'lemmaStatuses')
+  const snapshot = await getDocs(query(lemmaCollection, where('language', '==', normalisedLang)))
+
+  const statuses = {}
+  snapshot.forEach((docSnap) => {
+    const data = docSnap.data()
+    if (data.lemma && VOCAB_STATUSES.includes(data.status)) {
+      statuses[data.lemma] = data.status
+    }
+  })
+  return statuses
+}
+
+/**
+ * Set a status for a lemma and every saved form of it
+ * @returns {Promise<number>} Number of saved forms updated
+ */
+export const setLemmaStatus = async (userId, language, lemma, newStatus) => {
+  if (!VOCAB_STATUSES.includes(newStatus)) {
+    throw new Error(`Invalid vocab status: ${newStatus}`)
+  }
+
+  const normalisedLang = normaliseLanguage(language)
+  const normalisedLemma = normaliseExpression(lemma)
+
+  await setDoc(
+    getLemmaStatusDocRef(userId, normalisedLang, normalisedLemma),
+    {
+      lemma: normalisedLemma,
+      language: normalisedLang,
+      status: newStatus,
+      updatedAt: serverTimestamp(),
+    },
+    { merge: true }
+  )
+
+  const vocabCollection = collection(doc(collection(db, 'users'), userId), 'vocab')
+  const formsQuery = query(
+    vocabCollection,
+    where('language', '==', normalisedLang),
+    where('lemma', '==', normalisedLemma)
+  )
+  const snapshot = await getDocs(formsQuery)
+
+  let newlyKnown = 0
+  const batch = writeBatch(db)
+  snapshot.forEach((docSnap) => {
+    if (newStatus === 'known' && docSnap.data().status !== 'known') newlyKnown++
+    batch.set(docSnap.ref, { status: newStatus, updatedAt: serverTimestamp() }, { merge: true })
+  })
+  if (!snapshot.empty) await batch.commit()
+
+  if (newlyKnown > 0) {
+    incrementWordsLearned(userId, normalisedLang, newlyKnown).catch(console.error)
+  }
+
+  return snapshot.size
+}
+
 /**
  * Update translation for a vocab entry
  */
@@ -512,6 +906,129 @@ export const updateVocabTranslation = async (userId, language, text, translation
   )
 }
 
+/**
+ * Add a saved word to a custom deck
+ */
+export const addVocabTag = async (userId, language, text, tag) => {
+  const normalisedTag = normaliseTag(tag)
+  if (!normalisedTag) {
+    throw new Error('Deck name is required')
+  }
+
+  const ref = getVocabDocRef(userId, language, text)
+  const docSnap = await getDoc(ref)
+
+  if (!docSnap.exists()) {
+    throw new Error('Save the word before adding it to a deck')
+  }
+
+  await setDoc(ref, { tags: arrayUnion(normalisedTag), updatedAt: serverTimestamp() }, { merge: true })
+  return normalisedTag
+}
+
+/**
+ * Remove a saved word from a custom deck
+ */
+export const removeVocabTag = async (userId, language, text, tag) => {
+  const ref = getVocabDocRef(userId, language, text)
+  const docSnap = await getDoc(ref)
+
+  if (!docSnap.exists()) {
+    return // Entry doesn't exist, nothing to update
+  }
+
+  await setDoc(ref, { tags: arrayRemove(normaliseTag(tag)), updatedAt: serverTimestamp() }, { merge: true })
+}
+
+/**
+ * Bulk edits from the vocab browser
+ * Each takes entries as returned by loadAllUserVocab (needs id, language and
+ * status) and writes them in Firestore batches of up to 500.
+ */
+const VOCAB_BATCH_SIZE = 500
+
+const commitVocabBatches = async (userId, entries, applyToBatch) => {
+  const vocabCollection = collection(doc(collection(db, 'users'), userId), 'vocab')
+
+  for (let i = 0; i < entries.length; i += VOCAB_BATCH_SIZE) {
+    const batch = writeBatch(db)
+    entries.slice(i, i + VOCAB_BATCH_SIZE).forEach((entry) => {
+      applyToBatch(batch, doc(vocabCollection, entry.id), entry)
+    })
+    await batch.commit()
+  }
+
+  return entries.length
+}
+
+export const bulkSetVocabStatus = async (userId, entries, newStatus) => {
+  if (!VOCAB_STATUSES.includes(newStatus)) {
+    throw new Error(`Invalid vocab status: ${newStatus}`)
+  }
+
+  const count = await commitVocabBatches(userId, entries, (batch, ref) => {
+    batch.set(ref, { status: newStatus, updatedAt: serverTimestamp() }, { merge: true })
+  })
+
+  // Track progress per language for words that became known
+  if (newStatus === 'known') {
+    const newlyKnownByLanguage = {}
+    entries.forEach((entry) => {
+      if (entry.status === 'known') return
+      newlyKnownByLanguage[entry.language] = (newlyKnownByLanguage[entry.language] || 0) + 1
+    })
+    Object.entries(newlyKnownByLanguage).forEach(([language, newlyKnown]) => {
+      incrementWordsLearned(userId, language, newlyKnown).catch(console.error)
+    })
+  }
+
+  return count
+}
+
+/**
+ * Put entries back to a fresh schedule, due now
+ * Keeps status, translation and review history
+ */
+export const bulkResetVocabSRS = async (userId, entries) =>
+  commitVocabBatches(userId, entries, (batch, ref) => {
+    batch.set(
+      ref,
+      {
+        intervalDays: 0,
+        easeFactor: DEFAULT_EASE_FACTOR,
+        correctStreak: 0,
+        recallStreak: 0,
+        nextReviewAt: serverTimestamp(),
+        stability: deleteField(),
+        difficulty: deleteField(),
+        lastReviewedAt: deleteField(),
+        listening: deleteField(),
+        updatedAt: serverTimestamp(),
+      },
+      { merge: true }
+    )
+  })
+
+export const bulkDeleteVocab = async (userId, entries) =>
+  commitVocabBatches(userId, entries, (batch, ref) => {
+    batch.delete(ref)
+  })
+
+/**
+ * Move entries into a custom deck: the deck becomes their only deck, so they
+ * leave any other custom deck they were in
+ */
+export const bulkMoveVocabToDeck = async (userId, entries, tag) => {
+  const normalisedTag = normaliseTag(tag)
+  if (!normalisedTag) {
+    throw new Error('Deck name is required')
+  }
+
+  return commitVocabBatches(userId, entries, (batch, ref) => {
+    batch.set(ref, { tags: [normalisedTag], updatedAt: serverTimestamp() }, { merge: true })
+  })
+}
+
 /**
  * Reset all vocab progress for a language
  * Sets all words back to 'unknown' status and resets SRS data
@@ -552,3 +1069,46 @@ export const resetVocabProgress = async (userId, language) => {
 
   return totalReset
 }
+
+const QUEUED_VOCAB_WRITES = {
+  upsertVocabEntry: writeVocabEntry,
+  updateVocabSRS: writeVocabSRS,
+  setVocabStatus: writeVocabStatus,
+  updateListeningSRS: writeListeningSRS,
+}
+
+let vocabSyncInProgress = null
+
+/**
+ * Replay a user's vocab changes queued while offline, oldest first
+ * Stops (keeping the rest queued) if the connection drops again; a change
+ * that fails for any other reason is dropped so it can't block the queue.
+ * @returns {Promise<number>} Number of changes replayed
+ */
+export const syncQueuedVocabChanges = (userId) => {
+  if (!userId || isOffline()) return Promise.resolve(0)
+  if (vocabSyncInProgress) return vocabSyncInProgress
+
+  vocabSyncInProgress = (async () => {
+    const queued = await loadQueuedVocabChanges()
+    let synced = 0
+
+    for (const change of queued.filter((item) => item.userId === userId)) {
+      const write = QUEUED_VOCAB_WRITES[change.op]
+      try {
+        if (write) await write(...change.args)
+      } catch (err) {
+        if (isOfflineError(err)) break
+        console.error(`Dropping queued vocab change (${change.op})`, err)
+      }
+      await removeQueuedVocabChange(change.id)
+      synced++
+    }
+
+    return synced
+  })().finally(() => {
+    vocabSyncInProgress = null
+  })
+
+  return vocabSyncInProgress
+}
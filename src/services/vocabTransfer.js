@@ -0,0 +1,236 @@
+// Vocab Transfer Service
+// Import and export of users/{uid}/vocab as CSV or Anki .apkg.
+// File building and parsing happen on the server (ankiPackage.js); the
+// import itself is written from the client in Firestore batches.
+
+import { arrayUnion, serverTimestamp, Timestamp, writeBatch } from 'firebase/firestore'
+import { db } from '../firebase'
+import { resolveSupportedLanguageLabel } from '../constants/languages'
+import { DEFAULT_EASE_FACTOR } from './srsSchedulers'
+import { getVocabDocRef, INITIAL_INTERVAL_DAYS, normaliseExpression } from './vocab'
+import { fetchLemmas } from './lemmas'
+import { getFrequencyRank, loadFrequencyRanks } from './frequency'
+import { incrementWordsLearned } from './progress'
+
+const API_BASE = 'http://localhost:4000'
+
+export const VOCAB_EXPORT_FORMATS = [
+  { id: 'apkg', label: 'Anki deck (.apkg)' },
+  { id: 'csv', label: 'Spreadsheet (.csv)' },
+]
+
+export const VOCAB_IMPORT_CONFLICT_STRATEGIES = [
+  { id: 'skip', label: 'Skip words I already have' },
+  { id: 'keep-progress', label: 'Keep my progress, fill in missing translations' },
+  { id: 'overwrite', label: 'Replace with imported status and schedule' },
+]
+
+/**
+ * Download the user's vocab for a language as a file
+ * @param {string} userId
+ * @param {string} language
+ * @param {'csv' | 'apkg'} format
+ */
+export async function exportVocabFile(userId, language, format) {
+  const response = await fetch(`${API_BASE}/api/vocab/export`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ userId, language, format, includeAudio: true }),
+  })
+
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}))
+    throw new Error(error.error || 'Failed to export vocab')
+  }
+
+  const disposition = response.headers.get('Content-Disposition') || ''
+  const filename = disposition.match(/filename="([^"]+)"/)?.[1] || `intongues-vocab.${format}`
+  const blob = await response.blob()
+
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  URL.revokeObjectURL(url)
+}
+
+/**
+ * Upload an .apkg / .csv / .txt file and get back parsed entries (nothing is saved)
+ * @returns {Promise<{ format: string, entries: Array<object>, warnings: string[] }>}
+ */
+export async function parseVocabImportFile(file) {
+  const formData = new FormData()
+  formData.append('file', file)
+
+  const response = await fetch(`${API_BASE}/api/vocab/import/parse`, {
+    method: 'POST',
+    body: formData,
+  })
+
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}))
+    throw new Error(error.error || 'Failed to read import file')
+  }
+
+  return response.json()
+}
+
+/**
+ * Build a dry-run preview: which entries are new and which clash with existing vocab
+ * @param {Array<object>} entries - Parsed import entries
+ * @param {Object<string, object>} existingVocab - Result of loadUserVocab
+ */
+export function previewVocabImport(entries, existingVocab = {}) {
+  const seen = new Set()
+  return entries
+    .filter((entry) => {
+      // Duplicate rows inside the file: first one wins
+      const key = normaliseExpression(entry.text)
+      if (seen.has(key)) return false
+      seen.add(key)
+      return true
+    })
+    .map((entry) => {
+      const existing = existingVocab[normaliseExpression(entry.text)] || null
+      return { ...entry, existing, isConflict: Boolean(existing) }
+    })
+}
+
+// Imported scheduling fields; they override the defaults for the entry's status
+const buildScheduleUpdates = (entry) => {
+  const updates = {}
+  if (Number.isFinite(entry.intervalDays)) updates.intervalDays = entry.intervalDays
+  if (Number.isFinite(entry.easeFactor)) updates.easeFactor = entry.easeFactor
+  if (Number.isFinite(entry.correctStreak)) updates.correctStreak = entry.correctStreak
+  if (Number.isFinite(entry.recallStreak)) updates.recallStreak = entry.recallStreak
+  if (Number.isFinite(entry.nextReviewAt)) {
+    updates.nextReviewAt = Timestamp.fromMillis(entry.nextReviewAt)
+  }
+  return updates
+}
+
+// Same as the Firestore limit on writes per batch
+const IMPORT_BATCH_SIZE = 500
+
+/**
+ * Fields to merge into an entry's doc, or null when it is skipped.
+ * Imports are written in bulk, so unlike upsertVocabEntry this works from
+ * the preview's copy of the existing entry instead of reading each doc.
+ */
+const buildImportWrite = (entry, language, conflictStrategy, { lemmas, frequencyRanks }) => {
+  const { existing } = entry
+  const sourceContentIds = entry.sourceContentIds || []
+  const translation = entry.translation?.trim() || null
+
+  if (existing && conflictStrategy === 'skip') return null
+
+  if (existing && conflictStrategy === 'keep-progress') {
+    // Existing status and schedule stay; only a missing translation is filled
+    const updates = { updatedAt: serverTimestamp() }
+    if (!existing.translation && translation) updates.translation = translation
+    if (sourceContentIds.length) updates.sourceContentIds = arrayUnion(...sourceContentIds)
+    return updates
+  }
+
+  const updates = {
+    text: entry.text,
+    translation: translation || existing?.translation || null,
+    language,
+    status: entry.status,
+    updatedAt: serverTimestamp(),
+  }
+
+  if (existing) {
+    if (sourceContentIds.length) updates.sourceContentIds = arrayUnion(...sourceContentIds)
+  } else {
+    const intervalDays = INITIAL_INTERVAL_DAYS[entry.status] ?? 0
+    updates.createdAt = serverTimestamp()
+    updates.intervalDays = intervalDays
+    updates.easeFactor = DEFAULT_EASE_FACTOR
+    updates.correctStreak = 0
+    updates.recallStreak = 0
+    updates.nextReviewAt =
+      intervalDays === 0 ? serverTimestamp() : Timestamp.fromMillis(Date.now() + intervalDays * 24 * 60 * 60 * 1000)
+    updates.sourceContentIds = sourceContentIds
+    updates.frequencyRank = getFrequencyRank(frequencyRanks, entry.text)
+  }
+
+  if (!existing?.lemma) {
+    const text = normaliseExpression(entry.text)
+    const lemma = /\s/.test(text) ? text : lemmas[text]
+    if (lemma) updates.lemma = lemma
+  }
+
+  return { ...updates, ...buildScheduleUpdates(entry) }
+}
+
+/**
+ * Save previewed entries into vocab
+ * @param {string} userId
+ * @param {string} language
+ * @param {Array<object>} previewEntries - Output of previewVocabImport
+ * @param {'skip' | 'keep-progress' | 'overwrite'} conflictStrategy
+ * @param {(done: number, total: number) => void} [onProgress]
+ * @returns {Promise<{ created: number, updated: number, skipped: number, failed: number }>}
+ */
+export async function importVocabEntries(userId, language, previewEntries, conflictStrategy = 'skip', onProgress) {
+  const result = { created: 0, updated: 0, skipped: 0, failed: 0 }
+  const languageLabel = resolveSupportedLanguageLabel(language, language)
+
+  // Lemmas for new single words, a few requests for the whole file rather
+  // than one per word. The import goes ahead without them if this fails.
+  const wordsToLemmatize = previewEntries
+    .filter((entry) => !entry.existing || (conflictStrategy === 'overwrite' && !entry.existing.lemma))
+    .map((entry) => entry.text)
+    .filter((text) => !/\s/.test(text.trim()))
+  const [lemmas, frequencyRanks] = await Promise.all([
+    fetchLemmas(languageLabel, wordsToLemmatize).catch((error) => {
+      console.error('Failed to lemmatize imported words:', error)
+      return {}
+    }),
+    loadFrequencyRanks(languageLabel),
+  ])
+
+  let newlyKnown = 0
+
+  for (let i = 0; i < previewEntries.length; i += IMPORT_BATCH_SIZE) {
+    const chunk = previewEntries.slice(i, i + IMPORT_BATCH_SIZE)
+    const batch = writeBatch(db)
+    const counts = { created: 0, updated: 0, known: 0 }
+    let writes = 0
+
+    chunk.forEach((entry) => {
+      const updates = buildImportWrite(entry, languageLabel, conflictStrategy, { lemmas, frequencyRanks })
+      if (!updates) {
+        result.skipped++
+        return
+      }
+      batch.set(getVocabDocRef(userId, languageLabel, entry.text), updates, { merge: true })
+      writes++
+      if (entry.existing) counts.updated++
+      else counts.created++
+      if (updates.status === 'known' && entry.existing?.status !== 'known') counts.known++
+    })
+
+    try {
+      if (writes) await batch.commit()
+      result.created += counts.created
+      result.updated += counts.updated
+      newlyKnown += counts.known
+    } catch (error) {
+      console.error(`Failed to import entries ${i + 1}–${i + chunk.length}:`, error)
+      result.failed += writes
+    }
+
+    if (onProgress) onProgress(Math.min(i + IMPORT_BATCH_SIZE, previewEntries.length), previewEntries.length)
+  }
+
+  if (newlyKnown) {
+    incrementWordsLearned(userId, languageLabel, newlyKnown).catch(console.error)
+  }
+
+  return result
+}
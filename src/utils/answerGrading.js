@@ -0,0 +1,139 @@
+/**
+ * Typed-answer grading shared by the typing review modes.
+ * Grading is accent- and case-tolerant: a missing accent still counts as
+ * correct (graded 'hard'), and a single typo on longer words is forgiven.
+ */
+
+// Letters and combining marks, plus apostrophes/hyphens inside words
+const WORD_PATTERN = /[\p{L}\p{M}\p{N}]+(?:['’-][\p{L}\p{M}\p{N}]+)*/gu
+
+/**
+ * Lowercase, trim and collapse whitespace; keeps accents
+ */
+const normaliseTyped = (text) =>
+  String(text || '')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[¿¡!?.,;:"«»“”()]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+
+/**
+ * Strip diacritics (é → e, ñ → n, ü → u) for accent-tolerant comparison
+ */
+export const stripAccents = (text) =>
+  normaliseTyped(text).normalize('NFD').replace(/\p{M}/gu, '')
+
+// Edit distance counting a swap of two adjacent letters as one edit
+const editDistance = (a, b) => {
+  if (a === b) return 0
+  if (!a.length) return b.length
+  if (!b.length) return a.length
+
+  const rows = [Array.from({ length: b.length + 1 }, (_, j) => j)]
+  for (let i = 1; i <= a.length; i++) {
+    rows[i] = [i]
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost)
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1)
+      }
+    }
+  }
+  return rows[a.length][b.length]
+}
+
+/**
+ * Grade a typed answer against the expected word or expression
+ *
+ * @param {string} expected
+ * @param {string} typed
+ * @returns {{ quality: 'again' | 'hard' | 'good', isCorrect: boolean, feedback: 'exact' | 'accents' | 'typo' | 'wrong' }}
+ */
+export const gradeTypedAnswer = (expected, typed) => {
+  const expectedText = normaliseTyped(expected)
+  const typedText = normaliseTyped(typed)
+
+  if (!typedText) {
+    return { quality: 'again', isCorrect: false, feedback: 'wrong' }
+  }
+
+  if (expectedText === typedText) {
+    return { quality: 'good', isCorrect: true, feedback: 'exact' }
+  }
+
+  const expectedBare = stripAccents(expectedText)
+  const typedBare = stripAccents(typedText)
+
+  if (expectedBare === typedBare) {
+    return { quality: 'hard', isCorrect: true, feedback: 'accents' }
+  }
+
+  // One slip allowed on words of five letters or more
+  if (expectedBare.length >= 5 && editDistance(expectedBare, typedBare) <= 1) {
+    return { quality: 'hard', isCorrect: true, feedback: 'typo' }
+  }
+
+  return { quality: 'again', isCorrect: false, feedback: 'wrong' }
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+/**
+ * Blank out a word in its sentence
+ * Matches whole words case-insensitively, falling back to an accent-insensitive
+ * token match. Returns null when the word can't be found in the sentence.
+ *
+ * @param {string} sentence
+ * @param {string} word
+ * @returns {{ before: string, answer: string, after: string } | null}
+ */
+export const buildCloze = (sentence, word) => {
+  if (!sentence || !word) return null
+
+  const pattern = new RegExp(
+    `(?<![\\p{L}\\p{M}])${escapeRegExp(word.trim())}(?![\\p{L}\\p{M}])`,
+    'iu'
+  )
+  const directMatch = sentence.match(pattern)
+  if (directMatch) {
+    const start = directMatch.index
+    const end = start + directMatch[0].length
+    return { before: sentence.slice(0, start), answer: directMatch[0], after: sentence.slice(end) }
+  }
+
+  const target = stripAccents(word)
+  for (const match of sentence.matchAll(WORD_PATTERN)) {
+    if (stripAccents(match[0]) === target) {
+      const start = match.index
+      const end = start + match[0].length
+      return { before: sentence.slice(0, start), answer: match[0], after: sentence.slice(end) }
+    }
+  }
+
+  return null
+}
+
+/**
+ * Cloze from the newest saved sentence that still contains the card's word
+ *
+ * @param {{ text: string, contextSentences?: Array<{ text: string }> } | null} card
+ * @returns {{ before: string, answer: string, after: string } | null}
+ */
+export const findContextCloze = (card) => {
+  const sentences = card?.contextSentences || []
+  for (let i = sentences.length - 1; i >= 0; i--) {
+    const cloze = buildCloze(sentences[i].text, card.text)
+    if (cloze) return cloze
+  }
+  return null
+}
+
+// Shown under a graded typed answer
+export const ANSWER_FEEDBACK = {
+  exact: 'Correct',
+  accents: 'Correct, check the accents',
+  typo: 'Almost, one letter off',
+  wrong: 'Not quite',
+}
@@ -0,0 +1,185 @@
+/**
+ * Font-independent reading position for the Reader.
+ *
+ * A position is { chapterIndex, charOffset }: the character of the chapter's
+ * text sitting at the top of the viewport. Chapter paragraphs are rendered
+ * with data-chapter-index / data-char-offset, so the same anchor can be
+ * found again after a font, size or theme change, or on another device.
+ */
+
+// Paragraph break used by the Reader when rendering chapter text
+const PARAGRAPH_BREAK = /\n\n+/g
+
+/**
+ * Start offset of each paragraph, matching text.split(/\n\n+/)
+ * @param {string} text
+ * @returns {number[]}
+ */
+export const getParagraphOffsets = (text) => {
+  const offsets = [0]
+  for (const match of (text || '').matchAll(PARAGRAPH_BREAK)) {
+    offsets.push(match.index + match[0].length)
+  }
+  return offsets
+}
+
+/**
+ * Anchor for the paragraph at the top of the scroll container
+ * Includes how far into that paragraph the reader has scrolled.
+ * @param {HTMLElement} container
+ * @returns {{ chapterIndex: number, charOffset: number } | null}
+ */
+export const getReadingAnchor = (container) => {
+  if (!container) return null
+
+  const containerTop = container.getBoundingClientRect().top
+  const paragraphs = container.querySelectorAll('[data-char-offset]')
+
+  for (const el of paragraphs) {
+    const rect = el.getBoundingClientRect()
+    if (rect.bottom <= containerTop) continue
+
+    const scrolledInto = rect.height > 0 ? Math.max(0, containerTop - rect.top) / rect.height : 0
+    const length = (el.textContent || '').length
+    return {
+      chapterIndex: Number(el.dataset.chapterIndex),
+      charOffset: Number(el.dataset.charOffset) + Math.round(scrolledInto * length),
+    }
+  }
+
+  return null
+}
+
+// Paragraph of a chapter that contains the given character
+const findAnchorParagraph = (container, chapterIndex, charOffset) => {
+  const paragraphs = container.querySelectorAll(`[data-chapter-index="${Number(chapterIndex)}"]`)
+  let target = null
+  for (const el of paragraphs) {
+    if (Number(el.dataset.charOffset) > charOffset) break
+    target = el
+  }
+  return target || paragraphs[0] || null
+}
+
+/**
+ * Scroll the container so the anchored character is at the top
+ * @returns {boolean} Whether the anchor's chapter was found
+ */
+export const scrollToReadingAnchor = (container, anchor) => {
+  if (!container || !anchor) return false
+
+  const target = findAnchorParagraph(container, anchor.chapterIndex, anchor.charOffset)
+  if (!target) return false
+
+  const length = (target.textContent || '').length
+  const intoParagraph = anchor.charOffset - Number(target.dataset.charOffset)
+  const fraction = length > 0 ? Math.min(1, Math.max(0, intoParagraph / length)) : 0
+
+  const containerTop = container.getBoundingClientRect().top
+  const rect = target.getBoundingClientRect()
+  container.scrollTop += rect.top - containerTop + fraction * rect.height
+  return true
+}
+
+/**
+ * Percentage of the book read at an anchor
+ * @param {number[]} chapterLengths - Character length of each chapter's text
+ */
+export const getReadingProgress = (chapterLengths, anchor) => {
+  const total = chapterLengths.reduce((sum, length) => sum + length, 0)
+  if (!anchor || total <= 0) return 0
+
+  const before = chapterLengths.slice(0, anchor.chapterIndex).reduce((sum, length) => sum + length, 0)
+  return Math.min(100, Math.max(0, Math.round(((before + anchor.charOffset) / total) * 100)))
+}
+
+const closestAnchorParagraph = (node) => {
+  const element = node?.nodeType === Node.ELEMENT_NODE ? node : node?.parentElement
+  return element?.closest('[data-char-offset]') || null
+}
+
+// Characters of the paragraph's text before (node, offset)
+const getOffsetInParagraph = (paragraph, node, offset) => {
+  const range = document.createRange()
+  range.selectNodeContents(paragraph)
+  range.setEnd(node, offset)
+  return range.toString().length
+}
+
+// Text node and offset sitting at a character of the paragraph's text
+const findTextPosition = (paragraph, charOffset) => {
+  const walker = document.createTreeWalker(paragraph, NodeFilter.SHOW_TEXT)
+  let remaining = Math.max(0, charOffset)
+  let last = null
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    const length = node.textContent.length
+    if (remaining <= length) return { node, offset: remaining }
+    remaining -= length
+    last = node
+  }
+  return last ? { node: last, offset: last.textContent.length } : null
+}
+
+/**
+ * Anchor for a selected passage of chapter text
+ * Selections that leave the chapter body (headers, other chapters) have none.
+ * @param {Range} range
+ * @returns {{ chapterIndex: number, startOffset: number, endOffset: number } | null}
+ */
+export const getSelectionAnchor = (range) => {
+  if (!range || range.collapsed) return null
+
+  const startParagraph = closestAnchorParagraph(range.startContainer)
+  const endParagraph = closestAnchorParagraph(range.endContainer)
+  if (!startParagraph || !endParagraph) return null
+  if (startParagraph.dataset.chapterIndex !== endParagraph.dataset.chapterIndex) return null
+
+  const startOffset = Number(startParagraph.dataset.charOffset)
+    + getOffsetInParagraph(startParagraph, range.startContainer, range.startOffset)
+  const endOffset = Number(endParagraph.dataset.charOffset)
+    + getOffsetInParagraph(endParagraph, range.endContainer, range.endOffset)
+  if (endOffset <= startOffset) return null
+
+  return { chapterIndex: Number(startParagraph.dataset.chapterIndex), startOffset, endOffset }
+}
+
+/**
+ * DOM range covering a stored passage, e.g. for drawing highlights
+ * @returns {Range | null}
+ */
+export const getAnchorRange = (container, { chapterIndex, startOffset, endOffset }) => {
+  if (!container) return null
+
+  const startParagraph = findAnchorParagraph(container, chapterIndex, startOffset)
+  const endParagraph = findAnchorParagraph(container, chapterIndex, Math.max(startOffset, endOffset - 1))
+  if (!startParagraph || !endParagraph) return null
+
+  const start = findTextPosition(startParagraph, startOffset - Number(startParagraph.dataset.charOffset))
+  const end = findTextPosition(endParagraph, endOffset - Number(endParagraph.dataset.charOffset))
+  if (!start || !end) return null
+
+  const range = document.createRange()
+  range.setStart(start.node, start.offset)
+  range.setEnd(end.node, end.offset)
+  return range
+}
+
+/**
+ * Anchor for the character under a screen point, e.g. a tapped word
+ * @returns {{ chapterIndex: number, charOffset: number } | null}
+ */
+export const getPointAnchor = (x, y) => {
+  const caret = document.caretPositionFromPoint?.(x, y)
+  const caretRange = caret ? null : document.caretRangeFromPoint?.(x, y)
+  const node = caret ? caret.offsetNode : caretRange?.startContainer
+  const offset = caret ? caret.offset : caretRange?.startOffset
+  if (!node) return null
+
+  const paragraph = closestAnchorParagraph(node)
+  if (!paragraph) return null
+
+  return {
+    chapterIndex: Number(paragraph.dataset.chapterIndex),
+    charOffset: Number(paragraph.dataset.charOffset) + getOffsetInParagraph(paragraph, node, offset),
+  }
+}